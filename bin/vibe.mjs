@@ -13,6 +13,12 @@
  *   vibe --listen      # Start with network access
  *   vibe --port 8080   # Start on custom port
  *   vibe --help        # Show help
+ *
+ * Worktree lifecycle subcommands (see scripts/vibe-cli.mjs):
+ *   vibe worktree list|create|delete
+ *   vibe services start|stop|restart <worktree> [service]
+ *   vibe sync <worktree> [--strategy merge|rebase]
+ *   vibe diagnostics [worktree]
  */
 
 import { fileURLToPath } from 'url';
@@ -26,6 +32,17 @@ const __dirname = dirname(__filename);
 // Parse command line arguments
 const args = process.argv.slice(2);
 
+// Worktree lifecycle subcommands run without PM2 (over HTTP or in-process)
+const { isCliCommand, runCli, CLI_USAGE } = await import('../scripts/vibe-cli.mjs');
+if (isCliCommand(args)) {
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(CLI_USAGE);
+    process.exit(0);
+  }
+  const exitCode = await runCli(args);
+  process.exit(exitCode);
+}
+
 // Help text
 if (args.includes('--help') || args.includes('-h')) {
   console.log(`
@@ -40,10 +57,11 @@ Usage:
   vibe --update        Update to latest version
   vibe --check-update  Check for updates (manual trigger)
   vibe --listen        Start with network access (all interfaces)
+  vibe --trust-proxy   Trust X-Forwarded-For from a reverse proxy in front of vibe
   vibe --port 8080     Start on custom port (default: 3335)
   vibe --help          Show this help message
   vibe --version       Show version
-
+${CLI_USAGE}
 Examples:
   # Start server in background
   vibe
@@ -66,6 +84,12 @@ Examples:
   # Custom port
   vibe --port 3000
 
+  # Create a worktree from main and print the result as JSON
+  vibe worktree create feature/login --from main --json
+
+  # Restart one service in a worktree
+  vibe services restart feature-login postgres
+
 Documentation: https://github.com/tim4net/VibeTrees
   `);
   process.exit(0);
@@ -342,6 +366,11 @@ if (args.includes('--listen')) {
   envVars.push('VIBE_LISTEN=true');
 }
 
+// Handle --trust-proxy flag
+if (args.includes('--trust-proxy')) {
+  envVars.push('VIBE_TRUST_PROXY=true');
+}
+
 // Handle --port flag
 const portIndex = args.indexOf('--port');
 if (portIndex !== -1 && args[portIndex + 1]) {
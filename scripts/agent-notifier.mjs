@@ -0,0 +1,49 @@
+/**
+ * AgentNotifier
+ *
+ * Turns agent state changes from PTYSessionManager ('agent-state' events)
+ * into 'agent.<state>' events on the EventBus (agent.idle,
+ * agent.awaiting-input, agent.finished), so webhook subscribers learn that
+ * an agent is blocked on a prompt or done.
+ *
+ * Only changes worth interrupting for are published: an agent that was
+ * working and stopped (idle or awaiting input), and any agent process exiting.
+ */
+
+const DEFAULT_STATES = ['awaiting-input', 'idle', 'finished'];
+
+export class AgentNotifier {
+  /**
+   * @param {Object} options
+   * @param {EventBus} options.bus - Bus to publish agent events on
+   * @param {string[]} options.states - States that trigger a notification
+   */
+  constructor({ bus = null, states = DEFAULT_STATES } = {}) {
+    this.bus = bus;
+    this.states = states;
+  }
+
+  /**
+   * Whether a state change deserves a notification
+   * @param {Object} event - 'agent-state' event
+   * @returns {boolean}
+   */
+  shouldNotify(event) {
+    if (!this.states.includes(event.state)) {
+      return false;
+    }
+    return event.state === 'finished' || event.previousState === 'working';
+  }
+
+  /**
+   * Publish a state change on the bus if it deserves a notification
+   * @param {Object} event - 'agent-state' event
+   * @returns {Object|null} The published bus event
+   */
+  notify(event) {
+    if (!this.bus || !this.shouldNotify(event)) {
+      return null;
+    }
+    return this.bus.publish(`agent.${event.state}`, event);
+  }
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { AgentNotifier } from './agent-notifier.mjs';
+import { EventBus } from './event-bus.mjs';
+
+const event = (state, previousState = 'working') => ({
+  sessionId: 's1',
+  worktree: 'feature-x',
+  agent: 'claude',
+  state,
+  previousState,
+  since: '2024-05-01T10:00:00.000Z',
+  exitCode: null
+});
+
+describe('AgentNotifier', () => {
+  it('should only notify when a working agent stops or any agent exits', () => {
+    const notifier = new AgentNotifier();
+
+    expect(notifier.shouldNotify(event('awaiting-input'))).toBe(true);
+    expect(notifier.shouldNotify(event('idle', 'starting'))).toBe(false);
+    expect(notifier.shouldNotify(event('working', 'idle'))).toBe(false);
+    expect(notifier.shouldNotify(event('finished', 'starting'))).toBe(true);
+    expect(new AgentNotifier({ states: ['finished'] }).shouldNotify(event('idle'))).toBe(false);
+  });
+
+  it('should publish the change as an agent.<state> event', () => {
+    const bus = new EventBus();
+    const notifier = new AgentNotifier({ bus });
+
+    const published = notifier.notify(event('awaiting-input'));
+
+    expect(published.type).toBe('agent.awaiting-input');
+    expect(published.data).toMatchObject({ worktree: 'feature-x', agent: 'claude', state: 'awaiting-input' });
+    expect(bus.list()).toEqual([published]);
+  });
+
+  it('should not publish changes nobody needs to hear about', () => {
+    const bus = new EventBus();
+    const notifier = new AgentNotifier({ bus });
+
+    expect(notifier.notify(event('working', 'idle'))).toBeNull();
+    expect(bus.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,401 @@
+import { spawn, execFile } from 'child_process';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+
+const MAX_TRANSCRIPT_BYTES = 1024 * 1024;
+const MAX_DIFF_BYTES = 1024 * 1024;
+const GIT_TIMEOUT = 60 * 1000;
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+/**
+ * AgentTaskRunner
+ *
+ * Runs an agent non-interactively (print/exec mode) against a prompt inside a
+ * worktree and records a transcript: output, start/end time, exit status and
+ * the diff the run produced. Tasks queue per worktree and run one at a time
+ * per worktree, so work can be lined up across several worktrees at once.
+ */
+export class AgentTaskRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.worktreeManager - WorktreeManager instance
+   * @param {Object} options.agentRegistry - AgentRegistry used to create agents
+   * @param {Object} options.agentConfig - Agent settings for headless runs, keyed by agent name
+   * @param {string|null} options.tasksDir - Directory persisting one JSON file per task
+   * @param {number} options.maxConcurrent - Tasks running at once across all worktrees (default: 2)
+   * @param {number} options.timeout - Maximum run time per task in ms (default: 30 minutes)
+   */
+  constructor(options) {
+    this.worktreeManager = options.worktreeManager;
+    this.agentRegistry = options.agentRegistry;
+    this.agentConfig = options.agentConfig ?? {};
+    this.tasksDir = options.tasksDir ?? null;
+    this.maxConcurrent = options.maxConcurrent ?? 2;
+    this.timeout = options.timeout ?? 30 * 60 * 1000;
+
+    this._tasks = new Map(); // taskId -> task record
+    this._processes = new Map(); // taskId -> child process
+
+    this._loadTasks();
+  }
+
+  /**
+   * Queue a prompt for an agent in a worktree
+   * @param {Object} params
+   * @param {string} params.worktree - Worktree name
+   * @param {string} params.agent - Agent name (must support headless runs)
+   * @param {string} params.prompt - Task prompt
+   * @returns {{success: boolean, task?: Object, error?: string}}
+   */
+  createTask({ worktree, agent, prompt }) {
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      return { success: false, error: 'Prompt is required' };
+    }
+
+    if (!this.agentRegistry.has(agent)) {
+      return { success: false, error: `Unknown agent: ${agent}` };
+    }
+
+    if (this.agentRegistry.create(agent).getHeadlessCommand(prompt) === null) {
+      return { success: false, error: `Agent ${agent} does not support headless runs` };
+    }
+
+    const location = this.worktreeManager._worktreeLocations().find(w => w.name === worktree);
+    if (!location) {
+      return { success: false, error: `Worktree not found: ${worktree}` };
+    }
+
+    const task = {
+      id: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+      worktree,
+      worktreePath: location.path,
+      agent,
+      prompt,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      endedAt: null,
+      exitCode: null,
+      error: null,
+      baseCommit: null,
+      baseState: null,
+      baseUntracked: [],
+      transcript: '',
+      diff: '',
+      diffStat: '',
+      untracked: []
+    };
+
+    this._tasks.set(task.id, task);
+    this._saveTask(task);
+    this._broadcast(task);
+    console.log(`[AgentTasks] Queued ${agent} task ${task.id} for ${worktree}`);
+
+    this._drain();
+    return { success: true, task: this._summarize(task) };
+  }
+
+  /**
+   * List tasks, newest first, without transcripts and diffs
+   * @param {Object} filter - { worktree: only tasks for this worktree }
+   * @returns {Object[]}
+   */
+  listTasks(filter = {}) {
+    return [...this._tasks.values()]
+      .filter(task => !filter.worktree || task.worktree === filter.worktree)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(task => this._summarize(task));
+  }
+
+  /**
+   * Get a task including its transcript and diff
+   * @param {string} taskId
+   * @returns {Object|null}
+   */
+  getTask(taskId) {
+    return this._tasks.get(taskId) || null;
+  }
+
+  /**
+   * Cancel a queued or running task
+   * @param {string} taskId
+   * @returns {{success: boolean, error?: string}}
+   */
+  cancelTask(taskId) {
+    const task = this._tasks.get(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+
+    if (task.status === 'queued') {
+      this._finish(task, { status: 'cancelled' });
+      return { success: true };
+    }
+
+    if (task.status === 'running') {
+      task.cancelRequested = true;
+      this._processes.get(taskId)?.kill('SIGTERM');
+      return { success: true };
+    }
+
+    return { success: false, error: `Task already ${task.status}` };
+  }
+
+  /**
+   * Delete a finished task and its transcript
+   * @param {string} taskId
+   * @returns {{success: boolean, error?: string}}
+   */
+  deleteTask(taskId) {
+    const task = this._tasks.get(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+
+    if (!FINISHED_STATUSES.has(task.status)) {
+      return { success: false, error: 'Cancel the task before deleting it' };
+    }
+
+    this._tasks.delete(taskId);
+    const file = this._taskFile(taskId);
+    if (file && existsSync(file)) {
+      unlinkSync(file);
+    }
+
+    this.worktreeManager.broadcast?.('task:deleted', { id: taskId, worktree: task.worktree });
+    return { success: true };
+  }
+
+  /**
+   * Start as many queued tasks as concurrency allows
+   * @private
+   */
+  _drain() {
+    const busyWorktrees = new Set(
+      [...this._tasks.values()].filter(task => task.status === 'running').map(task => task.worktree)
+    );
+
+    const queued = [...this._tasks.values()]
+      .filter(task => task.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const task of queued) {
+      if (busyWorktrees.size >= this.maxConcurrent) break;
+      if (busyWorktrees.has(task.worktree)) continue;
+
+      busyWorktrees.add(task.worktree);
+      this._run(task);
+    }
+  }
+
+  /**
+   * Spawn the agent for a task and capture its output
+   * @private
+   */
+  async _run(task) {
+    const agent = this.agentRegistry.create(task.agent, this.agentConfig[task.agent]);
+    const { command, args } = agent.getHeadlessCommand(task.prompt);
+
+    // Marked running before the git calls so _drain doesn't start it twice
+    task.status = 'running';
+    task.startedAt = new Date().toISOString();
+    task.baseCommit = await this._git(['rev-parse', 'HEAD'], task.worktreePath) || null;
+    // Uncommitted and untracked changes from before the run are not the agent's work
+    task.baseState = await this._git(['stash', 'create'], task.worktreePath) || task.baseCommit;
+    task.baseUntracked = await this._untrackedFiles(task.worktreePath);
+
+    if (task.cancelRequested) {
+      await this._finish(task, { status: 'cancelled' });
+      return;
+    }
+
+    this._saveTask(task);
+    this._broadcast(task);
+    console.log(`[AgentTasks] Running ${task.agent} task ${task.id} in ${task.worktree}`);
+
+    let child;
+    try {
+      child = spawn(command, args, {
+        cwd: task.worktreePath,
+        env: { ...process.env, ...agent.getEnvironmentVariables(task.worktreePath) },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      this._finish(task, { status: 'failed', error: error.message });
+      return;
+    }
+
+    this._processes.set(task.id, child);
+
+    const timer = setTimeout(() => {
+      task.error = `Timed out after ${Math.round(this.timeout / 60000)} minute(s)`;
+      child.kill('SIGTERM');
+    }, this.timeout);
+
+    let transcriptBytes = Buffer.byteLength(task.transcript);
+    const append = chunk => {
+      const remaining = MAX_TRANSCRIPT_BYTES - transcriptBytes;
+      if (remaining <= 0) return;
+
+      if (chunk.length > remaining) {
+        task.transcript += `${chunk.subarray(0, remaining).toString()}\n... transcript truncated ...\n`;
+        transcriptBytes = MAX_TRANSCRIPT_BYTES;
+      } else {
+        task.transcript += chunk.toString();
+        transcriptBytes += chunk.length;
+      }
+    };
+    child.stdout?.on('data', append);
+    child.stderr?.on('data', append);
+
+    let settled = false;
+    const settle = (exitCode, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      this._processes.delete(task.id);
+
+      let status = exitCode === 0 && !task.error ? 'succeeded' : 'failed';
+      if (task.cancelRequested) status = 'cancelled';
+
+      this._finish(task, { status, exitCode, error: error || task.error });
+    };
+
+    child.on('error', error => settle(null, error.message));
+    child.on('close', code => settle(code, null));
+  }
+
+  /**
+   * Record the end of a task, capture its diff and start the next queued one
+   * The diff is captured while the task still counts as running, so the next
+   * task in the worktree can't start before it is taken.
+   * @private
+   */
+  async _finish(task, { status, exitCode = null, error = null }) {
+    if (task.startedAt) {
+      await this._captureDiff(task);
+    }
+
+    task.status = status;
+    task.exitCode = exitCode;
+    task.error = error;
+    task.endedAt = new Date().toISOString();
+    delete task.cancelRequested;
+
+    this._saveTask(task);
+    this._broadcast(task);
+    console.log(`[AgentTasks] Task ${task.id} ${status}${exitCode !== null ? ` (exit ${exitCode})` : ''}`);
+
+    this._drain();
+  }
+
+  /**
+   * Record the changes made since the task started: commits, edits and new files
+   * Tracked files are compared with the state they were in when the task started
+   * (a `git stash create` commit when the worktree was dirty).
+   * @private
+   */
+  async _captureDiff(task) {
+    const base = task.baseState || task.baseCommit || 'HEAD';
+    const diff = await this._git(['diff', base], task.worktreePath);
+
+    task.diff = diff.length > MAX_DIFF_BYTES ? `${diff.slice(0, MAX_DIFF_BYTES)}\n... diff truncated ...\n` : diff;
+    task.diffStat = await this._git(['diff', '--stat', base], task.worktreePath);
+
+    const preexisting = new Set(task.baseUntracked || []);
+    task.untracked = (await this._untrackedFiles(task.worktreePath)).filter(file => !preexisting.has(file));
+  }
+
+  /**
+   * @private
+   */
+  async _untrackedFiles(cwd) {
+    return (await this._git(['ls-files', '--others', '--exclude-standard'], cwd))
+      .split('\n')
+      .filter(Boolean);
+  }
+
+  /**
+   * Run git in a worktree without blocking the event loop, resolving '' on failure
+   * @private
+   */
+  _git(args, cwd) {
+    return new Promise(resolve => {
+      execFile('git', args, { cwd, encoding: 'utf-8', timeout: GIT_TIMEOUT, maxBuffer: 32 * 1024 * 1024 }, (error, stdout) => {
+        resolve(error ? '' : stdout.trim());
+      });
+    });
+  }
+
+  /**
+   * Task without transcript and diff, for lists and events
+   * @private
+   */
+  _summarize(task) {
+    const { transcript: _transcript, diff: _diff, ...summary } = task;
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(task) {
+    this.worktreeManager.broadcast?.('task:updated', this._summarize(task));
+  }
+
+  /**
+   * @private
+   */
+  _taskFile(taskId) {
+    return this.tasksDir ? join(this.tasksDir, `${taskId}.json`) : null;
+  }
+
+  /**
+   * @private
+   */
+  _saveTask(task) {
+    const file = this._taskFile(task.id);
+    if (!file) return;
+
+    try {
+      mkdirSync(this.tasksDir, { recursive: true });
+      writeFileSync(file, JSON.stringify(task, null, 2));
+    } catch (error) {
+      console.error(`[AgentTasks] Failed to save task ${task.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load persisted tasks; runs cut short by a server restart are marked failed
+   * @private
+   */
+  _loadTasks() {
+    if (!this.tasksDir || !existsSync(this.tasksDir)) return;
+
+    for (const file of readdirSync(this.tasksDir).filter(f => f.endsWith('.json'))) {
+      try {
+        const task = JSON.parse(readFileSync(join(this.tasksDir, file), 'utf-8'));
+
+        if (task.status === 'running') {
+          task.status = 'failed';
+          task.error = 'Interrupted by server restart';
+          task.endedAt = task.endedAt || new Date().toISOString();
+          this._saveTask(task);
+        }
+
+        this._tasks.set(task.id, task);
+      } catch (error) {
+        console.error(`[AgentTasks] Skipping unreadable task ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Start tasks left queued by a previous server run
+   */
+  resume() {
+    this._drain();
+  }
+}
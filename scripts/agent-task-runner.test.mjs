@@ -0,0 +1,312 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { spawn, execFile } from 'child_process';
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { AgentTaskRunner } from './agent-task-runner.mjs';
+
+vi.mock('child_process');
+vi.mock('fs');
+
+// Let the async git calls around a run resolve
+const settle = () => vi.advanceTimersByTimeAsync(0);
+
+function mockGit(outputFor) {
+  execFile.mockImplementation((_file, args, _options, callback) => callback(null, outputFor(`git ${args.join(' ')}`)));
+}
+
+function createMockChild() {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = vi.fn(() => child.emit('close', null));
+  return child;
+}
+
+describe('AgentTaskRunner', () => {
+  let runner;
+  let mockWorktreeManager;
+  let mockAgentRegistry;
+  let children;
+  let untrackedFiles;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+
+    existsSync.mockReturnValue(false);
+    untrackedFiles = '';
+    mockGit((command) => {
+      if (command === 'git rev-parse HEAD') return 'abc123\n';
+      if (command === 'git diff abc123') return 'diff --git a/README.md b/README.md\n+hello\n';
+      if (command === 'git diff --stat abc123') return ' README.md | 1 +\n';
+      if (command.startsWith('git ls-files')) return untrackedFiles;
+      return '';
+    });
+
+    children = [];
+    spawn.mockImplementation(() => {
+      const child = createMockChild();
+      children.push(child);
+      return child;
+    });
+
+    mockWorktreeManager = {
+      _worktreeLocations: vi.fn(() => [
+        { name: 'main', path: '/project' },
+        { name: 'feature-a', path: '/project/.worktrees/feature-a' },
+        { name: 'feature-b', path: '/project/.worktrees/feature-b' }
+      ]),
+      broadcast: vi.fn()
+    };
+
+    mockAgentRegistry = {
+      has: vi.fn(name => name === 'claude' || name === 'shell'),
+      create: vi.fn(name => ({
+        getHeadlessCommand: prompt => name === 'claude' ? { command: 'claude', args: ['-p', prompt] } : null,
+        getEnvironmentVariables: () => ({ CLAUDE_SETTINGS_PATH: '/settings.json' })
+      }))
+    };
+
+    runner = new AgentTaskRunner({
+      worktreeManager: mockWorktreeManager,
+      agentRegistry: mockAgentRegistry,
+      tasksDir: '/home/user/.vibetrees/project/tasks',
+      maxConcurrent: 2
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('createTask', () => {
+    it('should run the agent headless in the worktree', async () => {
+      const result = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'add a README' });
+      await settle();
+
+      expect(result.success).toBe(true);
+      expect(result.task.status).toBe('running');
+      expect(spawn).toHaveBeenCalledWith('claude', ['-p', 'add a README'], expect.objectContaining({
+        cwd: '/project/.worktrees/feature-a',
+        env: expect.objectContaining({ CLAUDE_SETTINGS_PATH: '/settings.json' })
+      }));
+      expect(writeFileSync).toHaveBeenCalledWith(
+        `/home/user/.vibetrees/project/tasks/${result.task.id}.json`,
+        expect.any(String)
+      );
+    });
+
+    it('should create the agent with its headless settings', () => {
+      runner.agentConfig = { claude: { permissionMode: 'acceptEdits' } };
+      runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'add a README' });
+
+      expect(mockAgentRegistry.create).toHaveBeenLastCalledWith('claude', { permissionMode: 'acceptEdits' });
+    });
+
+    it('should reject agents without a headless mode', () => {
+      const result = runner.createTask({ worktree: 'feature-a', agent: 'shell', prompt: 'ls' });
+
+      expect(result).toEqual({ success: false, error: 'Agent shell does not support headless runs' });
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown worktrees and empty prompts', () => {
+      expect(runner.createTask({ worktree: 'nope', agent: 'claude', prompt: 'x' }).error).toBe('Worktree not found: nope');
+      expect(runner.createTask({ worktree: 'main', agent: 'claude', prompt: '  ' }).error).toBe('Prompt is required');
+    });
+  });
+
+  describe('queueing', () => {
+    it('should run one task at a time per worktree', async () => {
+      const first = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'one' }).task;
+      const second = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'two' }).task;
+
+      await settle();
+
+      expect(second.status).toBe('queued');
+      expect(spawn).toHaveBeenCalledTimes(1);
+
+      children[0].emit('close', 0);
+      await settle();
+
+      expect(runner.getTask(first.id).status).toBe('succeeded');
+      expect(runner.getTask(second.id).status).toBe('running');
+      expect(spawn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should respect the global concurrency limit', async () => {
+      runner.createTask({ worktree: 'main', agent: 'claude', prompt: 'one' });
+      runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'two' });
+      const third = runner.createTask({ worktree: 'feature-b', agent: 'claude', prompt: 'three' }).task;
+      await settle();
+
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(third.status).toBe('queued');
+    });
+  });
+
+  describe('transcripts', () => {
+    it('should record output, exit status and the resulting diff', async () => {
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'add a README' });
+      await settle();
+      untrackedFiles = 'notes.txt\n';
+
+      children[0].stdout.emit('data', Buffer.from('Created README.md\n'));
+      children[0].stderr.emit('data', Buffer.from('warning: slow\n'));
+      children[0].emit('close', 0);
+      await settle();
+
+      const finished = runner.getTask(task.id);
+      expect(finished).toMatchObject({
+        status: 'succeeded',
+        exitCode: 0,
+        baseCommit: 'abc123',
+        transcript: 'Created README.md\nwarning: slow\n',
+        diff: 'diff --git a/README.md b/README.md\n+hello',
+        diffStat: 'README.md | 1 +',
+        untracked: ['notes.txt']
+      });
+      expect(finished.startedAt).toBeTruthy();
+      expect(finished.endedAt).toBeTruthy();
+    });
+
+    it('should cap transcripts by size in bytes', async () => {
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'x' });
+      await settle();
+
+      children[0].stdout.emit('data', Buffer.from('é'.repeat(400 * 1024)));
+      children[0].stdout.emit('data', Buffer.from('é'.repeat(400 * 1024)));
+      children[0].stdout.emit('data', Buffer.from('more output'));
+      children[0].emit('close', 0);
+      await settle();
+
+      const { transcript } = runner.getTask(task.id);
+      expect(transcript.endsWith('\n... transcript truncated ...\n')).toBe(true);
+      expect(Buffer.byteLength(transcript.replace('\n... transcript truncated ...\n', ''))).toBe(1024 * 1024);
+      expect(transcript).not.toContain('more output');
+    });
+
+    it('should leave out changes that were there before the task started', async () => {
+      untrackedFiles = 'scratch.txt\n';
+      mockGit((command) => {
+        if (command === 'git rev-parse HEAD') return 'abc123\n';
+        if (command === 'git stash create') return 'def456\n';
+        if (command === 'git diff def456') return 'diff --git a/README.md b/README.md\n+hello\n';
+        if (command.startsWith('git ls-files')) return untrackedFiles;
+        return '';
+      });
+
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'add a README' });
+      await settle();
+      untrackedFiles = 'scratch.txt\nnotes.txt\n';
+      children[0].emit('close', 0);
+      await settle();
+
+      expect(runner.getTask(task.id)).toMatchObject({
+        baseCommit: 'abc123',
+        baseState: 'def456',
+        diff: 'diff --git a/README.md b/README.md\n+hello',
+        untracked: ['notes.txt']
+      });
+    });
+
+    it('should mark non-zero exits as failed', async () => {
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'x' });
+      await settle();
+
+      children[0].emit('close', 1);
+      await settle();
+
+      expect(runner.getTask(task.id)).toMatchObject({ status: 'failed', exitCode: 1 });
+    });
+
+    it('should kill runs that exceed the timeout', async () => {
+      runner.timeout = 60 * 1000;
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'x' });
+      await settle();
+
+      await vi.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(children[0].kill).toHaveBeenCalledWith('SIGTERM');
+      expect(runner.getTask(task.id)).toMatchObject({ status: 'failed', error: 'Timed out after 1 minute(s)' });
+    });
+
+    it('should leave transcripts and diffs out of task lists', async () => {
+      runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'x' });
+      await settle();
+      children[0].emit('close', 0);
+      await settle();
+
+      const [summary] = runner.listTasks({ worktree: 'feature-a' });
+      expect(summary).not.toHaveProperty('transcript');
+      expect(summary).not.toHaveProperty('diff');
+      expect(runner.listTasks({ worktree: 'main' })).toEqual([]);
+    });
+  });
+
+  describe('cancelTask', () => {
+    it('should cancel queued tasks without running them', async () => {
+      runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'one' });
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'two' });
+      await settle();
+
+      expect(runner.cancelTask(task.id)).toEqual({ success: true });
+      expect(runner.getTask(task.id).status).toBe('cancelled');
+      expect(spawn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should kill running tasks', async () => {
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'x' });
+      await settle();
+
+      runner.cancelTask(task.id);
+      await settle();
+
+      expect(children[0].kill).toHaveBeenCalledWith('SIGTERM');
+      expect(runner.getTask(task.id).status).toBe('cancelled');
+    });
+
+    it('should not start tasks cancelled while their base state is read', async () => {
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'x' });
+
+      runner.cancelTask(task.id);
+      await settle();
+
+      expect(spawn).not.toHaveBeenCalled();
+      expect(runner.getTask(task.id).status).toBe('cancelled');
+    });
+  });
+
+  describe('deleteTask', () => {
+    it('should refuse to delete running tasks', async () => {
+      const { task } = runner.createTask({ worktree: 'feature-a', agent: 'claude', prompt: 'x' });
+      await settle();
+
+      expect(runner.deleteTask(task.id).success).toBe(false);
+
+      children[0].emit('close', 0);
+      await settle();
+
+      expect(runner.deleteTask(task.id)).toEqual({ success: true });
+      expect(runner.getTask(task.id)).toBeNull();
+    });
+  });
+
+  describe('persistence', () => {
+    it('should mark runs interrupted by a restart as failed', () => {
+      existsSync.mockReturnValue(true);
+      readdirSync.mockReturnValue(['t1.json']);
+      readFileSync.mockReturnValue(JSON.stringify({
+        id: 't1', worktree: 'main', status: 'running', createdAt: '2026-01-01T00:00:00.000Z'
+      }));
+
+      const restored = new AgentTaskRunner({
+        worktreeManager: mockWorktreeManager,
+        agentRegistry: mockAgentRegistry,
+        tasksDir: '/home/user/.vibetrees/project/tasks'
+      });
+
+      expect(restored.getTask('t1')).toMatchObject({ status: 'failed', error: 'Interrupted by server restart' });
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Agent Config Loader - Reads agent definitions declared outside the code
+ *
+ * Sources, lowest to highest precedence:
+ *   1. ~/.vibetrees/agents/*.json (one definition per file; name defaults to the file name)
+ *   2. `agents.custom` in the project's .vibe/config.json (keyed by agent name)
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { basename, join } from 'path';
+import { homedir } from 'os';
+
+/**
+ * Load agent definitions from the user directory and project config
+ * @param {Object} options
+ * @param {Object} options.config - ConfigManager instance (optional)
+ * @param {string} options.userAgentsDir - Directory with *.json definitions (default: ~/.vibetrees/agents)
+ * @returns {{definitions: Object[], errors: string[]}} Definitions tagged with their source
+ */
+export function loadAgentDefinitions(options = {}) {
+  const userAgentsDir = options.userAgentsDir || join(homedir(), '.vibetrees', 'agents');
+  const byName = new Map();
+  const errors = [];
+
+  if (existsSync(userAgentsDir)) {
+    const files = readdirSync(userAgentsDir).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+      const filePath = join(userAgentsDir, file);
+      try {
+        const definition = JSON.parse(readFileSync(filePath, 'utf-8'));
+        const name = definition.name || basename(file, '.json');
+        byName.set(name, { ...definition, name, source: filePath });
+      } catch (error) {
+        errors.push(`${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  const custom = options.config?.get('agents.custom') || {};
+  for (const [name, definition] of Object.entries(custom)) {
+    byName.set(name, { ...definition, name, source: 'config' });
+  }
+
+  return { definitions: [...byName.values()], errors };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { loadAgentDefinitions } from './agent-config-loader.mjs';
+
+vi.mock('fs');
+
+describe('loadAgentDefinitions', () => {
+  const userAgentsDir = '/home/user/.vibetrees/agents';
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    existsSync.mockReturnValue(true);
+    readdirSync.mockReturnValue(['aider.json', 'README.md', 'wrapper.json']);
+    readFileSync.mockImplementation((path) => {
+      if (path.endsWith('aider.json')) {
+        return JSON.stringify({ command: 'aider', icon: '🛠️' });
+      }
+      return JSON.stringify({ name: 'internal', command: 'internal-cli' });
+    });
+  });
+
+  it('should read one definition per json file', () => {
+    const { definitions, errors } = loadAgentDefinitions({ userAgentsDir });
+
+    expect(errors).toEqual([]);
+    expect(definitions).toEqual([
+      { name: 'aider', command: 'aider', icon: '🛠️', source: `${userAgentsDir}/aider.json` },
+      { name: 'internal', command: 'internal-cli', source: `${userAgentsDir}/wrapper.json` }
+    ]);
+  });
+
+  it('should let project config override user definitions', () => {
+    const config = {
+      get: vi.fn(() => ({ aider: { command: 'aider', args: ['--yes'] } }))
+    };
+
+    const { definitions } = loadAgentDefinitions({ userAgentsDir, config });
+
+    expect(config.get).toHaveBeenCalledWith('agents.custom');
+    expect(definitions.find(d => d.name === 'aider')).toEqual({
+      name: 'aider',
+      command: 'aider',
+      args: ['--yes'],
+      source: 'config'
+    });
+  });
+
+  it('should report unreadable files without failing', () => {
+    readFileSync.mockImplementation(() => '{ not json');
+
+    const { definitions, errors } = loadAgentDefinitions({ userAgentsDir });
+
+    expect(definitions).toEqual([]);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toContain('aider.json');
+  });
+
+  it('should cope with a missing user directory', () => {
+    existsSync.mockReturnValue(false);
+
+    expect(loadAgentDefinitions({ userAgentsDir })).toEqual({ definitions: [], errors: [] });
+  });
+});
@@ -41,6 +41,27 @@ export class AgentInterface {
     throw new Error('getDefaultArgs() must be implemented by subclass');
   }
 
+  /**
+   * Get the command that runs a single prompt non-interactively (print/exec mode)
+   * @param {string} _prompt - Task prompt
+   * @returns {{command: string, args: Array<string>}|null} Null if the CLI has no headless mode
+   */
+  getHeadlessCommand(_prompt) {
+    return null; // Default: interactive only
+  }
+
+  /**
+   * Get output patterns that tell what an interactive session is waiting for
+   * Checked against the last lines of output once the session goes quiet: a
+   * match means the agent is blocked on a question, anything else means idle.
+   * @returns {{awaitingInput: Array<RegExp>}}
+   */
+  getActivityPatterns() {
+    return {
+      awaitingInput: [/\(y\/n\)/i, /\[y\/n\]/i, /password[^\n:]*:\s*$/i]
+    };
+  }
+
   /**
    * Get the configuration directory path for this agent
    * @param {string} worktreePath - Absolute path to worktree
@@ -149,7 +170,8 @@ export class AgentInterface {
       displayName: this.getDisplayName(),
       icon: this.getIcon(),
       capabilities: this.getCapabilities(),
-      needsCacheClear: this.needsCacheClear()
+      needsCacheClear: this.needsCacheClear(),
+      headless: this.getHeadlessCommand('') !== null
     };
   }
 
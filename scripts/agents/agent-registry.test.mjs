@@ -16,6 +16,7 @@ import { ClaudeAgent } from './claude-agent.mjs';
 import { CodexAgent } from './codex-agent.mjs';
 import { GeminiAgent } from './gemini-agent.mjs';
 import { ShellAgent } from './shell-agent.mjs';
+import { ConfigAgent, validateAgentDefinition } from './config-agent.mjs';
 
 describe('AgentRegistry', () => {
   let registry;
@@ -142,6 +143,40 @@ describe('AgentRegistry', () => {
     });
   });
 
+  describe('headless commands', () => {
+    it('should run claude in print mode', () => {
+      const { args } = registry.create('claude').getHeadlessCommand('add a README');
+
+      expect(args).toEqual(['-p', 'add a README', '--permission-mode', 'acceptEdits']);
+    });
+
+    it('should pass the configured permission mode and allowed tools to claude', () => {
+      const agent = registry.create('claude', { permissionMode: 'bypassPermissions', allowedTools: ['Bash(npm test)', 'Edit'] });
+
+      expect(agent.getHeadlessCommand('fix the tests').args).toEqual([
+        '-p', 'fix the tests', '--permission-mode', 'bypassPermissions', '--allowedTools', 'Bash(npm test)', 'Edit'
+      ]);
+    });
+
+    it('should run codex and gemini without approval prompts', () => {
+      expect(registry.create('codex').getHeadlessCommand('add a README')).toEqual({
+        command: 'npx',
+        args: ['-y', '@openai/codex@latest', 'exec', '--full-auto', 'add a README']
+      });
+      expect(registry.create('gemini').getHeadlessCommand('add a README')).toEqual({
+        command: 'npx',
+        args: ['-y', '@google/gemini-cli@latest', '-p', 'add a README', '--yolo']
+      });
+    });
+
+    it('should not offer a headless mode for the shell', () => {
+      const agent = registry.create('shell');
+
+      expect(agent.getHeadlessCommand('ls')).toBeNull();
+      expect(agent.getMetadata().headless).toBe(false);
+    });
+  });
+
   describe('checkAvailability', () => {
     it('should check availability of all agents', async () => {
       const availability = await registry.checkAvailability();
@@ -179,6 +214,59 @@ describe('AgentRegistry', () => {
     });
   });
 
+  describe('registerDefinitions', () => {
+    it('should register agents declared in config', () => {
+      const result = registry.registerDefinitions([
+        { name: 'aider', command: 'aider', args: ['--no-auto-commits'], icon: '🛠️' }
+      ]);
+
+      expect(result).toEqual({ registered: ['aider'], errors: [] });
+      expect(registry.list()).toContain('aider');
+      expect(registry.isConfigAgent('aider')).toBe(true);
+      expect(registry.isConfigAgent('claude')).toBe(false);
+
+      const agent = registry.create('aider', { worktreePath: '/test' });
+      expect(agent).toBeInstanceOf(ConfigAgent);
+      expect(agent.config).toEqual({ worktreePath: '/test' });
+    });
+
+    it('should skip invalid definitions and built-in names', () => {
+      const result = registry.registerDefinitions([
+        { name: 'claude', command: 'my-claude' },
+        { name: 'Bad Name', command: 'x' },
+        { name: 'nocmd' }
+      ]);
+
+      expect(result.registered).toEqual([]);
+      expect(result.errors).toEqual([
+        'claude: cannot redefine built-in agent',
+        'Bad Name: name must be lowercase letters, digits, "-" or "_"',
+        'nocmd: command is required'
+      ]);
+      expect(registry.create('claude')).toBeInstanceOf(ClaudeAgent);
+    });
+  });
+
+  describe('activity patterns', () => {
+    const waitsForInput = (agent, text) => agent.getActivityPatterns().awaitingInput.some(pattern => pattern.test(text));
+
+    it('should recognise permission prompts of built-in agents', () => {
+      expect(waitsForInput(registry.create('claude'), 'Do you want to proceed?\n❯ 1. Yes\n  2. No')).toBe(true);
+      expect(waitsForInput(registry.create('claude'), '? for shortcuts')).toBe(false);
+      expect(waitsForInput(registry.create('shell'), 'Overwrite file? (y/n)')).toBe(true);
+    });
+
+    it('should add patterns declared in config and reject invalid ones', () => {
+      const result = registry.registerDefinitions([
+        { name: 'aider', command: 'aider', awaitingInputPatterns: ['Allow edits to .*\\?'] },
+        { name: 'broken', command: 'x', awaitingInputPatterns: ['(unclosed'] }
+      ]);
+
+      expect(result.errors).toEqual(['broken: awaitingInputPatterns: invalid pattern "(unclosed"']);
+      expect(waitsForInput(registry.create('aider'), 'Allow edits to src/app.js?')).toBe(true);
+    });
+  });
+
   describe('singleton instance', () => {
     it('should export singleton registry', () => {
       expect(agentRegistry).toBeInstanceOf(AgentRegistry);
@@ -285,4 +373,61 @@ describe('Agent Implementations', () => {
       expect(isInstalled).toBe(true);
     });
   });
+
+  describe('ConfigAgent', () => {
+    const definition = {
+      name: 'opencode',
+      displayName: 'OpenCode',
+      command: 'opencode',
+      args: ['--model', 'local'],
+      env: { OPENCODE_KEY: '${TEST_OPENCODE_KEY}', MODE: 'tui' },
+      probe: 'opencode --version',
+      icon: '🧩',
+      requirements: 'Needs TEST_OPENCODE_KEY'
+    };
+
+    it('should expose metadata from the definition', () => {
+      const agent = new ConfigAgent(definition);
+
+      expect(agent.getDisplayName()).toBe('OpenCode');
+      expect(agent.getIcon()).toBe('🧩');
+      expect(agent.getCommand()).toBe('opencode');
+      expect(agent.getDefaultArgs()).toEqual(['--model', 'local']);
+      expect(agent.getConfigPath('/wt')).toBe('/wt/.opencode');
+      expect(agent.getMetadata()).toMatchObject({ name: 'opencode', custom: true, requirements: 'Needs TEST_OPENCODE_KEY' });
+    });
+
+    it('should expand environment references', () => {
+      process.env.TEST_OPENCODE_KEY = 'secret';
+      const env = new ConfigAgent(definition).getEnvironmentVariables('/wt');
+      delete process.env.TEST_OPENCODE_KEY;
+
+      expect(env).toEqual({ OPENCODE_KEY: 'secret', MODE: 'tui' });
+    });
+
+    it('should report not installed when the probe fails', async () => {
+      const agent = new ConfigAgent({ name: 'missing', command: 'definitely-not-a-real-cli-xyz' });
+
+      expect(await agent.isInstalled()).toBe(false);
+    });
+
+    it('should substitute the prompt into headlessArgs', () => {
+      const agent = new ConfigAgent({ ...definition, headlessArgs: ['run', '--message', '{prompt}'] });
+
+      expect(agent.getHeadlessCommand('fix the tests')).toEqual({
+        command: 'opencode',
+        args: ['run', '--message', 'fix the tests']
+      });
+      expect(agent.getMetadata().headless).toBe(true);
+      expect(new ConfigAgent(definition).getHeadlessCommand('x')).toBeNull();
+    });
+
+    it('should validate definitions', () => {
+      expect(validateAgentDefinition(definition)).toEqual({ valid: true, errors: [] });
+      expect(validateAgentDefinition({ name: 'x', command: 'x', args: 'nope', env: { A: 1 } }).errors).toEqual([
+        'args must be an array of strings',
+        'env must map variable names to strings'
+      ]);
+    });
+  });
 });
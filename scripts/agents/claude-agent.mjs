@@ -50,6 +50,29 @@ export class ClaudeAgent extends AgentInterface {
     return ['-y', '@anthropic-ai/claude-code@latest'];
   }
 
+  getHeadlessCommand(prompt) {
+    // Print mode: runs the prompt to completion and writes the result to stdout.
+    // Nobody is there to approve tool calls, so edits are accepted up front and
+    // anything else (e.g. Bash) must be listed in allowedTools.
+    const { permissionMode = 'acceptEdits', allowedTools = [] } = this.config;
+    const args = ['-p', prompt, '--permission-mode', permissionMode];
+    if (allowedTools.length > 0) {
+      args.push('--allowedTools', ...allowedTools);
+    }
+    return { command: this.getClaudePath(), args };
+  }
+
+  getActivityPatterns() {
+    // Permission and confirmation prompts ("Do you want to proceed?" with numbered choices)
+    return {
+      awaitingInput: [
+        ...super.getActivityPatterns().awaitingInput,
+        /Do you want to (proceed|make this edit|create|allow|run)/i,
+        /❯\s*1\.\s*Yes/
+      ]
+    };
+  }
+
   getConfigPath(worktreePath) {
     return join(worktreePath, '.claude');
   }
@@ -37,6 +37,24 @@ export class CodexAgent extends AgentInterface {
     return ['-y', '@openai/codex-cli@latest'];
   }
 
+  getHeadlessCommand(prompt) {
+    // Same package as interactive terminals; --full-auto lets exec edit the
+    // worktree without stopping for approvals
+    return { command: 'npx', args: ['-y', '@openai/codex@latest', 'exec', '--full-auto', prompt] };
+  }
+
+  getActivityPatterns() {
+    // Command and patch approval prompts
+    return {
+      awaitingInput: [
+        ...super.getActivityPatterns().awaitingInput,
+        /Allow (command|Codex)/i,
+        /Approve\b.*\?/i,
+        /Yes, proceed/i
+      ]
+    };
+  }
+
   getConfigPath(worktreePath) {
     return join(worktreePath, '.codex');
   }
@@ -0,0 +1,217 @@
+/**
+ * Config Agent - Agent CLI declared in configuration instead of code
+ *
+ * Definitions come from `agents.custom` in .vibe/config.json or from
+ * ~/.vibetrees/agents/*.json. Example:
+ *
+ *   {
+ *     "name": "aider",
+ *     "displayName": "Aider",
+ *     "command": "aider",
+ *     "args": ["--no-auto-commits"],
+ *     "headlessArgs": ["--no-auto-commits", "--yes", "--message", "{prompt}"],
+ *     "env": { "OPENAI_API_KEY": "${OPENAI_API_KEY}" },
+ *     "configDir": ".aider",
+ *     "probe": "aider --version",
+ *     "icon": "🛠️",
+ *     "awaitingInputPatterns": ["Allow edits to .*\\?"]
+ *   }
+ */
+
+import { AgentInterface } from './agent-interface.mjs';
+import pty from 'node-pty';
+import { execSync } from 'child_process';
+import { join } from 'path';
+
+const AGENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Validate an agent definition
+ * @param {Object} definition - Agent definition
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateAgentDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['definition must be an object'] };
+  }
+
+  if (!AGENT_NAME_PATTERN.test(definition.name || '')) {
+    errors.push('name must be lowercase letters, digits, "-" or "_"');
+  }
+
+  if (typeof definition.command !== 'string' || !definition.command.trim()) {
+    errors.push('command is required');
+  }
+
+  if (definition.args !== undefined &&
+      (!Array.isArray(definition.args) || definition.args.some(arg => typeof arg !== 'string'))) {
+    errors.push('args must be an array of strings');
+  }
+
+  if (definition.headlessArgs !== undefined &&
+      (!Array.isArray(definition.headlessArgs) || definition.headlessArgs.some(arg => typeof arg !== 'string'))) {
+    errors.push('headlessArgs must be an array of strings');
+  }
+
+  if (definition.env !== undefined &&
+      (typeof definition.env !== 'object' || Array.isArray(definition.env) ||
+       Object.values(definition.env).some(value => typeof value !== 'string'))) {
+    errors.push('env must map variable names to strings');
+  }
+
+  if (definition.awaitingInputPatterns !== undefined) {
+    if (!Array.isArray(definition.awaitingInputPatterns) ||
+        definition.awaitingInputPatterns.some(pattern => typeof pattern !== 'string')) {
+      errors.push('awaitingInputPatterns must be an array of strings');
+    } else {
+      for (const pattern of definition.awaitingInputPatterns) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`awaitingInputPatterns: invalid pattern "${pattern}"`);
+        }
+      }
+    }
+  }
+
+  for (const field of ['displayName', 'configDir', 'probe', 'icon', 'requirements']) {
+    if (definition[field] !== undefined && typeof definition[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Expand ${VAR} references against the server environment
+ * @private
+ */
+function expandEnvValue(value) {
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => process.env[name] ?? '');
+}
+
+export class ConfigAgent extends AgentInterface {
+  /**
+   * @param {Object} definition - Validated agent definition
+   * @param {Object} config - Agent-specific configuration
+   */
+  constructor(definition, config = {}) {
+    super(definition.name, config);
+    this.definition = definition;
+  }
+
+  async spawn(worktreePath, options = {}) {
+    const env = {
+      ...process.env,
+      ...this.getEnvironmentVariables(worktreePath),
+      ...options.env
+    };
+
+    return pty.spawn(this.getCommand(), this.getDefaultArgs(), {
+      cwd: worktreePath,
+      env,
+      cols: options.cols || 80,
+      rows: options.rows || 30
+    });
+  }
+
+  /**
+   * Get the executable to spawn
+   * @returns {string}
+   */
+  getCommand() {
+    return this.definition.command;
+  }
+
+  getDefaultArgs() {
+    return [...(this.definition.args || [])];
+  }
+
+  getHeadlessCommand(prompt) {
+    if (!this.definition.headlessArgs) {
+      return null;
+    }
+
+    return {
+      command: this.getCommand(),
+      args: this.definition.headlessArgs.map(arg => arg.replaceAll('{prompt}', prompt))
+    };
+  }
+
+  getActivityPatterns() {
+    return {
+      awaitingInput: [
+        ...super.getActivityPatterns().awaitingInput,
+        ...(this.definition.awaitingInputPatterns || []).map(pattern => new RegExp(pattern, 'i'))
+      ]
+    };
+  }
+
+  getConfigPath(worktreePath) {
+    return join(worktreePath, this.definition.configDir || `.${this.name}`);
+  }
+
+  getDisplayName() {
+    return this.definition.displayName || super.getDisplayName();
+  }
+
+  getIcon() {
+    return this.definition.icon || super.getIcon();
+  }
+
+  getCapabilities() {
+    return this.definition.capabilities || [];
+  }
+
+  async checkVersion() {
+    const probe = this.definition.probe || `${this.definition.command} --version`;
+
+    try {
+      const output = execSync(probe, {
+        encoding: 'utf-8',
+        stdio: ['pipe', 'pipe', 'ignore'],
+        timeout: 10000
+      });
+      return output.trim() || 'unknown';
+    } catch (error) {
+      throw new Error(`${this.getDisplayName()} not accessible`);
+    }
+  }
+
+  getEnvironmentVariables(_worktreePath) {
+    const env = {};
+
+    for (const [name, value] of Object.entries(this.definition.env || {})) {
+      env[name] = expandEnvValue(value);
+    }
+
+    return env;
+  }
+
+  getMetadata() {
+    return {
+      ...super.getMetadata(),
+      custom: true,
+      source: this.definition.source || null,
+      requirements: this.definition.requirements || null
+    };
+  }
+}
+
+/**
+ * Create an agent class for a definition, so it can be registered like built-ins
+ * @param {Object} definition - Validated agent definition
+ * @returns {class} Class whose constructor takes only the agent config
+ */
+export function createConfigAgentClass(definition) {
+  return class extends ConfigAgent {
+    static definition = definition;
+
+    constructor(config = {}) {
+      super(definition, config);
+    }
+  };
+}
@@ -37,6 +37,23 @@ export class GeminiAgent extends AgentInterface {
     return ['-y', 'gemini-cli@latest'];
   }
 
+  getHeadlessCommand(prompt) {
+    // The published Gemini CLI; --yolo approves tool calls, as nobody is watching
+    return { command: 'npx', args: ['-y', '@google/gemini-cli@latest', '-p', prompt, '--yolo'] };
+  }
+
+  getActivityPatterns() {
+    // Tool confirmation prompts
+    return {
+      awaitingInput: [
+        ...super.getActivityPatterns().awaitingInput,
+        /Allow execution/i,
+        /Apply this change\?/i,
+        /Waiting for user confirmation/i
+      ]
+    };
+  }
+
   getConfigPath(worktreePath) {
     return join(worktreePath, '.gemini');
   }
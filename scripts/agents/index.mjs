@@ -8,6 +8,9 @@ import { ClaudeAgent } from './claude-agent.mjs';
 import { CodexAgent } from './codex-agent.mjs';
 import { GeminiAgent } from './gemini-agent.mjs';
 import { ShellAgent } from './shell-agent.mjs';
+import { validateAgentDefinition, createConfigAgentClass } from './config-agent.mjs';
+
+const BUILT_IN_AGENTS = ['claude', 'codex', 'gemini', 'shell'];
 
 export class AgentRegistry {
   constructor() {
@@ -34,6 +37,46 @@ export class AgentRegistry {
     this.agents.set(name, AgentClass);
   }
 
+  /**
+   * Register agents declared in configuration
+   * Invalid definitions and ones reusing a built-in name are skipped.
+   * @param {Object[]} definitions - Agent definitions (see config-agent.mjs)
+   * @returns {{registered: string[], errors: string[]}}
+   */
+  registerDefinitions(definitions) {
+    const registered = [];
+    const errors = [];
+
+    for (const definition of definitions) {
+      const label = definition?.name || '(unnamed)';
+
+      if (BUILT_IN_AGENTS.includes(definition?.name)) {
+        errors.push(`${label}: cannot redefine built-in agent`);
+        continue;
+      }
+
+      const { valid, errors: definitionErrors } = validateAgentDefinition(definition);
+      if (!valid) {
+        errors.push(`${label}: ${definitionErrors.join(', ')}`);
+        continue;
+      }
+
+      this.register(definition.name, createConfigAgentClass(definition));
+      registered.push(definition.name);
+    }
+
+    return { registered, errors };
+  }
+
+  /**
+   * Check if an agent was declared in configuration rather than code
+   * @param {string} name - Agent name
+   * @returns {boolean}
+   */
+  isConfigAgent(name) {
+    return Boolean(this.agents.get(name)?.definition);
+  }
+
   /**
    * Get an agent class by name
    * @param {string} name - Agent name
@@ -154,3 +197,5 @@ export { CodexAgent } from './codex-agent.mjs';
 export { GeminiAgent } from './gemini-agent.mjs';
 export { ShellAgent } from './shell-agent.mjs';
 export { AgentInterface } from './agent-interface.mjs';
+export { ConfigAgent } from './config-agent.mjs';
+export { loadAgentDefinitions } from './agent-config-loader.mjs';
@@ -69,8 +69,12 @@ export class ComposeInspector {
 
     // Cache miss: parse compose file (slow)
     try {
+      // Activate every profile so profiled services are discovered too;
+      // which of them actually run is decided per worktree at startup
+      const profileArgs = this._listProfiles().map(profile => `--profile ${profile} `).join('');
+
       // Use `compose config` to get rendered YAML (handles all interpolation)
-      const output = this.runtime.execCompose(`-f ${this.composeFilePath} config`, {
+      const output = this.runtime.execCompose(`-f ${this.composeFilePath} ${profileArgs}config`, {
         encoding: 'utf-8'
       });
 
@@ -88,6 +92,26 @@ export class ComposeInspector {
     }
   }
 
+  /**
+   * List the profile names declared in the compose file
+   * Older compose versions without `config --profiles` yield no profiles
+   * @private
+   * @returns {string[]}
+   */
+  _listProfiles() {
+    try {
+      const output = this.runtime.execCompose(`-f ${this.composeFilePath} config --profiles`, {
+        encoding: 'utf-8'
+      });
+      return String(output)
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(line));
+    } catch {
+      return [];
+    }
+  }
+
   /**
    * Manually invalidate cache for this compose file
    * Use when you know the file has changed and want immediate reload
@@ -106,8 +130,8 @@ export class ComposeInspector {
   }
 
   /**
-   * Get all services defined in the compose file
-   * @returns {Array<{name: string, ports: Array<number>, volumes: Array<string>, image: string, build: string}>}
+   * Get all services defined in the compose file, including profiled ones
+   * @returns {Array<{name: string, ports: Array<number>, volumes: Array<string>, image: string, build: string, profiles: Array<string>, dependsOn: Array<string>}>}
    */
   getServices() {
     const config = this._loadConfig();
@@ -125,11 +149,25 @@ export class ComposeInspector {
         ports,
         volumes,
         image: service.image || null,
-        build: service.build ? (typeof service.build === 'string' ? service.build : service.build.context) : null
+        build: service.build ? (typeof service.build === 'string' ? service.build : service.build.context) : null,
+        profiles: Array.isArray(service.profiles) ? service.profiles : [],
+        dependsOn: this._extractDependsOn(service.depends_on)
       };
     });
   }
 
+  /**
+   * Get the profiles used by any service
+   * @returns {Array<string>} Profile names in order of first use
+   */
+  getProfiles() {
+    const profiles = new Set();
+    for (const service of this.getServices()) {
+      service.profiles.forEach(profile => profiles.add(profile));
+    }
+    return [...profiles];
+  }
+
   /**
    * Get ports for a specific service
    * @param {string} serviceName - Name of the service
@@ -218,6 +256,20 @@ export class ComposeInspector {
       .filter(port => port && !isNaN(port));
   }
 
+  /**
+   * Extract the names of services a service depends on
+   * Handles both the list form and the long form keyed by service name
+   * @private
+   * @param {Array<string>|Object} dependsOn - depends_on configuration
+   * @returns {Array<string>} Service names
+   */
+  _extractDependsOn(dependsOn) {
+    if (Array.isArray(dependsOn)) {
+      return dependsOn.filter(name => typeof name === 'string');
+    }
+    return dependsOn && typeof dependsOn === 'object' ? Object.keys(dependsOn) : [];
+  }
+
   /**
    * Extract volume paths from volumes configuration
    * @private
@@ -156,6 +156,41 @@ services:
 
       expect(apiService.ports).toEqual([3000]);
     });
+
+    it('should render profiled services and report profiles and dependencies', () => {
+      const composeOutput = `
+services:
+  api:
+    image: node:18
+    depends_on:
+      db:
+        condition: service_healthy
+  db:
+    image: postgres:15
+  debugger:
+    image: node:18
+    profiles: [debug, tools]
+    depends_on: [api]
+`;
+
+      const runtime = {
+        execCompose: vi.fn(command => (command.endsWith('config --profiles') ? 'debug\ntools\n' : composeOutput))
+      };
+      const inspector = new ComposeInspector('docker-compose.yml', runtime);
+
+      const services = inspector.getServices();
+
+      expect(runtime.execCompose).toHaveBeenLastCalledWith(
+        '-f docker-compose.yml --profile debug --profile tools config',
+        { encoding: 'utf-8' }
+      );
+      expect(services.map(s => [s.name, s.profiles, s.dependsOn])).toEqual([
+        ['api', [], ['db']],
+        ['db', [], []],
+        ['debugger', ['debug', 'tools'], ['api']]
+      ]);
+      expect(inspector.getProfiles()).toEqual(['debug', 'tools']);
+    });
   });
 
   describe('Service Lookup', () => {
@@ -8,6 +8,10 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { join, dirname, basename } from 'path';
 import { execSync } from 'child_process';
+import { validatePreset } from './worktree-presets.mjs';
+import { validateHooks } from './lifecycle-hooks.mjs';
+import { validateWebhooks } from './webhook-dispatcher.mjs';
+import { validateSharedServices } from './shared-services.mjs';
 
 /**
  * Default configuration template
@@ -19,15 +23,30 @@ const DEFAULT_CONFIG = {
     description: ''
   },
   container: {
-    runtime: 'auto', // 'auto', 'docker', or 'podman'
+    runtime: 'auto', // 'auto', 'docker', 'podman' or 'kubernetes'
     composeFile: 'docker-compose.yml',
     servicesToLog: [], // Auto-detect if empty
     dataVolumes: [], // Auto-detect if empty
-    sudo: 'auto' // 'auto', 'always', or 'never'
+    sudo: 'auto', // 'auto', 'always', or 'never'
+    resourceLimits: {
+      default: null, // e.g. { cpus: 2, memory: '4g', services: { postgres: { memory: '1g' } } }
+      worktrees: {} // Per-worktree overrides keyed by worktree name
+    },
+    kubernetes: {
+      context: null, // kubeconfig context of the local cluster, e.g. 'kind-vibe' (null: current context)
+      manifests: 'k8s', // Manifests directory in each worktree, applied to the worktree's namespace
+      namespacePrefix: 'vibe-' // Namespace of a worktree: prefix + worktree name
+    },
+    // Services that run once, in the main worktree, and that other worktrees connect to, keyed by
+    // compose service: { postgres: { isolation: 'database', env: { DATABASE_URL: '...:{port}/{database}' } } }
+    sharedServices: {}
   },
   agents: {
     default: 'claude',
-    available: ['claude', 'codex', 'gemini', 'shell']
+    available: ['claude', 'codex', 'gemini', 'shell'],
+    custom: {}, // Agents declared here, keyed by name: { command, args, env, configDir, probe, icon }
+    // Settings for headless task runs, keyed by agent: { claude: { permissionMode: 'acceptEdits', allowedTools: ['Bash(npm test)'] } }
+    headless: {}
   },
   mcp: {
     autoInstall: true,
@@ -38,7 +57,25 @@ const DEFAULT_CONFIG = {
     baseBranch: 'main', // Auto-detect from git
     autoUpdate: false,
     checkInterval: 300000 // 5 minutes
-  }
+  },
+  lifecycle: {
+    idleSuspend: {
+      enabled: false, // Opt in to stopping idle worktrees' services
+      idleMinutes: 240, // Stop services after 4 hours without activity
+      exclude: ['main'] // Worktrees that are never suspended
+    }
+  },
+  recording: {
+    enabled: false, // Record terminal sessions to ~/.vibetrees/recordings (asciicast v2)
+    agents: [] // Only record these agents; empty records all of them
+  },
+  notifications: {
+    webhooks: [], // URLs that receive agent state changes as JSON POSTs
+    states: ['awaiting-input', 'idle', 'finished'] // Agent states worth a notification
+  },
+  webhooks: [], // Event subscribers: { url, secret (HMAC-SHA256 signing key), events: ['worktree.*', 'sync.conflicted'] }
+  presets: {}, // Named worktree creation presets: { services, data, volumes, agent, installDependencies, mcp, setup }
+  hooks: {} // Lifecycle hook commands: postCreate, preStart, postStart, preDelete, postSync
 };
 
 /**
@@ -58,11 +95,27 @@ const CONFIG_SCHEMA = {
     type: 'object',
     required: true,
     properties: {
-      runtime: { type: 'string', enum: ['auto', 'docker', 'podman'] },
+      runtime: { type: 'string', enum: ['auto', 'docker', 'podman', 'kubernetes'] },
       composeFile: { type: 'string' },
       servicesToLog: { type: 'array' },
       dataVolumes: { type: 'array' },
-      sudo: { type: 'string', enum: ['auto', 'always', 'never'] }
+      sudo: { type: 'string', enum: ['auto', 'always', 'never'] },
+      resourceLimits: {
+        type: 'object',
+        properties: {
+          default: { type: ['object', 'null'] },
+          worktrees: { type: 'object' }
+        }
+      },
+      kubernetes: {
+        type: 'object',
+        properties: {
+          context: { type: ['string', 'null'] },
+          manifests: { type: 'string' },
+          namespacePrefix: { type: 'string' }
+        }
+      },
+      sharedServices: { type: 'object' }
     }
   },
   agents: {
@@ -70,7 +123,9 @@ const CONFIG_SCHEMA = {
     required: true,
     properties: {
       default: { type: 'string' },
-      available: { type: 'array' }
+      available: { type: 'array' },
+      custom: { type: 'object' },
+      headless: { type: 'object' }
     }
   },
   mcp: {
@@ -90,7 +145,37 @@ const CONFIG_SCHEMA = {
       autoUpdate: { type: 'boolean' },
       checkInterval: { type: 'number' }
     }
-  }
+  },
+  lifecycle: {
+    type: 'object',
+    properties: {
+      idleSuspend: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          idleMinutes: { type: 'number' },
+          exclude: { type: 'array' }
+        }
+      }
+    }
+  },
+  recording: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      agents: { type: 'array' }
+    }
+  },
+  notifications: {
+    type: 'object',
+    properties: {
+      webhooks: { type: 'array' },
+      states: { type: 'array' }
+    }
+  },
+  webhooks: { type: 'array' },
+  presets: { type: 'object' },
+  hooks: { type: 'object' }
 };
 
 export class ConfigManager {
@@ -335,13 +420,83 @@ export class ConfigManager {
       errors.push(`Invalid container.sudo: must be one of ${validSudo.join(', ')}`);
     }
 
+    // Validate container.resourceLimits (optional for configs created before it existed)
+    const resourceLimits = this._config.container.resourceLimits;
+    if (resourceLimits) {
+      errors.push(...this._validateResourceLimits(resourceLimits.default, 'container.resourceLimits.default'));
+      for (const [name, limits] of Object.entries(resourceLimits.worktrees || {})) {
+        errors.push(...this._validateResourceLimits(limits, `container.resourceLimits.worktrees.${name}`));
+      }
+    }
+
+    // Validate container.kubernetes (optional for configs created before it existed)
+    const kubernetes = this._config.container.kubernetes;
+    if (kubernetes) {
+      if (kubernetes.manifests !== undefined && (typeof kubernetes.manifests !== 'string' || !kubernetes.manifests)) {
+        errors.push('container.kubernetes.manifests must be a non-empty string');
+      }
+      if (kubernetes.namespacePrefix !== undefined && !/^[a-z0-9-]*$/.test(kubernetes.namespacePrefix)) {
+        errors.push('container.kubernetes.namespacePrefix may only contain lowercase letters, digits and "-"');
+      }
+    }
+
+    // Validate container.sharedServices (optional for configs created before it existed)
+    const sharedServices = this._config.container.sharedServices;
+    if (sharedServices !== undefined) {
+      errors.push(...validateSharedServices(sharedServices));
+    }
+
+    // Validate lifecycle.idleSuspend (optional for configs created before it existed)
+    const idleSuspend = this._config.lifecycle?.idleSuspend;
+    if (idleSuspend && idleSuspend.idleMinutes !== undefined &&
+        (typeof idleSuspend.idleMinutes !== 'number' || idleSuspend.idleMinutes <= 0)) {
+      errors.push('lifecycle.idleSuspend.idleMinutes must be a positive number');
+    }
+
+    // Validate recording.agents (optional for configs created before it existed)
+    const recordingAgents = this._config.recording?.agents;
+    if (recordingAgents !== undefined && !Array.isArray(recordingAgents)) {
+      errors.push('recording.agents must be an array');
+    }
+
+    // Validate notifications (optional for configs created before it existed)
+    const webhooks = this._config.notifications?.webhooks;
+    if (webhooks !== undefined &&
+        (!Array.isArray(webhooks) || webhooks.some(url => typeof url !== 'string' || !/^https?:\/\//.test(url)))) {
+      errors.push('notifications.webhooks must be an array of http(s) URLs');
+    }
+
+    // Validate event webhooks (optional for configs created before they existed)
+    if (this._config.webhooks !== undefined) {
+      errors.push(...validateWebhooks(this._config.webhooks));
+    }
+
+    // Validate presets (optional for configs created before it existed)
+    const presets = this._config.presets;
+    if (presets !== undefined) {
+      if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+        errors.push('presets must be an object');
+      } else {
+        for (const [name, preset] of Object.entries(presets)) {
+          errors.push(...validatePreset(name, preset));
+        }
+      }
+    }
+
+    // Validate hooks (optional for configs created before it existed)
+    if (this._config.hooks !== undefined) {
+      errors.push(...validateHooks(this._config.hooks));
+    }
+
     // Validate agents.available is array
     if (!Array.isArray(this._config.agents.available)) {
       errors.push('agents.available must be an array');
     }
 
-    // Validate agents.default is in available list
-    if (!this._config.agents.available.includes(this._config.agents.default)) {
+    // Validate agents.default is in available list or declared in agents.custom
+    const customAgents = Object.keys(this._config.agents.custom || {});
+    if (!this._config.agents.available.includes(this._config.agents.default) &&
+        !customAgents.includes(this._config.agents.default)) {
       errors.push(`agents.default "${this._config.agents.default}" is not in agents.available list`);
     }
 
@@ -354,6 +509,40 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Validate a resource limits block ({ cpus, memory, services })
+   * @param {Object|null} limits - Limits to validate
+   * @param {string} path - Config path used in error messages
+   * @returns {string[]} Validation errors
+   * @private
+   */
+  _validateResourceLimits(limits, path) {
+    if (limits === null || limits === undefined) {
+      return [];
+    }
+
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    const checkCaps = (caps, capsPath) => {
+      if (caps.cpus !== undefined && (typeof caps.cpus !== 'number' || caps.cpus <= 0)) {
+        errors.push(`${capsPath}.cpus must be a positive number`);
+      }
+      if (caps.memory !== undefined && !/^\d+(\.\d+)?\s*[kmgt]?i?b?$/i.test(String(caps.memory))) {
+        errors.push(`${capsPath}.memory must be a size like "512m" or "4g"`);
+      }
+    };
+
+    checkCaps(limits, path);
+    for (const [service, caps] of Object.entries(limits.services || {})) {
+      checkCaps(caps || {}, `${path}.services.${service}`);
+    }
+
+    return errors;
+  }
+
   /**
    * Reset configuration to defaults
    */
@@ -373,6 +373,72 @@ describe('ConfigManager', () => {
       expect(() => manager.load()).toThrow('Invalid container.sudo');
     });
 
+    it('should reject a namespace prefix that is not a valid DNS label', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'kubernetes',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto',
+          kubernetes: { context: 'kind-vibe', manifests: 'k8s', namespacePrefix: 'Vibe_' }
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex', 'gemini', 'shell']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        }
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow('container.kubernetes.namespacePrefix');
+    });
+
+    it('should reject shared services with malformed env wiring', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'docker',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto',
+          sharedServices: { redis: { env: { 'REDIS-URL': 'redis://localhost:{port}' } } }
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex', 'gemini', 'shell']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        }
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow('container.sharedServices.redis.env: "REDIS-URL" is not a valid environment variable name');
+    });
+
     it('should reject default agent not in available list', () => {
       const mockConfig = {
         version: '1.0',
@@ -404,6 +470,221 @@ describe('ConfigManager', () => {
 
       expect(() => manager.load()).toThrow('agents.default');
     });
+
+    it('should reject a non-positive idle period', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'docker',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto'
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        },
+        lifecycle: {
+          idleSuspend: { enabled: true, idleMinutes: 0 }
+        }
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow('lifecycle.idleSuspend.idleMinutes must be a positive number');
+    });
+
+    it('should reject invalid resource limits', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'docker',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto',
+          resourceLimits: {
+            default: { cpus: 2, memory: '4g' },
+            worktrees: {
+              'feature-x': { cpus: -1, services: { postgres: { memory: 'lots' } } }
+            }
+          }
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        }
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow('container.resourceLimits.worktrees.feature-x.cpus must be a positive number');
+      expect(() => new ConfigManager(mockProjectRoot).load()).toThrow('container.resourceLimits.worktrees.feature-x.services.postgres.memory');
+    });
+    it('should reject invalid presets', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'docker',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto'
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        },
+        presets: {
+          'frontend-only': { services: ['web'], data: 'none', agent: 'claude' },
+          docs: { services: 'web', data: 'everything' }
+        }
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow('presets.docs.services must be an array of strings');
+      expect(() => new ConfigManager(mockProjectRoot).load()).toThrow('presets.docs.data must be one of database, volumes, none');
+    });
+    it('should reject invalid hooks', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'docker',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto'
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        },
+        hooks: {
+          postCreate: ['npm run seed'],
+          postStart: [{ command: 'rails db:migrate', service: 'web', timeout: -1 }]
+        }
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow('hooks.postStart[0].timeout must be a positive number of milliseconds');
+    });
+
+    it('should reject notification webhooks that are not http(s) URLs', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'docker',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto'
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        },
+        notifications: { webhooks: ['ftp://example.com/hook'] }
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow('notifications.webhooks must be an array of http(s) URLs');
+    });
+
+    it('should reject event webhooks without a URL or with unknown event types', () => {
+      const mockConfig = {
+        version: '1.0',
+        project: { name: 'test-project', description: '' },
+        container: {
+          runtime: 'docker',
+          composeFile: 'docker-compose.yml',
+          servicesToLog: [],
+          dataVolumes: [],
+          sudo: 'auto'
+        },
+        agents: {
+          default: 'claude',
+          available: ['claude', 'codex']
+        },
+        mcp: { autoInstall: true, servers: [] },
+        sync: {
+          enabled: true,
+          baseBranch: 'main',
+          autoUpdate: false,
+          checkInterval: 300000
+        },
+        webhooks: [
+          { url: 'https://ci.example.com/vibe', secret: 'abc', events: ['worktree.*', 'sync.conflicted'] },
+          { secret: 'abc' },
+          { url: 'https://hooks.example.com', events: ['deploy.*'] }
+        ]
+      };
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(mockConfig));
+
+      const manager = new ConfigManager(mockProjectRoot);
+
+      expect(() => manager.load()).toThrow(/webhooks\[1\]\.url must be an http\(s\) URL.*webhooks\[2\]\.events: "deploy\.\*" matches no event type/s);
+    });
   });
 
   describe('Utility Methods', () => {
@@ -5,7 +5,22 @@
  * Auto-detects available runtime and handles sudo requirements.
  */
 
-import { execSync } from 'child_process';
+import { exec, execSync, spawn } from 'child_process';
+
+const EVENT_STREAM_RESTART_DELAY = 5000; // ms before a shared event stream that ended is started again
+
+// Container state after each event action (other actions leave it unchanged)
+const STATE_BY_ACTION = {
+  create: 'created',
+  start: 'running',
+  restart: 'running',
+  unpause: 'running',
+  pause: 'paused',
+  die: 'exited',
+  stop: 'exited',
+  destroy: 'removed',
+  remove: 'removed'
+};
 
 /**
  * Container runtime abstraction layer
@@ -22,6 +37,9 @@ export class ContainerRuntime {
     this._runtime = null;
     this._needsSudo = null;
     this._composeCommand = null;
+    this._eventListeners = new Set();
+    this._eventStream = null;
+    this._eventRestartTimer = null;
 
     // Perform detection on construction
     this._detectRuntime();
@@ -187,6 +205,14 @@ export class ContainerRuntime {
     return this._needsSudo;
   }
 
+  /**
+   * Check if runtime is available
+   * @returns {boolean} Always true (construction fails without a runtime)
+   */
+  isAvailable() {
+    return true;
+  }
+
   /**
    * Execute a container command with appropriate runtime and sudo
    * @param {string} command - The command to execute (without runtime prefix)
@@ -201,6 +227,29 @@ export class ContainerRuntime {
     return execSync(fullCommand, options);
   }
 
+  /**
+   * Execute a container command without blocking the event loop
+   * Used for slow commands like `stats --no-stream` that run on a polling interval.
+   * @param {string} command - The command to execute (without runtime prefix)
+   * @param {Object} options - Options to pass to exec
+   * @returns {Promise<string>} Command stdout
+   */
+  execAsync(command, options = {}) {
+    const fullCommand = this._needsSudo
+      ? `sudo ${this._runtime} ${command}`
+      : `${this._runtime} ${command}`;
+
+    return new Promise((resolve, reject) => {
+      exec(fullCommand, { encoding: 'utf-8', ...options }, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
   /**
    * Execute a compose command with appropriate runtime and sudo
    * @param {string} command - The compose subcommand (e.g., 'up -d', 'down')
@@ -215,6 +264,97 @@ export class ContainerRuntime {
     return execSync(fullCommand, options);
   }
 
+  /**
+   * Follow container events (`docker events` / `podman events`)
+   * @param {Function} onEvent - Called with { type, action, id, name, attributes, time } per event
+   * @param {Function} onExit - Called once when the event stream ends
+   * @returns {{stop: Function}} Handle to end the stream
+   */
+  streamEvents(onEvent, onExit = () => {}) {
+    // Podman has no Go templates for events; both print one JSON object per line
+    const format = this._runtime === 'podman' ? 'json' : '{{json .}}';
+    const args = [this._runtime, 'events', '--filter', 'type=container', '--format', format];
+    const eventsProcess = this._needsSudo ? spawn('sudo', args) : spawn(args[0], args.slice(1));
+
+    let buffer = '';
+    eventsProcess.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        const event = parseRuntimeEvent(line);
+        if (event) onEvent(event);
+      }
+    });
+
+    let exited = false;
+    const finish = () => {
+      if (exited) return;
+      exited = true;
+      onExit();
+    };
+    eventsProcess.on('close', finish);
+    eventsProcess.on('error', (error) => {
+      console.error('[CONTAINER] Event stream failed:', error.message);
+      finish();
+    });
+
+    return { stop: () => eventsProcess.kill() };
+  }
+
+  /**
+   * Subscribe to container events over one shared, long-lived stream.
+   * The stream starts with the first subscriber, is restarted if it ends and
+   * stops when the last subscriber leaves.
+   * @param {Function} listener - Called with each event (see parseRuntimeEvent)
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this._eventListeners.add(listener);
+    this._startEventStream();
+
+    return () => {
+      this._eventListeners.delete(listener);
+      if (this._eventListeners.size === 0) {
+        clearTimeout(this._eventRestartTimer);
+        this._eventRestartTimer = null;
+        this._eventStream?.stop();
+        this._eventStream = null;
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _startEventStream() {
+    if (this._eventStream || this._eventRestartTimer || this._eventListeners.size === 0) {
+      return;
+    }
+
+    const stream = this.streamEvents(
+      (event) => {
+        for (const listener of this._eventListeners) {
+          try {
+            listener(event);
+          } catch (error) {
+            console.error('[CONTAINER] Event listener failed:', error.message);
+          }
+        }
+      },
+      () => {
+        if (this._eventStream !== stream) return;
+        this._eventStream = null;
+        this._eventRestartTimer = setTimeout(() => {
+          this._eventRestartTimer = null;
+          this._startEventStream();
+        }, EVENT_STREAM_RESTART_DELAY);
+        this._eventRestartTimer.unref?.();
+      }
+    );
+    this._eventStream = stream;
+  }
+
   /**
    * Get runtime information for logging/debugging
    * @returns {Object} Runtime information
@@ -227,3 +367,67 @@ export class ContainerRuntime {
     };
   }
 }
+
+/**
+ * Normalize one line of `docker events` / `podman events` JSON output
+ * @param {string} line
+ * @returns {Object|null} { type, action, id, name, attributes, time } or null
+ */
+export function parseRuntimeEvent(line) {
+  let raw;
+  try {
+    raw = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  // Docker: { Type, Action, Actor: { ID, Attributes }, time }
+  // Podman: { Type, Status, ID, Name, Attributes, time }
+  const attributes = raw.Actor?.Attributes || raw.Attributes || {};
+  const time = raw.timeNano ? Math.floor(raw.timeNano / 1e6) : (typeof raw.time === 'number' ? raw.time * 1000 : Date.parse(raw.time));
+
+  return {
+    type: (raw.Type || raw.type || '').toLowerCase(),
+    action: raw.Action || raw.Status || raw.status || '',
+    id: raw.Actor?.ID || raw.ID || raw.id || '',
+    name: attributes.name || raw.Name || '',
+    attributes,
+    time: Number.isNaN(time) ? Date.now() : time
+  };
+}
+
+/**
+ * What a container event means for a compose service, read from the labels
+ * compose puts on its containers
+ * @param {Object} event - Result of parseRuntimeEvent
+ * @returns {Object|null} { workingDir, project, service, containerId, containerName,
+ *   action, state, health, exitCode, time }, or null for non-compose containers
+ */
+export function parseServiceEvent(event) {
+  const attributes = event?.attributes || {};
+  const service = attributes['com.docker.compose.service'];
+  if (event?.type !== 'container' || !service) {
+    return null;
+  }
+
+  // Health checks report as 'health_status: healthy' (podman: 'health_status' + attribute)
+  const healthMatch = event.action.match(/^health_status:?\s*(.*)$/);
+  const health = healthMatch ? (healthMatch[1] || attributes.health_status || null) : null;
+  const exitCode = attributes.exitCode ?? attributes.containerExitCode;
+
+  return {
+    workingDir: (attributes['com.docker.compose.project.working_dir'] || '').replace(/\/+$/, '') || null,
+    project: attributes['com.docker.compose.project'] || null,
+    service,
+    containerId: event.id,
+    containerName: event.name,
+    action: healthMatch ? 'health_status' : event.action,
+    state: STATE_BY_ACTION[event.action] || null,
+    health,
+    exitCode: exitCode !== undefined && exitCode !== '' ? Number(exitCode) : null,
+    time: event.time
+  };
+}
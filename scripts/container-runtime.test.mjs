@@ -3,13 +3,14 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { execSync } from 'child_process';
+import { EventEmitter } from 'events';
+import { exec, execSync, spawn } from 'child_process';
 
 // Mock child_process
 vi.mock('child_process');
 
 // Import after mocking
-const { ContainerRuntime } = await import('./container-runtime.mjs');
+const { ContainerRuntime, parseRuntimeEvent, parseServiceEvent } = await import('./container-runtime.mjs');
 
 describe('ContainerRuntime', () => {
   beforeEach(() => {
@@ -232,6 +233,27 @@ describe('ContainerRuntime', () => {
       expect(execSync).toHaveBeenLastCalledWith('sudo docker ps -a', {});
     });
 
+    it('should execute commands asynchronously with sudo when needed', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'docker --version') return Buffer.from('Docker version 24.0.0');
+        if (cmd === 'docker ps') throw new Error('Permission denied');
+        if (cmd === 'sudo docker ps') return Buffer.from('');
+        if (cmd === 'sudo docker compose version') return Buffer.from('Docker Compose version 2.0.0');
+        throw new Error('Command not found');
+      });
+      exec.mockImplementation((cmd, options, callback) => callback(null, '{"Name":"db"}\n', ''));
+
+      const runtime = new ContainerRuntime();
+      const output = await runtime.execAsync('stats --no-stream', { timeout: 1000 });
+
+      expect(output).toBe('{"Name":"db"}\n');
+      expect(exec).toHaveBeenCalledWith(
+        'sudo docker stats --no-stream',
+        { encoding: 'utf-8', timeout: 1000 },
+        expect.any(Function)
+      );
+    });
+
     it('should execute compose commands correctly', () => {
       execSync.mockImplementation((cmd) => {
         if (cmd === 'docker --version') return Buffer.from('Docker version 24.0.0');
@@ -282,4 +304,127 @@ describe('ContainerRuntime', () => {
       });
     });
   });
+
+  describe('Event Stream', () => {
+    function dockerRuntime() {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'docker --version') return Buffer.from('Docker version 24.0.0');
+        if (cmd === 'docker ps') return Buffer.from('');
+        if (cmd === 'docker compose version') return Buffer.from('Docker Compose version 2.0.0');
+        throw new Error('Command not found');
+      });
+      return new ContainerRuntime();
+    }
+
+    function fakeProcess() {
+      const proc = new EventEmitter();
+      proc.stdout = new EventEmitter();
+      proc.kill = vi.fn();
+      return proc;
+    }
+
+    it('should normalize docker and podman event lines', () => {
+      const docker = parseRuntimeEvent(JSON.stringify({
+        Type: 'container',
+        Action: 'die',
+        Actor: { ID: 'abc123', Attributes: { name: 'app-api-1', exitCode: '1', 'com.docker.compose.service': 'api' } },
+        time: 1714557600,
+        timeNano: 1714557600123000000
+      }));
+      expect(docker).toEqual({
+        type: 'container',
+        action: 'die',
+        id: 'abc123',
+        name: 'app-api-1',
+        attributes: { name: 'app-api-1', exitCode: '1', 'com.docker.compose.service': 'api' },
+        time: 1714557600123
+      });
+
+      const podman = parseRuntimeEvent(JSON.stringify({
+        Type: 'container', Status: 'start', ID: 'def456', Name: 'app-db-1',
+        Attributes: { 'com.docker.compose.service': 'db' }, time: '2024-05-01T10:00:00Z'
+      }));
+      expect(podman).toMatchObject({ type: 'container', action: 'start', id: 'def456', name: 'app-db-1', time: Date.parse('2024-05-01T10:00:00Z') });
+
+      expect(parseRuntimeEvent('not json')).toBeNull();
+    });
+
+    it('should stream parsed events until the process exits', () => {
+      const runtime = dockerRuntime();
+      const proc = fakeProcess();
+      spawn.mockReturnValue(proc);
+      const onEvent = vi.fn();
+      const onExit = vi.fn();
+
+      const stream = runtime.streamEvents(onEvent, onExit);
+      const line = JSON.stringify({ Type: 'container', Action: 'start', Actor: { ID: 'a', Attributes: {} }, time: 1 });
+      proc.stdout.emit('data', Buffer.from(line.slice(0, 10)));
+      proc.stdout.emit('data', Buffer.from(`${line.slice(10)}\n`));
+      proc.emit('close', 0);
+      stream.stop();
+
+      expect(spawn).toHaveBeenCalledWith('docker', ['events', '--filter', 'type=container', '--format', '{{json .}}']);
+      expect(onEvent).toHaveBeenCalledTimes(1);
+      expect(onEvent.mock.calls[0][0]).toMatchObject({ action: 'start', id: 'a' });
+      expect(onExit).toHaveBeenCalledTimes(1);
+      expect(proc.kill).toHaveBeenCalled();
+    });
+
+    it('should share one stream between subscribers and restart it when it ends', () => {
+      vi.useFakeTimers();
+      const runtime = dockerRuntime();
+      const procs = [];
+      spawn.mockImplementation(() => {
+        procs.push(fakeProcess());
+        return procs[procs.length - 1];
+      });
+      const first = vi.fn();
+      const second = vi.fn();
+
+      const unsubscribeFirst = runtime.subscribe(first);
+      const unsubscribeSecond = runtime.subscribe(second);
+      const line = JSON.stringify({ Type: 'container', Action: 'die', Actor: { ID: 'a', Attributes: {} }, time: 1 });
+      procs[0].stdout.emit('data', Buffer.from(`${line}\n`));
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(1);
+
+      // Daemon restarted: the stream comes back after a delay
+      procs[0].emit('close', 1);
+      vi.advanceTimersByTime(5000);
+      expect(spawn).toHaveBeenCalledTimes(2);
+
+      unsubscribeFirst();
+      expect(procs[1].kill).not.toHaveBeenCalled();
+      unsubscribeSecond();
+      expect(procs[1].kill).toHaveBeenCalled();
+      vi.useRealTimers();
+    });
+
+    it('should map compose container events to service states', () => {
+      const attributes = {
+        name: 'feature-x-api-1',
+        'com.docker.compose.service': 'api',
+        'com.docker.compose.project': 'feature-x',
+        'com.docker.compose.project.working_dir': '/work/feature-x/'
+      };
+
+      expect(parseServiceEvent({ type: 'container', action: 'die', id: 'c1', name: 'feature-x-api-1', attributes: { ...attributes, exitCode: '137' }, time: 5 }))
+        .toEqual({
+          workingDir: '/work/feature-x',
+          project: 'feature-x',
+          service: 'api',
+          containerId: 'c1',
+          containerName: 'feature-x-api-1',
+          action: 'die',
+          state: 'exited',
+          health: null,
+          exitCode: 137,
+          time: 5
+        });
+      expect(parseServiceEvent({ type: 'container', action: 'health_status: unhealthy', id: 'c1', name: 'x', attributes, time: 6 }))
+        .toMatchObject({ action: 'health_status', state: null, health: 'unhealthy' });
+      expect(parseServiceEvent({ type: 'container', action: 'start', id: 'c2', name: 'other', attributes: {}, time: 7 })).toBeNull();
+    });
+  });
 });
@@ -3,12 +3,29 @@ import path from 'path';
 import yaml from 'js-yaml';
 import { DatabaseManager } from './database-manager.mjs';
 import { ComposeInspector } from './compose-inspector.mjs';
+import { detectEngine } from './database-drivers.mjs';
+
+/**
+ * Default credentials per engine, used when the compose file doesn't set them
+ */
+const DEFAULT_CREDENTIALS = {
+  postgres: { database: 'postgres', user: 'postgres', password: 'postgres' },
+  // No default database: the `mysql` schema is the server's own, not the app's
+  mysql: { database: null, user: 'root', password: '' },
+  mariadb: { database: null, user: 'root', password: '' }
+};
+
+/**
+ * Allowed snapshot names: safe as file names, e.g. "before-migration-42"
+ */
+export const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
 
 /**
  * DatabaseBackupManager
  *
  * Manages automatic database backups for worktrees.
  * Detects database services, creates nightly backups, and handles restoration.
+ * Also manages named snapshots that can be restored on demand, across worktrees.
  */
 export class DatabaseBackupManager {
   constructor(config) {
@@ -34,22 +51,12 @@ export class DatabaseBackupManager {
       const inspector = new ComposeInspector(composeFile, this.runtime);
       const services = inspector.getServices();
 
-      // Database service names and their types
-      const dbTypes = {
-        postgres: 'postgres',
-        postgresql: 'postgres',
-        mysql: 'mysql',
-        mariadb: 'mariadb',
-        db: 'postgres', // Common alias for postgres
-        database: 'postgres'
-      };
-
       for (const service of services) {
-        const serviceName = service.name.toLowerCase();
-        if (dbTypes[serviceName]) {
+        const type = detectEngine(service);
+        if (type) {
           return {
             hasDatabase: true,
-            type: dbTypes[serviceName],
+            type,
             service: service.name
           };
         }
@@ -81,18 +88,6 @@ export class DatabaseBackupManager {
         };
       }
 
-      // Only support PostgreSQL for now
-      if (dbInfo.type !== 'postgres') {
-        return {
-          success: false,
-          reason: 'unsupported-database',
-          message: `Database type ${dbInfo.type} not yet supported for backups`
-        };
-      }
-
-      // Get database port
-      const dbPort = ports[dbInfo.service] || ports.postgres || 5432;
-
       // Ensure backup directory exists
       const worktreeBackupDir = path.join(this.backupDir, worktreeName);
       if (!existsSync(worktreeBackupDir)) {
@@ -106,18 +101,7 @@ export class DatabaseBackupManager {
       console.log(`[DatabaseBackupManager] Creating backup for ${worktreeName} at ${backupPath}`);
       console.log(`[DatabaseBackupManager] Database service: ${dbInfo.service}, type: ${dbInfo.type}`);
 
-      // Read database credentials from docker-compose.yml
-      const credentials = this._extractDatabaseCredentials(worktreePath, dbInfo.service);
-      console.log(`[DatabaseBackupManager] Using credentials - user: ${credentials.user}, database: ${credentials.database}`);
-
-      // Create DatabaseManager instance
-      const dbManager = new DatabaseManager({
-        host: 'localhost',
-        port: dbPort,
-        database: credentials.database,
-        user: credentials.user,
-        password: credentials.password
-      });
+      const dbManager = new DatabaseManager(this._connectionConfig(worktreePath, dbInfo, ports));
 
       // Export database
       const result = await dbManager.exportFull(backupPath);
@@ -265,6 +249,278 @@ export class DatabaseBackupManager {
     }
   }
 
+  /**
+   * Create a named snapshot of a worktree's database
+   * Snapshots live next to the timestamped backups, under snapshots/, with a
+   * JSON sidecar holding tags and metadata. They are never pruned automatically.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} worktreePath - Path to the worktree
+   * @param {Object} ports - Allocated ports for the worktree
+   * @param {Object} options - { name, tags, description, overwrite }
+   * @returns {Promise<{success: boolean, snapshot?: Object, error?: string}>}
+   */
+  async createSnapshot(worktreeName, worktreePath, ports = {}, options = {}) {
+    const { name, tags = [], description = '', overwrite = false } = options;
+
+    const nameError = this._validateSnapshotName(name);
+    if (nameError) {
+      return { success: false, error: nameError };
+    }
+
+    const { sqlPath, metaPath } = this._snapshotPaths(worktreeName, name);
+    if (existsSync(sqlPath) && !overwrite) {
+      return { success: false, error: `Snapshot "${name}" already exists` };
+    }
+
+    try {
+      const dbInfo = await this.detectDatabase(worktreePath);
+
+      if (!dbInfo.hasDatabase) {
+        return { success: false, error: 'No database service found for this worktree' };
+      }
+
+      mkdirSync(path.dirname(sqlPath), { recursive: true });
+
+      console.log(`[DatabaseBackupManager] Creating snapshot "${name}" for ${worktreeName}`);
+
+      const dbManager = new DatabaseManager(this._connectionConfig(worktreePath, dbInfo, ports));
+      const result = await dbManager.exportFull(sqlPath);
+
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      const metadata = {
+        name,
+        worktree: worktreeName,
+        engine: dbInfo.type,
+        service: dbInfo.service,
+        tags: this._normalizeTags(tags),
+        description,
+        createdAt: new Date().toISOString()
+      };
+      writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+
+      const snapshot = this.getSnapshot(worktreeName, name);
+      console.log(`[DatabaseBackupManager] Snapshot created: ${sqlPath} (${this._formatSize(snapshot.size)})`);
+
+      return { success: true, snapshot };
+    } catch (error) {
+      console.error(`[DatabaseBackupManager] Snapshot failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List named snapshots for a worktree, newest first
+   * @param {string} worktreeName - Name of the worktree
+   * @returns {Array<{name: string, worktree: string, engine: string|null, tags: string[], description: string, createdAt: string, size: number, path: string}>}
+   */
+  listSnapshots(worktreeName) {
+    const snapshotDir = path.join(this.backupDir, worktreeName, 'snapshots');
+
+    if (!existsSync(snapshotDir)) {
+      return [];
+    }
+
+    try {
+      return readdirSync(snapshotDir)
+        .filter(f => f.endsWith('.sql'))
+        .map(f => this.getSnapshot(worktreeName, f.slice(0, -'.sql'.length)))
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      console.error(`[DatabaseBackupManager] Failed to list snapshots: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single snapshot
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} name - Snapshot name
+   * @returns {Object|null} Snapshot metadata, or null if it doesn't exist
+   */
+  getSnapshot(worktreeName, name) {
+    if (this._validateSnapshotName(name)) {
+      return null;
+    }
+
+    const { sqlPath, metaPath } = this._snapshotPaths(worktreeName, name);
+    if (!existsSync(sqlPath)) {
+      return null;
+    }
+
+    const stats = statSync(sqlPath);
+    let metadata = {};
+    if (existsSync(metaPath)) {
+      try {
+        metadata = JSON.parse(readFileSync(metaPath, 'utf8'));
+      } catch (error) {
+        console.warn(`[DatabaseBackupManager] Ignoring unreadable snapshot metadata ${metaPath}: ${error.message}`);
+      }
+    }
+
+    return {
+      name,
+      worktree: worktreeName,
+      engine: metadata.engine || null,
+      service: metadata.service || null,
+      tags: metadata.tags || [],
+      description: metadata.description || '',
+      createdAt: metadata.createdAt || stats.mtime.toISOString(),
+      size: stats.size,
+      path: sqlPath
+    };
+  }
+
+  /**
+   * Replace the tags of a snapshot
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} name - Snapshot name
+   * @param {string[]} tags - New tags
+   * @returns {{success: boolean, snapshot?: Object, error?: string}}
+   */
+  tagSnapshot(worktreeName, name, tags) {
+    const snapshot = this.getSnapshot(worktreeName, name);
+    if (!snapshot) {
+      return { success: false, error: `Snapshot "${name}" not found` };
+    }
+
+    const { metaPath } = this._snapshotPaths(worktreeName, name);
+    const metadata = {
+      name,
+      worktree: worktreeName,
+      engine: snapshot.engine,
+      service: snapshot.service,
+      tags: this._normalizeTags(tags),
+      description: snapshot.description,
+      createdAt: snapshot.createdAt
+    };
+    writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+
+    return { success: true, snapshot: this.getSnapshot(worktreeName, name) };
+  }
+
+  /**
+   * Delete a snapshot and its metadata
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} name - Snapshot name
+   * @returns {{success: boolean, error?: string}}
+   */
+  deleteSnapshot(worktreeName, name) {
+    if (!this.getSnapshot(worktreeName, name)) {
+      return { success: false, error: `Snapshot "${name}" not found` };
+    }
+
+    const { sqlPath, metaPath } = this._snapshotPaths(worktreeName, name);
+    try {
+      unlinkSync(sqlPath);
+      if (existsSync(metaPath)) {
+        unlinkSync(metaPath);
+      }
+      console.log(`[DatabaseBackupManager] Deleted snapshot "${name}" for ${worktreeName}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`[DatabaseBackupManager] Failed to delete snapshot: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Compare two snapshots by size
+   * @param {{worktree: string, name: string}} from - Baseline snapshot
+   * @param {{worktree: string, name: string}} to - Snapshot to compare against the baseline
+   * @returns {{success: boolean, from?: Object, to?: Object, sizeDelta?: number, percentChange?: number|null, error?: string}}
+   */
+  compareSnapshots(from, to) {
+    const fromSnapshot = this.getSnapshot(from.worktree, from.name);
+    const toSnapshot = this.getSnapshot(to.worktree, to.name);
+
+    if (!fromSnapshot || !toSnapshot) {
+      const missing = fromSnapshot ? to : from;
+      return { success: false, error: `Snapshot "${missing.name}" not found in ${missing.worktree}` };
+    }
+
+    const sizeDelta = toSnapshot.size - fromSnapshot.size;
+
+    return {
+      success: true,
+      from: fromSnapshot,
+      to: toSnapshot,
+      sizeDelta,
+      percentChange: fromSnapshot.size > 0
+        ? Math.round((sizeDelta / fromSnapshot.size) * 1000) / 10
+        : null
+    };
+  }
+
+  /**
+   * Restore a snapshot into a worktree's database
+   * The source and target worktree can differ, so a snapshot taken on one
+   * branch can seed another. The target database is wiped before loading,
+   * after taking a regular backup of it unless backupFirst is false.
+   * @param {{worktree: string, name: string}} source - Snapshot to restore
+   * @param {{name: string, path: string, ports?: Object}} target - Worktree to restore into
+   * @param {Object} options - { backupFirst: boolean }
+   * @returns {Promise<{success: boolean, snapshot?: Object, safetyBackup?: string|null, error?: string}>}
+   */
+  async restoreSnapshot(source, target, options = {}) {
+    const { backupFirst = true } = options;
+
+    const snapshot = this.getSnapshot(source.worktree, source.name);
+    if (!snapshot) {
+      return { success: false, error: `Snapshot "${source.name}" not found in ${source.worktree}` };
+    }
+
+    try {
+      const dbInfo = await this.detectDatabase(target.path);
+
+      if (!dbInfo.hasDatabase) {
+        return { success: false, error: 'No database service found for the target worktree' };
+      }
+
+      if (snapshot.engine && snapshot.engine !== dbInfo.type) {
+        return {
+          success: false,
+          error: `Snapshot engine ${snapshot.engine} does not match target database ${dbInfo.type}`
+        };
+      }
+
+      const ports = target.ports || {};
+      let safetyBackup = null;
+
+      if (backupFirst) {
+        const backup = await this.createBackup(target.name, target.path, ports);
+        if (!backup.success) {
+          return { success: false, error: `Safety backup failed: ${backup.error || backup.reason}` };
+        }
+        safetyBackup = backup.backupPath;
+      }
+
+      console.log(`[DatabaseBackupManager] Restoring snapshot "${snapshot.name}" from ${snapshot.worktree} into ${target.name}`);
+
+      const dbManager = new DatabaseManager(this._connectionConfig(target.path, dbInfo, ports));
+
+      const reset = await dbManager.resetDatabase();
+      if (!reset.success) {
+        return { success: false, error: `Failed to reset database: ${reset.error}`, safetyBackup };
+      }
+
+      const result = await dbManager.importWithTransaction(snapshot.path);
+      if (!result.success) {
+        return { success: false, error: result.error, safetyBackup };
+      }
+
+      console.log(`[DatabaseBackupManager] Snapshot "${snapshot.name}" restored into ${target.name}`);
+
+      return { success: true, snapshot, safetyBackup };
+    } catch (error) {
+      console.error(`[DatabaseBackupManager] Snapshot restore failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Generate README.md with backup information
    * @returns {{success: boolean, worktrees: number}}
@@ -322,6 +578,67 @@ export class DatabaseBackupManager {
     }
   }
 
+  /**
+   * Build a DatabaseManager config for a detected database service
+   * @private
+   * @param {string} worktreePath - Path to the worktree
+   * @param {{type: string, service: string}} dbInfo - Result of detectDatabase
+   * @param {Object} ports - Allocated ports for the worktree
+   * @returns {Object} Connection config
+   */
+  _connectionConfig(worktreePath, dbInfo, ports) {
+    const dbPort = ports[dbInfo.service] || ports[dbInfo.type] || (dbInfo.type === 'postgres' ? 5432 : 3306);
+
+    // Read database credentials from docker-compose.yml
+    const credentials = this.getDatabaseCredentials(worktreePath, dbInfo.service, dbInfo.type);
+    console.log(`[DatabaseBackupManager] Using credentials - user: ${credentials.user}, database: ${credentials.database}`);
+
+    return {
+      engine: dbInfo.type,
+      host: 'localhost',
+      port: dbPort,
+      database: credentials.database,
+      user: credentials.user,
+      password: credentials.password
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} name - Snapshot name
+   * @returns {string|null} Error message, or null if the name is valid
+   */
+  _validateSnapshotName(name) {
+    if (!name || typeof name !== 'string') {
+      return 'Snapshot name is required';
+    }
+    if (!SNAPSHOT_NAME_PATTERN.test(name)) {
+      return 'Snapshot name may only contain letters, numbers, dots, dashes and underscores (max 100 characters)';
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _snapshotPaths(worktreeName, name) {
+    const snapshotDir = path.join(this.backupDir, worktreeName, 'snapshots');
+    return {
+      sqlPath: path.join(snapshotDir, `${name}.sql`),
+      metaPath: path.join(snapshotDir, `${name}.json`)
+    };
+  }
+
+  /**
+   * @private
+   * @param {string[]|string} tags - Tags array or comma-separated string
+   * @returns {string[]} Trimmed, de-duplicated tags
+   */
+  _normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+  }
+
   /**
    * Format size in bytes to human-readable format
    * @private
@@ -335,14 +652,33 @@ export class DatabaseBackupManager {
     return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
   }
 
+  /**
+   * Database credentials of a compose service, read from its environment
+   * @param {string} worktreePath - Path to worktree
+   * @param {string} serviceName - Database service name
+   * @param {string} engine - Database engine ('postgres', 'mysql', 'mariadb')
+   * @returns {{database: string, user: string, password: string}}
+   * @throws {Error} If a MySQL/MariaDB service doesn't name its database
+   */
+  getDatabaseCredentials(worktreePath, serviceName, engine = 'postgres') {
+    const credentials = this._extractDatabaseCredentials(worktreePath, serviceName, engine);
+    if (!credentials.database) {
+      throw new Error(`No database set for ${serviceName}: add MYSQL_DATABASE (or MARIADB_DATABASE) to its environment`);
+    }
+    return credentials;
+  }
+
   /**
    * Extract database credentials from docker-compose.yml
    * @private
    * @param {string} worktreePath - Path to worktree
    * @param {string} serviceName - Database service name
+   * @param {string} engine - Database engine ('postgres', 'mysql', 'mariadb')
    * @returns {{database: string, user: string, password: string}}
    */
-  _extractDatabaseCredentials(worktreePath, serviceName) {
+  _extractDatabaseCredentials(worktreePath, serviceName, engine = 'postgres') {
+    const defaults = DEFAULT_CREDENTIALS[engine] || DEFAULT_CREDENTIALS.postgres;
+
     try {
       const composeFile = path.join(worktreePath, 'docker-compose.yml');
 
@@ -352,11 +688,7 @@ export class DatabaseBackupManager {
 
       if (!config.services || !config.services[serviceName]) {
         console.log(`[DatabaseBackupManager] Service ${serviceName} not found in docker-compose.yml, using defaults`);
-        return {
-          database: 'postgres',
-          user: 'postgres',
-          password: 'postgres'
-        };
+        return { ...defaults };
       }
 
       const service = config.services[serviceName];
@@ -374,11 +706,25 @@ export class DatabaseBackupManager {
         envObj = env;
       }
 
-      const credentials = {
-        database: envObj.POSTGRES_DB || envObj.MYSQL_DATABASE || envObj.MARIADB_DATABASE || 'postgres',
-        user: envObj.POSTGRES_USER || envObj.MYSQL_USER || envObj.MARIADB_USER || 'postgres',
-        password: envObj.POSTGRES_PASSWORD || envObj.MYSQL_PASSWORD || envObj.MARIADB_PASSWORD || 'postgres'
-      };
+      let credentials;
+      if (engine === 'postgres') {
+        credentials = {
+          database: envObj.POSTGRES_DB || defaults.database,
+          user: envObj.POSTGRES_USER || defaults.user,
+          password: envObj.POSTGRES_PASSWORD || defaults.password
+        };
+      } else {
+        // Dumps need full privileges, so prefer root when its password is known
+        const rootPassword = envObj.MYSQL_ROOT_PASSWORD ?? envObj.MARIADB_ROOT_PASSWORD;
+        const useRoot = rootPassword !== undefined || !(envObj.MYSQL_USER || envObj.MARIADB_USER);
+        credentials = {
+          database: envObj.MYSQL_DATABASE || envObj.MARIADB_DATABASE || defaults.database,
+          user: useRoot ? 'root' : (envObj.MYSQL_USER || envObj.MARIADB_USER),
+          password: useRoot
+            ? String(rootPassword ?? defaults.password)
+            : (envObj.MYSQL_PASSWORD || envObj.MARIADB_PASSWORD || defaults.password)
+        };
+      }
 
       console.log(`[DatabaseBackupManager] Extracted credentials for ${serviceName}:`, {
         ...credentials,
@@ -389,11 +735,7 @@ export class DatabaseBackupManager {
     } catch (error) {
       console.error(`[DatabaseBackupManager] Failed to extract credentials: ${error.message}`);
       // Fallback to defaults
-      return {
-        database: 'postgres',
-        user: 'postgres',
-        password: 'postgres'
-      };
+      return { ...defaults };
     }
   }
 }
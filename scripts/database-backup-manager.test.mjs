@@ -25,6 +25,22 @@ describe('DatabaseBackupManager', () => {
     manager = new DatabaseBackupManager(mockConfig);
   });
 
+  describe('getDatabaseCredentials', () => {
+    it('should read MySQL credentials from the service environment', () => {
+      vi.mocked(fs.readFileSync).mockReturnValue(
+        'services:\n  mysql:\n    environment:\n      MYSQL_DATABASE: app\n      MYSQL_ROOT_PASSWORD: secret\n'
+      );
+
+      expect(manager.getDatabaseCredentials('/wt', 'mysql', 'mysql')).toEqual({ database: 'app', user: 'root', password: 'secret' });
+    });
+
+    it('should refuse to fall back to the MySQL system schema', () => {
+      vi.mocked(fs.readFileSync).mockReturnValue('services:\n  mysql:\n    environment:\n      MYSQL_ROOT_PASSWORD: secret\n');
+
+      expect(() => manager.getDatabaseCredentials('/wt', 'mysql', 'mysql')).toThrow('No database set for mysql');
+    });
+  });
+
   describe('detectDatabase', () => {
     it('should detect postgres database service', async () => {
       const worktreePath = '/test/project/.worktrees/main';
@@ -515,4 +531,138 @@ describe('DatabaseBackupManager', () => {
       expect(fs.unlinkSync).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe('snapshots', () => {
+    let files;
+    let mockDbManager;
+    const snapshotDir = '/test/project/.vibetrees/backups/feature/snapshots';
+
+    beforeEach(() => {
+      // In-memory filesystem: path -> { content, mtime }
+      files = new Map();
+      vi.mocked(fs.existsSync).mockImplementation(p => files.has(p) || [...files.keys()].some(f => f.startsWith(`${p}/`)));
+      vi.mocked(fs.mkdirSync).mockReturnValue(undefined);
+      vi.mocked(fs.readdirSync).mockImplementation(dir => [...files.keys()]
+        .filter(f => path.dirname(f) === dir)
+        .map(f => path.basename(f)));
+      vi.mocked(fs.statSync).mockImplementation(p => ({ size: files.get(p).content.length, mtime: files.get(p).mtime }));
+      vi.mocked(fs.readFileSync).mockImplementation(p => {
+        if (!files.has(p)) throw new Error(`ENOENT: ${p}`);
+        return files.get(p).content;
+      });
+      vi.mocked(fs.writeFileSync).mockImplementation((p, content) => files.set(p, { content, mtime: new Date() }));
+      vi.mocked(fs.unlinkSync).mockImplementation(p => files.delete(p));
+
+      mockDbManager = {
+        exportFull: vi.fn(async (outputPath) => {
+          files.set(outputPath, { content: 'x'.repeat(1000), mtime: new Date() });
+          return { success: true, path: outputPath };
+        }),
+        resetDatabase: vi.fn().mockResolvedValue({ success: true }),
+        importWithTransaction: vi.fn().mockResolvedValue({ success: true })
+      };
+      // Fresh instance per construction: the automock re-stubs methods on reused instances
+      vi.mocked(DatabaseManager).mockImplementation(function() {
+        return { ...mockDbManager };
+      });
+
+      vi.spyOn(manager, 'detectDatabase').mockResolvedValue({
+        hasDatabase: true,
+        type: 'postgres',
+        service: 'postgres'
+      });
+    });
+
+    it('should create a named snapshot with tags', async () => {
+      const result = await manager.createSnapshot('feature', '/wt/feature', { postgres: 5433 }, {
+        name: 'before-migration-42',
+        tags: 'migrations, v2 ,migrations'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.snapshot).toMatchObject({
+        name: 'before-migration-42',
+        worktree: 'feature',
+        engine: 'postgres',
+        tags: ['migrations', 'v2'],
+        size: 1000
+      });
+      expect(mockDbManager.exportFull).toHaveBeenCalledWith(`${snapshotDir}/before-migration-42.sql`);
+      expect(vi.mocked(DatabaseManager).mock.calls[0][0]).toMatchObject({ engine: 'postgres', port: 5433 });
+    });
+
+    it('should reject invalid and duplicate names', async () => {
+      const invalid = await manager.createSnapshot('feature', '/wt/feature', {}, { name: '../escape' });
+      expect(invalid.success).toBe(false);
+      expect(invalid.error).toContain('Snapshot name');
+
+      await manager.createSnapshot('feature', '/wt/feature', {}, { name: 'snap' });
+      const duplicate = await manager.createSnapshot('feature', '/wt/feature', {}, { name: 'snap' });
+      expect(duplicate).toEqual({ success: false, error: 'Snapshot "snap" already exists' });
+
+      const overwritten = await manager.createSnapshot('feature', '/wt/feature', {}, { name: 'snap', overwrite: true });
+      expect(overwritten.success).toBe(true);
+    });
+
+    it('should list, tag and delete snapshots', async () => {
+      await manager.createSnapshot('feature', '/wt/feature', {}, { name: 'one' });
+      await manager.createSnapshot('feature', '/wt/feature', {}, { name: 'two' });
+
+      expect(manager.listSnapshots('feature').map(s => s.name).sort()).toEqual(['one', 'two']);
+      expect(manager.listBackups('feature')).toEqual([]);
+
+      const tagged = manager.tagSnapshot('feature', 'one', ['keep']);
+      expect(tagged.snapshot.tags).toEqual(['keep']);
+      expect(manager.getSnapshot('feature', 'one').tags).toEqual(['keep']);
+
+      expect(manager.deleteSnapshot('feature', 'two')).toEqual({ success: true });
+      expect(manager.listSnapshots('feature').map(s => s.name)).toEqual(['one']);
+      expect(manager.deleteSnapshot('feature', 'two').success).toBe(false);
+    });
+
+    it('should compare snapshots by size', async () => {
+      await manager.createSnapshot('feature', '/wt/feature', {}, { name: 'before' });
+      mockDbManager.exportFull.mockImplementationOnce(async (outputPath) => {
+        files.set(outputPath, { content: 'x'.repeat(1500), mtime: new Date() });
+        return { success: true };
+      });
+      await manager.createSnapshot('main', '/wt/main', {}, { name: 'after' });
+
+      const diff = manager.compareSnapshots({ worktree: 'feature', name: 'before' }, { worktree: 'main', name: 'after' });
+
+      expect(diff.success).toBe(true);
+      expect(diff.sizeDelta).toBe(500);
+      expect(diff.percentChange).toBe(50);
+    });
+
+    it('should restore a snapshot into another worktree after a safety backup', async () => {
+      await manager.createSnapshot('main', '/wt/main', {}, { name: 'seed' });
+
+      const result = await manager.restoreSnapshot(
+        { worktree: 'main', name: 'seed' },
+        { name: 'feature', path: '/wt/feature', ports: { postgres: 5440 } }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.safetyBackup).toContain('/backups/feature/backup-');
+      expect(mockDbManager.resetDatabase).toHaveBeenCalled();
+      expect(mockDbManager.importWithTransaction).toHaveBeenCalledWith('/test/project/.vibetrees/backups/main/snapshots/seed.sql');
+      expect(vi.mocked(DatabaseManager).mock.calls.at(-1)[0]).toMatchObject({ port: 5440 });
+    });
+
+    it('should refuse to restore across engines', async () => {
+      await manager.createSnapshot('main', '/wt/main', {}, { name: 'seed' });
+      manager.detectDatabase.mockResolvedValue({ hasDatabase: true, type: 'mysql', service: 'mysql' });
+
+      const result = await manager.restoreSnapshot(
+        { worktree: 'main', name: 'seed' },
+        { name: 'feature', path: '/wt/feature' },
+        { backupFirst: false }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('does not match');
+      expect(mockDbManager.resetDatabase).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -154,6 +154,14 @@ export class DatabaseBackupScheduler {
         console.error(`[DatabaseBackupScheduler] Backup failed: ${result.error || result.reason}`);
       }
 
+      this.worktreeManager.eventBus?.publish('backup.finished', {
+        worktree: mainWorktree.name,
+        success: result.success,
+        backupPath: result.backupPath,
+        error: result.error || result.reason,
+        scheduled: true
+      });
+
       return result;
     } catch (error) {
       console.error(`[DatabaseBackupScheduler] Backup error: ${error.message}`);
@@ -0,0 +1,202 @@
+import { execSync } from 'child_process';
+import pg from 'pg';
+import { SafetyChecks } from './safety-checks.mjs';
+
+/**
+ * Database drivers
+ *
+ * Engine-specific command building for DatabaseManager. Each driver knows how
+ * to dump and load its engine with the native CLI tools (pg_dump/psql,
+ * mysqldump/mysql) and how to estimate database size for safety checks.
+ */
+
+/**
+ * Compose service names that identify a database, mapped to their engine
+ */
+export const DATABASE_SERVICE_ENGINES = {
+  postgres: 'postgres',
+  postgresql: 'postgres',
+  mysql: 'mysql',
+  mariadb: 'mariadb',
+  db: 'postgres', // Common alias for postgres
+  database: 'postgres'
+};
+
+/**
+ * Detect the database engine of a compose service
+ * Prefers the image name (mysql:8, mariadb:11) over the service name,
+ * so a service called "db" running MySQL is detected correctly.
+ * @param {{name: string, image?: string|null}} service - Compose service
+ * @returns {string|null} 'postgres', 'mysql', 'mariadb' or null
+ */
+export function detectEngine(service) {
+  const image = (service.image || '').toLowerCase();
+  if (image) {
+    const imageName = image.split('/').pop().split(':')[0];
+    if (imageName.includes('mariadb')) return 'mariadb';
+    if (imageName.includes('mysql')) return 'mysql';
+    if (imageName.includes('postgres') || imageName.includes('postgis')) return 'postgres';
+  }
+
+  return DATABASE_SERVICE_ENGINES[service.name.toLowerCase()] || null;
+}
+
+/**
+ * PostgreSQL driver (pg_dump / psql)
+ */
+export class PostgresDriver {
+  constructor(config) {
+    this.config = config;
+    this.engine = 'postgres';
+    this.connectionString = `postgresql://${config.user}:${config.password}@${config.host}:${config.port}/${config.database}`;
+  }
+
+  /**
+   * Build the dump command for an export type
+   * @param {'schema'|'data'|'full'} type - Export type
+   * @param {string} outputPath - Output file path
+   * @returns {string} Shell command
+   */
+  exportCommand(type, outputPath) {
+    const flags = {
+      schema: '--schema-only --no-owner --no-acl',
+      data: '--data-only --inserts --no-owner --no-acl',
+      full: '--no-owner --no-acl'
+    }[type];
+    return `pg_dump ${this.connectionString} ${flags} -f ${outputPath}`;
+  }
+
+  /**
+   * Build the command that loads a SQL file
+   * @param {string} inputPath - Input SQL file path
+   * @returns {string} Shell command
+   */
+  importCommand(inputPath) {
+    return `psql ${this.connectionString} -f ${inputPath}`;
+  }
+
+  /**
+   * Build the command that drops every object in the database
+   * @returns {string} Shell command
+   */
+  resetCommand() {
+    return `psql ${this.connectionString} -v ON_ERROR_STOP=1 -c "DROP SCHEMA IF EXISTS public CASCADE; CREATE SCHEMA public;"`;
+  }
+
+  /**
+   * Environment for the CLI tools
+   * @returns {Object}
+   */
+  commandEnv() {
+    return process.env;
+  }
+
+  /**
+   * Load a SQL file inside a transaction
+   * @param {string} inputPath - Input SQL file path
+   */
+  async importWithTransaction(inputPath) {
+    const client = new pg.Client(this.config);
+
+    await client.connect();
+    await client.query('BEGIN');
+
+    // Execute import (directly with execSync so errors propagate)
+    execSync(this.importCommand(inputPath), { encoding: 'utf-8' });
+
+    await client.query('COMMIT');
+    await client.end();
+  }
+
+  /**
+   * Estimate database size in bytes
+   * @returns {Promise<number>}
+   */
+  async estimateSize() {
+    const client = new pg.Client(this.config);
+    await client.connect();
+    const size = await SafetyChecks.estimateDatabaseSize(client, this.config.database);
+    await client.end();
+    return size;
+  }
+}
+
+/**
+ * MySQL / MariaDB driver (mysqldump / mysql)
+ * The password is passed through MYSQL_PWD so it never shows up in `ps`.
+ */
+export class MySQLDriver {
+  constructor(config) {
+    this.config = config;
+    this.engine = config.engine || 'mysql';
+  }
+
+  _connectionArgs() {
+    const { host, port, user } = this.config;
+    // Force TCP: "localhost" would otherwise mean the local unix socket
+    return `--protocol=TCP -h ${host} -P ${port} -u ${user}`;
+  }
+
+  exportCommand(type, outputPath) {
+    const flags = {
+      schema: '--no-data --routines --triggers',
+      data: '--no-create-info --skip-triggers',
+      full: '--routines --triggers'
+    }[type];
+    return `mysqldump ${this._connectionArgs()} --single-transaction ${flags} ${this.config.database} --result-file=${outputPath}`;
+  }
+
+  importCommand(inputPath) {
+    return `mysql ${this._connectionArgs()} ${this.config.database} < ${inputPath}`;
+  }
+
+  resetCommand() {
+    const database = `\\\`${this.config.database}\\\``;
+    return `mysql ${this._connectionArgs()} -e "DROP DATABASE IF EXISTS ${database}; CREATE DATABASE ${database};"`;
+  }
+
+  commandEnv() {
+    return { ...process.env, MYSQL_PWD: this.config.password || '' };
+  }
+
+  /**
+   * Load a SQL file with autocommit disabled, committing only at the end.
+   * If any statement fails, mysql exits before COMMIT and the server rolls
+   * back when the connection closes. DDL statements still commit implicitly.
+   */
+  async importWithTransaction(inputPath) {
+    const command = `{ echo 'SET autocommit=0; START TRANSACTION;'; cat ${inputPath}; echo 'COMMIT;'; } | ` +
+      `mysql ${this._connectionArgs()} ${this.config.database}`;
+    execSync(command, { encoding: 'utf-8', env: this.commandEnv() });
+  }
+
+  async estimateSize() {
+    const query = 'SELECT COALESCE(SUM(data_length + index_length), 0) FROM information_schema.tables ' +
+      `WHERE table_schema = '${this.config.database.replace(/'/g, "''")}'`;
+    const output = execSync(`mysql ${this._connectionArgs()} -N -B -e "${query}"`, {
+      encoding: 'utf-8',
+      env: this.commandEnv(),
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    return parseInt(output.trim(), 10) || 0;
+  }
+}
+
+/**
+ * Create the driver for a connection config
+ * @param {Object} config - Connection config ({ engine, host, port, database, user, password })
+ * @returns {PostgresDriver|MySQLDriver}
+ */
+export function createDatabaseDriver(config) {
+  const engine = config.engine || 'postgres';
+
+  switch (engine) {
+    case 'postgres':
+      return new PostgresDriver(config);
+    case 'mysql':
+    case 'mariadb':
+      return new MySQLDriver(config);
+    default:
+      throw new Error(`Unsupported database engine: ${engine}`);
+  }
+}
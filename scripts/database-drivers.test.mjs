@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectEngine,
+  createDatabaseDriver,
+  PostgresDriver,
+  MySQLDriver
+} from './database-drivers.mjs';
+
+describe('database-drivers', () => {
+  describe('detectEngine', () => {
+    it('should detect engine from the image name', () => {
+      expect(detectEngine({ name: 'db', image: 'mysql:8' })).toBe('mysql');
+      expect(detectEngine({ name: 'db', image: 'docker.io/library/mariadb:11' })).toBe('mariadb');
+      expect(detectEngine({ name: 'store', image: 'postgis/postgis:16' })).toBe('postgres');
+    });
+
+    it('should fall back to the service name', () => {
+      expect(detectEngine({ name: 'postgres', image: null })).toBe('postgres');
+      expect(detectEngine({ name: 'MySQL' })).toBe('mysql');
+      expect(detectEngine({ name: 'database', image: 'custom:latest' })).toBe('postgres');
+    });
+
+    it('should return null for non-database services', () => {
+      expect(detectEngine({ name: 'api', image: 'node:20' })).toBeNull();
+    });
+  });
+
+  describe('createDatabaseDriver', () => {
+    const config = { host: 'localhost', port: 5432, database: 'vibe', user: 'postgres', password: 'pw' };
+
+    it('should default to postgres', () => {
+      const driver = createDatabaseDriver(config);
+
+      expect(driver).toBeInstanceOf(PostgresDriver);
+      expect(driver.connectionString).toBe('postgresql://postgres:pw@localhost:5432/vibe');
+    });
+
+    it('should reset postgres by recreating the public schema', () => {
+      expect(createDatabaseDriver(config).resetCommand()).toContain('DROP SCHEMA IF EXISTS public CASCADE; CREATE SCHEMA public;');
+    });
+
+    it('should create MySQL drivers for mysql and mariadb', () => {
+      expect(createDatabaseDriver({ ...config, engine: 'mysql' })).toBeInstanceOf(MySQLDriver);
+      expect(createDatabaseDriver({ ...config, engine: 'mariadb' }).engine).toBe('mariadb');
+    });
+
+    it('should throw for unsupported engines', () => {
+      expect(() => createDatabaseDriver({ ...config, engine: 'mongodb' })).toThrow('Unsupported database engine: mongodb');
+    });
+  });
+
+  describe('MySQLDriver', () => {
+    const driver = new MySQLDriver({ engine: 'mysql', host: 'localhost', port: 3307, database: 'app', user: 'root', password: 'secret' });
+
+    it('should build mysqldump commands per export type', () => {
+      expect(driver.exportCommand('schema', '/tmp/s.sql')).toContain('--no-data');
+      expect(driver.exportCommand('data', '/tmp/d.sql')).toContain('--no-create-info');
+      expect(driver.exportCommand('full', '/tmp/f.sql')).toBe(
+        'mysqldump --protocol=TCP -h localhost -P 3307 -u root --single-transaction --routines --triggers app --result-file=/tmp/f.sql'
+      );
+    });
+
+    it('should reset by recreating the database', () => {
+      expect(driver.resetCommand()).toContain('DROP DATABASE IF EXISTS \\`app\\`; CREATE DATABASE \\`app\\`;');
+    });
+
+    it('should keep the password out of the command line', () => {
+      expect(driver.exportCommand('full', '/tmp/f.sql')).not.toContain('secret');
+      expect(driver.importCommand('/tmp/f.sql')).not.toContain('secret');
+      expect(driver.commandEnv().MYSQL_PWD).toBe('secret');
+    });
+  });
+});
@@ -1,13 +1,27 @@
 import { execSync } from 'child_process';
 import path from 'path';
 import fs from 'fs';
-import pg from 'pg';
 import { SafetyChecks } from './safety-checks.mjs';
+import { createDatabaseDriver } from './database-drivers.mjs';
 
 export class DatabaseManager {
+  /**
+   * @param {Object} config - Connection config
+   * @param {string} [config.engine] - 'postgres' (default), 'mysql' or 'mariadb'
+   */
   constructor(config) {
     this.config = config;
-    this.connectionString = `postgresql://${config.user}:${config.password}@${config.host}:${config.port}/${config.database}`;
+    this.driver = createDatabaseDriver(config);
+    this.engine = this.driver.engine;
+    this.connectionString = this.driver.connectionString || null;
+  }
+
+  /**
+   * Run a driver-built shell command
+   * @private
+   */
+  _exec(command) {
+    return execSync(command, { encoding: 'utf-8', env: this.driver.commandEnv() });
   }
 
   /**
@@ -50,8 +64,7 @@ export class DatabaseManager {
         };
       }
 
-      const command = `pg_dump ${this.connectionString} --schema-only --no-owner --no-acl -f ${outputPath}`;
-      execSync(command, { encoding: 'utf-8' });
+      this._exec(this.driver.exportCommand('schema', outputPath));
 
       return {
         success: true,
@@ -107,8 +120,7 @@ export class DatabaseManager {
         };
       }
 
-      const command = `pg_dump ${this.connectionString} --data-only --inserts --no-owner --no-acl -f ${outputPath}`;
-      execSync(command, { encoding: 'utf-8' });
+      this._exec(this.driver.exportCommand('data', outputPath));
 
       return {
         success: true,
@@ -164,8 +176,7 @@ export class DatabaseManager {
         };
       }
 
-      const command = `pg_dump ${this.connectionString} --no-owner --no-acl -f ${outputPath}`;
-      execSync(command, { encoding: 'utf-8' });
+      this._exec(this.driver.exportCommand('full', outputPath));
 
       return {
         success: true,
@@ -233,8 +244,7 @@ export class DatabaseManager {
         };
       }
 
-      const command = `psql ${this.connectionString} -f ${inputPath}`;
-      execSync(command, { encoding: 'utf-8' });
+      this._exec(this.driver.importCommand(inputPath));
 
       return {
         success: true,
@@ -303,17 +313,7 @@ export class DatabaseManager {
         };
       }
 
-      const client = new pg.Client(this.config);
-
-      await client.connect();
-      await client.query('BEGIN');
-
-      // Execute import (directly with execSync so errors propagate)
-      const command = `psql ${this.connectionString} -f ${inputPath}`;
-      execSync(command, { encoding: 'utf-8' });
-
-      await client.query('COMMIT');
-      await client.end();
+      await this.driver.importWithTransaction(inputPath);
 
       return {
         success: true,
@@ -330,6 +330,25 @@ export class DatabaseManager {
     }
   }
 
+  /**
+   * Drop every table, view and function in the database
+   * Used before restoring a full dump so objects created after the dump
+   * (e.g. by a migration being rolled back) don't survive the restore.
+   * @returns {Promise<object>} Result with success status
+   */
+  async resetDatabase() {
+    try {
+      this._exec(this.driver.resetCommand());
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Estimate database size
    * @private
@@ -337,11 +356,7 @@ export class DatabaseManager {
    */
   async _estimateDatabaseSize() {
     try {
-      const client = new pg.Client(this.config);
-      await client.connect();
-      const size = await SafetyChecks.estimateDatabaseSize(client, this.config.database);
-      await client.end();
-      return size;
+      return await this.driver.estimateSize();
     } catch (error) {
       console.error('Failed to estimate database size:', error.message);
       // Return a conservative estimate (100MB) if we can't determine size
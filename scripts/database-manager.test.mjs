@@ -288,4 +288,63 @@ describe('DatabaseManager', () => {
       );
     });
   });
+
+  describe('MySQL / MariaDB', () => {
+    let mysqlManager;
+
+    beforeEach(() => {
+      mysqlManager = new DatabaseManager({
+        engine: 'mysql',
+        host: 'localhost',
+        port: 3306,
+        database: 'app',
+        user: 'root',
+        password: 'secret'
+      });
+      execSync.mockReturnValue('1048576\n');
+    });
+
+    it('should export with mysqldump and pass the password via MYSQL_PWD', async () => {
+      const result = await mysqlManager.exportSchema('/tmp/schema.sql');
+
+      expect(result.success).toBe(true);
+      expect(execSync).toHaveBeenCalledWith(
+        expect.stringMatching(/^mysqldump .*--no-data .* app --result-file=\/tmp\/schema\.sql$/),
+        expect.objectContaining({ env: expect.objectContaining({ MYSQL_PWD: 'secret' }) })
+      );
+      expect(pg.Client).not.toHaveBeenCalled();
+    });
+
+    it('should import with the mysql client', async () => {
+      const result = await mysqlManager.importSQL('/tmp/import.sql');
+
+      expect(result.success).toBe(true);
+      expect(execSync).toHaveBeenCalledWith(
+        expect.stringContaining('mysql --protocol=TCP -h localhost -P 3306 -u root app < /tmp/import.sql'),
+        expect.any(Object)
+      );
+    });
+
+    it('should wrap transactional imports in START TRANSACTION / COMMIT', async () => {
+      const result = await mysqlManager.importWithTransaction('/tmp/import.sql');
+
+      expect(result.success).toBe(true);
+      expect(execSync).toHaveBeenCalledWith(
+        expect.stringContaining('START TRANSACTION'),
+        expect.any(Object)
+      );
+    });
+
+    it('should estimate size from information_schema', async () => {
+      await mysqlManager.exportFull('/tmp/full.sql');
+
+      expect(SafetyChecks.validateOperation).toHaveBeenCalledWith(
+        expect.objectContaining({ estimatedSize: 1048576 })
+      );
+    });
+
+    it('should reject unknown engines', () => {
+      expect(() => new DatabaseManager({ ...dbConfig, engine: 'oracle' })).toThrow(/Unsupported database engine/);
+    });
+  });
 });
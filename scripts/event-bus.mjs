@@ -0,0 +1,144 @@
+/**
+ * EventBus
+ *
+ * Typed, persistent events about what happens to worktrees (created, services
+ * failed, sync conflicted, ...). Unlike `WorktreeManager.broadcast`, which only
+ * reaches connected browsers, events are kept in a bounded on-disk log and
+ * handed to every subscriber (see WebhookDispatcher), so Slack, CI or other
+ * dashboards can follow along.
+ *
+ * Every event has the shape { id, type, timestamp, data }.
+ */
+
+import { EventEmitter } from 'events';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+
+export const EVENT_TYPES = [
+  'worktree.created',
+  'worktree.deleted',
+  'services.started',
+  'services.failed',
+  'services.stopped',
+  'services.crash-loop',
+  'sync.completed',
+  'sync.conflicted',
+  'sync.failed',
+  'backup.finished',
+  'diagnostics.failed',
+  'agent.idle',
+  'agent.awaiting-input',
+  'agent.finished',
+  'ping'
+];
+
+const MAX_EVENTS = 1000;
+
+/**
+ * Whether an event type matches a subscription pattern
+ * ('*', an exact type, or a prefix wildcard like 'worktree.*')
+ * @param {string} pattern
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function matchesEventType(pattern, type) {
+  if (pattern === '*' || pattern === type) {
+    return true;
+  }
+  return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+}
+
+export class EventBus extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.logFile - JSONL file persisting events across restarts
+   * @param {number} options.maxEvents - Events kept (in memory and on disk)
+   */
+  constructor({ logFile = null, maxEvents = MAX_EVENTS } = {}) {
+    super();
+    this.logFile = logFile;
+    this.maxEvents = maxEvents;
+    this._events = [];
+    this._linesOnDisk = 0;
+    this._load();
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    if (!this.logFile || !existsSync(this.logFile)) {
+      return;
+    }
+
+    const lines = readFileSync(this.logFile, 'utf-8').split('\n').filter(Boolean);
+    this._linesOnDisk = lines.length;
+    this._events = lines.flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // Line cut short by a crash
+      }
+    }).slice(-this.maxEvents);
+  }
+
+  /**
+   * Append an event to the log file, compacting it once it holds twice the limit
+   * @private
+   */
+  _persist(event) {
+    if (!this.logFile) {
+      return;
+    }
+
+    try {
+      mkdirSync(dirname(this.logFile), { recursive: true });
+      if (this._linesOnDisk >= this.maxEvents * 2) {
+        writeFileSync(this.logFile, this._events.map(e => JSON.stringify(e) + '\n').join(''));
+        this._linesOnDisk = this._events.length;
+      } else {
+        appendFileSync(this.logFile, JSON.stringify(event) + '\n');
+        this._linesOnDisk++;
+      }
+    } catch (error) {
+      console.error('[EVENTS] Failed to persist event:', error.message);
+    }
+  }
+
+  /**
+   * Record an event and hand it to subscribers
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @returns {Object} The event ({ id, type, timestamp, data })
+   */
+  publish(type, data = {}) {
+    const event = { id: randomUUID(), type, timestamp: new Date().toISOString(), data };
+
+    this._events.push(event);
+    if (this._events.length > this.maxEvents) {
+      this._events.splice(0, this._events.length - this.maxEvents);
+    }
+    this._persist(event);
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Recent events, oldest first
+   * @param {Object} filters
+   * @param {string} filters.type - Type or pattern ('sync.*')
+   * @param {string} filters.since - Only events after this ISO time
+   * @param {number} filters.limit - Most recent N matches (default: 100)
+   * @returns {Object[]}
+   */
+  list({ type, since, limit = 100 } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const matches = this._events.filter(event =>
+      (!type || matchesEventType(type, event.type)) &&
+      (sinceTime === null || new Date(event.timestamp).getTime() > sinceTime)
+    );
+    return matches.slice(-limit);
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventBus, matchesEventType } from './event-bus.mjs';
+
+describe('matchesEventType', () => {
+  it('should match exact types, prefix wildcards and *', () => {
+    expect(matchesEventType('sync.conflicted', 'sync.conflicted')).toBe(true);
+    expect(matchesEventType('sync.*', 'sync.conflicted')).toBe(true);
+    expect(matchesEventType('*', 'agent.idle')).toBe(true);
+    expect(matchesEventType('sync.*', 'services.started')).toBe(false);
+    expect(matchesEventType('agent', 'agent.idle')).toBe(false);
+  });
+});
+
+describe('EventBus', () => {
+  let tempDir;
+  let logFile;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-bus-test-'));
+    logFile = path.join(tempDir, 'events.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should give subscribers typed events with an id and timestamp', () => {
+    const bus = new EventBus();
+    const received = [];
+    bus.on('event', event => received.push(event));
+
+    const event = bus.publish('worktree.created', { name: 'feature-x' });
+
+    expect(event).toMatchObject({ type: 'worktree.created', data: { name: 'feature-x' } });
+    expect(event.id).toBeTruthy();
+    expect(Date.parse(event.timestamp)).not.toBeNaN();
+    expect(received).toEqual([event]);
+  });
+
+  it('should keep events across restarts', () => {
+    const bus = new EventBus({ logFile });
+    bus.publish('worktree.created', { name: 'a' });
+    bus.publish('sync.conflicted', { worktree: 'a', conflicts: ['x.js'] });
+
+    const reloaded = new EventBus({ logFile });
+
+    expect(reloaded.list().map(e => e.type)).toEqual(['worktree.created', 'sync.conflicted']);
+  });
+
+  it('should filter by type pattern, time and count', () => {
+    const bus = new EventBus();
+    bus.publish('sync.completed', { worktree: 'a' });
+    const cutoff = new Date(Date.now() - 1).toISOString();
+    bus._events[0].timestamp = '2020-01-01T00:00:00.000Z';
+    bus.publish('sync.conflicted', { worktree: 'b' });
+    bus.publish('services.started', { worktree: 'c' });
+
+    expect(bus.list({ type: 'sync.*' }).map(e => e.data.worktree)).toEqual(['a', 'b']);
+    expect(bus.list({ since: cutoff }).map(e => e.data.worktree)).toEqual(['b', 'c']);
+    expect(bus.list({ limit: 1 }).map(e => e.data.worktree)).toEqual(['c']);
+  });
+
+  it('should stay within maxEvents in memory and on disk', () => {
+    const bus = new EventBus({ logFile, maxEvents: 3 });
+    for (let i = 0; i < 10; i++) {
+      bus.publish('ping', { i });
+    }
+
+    expect(bus.list().map(e => e.data.i)).toEqual([7, 8, 9]);
+    const lines = fs.readFileSync(logFile, 'utf-8').split('\n').filter(Boolean);
+    expect(lines.length).toBeLessThanOrEqual(6);
+    expect(new EventBus({ logFile, maxEvents: 3 }).list().map(e => e.data.i)).toEqual([7, 8, 9]);
+  });
+});
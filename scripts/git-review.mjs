@@ -0,0 +1,289 @@
+/**
+ * Git Review - Structured diffs of a worktree plus hunk-level staging
+ *
+ * Backs the review view in the web UI: diff a worktree against its base branch
+ * or look at the working tree / index, then stage, unstage or discard whole
+ * files or single hunks and commit the result.
+ */
+
+import { execFileSync } from 'child_process';
+import { isAbsolute, normalize } from 'path';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+export const DIFF_MODES = ['unstaged', 'staged', 'base'];
+
+/**
+ * Parse `git diff` output into files and hunks
+ * @param {string} text - Unified diff produced by git
+ * @returns {Object[]} Files: { path, oldPath, newPath, status, binary, header, hunks, additions, deletions }
+ */
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      file = {
+        oldPath: match?.[1] ?? null,
+        newPath: match?.[2] ?? null,
+        path: match?.[2] ?? line.substring('diff --git '.length),
+        status: 'modified',
+        binary: false,
+        header: [line],
+        hunks: [],
+        additions: 0,
+        deletions: 0
+      };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+
+    if (!file) continue;
+
+    const hunkMatch = line.match(HUNK_HEADER);
+    if (hunkMatch) {
+      oldLine = Number(hunkMatch[1]);
+      newLine = Number(hunkMatch[3]);
+      hunk = {
+        header: line,
+        oldStart: oldLine,
+        oldLines: hunkMatch[2] === undefined ? 1 : Number(hunkMatch[2]),
+        newStart: newLine,
+        newLines: hunkMatch[4] === undefined ? 1 : Number(hunkMatch[4]),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      file.header.push(line);
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from')) file.status = 'renamed';
+      else if (line.startsWith('Binary files')) file.binary = true;
+      else if (line.startsWith('--- ') && line !== '--- /dev/null') file.oldPath = line.substring(6);
+      else if (line.startsWith('+++ ') && line !== '+++ /dev/null') file.newPath = file.path = line.substring(6);
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.substring(1), oldLine: null, newLine: newLine++ });
+      file.additions++;
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.substring(1), oldLine: oldLine++, newLine: null });
+      file.deletions++;
+    } else if (line.startsWith(' ')) {
+      hunk.lines.push({ type: 'context', content: line.substring(1), oldLine: oldLine++, newLine: newLine++ });
+    } else if (line.startsWith('\\')) {
+      hunk.lines.push({ type: 'meta', content: line, oldLine: null, newLine: null });
+    }
+  }
+
+  if (files.length > 0) {
+    // A trailing newline in git's output leaves an empty last header/context line
+    const last = files[files.length - 1];
+    if (last.hunks.length === 0 && last.header[last.header.length - 1] === '') {
+      last.header.pop();
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Build a patch containing a single hunk of a file, suitable for `git apply`
+ * @param {Object} file - Parsed file from parseUnifiedDiff
+ * @param {Object} hunk - One of file.hunks
+ * @returns {string}
+ */
+export function buildHunkPatch(file, hunk) {
+  const body = hunk.lines.map(line => {
+    if (line.type === 'meta') return line.content;
+    const prefix = { add: '+', del: '-', context: ' ' }[line.type];
+    return `${prefix}${line.content}`;
+  });
+
+  return [...file.header, hunk.header, ...body, ''].join('\n');
+}
+
+export class GitReviewManager {
+  /**
+   * @param {string} worktreePath - Absolute path to the worktree
+   * @param {string} baseBranch - Branch the worktree is reviewed against (default: 'main')
+   */
+  constructor(worktreePath, baseBranch = 'main') {
+    this.worktreePath = worktreePath;
+    this.baseBranch = baseBranch;
+  }
+
+  /**
+   * Get a structured diff
+   * @param {string} mode - 'unstaged' (working tree vs index), 'staged' (index vs HEAD)
+   *   or 'base' (working tree vs merge-base with the base branch)
+   * @returns {{mode: string, base: string|null, files: Object[], untracked: string[]}}
+   */
+  getDiff(mode = 'unstaged') {
+    if (!DIFF_MODES.includes(mode)) {
+      throw new Error(`Unknown diff mode: ${mode}`);
+    }
+
+    let base = null;
+    const args = ['diff', '--no-color', '--no-ext-diff'];
+
+    if (mode === 'staged') {
+      args.push('--cached');
+    } else if (mode === 'base') {
+      base = this._git(['merge-base', 'HEAD', this.baseBranch]).trim();
+      args.push(base);
+    }
+
+    const files = parseUnifiedDiff(this._git(args));
+    const untracked = mode === 'staged'
+      ? []
+      : this._git(['ls-files', '--others', '--exclude-standard']).split('\n').filter(Boolean);
+
+    return { mode, base, files, untracked };
+  }
+
+  /**
+   * Stage a file, or one hunk of it
+   * @param {string} path - Path relative to the worktree
+   * @param {string|null} hunkHeader - '@@ ... @@' line of the hunk; whole file when omitted
+   * @returns {{success: boolean, error?: string}}
+   */
+  stage(path, hunkHeader = null) {
+    return this._run(path, () => {
+      if (hunkHeader) {
+        this._applyHunk(['diff', '--no-color', '--', path], hunkHeader, ['apply', '--cached']);
+      } else {
+        this._git(['add', '--', path]);
+      }
+    });
+  }
+
+  /**
+   * Unstage a file, or one hunk of it
+   * @param {string} path - Path relative to the worktree
+   * @param {string|null} hunkHeader - '@@ ... @@' line of the staged hunk
+   * @returns {{success: boolean, error?: string}}
+   */
+  unstage(path, hunkHeader = null) {
+    return this._run(path, () => {
+      if (hunkHeader) {
+        this._applyHunk(['diff', '--no-color', '--cached', '--', path], hunkHeader, ['apply', '--cached', '--reverse']);
+      } else {
+        this._git(['reset', '-q', 'HEAD', '--', path]);
+      }
+    });
+  }
+
+  /**
+   * Discard unstaged changes to a file, or one hunk of them. Untracked files are deleted.
+   * @param {string} path - Path relative to the worktree
+   * @param {string|null} hunkHeader - '@@ ... @@' line of the unstaged hunk
+   * @returns {{success: boolean, error?: string}}
+   */
+  discard(path, hunkHeader = null) {
+    return this._run(path, () => {
+      if (hunkHeader) {
+        this._applyHunk(['diff', '--no-color', '--', path], hunkHeader, ['apply', '--reverse']);
+        return;
+      }
+
+      const untracked = this._git(['ls-files', '--others', '--exclude-standard', '--', path]).trim();
+      if (untracked) {
+        this._git(['clean', '-f', '--', path]);
+      } else {
+        this._git(['checkout', '--', path]);
+      }
+    });
+  }
+
+  /**
+   * Commit the staged changes
+   * @param {string} message - Commit message
+   * @returns {{success: boolean, commit?: string, error?: string}}
+   */
+  commit(message) {
+    if (typeof message !== 'string' || !message.trim()) {
+      return { success: false, error: 'Commit message is required' };
+    }
+
+    if (!this._git(['diff', '--cached', '--name-only']).trim()) {
+      return { success: false, error: 'Nothing staged to commit' };
+    }
+
+    try {
+      this._git(['commit', '-F', '-'], { input: message });
+      const commit = this._git(['rev-parse', '--short', 'HEAD']).trim();
+      return { success: true, commit };
+    } catch (error) {
+      return { success: false, error: error.stderr?.toString().trim() || error.message };
+    }
+  }
+
+  /**
+   * Find a hunk in a fresh diff and feed it to `git apply`
+   * @private
+   */
+  _applyHunk(diffArgs, hunkHeader, applyArgs) {
+    const [file] = parseUnifiedDiff(this._git(diffArgs));
+    const hunk = file?.hunks.find(h => h.header === hunkHeader);
+
+    if (!hunk) {
+      throw new Error('Hunk not found; the diff changed since it was loaded');
+    }
+
+    this._git(applyArgs, { input: buildHunkPatch(file, hunk) });
+  }
+
+  /**
+   * Validate a path and run a git action, returning a result object
+   * @private
+   */
+  _run(path, action) {
+    if (!this._isSafePath(path)) {
+      return { success: false, error: 'Invalid path' };
+    }
+
+    try {
+      action();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.stderr?.toString().trim() || error.message };
+    }
+  }
+
+  /**
+   * Only accept relative paths that stay inside the worktree
+   * @private
+   */
+  _isSafePath(path) {
+    if (typeof path !== 'string' || !path || isAbsolute(path)) {
+      return false;
+    }
+
+    const normalized = normalize(path);
+    return normalized !== '..' && !normalized.startsWith('../');
+  }
+
+  /**
+   * @private
+   */
+  _git(args, options = {}) {
+    return execFileSync('git', args, {
+      cwd: this.worktreePath,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      maxBuffer: 32 * 1024 * 1024,
+      ...options
+    });
+  }
+}
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseUnifiedDiff, buildHunkPatch, GitReviewManager } from './git-review.mjs';
+
+const SAMPLE_DIFF = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,3 @@
+ const a = 1;
+-const b = 2;
++const b = 3;
+ const c = 4;
+@@ -10,2 +10,3 @@ function main() {
+   run();
++  log();
+ }
+diff --git a/new.txt b/new.txt
+new file mode 100644
+index 0000000..3333333
+--- /dev/null
++++ b/new.txt
+@@ -0,0 +1 @@
++hello
+\\ No newline at end of file
+diff --git a/logo.png b/logo.png
+index 4444444..5555555 100644
+Binary files a/logo.png and b/logo.png differ
+`;
+
+describe('parseUnifiedDiff', () => {
+  it('should split files and hunks with line numbers', () => {
+    const [app] = parseUnifiedDiff(SAMPLE_DIFF);
+
+    expect(app).toMatchObject({ path: 'src/app.js', status: 'modified', additions: 2, deletions: 1 });
+    expect(app.hunks).toHaveLength(2);
+    expect(app.hunks[0]).toMatchObject({ oldStart: 1, oldLines: 3, newStart: 1, newLines: 3 });
+    expect(app.hunks[0].lines).toEqual([
+      { type: 'context', content: 'const a = 1;', oldLine: 1, newLine: 1 },
+      { type: 'del', content: 'const b = 2;', oldLine: 2, newLine: null },
+      { type: 'add', content: 'const b = 3;', oldLine: null, newLine: 2 },
+      { type: 'context', content: 'const c = 4;', oldLine: 3, newLine: 3 }
+    ]);
+    expect(app.hunks[1].lines[1]).toEqual({ type: 'add', content: '  log();', oldLine: null, newLine: 11 });
+  });
+
+  it('should detect added and binary files', () => {
+    const [, added, binary] = parseUnifiedDiff(SAMPLE_DIFF);
+
+    expect(added).toMatchObject({ path: 'new.txt', status: 'added', additions: 1 });
+    expect(added.hunks[0]).toMatchObject({ oldStart: 0, oldLines: 0, newStart: 1, newLines: 1 });
+    expect(added.hunks[0].lines[1].type).toBe('meta');
+    expect(binary).toMatchObject({ path: 'logo.png', binary: true, hunks: [] });
+  });
+
+  it('should return no files for an empty diff', () => {
+    expect(parseUnifiedDiff('')).toEqual([]);
+  });
+});
+
+describe('buildHunkPatch', () => {
+  it('should rebuild a single-hunk patch', () => {
+    const [app] = parseUnifiedDiff(SAMPLE_DIFF);
+
+    expect(buildHunkPatch(app, app.hunks[1])).toBe([
+      'diff --git a/src/app.js b/src/app.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -10,2 +10,3 @@ function main() {',
+      '   run();',
+      '+  log();',
+      ' }',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('GitReviewManager', () => {
+  let repo;
+  let review;
+
+  const git = (command) => execSync(`git ${command}`, { cwd: repo, encoding: 'utf-8' });
+  const write = (file, content) => fs.writeFileSync(path.join(repo, file), content);
+  const lines = (count, change = {}) =>
+    Array.from({ length: count }, (_, i) => change[i + 1] ?? `line ${i + 1}`).join('\n') + '\n';
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'git-review-test-'));
+    git('init -q -b main');
+    git('config user.email test@example.com');
+    git('config user.name Test');
+    write('file.txt', lines(20));
+    git('add file.txt');
+    git('commit -q -m initial');
+
+    review = new GitReviewManager(repo);
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('should stage and unstage a single hunk', () => {
+    write('file.txt', lines(20, { 2: 'changed 2', 18: 'changed 18' }));
+
+    const [file] = review.getDiff('unstaged').files;
+    expect(file.hunks).toHaveLength(2);
+
+    expect(review.stage('file.txt', file.hunks[0].header)).toEqual({ success: true });
+    expect(git('diff --cached')).toContain('+changed 2');
+    expect(git('diff --cached')).not.toContain('+changed 18');
+    expect(review.getDiff('unstaged').files[0].hunks).toHaveLength(1);
+
+    const [staged] = review.getDiff('staged').files;
+    expect(review.unstage('file.txt', staged.hunks[0].header)).toEqual({ success: true });
+    expect(git('diff --cached')).toBe('');
+  });
+
+  it('should discard a single hunk and leave the rest', () => {
+    write('file.txt', lines(20, { 2: 'changed 2', 18: 'changed 18' }));
+
+    const [file] = review.getDiff('unstaged').files;
+    expect(review.discard('file.txt', file.hunks[1].header)).toEqual({ success: true });
+
+    const content = fs.readFileSync(path.join(repo, 'file.txt'), 'utf-8');
+    expect(content).toContain('changed 2');
+    expect(content).toContain('line 18');
+  });
+
+  it('should list untracked files and delete them on discard', () => {
+    write('notes.md', 'draft\n');
+
+    expect(review.getDiff('unstaged').untracked).toEqual(['notes.md']);
+    expect(review.discard('notes.md')).toEqual({ success: true });
+    expect(fs.existsSync(path.join(repo, 'notes.md'))).toBe(false);
+  });
+
+  it('should diff against the merge-base with the base branch', () => {
+    git('checkout -q -b feature');
+    write('file.txt', lines(20, { 5: 'committed on feature' }));
+    git('commit -q -am feature');
+    write('file.txt', lines(20, { 5: 'committed on feature', 10: 'uncommitted' }));
+
+    const diff = review.getDiff('base');
+
+    expect(diff.base).toBe(git('rev-parse main').trim());
+    expect(diff.files[0].additions).toBe(2);
+  });
+
+  it('should commit staged changes', () => {
+    write('file.txt', lines(20, { 1: 'first' }));
+    review.stage('file.txt');
+
+    const result = review.commit('Update first line');
+
+    expect(result.success).toBe(true);
+    expect(git('log -1 --pretty=%s').trim()).toBe('Update first line');
+    expect(review.commit('again')).toEqual({ success: false, error: 'Nothing staged to commit' });
+  });
+
+  it('should reject paths outside the worktree', () => {
+    expect(review.stage('../etc/passwd')).toEqual({ success: false, error: 'Invalid path' });
+    expect(review.discard('/etc/passwd')).toEqual({ success: false, error: 'Invalid path' });
+  });
+
+  it('should report stale hunks', () => {
+    write('file.txt', lines(20, { 2: 'changed 2' }));
+
+    expect(review.stage('file.txt', '@@ -1,1 +1,1 @@').error).toMatch(/Hunk not found/);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * GitHub CLI - Thin wrapper around `gh`
+ *
+ * All GitHub access goes through `exec`, which defaults to spawning the real
+ * `gh` binary. Tests (or offline setups) pass their own `exec` to fake it.
+ */
+
+import { execFile } from 'child_process';
+
+const PR_FIELDS = 'number,url,title,state,isDraft,reviewDecision,statusCheckRollup,headRefName,baseRefName';
+const UNAVAILABLE_RECHECK = 60 * 1000; // Check a missing or logged-out gh again after this long
+
+/**
+ * Run the real gh binary without blocking the event loop
+ * @param {string[]} args - Arguments for gh
+ * @param {Object} options - { cwd, input }
+ * @returns {Promise<string>} stdout
+ */
+function execGh(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('gh', args, { cwd: options.cwd, encoding: 'utf-8', timeout: 30000 }, (error, stdout, stderr) => {
+      if (error) {
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+    child.stdin.end(options.input ?? '');
+  });
+}
+
+/**
+ * Reduce a statusCheckRollup to counts and an overall state
+ * @param {Object[]} rollup - CheckRun / StatusContext entries from `gh pr view --json statusCheckRollup`
+ * @returns {{state: string, passed: number, failed: number, pending: number}}
+ *   state is 'passing', 'failing', 'pending' or 'none'
+ */
+export function summarizeChecks(rollup = []) {
+  const counts = { passed: 0, failed: 0, pending: 0 };
+
+  for (const check of rollup || []) {
+    // CheckRun has status/conclusion, StatusContext has state
+    const result = check.conclusion || (check.status && check.status !== 'COMPLETED' ? 'PENDING' : check.state);
+
+    if (['SUCCESS', 'NEUTRAL', 'SKIPPED'].includes(result)) {
+      counts.passed++;
+    } else if (['FAILURE', 'ERROR', 'CANCELLED', 'TIMED_OUT', 'ACTION_REQUIRED', 'STARTUP_FAILURE'].includes(result)) {
+      counts.failed++;
+    } else {
+      counts.pending++;
+    }
+  }
+
+  let state = 'none';
+  if (counts.failed > 0) state = 'failing';
+  else if (counts.pending > 0) state = 'pending';
+  else if (counts.passed > 0) state = 'passing';
+
+  return { state, ...counts };
+}
+
+export class GitHubCli {
+  /**
+   * @param {Object} options
+   * @param {Function} options.exec - async (args, { cwd, input }) => stdout; defaults to running `gh`
+   */
+  constructor(options = {}) {
+    this.exec = options.exec || execGh;
+    this._available = null;
+    this._checkedAt = 0;
+  }
+
+  /**
+   * Check if gh is installed and authenticated
+   * A negative answer expires, so installing gh or running `gh auth login`
+   * takes effect without restarting the server.
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    if (this._available === null || (!this._available && Date.now() - this._checkedAt >= UNAVAILABLE_RECHECK)) {
+      try {
+        await this.exec(['auth', 'status']);
+        this._available = true;
+      } catch (error) {
+        this._available = false;
+      }
+      this._checkedAt = Date.now();
+    }
+    return this._available;
+  }
+
+  /**
+   * Open a pull request for the current branch
+   * @param {string} cwd - Worktree path
+   * @param {Object} pr - { title, body, base, head, draft }
+   * @returns {Promise<string>} URL of the new pull request
+   */
+  async createPullRequest(cwd, { title, body, base, head, draft = false }) {
+    const args = ['pr', 'create', '--title', title, '--body-file', '-', '--base', base];
+    if (head) args.push('--head', head);
+    if (draft) args.push('--draft');
+
+    return (await this.exec(args, { cwd, input: body || '' })).trim();
+  }
+
+  /**
+   * Get the pull request for a branch
+   * @param {string} cwd - Worktree path
+   * @param {string} branch - Head branch name
+   * @returns {Promise<Object|null>} Null when the branch has no pull request
+   */
+  async getPullRequest(cwd, branch) {
+    try {
+      const output = await this.exec(['pr', 'view', branch, '--json', PR_FIELDS], { cwd });
+      return JSON.parse(output);
+    } catch (error) {
+      const stderr = error.stderr?.toString() || error.message;
+      if (/no pull requests found/i.test(stderr)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,289 @@
+import { execSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, statSync } from 'fs';
+import { dirname, join } from 'path';
+
+/**
+ * IdleSuspendScheduler
+ *
+ * Stops the services of worktrees nobody has touched for a while and starts
+ * them again on demand. A worktree is idle when it has had no terminal input,
+ * no web-UI tab heartbeat and no file changes for `idleTimeout` ms.
+ */
+export class IdleSuspendScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.worktreeManager - WorktreeManager instance
+   * @param {number} options.idleTimeout - Idle period before suspending in ms (default: 4 hours)
+   * @param {number} options.checkInterval - How often to look for idle worktrees in ms (default: 1 minute)
+   * @param {string[]} options.exclude - Worktree names that are never suspended (default: ['main'])
+   * @param {string|null} options.stateFile - JSON file persisting suspended worktrees across restarts
+   */
+  constructor(options) {
+    this.worktreeManager = options.worktreeManager;
+    this.idleTimeout = options.idleTimeout ?? 4 * 60 * 60 * 1000;
+    this.checkInterval = options.checkInterval ?? 60 * 1000;
+    this.exclude = new Set(options.exclude ?? ['main']);
+    this.stateFile = options.stateFile ?? null;
+
+    this.intervalId = null;
+    this.startedAt = Date.now();
+    this._activity = new Map(); // worktreeName -> { at, source }
+    this._suspended = new Map(); // worktreeName -> suspendedAt (ISO string)
+    this._waking = new Map(); // worktreeName -> Promise of wake result
+    this._checking = false;
+
+    this._loadState();
+  }
+
+  /**
+   * Start checking for idle worktrees
+   */
+  start() {
+    if (this.intervalId) {
+      console.log('[IdleSuspend] Already running');
+      return;
+    }
+
+    // Everything counts as active at startup so a server restart never suspends straight away
+    this.startedAt = Date.now();
+
+    console.log(`[IdleSuspend] Suspending worktrees after ${Math.round(this.idleTimeout / 60000)} idle minute(s)`);
+    this.intervalId = setInterval(() => {
+      this.checkIdle().catch(error => {
+        console.error(`[IdleSuspend] Idle check failed: ${error.message}`);
+      });
+    }, this.checkInterval);
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      console.log('[IdleSuspend] Stopped');
+    }
+  }
+
+  /**
+   * Check if scheduler is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.intervalId !== null;
+  }
+
+  /**
+   * Record activity for a worktree, waking it if it was suspended
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} source - What caused the activity ('terminal', 'webui', ...)
+   * @returns {Promise<{success: boolean, woke: boolean, error?: string}>|null} Wake result, or null if not suspended
+   */
+  recordActivity(worktreeName, source) {
+    this._activity.set(worktreeName, { at: Date.now(), source });
+
+    if (this.isSuspended(worktreeName)) {
+      return this.wake(worktreeName);
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} worktreeName
+   * @returns {boolean}
+   */
+  isSuspended(worktreeName) {
+    return this._suspended.has(worktreeName);
+  }
+
+  /**
+   * Restart the services of a suspended worktree
+   * Concurrent calls for the same worktree share one start.
+   * @param {string} worktreeName - Name of the worktree
+   * @returns {Promise<{success: boolean, woke: boolean, error?: string}>}
+   */
+  async wake(worktreeName) {
+    if (!this.isSuspended(worktreeName)) {
+      return { success: true, woke: false };
+    }
+
+    if (!this._waking.has(worktreeName)) {
+      const waking = this._wake(worktreeName).finally(() => {
+        this._waking.delete(worktreeName);
+      });
+      this._waking.set(worktreeName, waking);
+    }
+
+    return this._waking.get(worktreeName);
+  }
+
+  /**
+   * @private
+   */
+  async _wake(worktreeName) {
+    console.log(`[IdleSuspend] Waking ${worktreeName}`);
+    const result = await this.worktreeManager.startServices(worktreeName);
+
+    if (!result.success) {
+      console.error(`[IdleSuspend] Failed to wake ${worktreeName}: ${result.error}`);
+      return { success: false, woke: false, error: result.error };
+    }
+
+    this._suspended.delete(worktreeName);
+    this._saveState();
+    this.worktreeManager.broadcast('worktree:resumed', { name: worktreeName });
+
+    return { success: true, woke: true };
+  }
+
+  /**
+   * Suspend every worktree that has running services and has been idle for idleTimeout
+   * @returns {Promise<string[]>} Names of worktrees that were suspended
+   */
+  async checkIdle() {
+    if (this._checking) return [];
+    this._checking = true;
+
+    try {
+      const now = Date.now();
+      const suspended = [];
+
+      for (const { name, path } of this.worktreeManager._worktreeLocations()) {
+        if (this.exclude.has(name) || this._waking.has(name)) continue;
+
+        const running = this.worktreeManager.getDockerStatus(path, name)
+          .filter(container => container.state === 'running');
+
+        if (this.isSuspended(name)) {
+          // Started by hand since it was suspended
+          if (running.length > 0) {
+            this._suspended.delete(name);
+            this._saveState();
+          }
+          continue;
+        }
+
+        if (running.length === 0 || now - this.getLastActivity(name, path) < this.idleTimeout) continue;
+
+        const result = await this.suspend(name);
+        if (result.success) {
+          suspended.push(name);
+        }
+      }
+
+      return suspended;
+    } finally {
+      this._checking = false;
+    }
+  }
+
+  /**
+   * Stop a worktree's services and remember that it was suspended
+   * @param {string} worktreeName - Name of the worktree
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async suspend(worktreeName) {
+    console.log(`[IdleSuspend] Suspending idle worktree ${worktreeName}`);
+    const result = await this.worktreeManager.suspendServices(worktreeName);
+
+    if (!result.success) {
+      console.error(`[IdleSuspend] Failed to suspend ${worktreeName}: ${result.error}`);
+      return result;
+    }
+
+    const suspendedAt = new Date().toISOString();
+    this._suspended.set(worktreeName, suspendedAt);
+    this._saveState();
+    this.worktreeManager.broadcast('worktree:suspended', { name: worktreeName, suspendedAt });
+
+    return { success: true };
+  }
+
+  /**
+   * Most recent activity for a worktree (terminal/web UI, file changes, scheduler start)
+   * File changes are only looked at when nothing more recent was recorded.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} worktreePath - Path to the worktree
+   * @returns {number} Timestamp in ms
+   */
+  getLastActivity(worktreeName, worktreePath) {
+    const recorded = Math.max(this.startedAt, this._activity.get(worktreeName)?.at ?? 0);
+
+    if (Date.now() - recorded < this.idleTimeout) {
+      return recorded;
+    }
+
+    return Math.max(recorded, this._lastFileChange(worktreePath));
+  }
+
+  /**
+   * Latest modification time of changed files or the last commit
+   * @private
+   */
+  _lastFileChange(worktreePath) {
+    let latest = 0;
+
+    try {
+      const commitTime = execSync('git log -1 --format=%ct', { cwd: worktreePath, encoding: 'utf-8', stdio: 'pipe' });
+      latest = (parseInt(commitTime.trim(), 10) || 0) * 1000;
+
+      const status = execSync('git status --porcelain', { cwd: worktreePath, encoding: 'utf-8', stdio: 'pipe' });
+      for (const line of status.split('\n').filter(Boolean)) {
+        // "XY path" or "XY old -> new" for renames
+        const file = line.substring(3).split(' -> ').pop().replace(/^"|"$/g, '');
+        const filePath = join(worktreePath, file);
+        if (existsSync(filePath)) {
+          latest = Math.max(latest, statSync(filePath).mtimeMs);
+        }
+      }
+    } catch (error) {
+      console.warn(`[IdleSuspend] Could not read file changes in ${worktreePath}: ${error.message}`);
+    }
+
+    return latest;
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {{running: boolean, idleTimeout: number, suspended: Array<{name: string, suspendedAt: string}>}}
+   */
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      idleTimeout: this.idleTimeout,
+      suspended: [...this._suspended].map(([name, suspendedAt]) => ({ name, suspendedAt }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _loadState() {
+    if (!this.stateFile || !existsSync(this.stateFile)) return;
+
+    try {
+      const state = JSON.parse(readFileSync(this.stateFile, 'utf-8'));
+      for (const { name, suspendedAt } of state.suspended || []) {
+        this._suspended.set(name, suspendedAt);
+      }
+    } catch (error) {
+      console.warn(`[IdleSuspend] Ignoring unreadable state file: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _saveState() {
+    if (!this.stateFile) return;
+
+    try {
+      mkdirSync(dirname(this.stateFile), { recursive: true });
+      writeFileSync(this.stateFile, JSON.stringify({ suspended: this.getStatus().suspended }, null, 2));
+    } catch (error) {
+      console.error(`[IdleSuspend] Failed to save state: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { execSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync, statSync } from 'fs';
+import { IdleSuspendScheduler } from './idle-suspend-scheduler.mjs';
+
+vi.mock('child_process');
+vi.mock('fs');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('IdleSuspendScheduler', () => {
+  let scheduler;
+  let mockWorktreeManager;
+  let containers;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+
+    existsSync.mockReturnValue(false);
+    // Last commit long ago, no uncommitted changes
+    execSync.mockImplementation((command) => command.startsWith('git log') ? '1000\n' : '');
+
+    containers = {
+      main: [{ name: 'postgres', state: 'running' }],
+      'feature-a': [{ name: 'api', state: 'running' }],
+      'feature-b': [{ name: 'api', state: 'exited' }]
+    };
+
+    mockWorktreeManager = {
+      _worktreeLocations: vi.fn(() => [
+        { name: 'main', path: '/project' },
+        { name: 'feature-a', path: '/project/.worktrees/feature-a' },
+        { name: 'feature-b', path: '/project/.worktrees/feature-b' }
+      ]),
+      getDockerStatus: vi.fn((path, name) => containers[name]),
+      suspendServices: vi.fn().mockResolvedValue({ success: true }),
+      startServices: vi.fn().mockResolvedValue({ success: true, ports: {} }),
+      broadcast: vi.fn()
+    };
+
+    scheduler = new IdleSuspendScheduler({
+      worktreeManager: mockWorktreeManager,
+      idleTimeout: 2 * HOUR,
+      stateFile: '/home/user/.vibetrees/project/suspended.json'
+    });
+    scheduler.start();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    vi.useRealTimers();
+  });
+
+  describe('checkIdle', () => {
+    it('should not suspend anything before the idle period has passed', async () => {
+      vi.advanceTimersByTime(HOUR);
+
+      expect(await scheduler.checkIdle()).toEqual([]);
+      expect(mockWorktreeManager.suspendServices).not.toHaveBeenCalled();
+    });
+
+    it('should suspend idle worktrees with running services', async () => {
+      vi.setSystemTime(Date.now() + 3 * HOUR);
+
+      const suspended = await scheduler.checkIdle();
+
+      // main is excluded by default, feature-b has nothing running
+      expect(suspended).toEqual(['feature-a']);
+      expect(scheduler.isSuspended('feature-a')).toBe(true);
+      expect(mockWorktreeManager.broadcast).toHaveBeenCalledWith('worktree:suspended', expect.objectContaining({ name: 'feature-a' }));
+      expect(writeFileSync).toHaveBeenCalledWith(
+        '/home/user/.vibetrees/project/suspended.json',
+        expect.stringContaining('feature-a')
+      );
+    });
+
+    it('should treat recent terminal activity as use', async () => {
+      vi.setSystemTime(Date.now() + 3 * HOUR);
+      scheduler.recordActivity('feature-a', 'terminal');
+
+      expect(await scheduler.checkIdle()).toEqual([]);
+    });
+
+    it('should treat recent file changes as use', async () => {
+      vi.setSystemTime(Date.now() + 3 * HOUR);
+      const now = Date.now();
+      execSync.mockImplementation((command) => command.startsWith('git log') ? '1000\n' : ' M src/index.js\n');
+      existsSync.mockReturnValue(true);
+      statSync.mockReturnValue({ mtimeMs: now - 10 * 60 * 1000 });
+
+      expect(await scheduler.checkIdle()).toEqual([]);
+    });
+
+    it('should forget the suspension when services were started by hand', async () => {
+      vi.setSystemTime(Date.now() + 3 * HOUR);
+      await scheduler.checkIdle();
+
+      containers['feature-a'] = [{ name: 'api', state: 'running' }];
+      await scheduler.checkIdle();
+
+      expect(scheduler.isSuspended('feature-a')).toBe(false);
+      expect(mockWorktreeManager.suspendServices).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('wake', () => {
+    beforeEach(async () => {
+      vi.setSystemTime(Date.now() + 3 * HOUR);
+      await scheduler.checkIdle();
+      containers['feature-a'] = [{ name: 'api', state: 'exited' }];
+    });
+
+    it('should restart a suspended worktree on activity', async () => {
+      const result = await scheduler.recordActivity('feature-a', 'webui');
+
+      expect(result).toEqual({ success: true, woke: true });
+      expect(mockWorktreeManager.startServices).toHaveBeenCalledWith('feature-a');
+      expect(mockWorktreeManager.broadcast).toHaveBeenCalledWith('worktree:resumed', { name: 'feature-a' });
+      expect(scheduler.isSuspended('feature-a')).toBe(false);
+    });
+
+    it('should start services once for concurrent wake requests', async () => {
+      await Promise.all([
+        scheduler.recordActivity('feature-a', 'terminal'),
+        scheduler.recordActivity('feature-a', 'webui')
+      ]);
+
+      expect(mockWorktreeManager.startServices).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stay suspended when services fail to start', async () => {
+      mockWorktreeManager.startServices.mockResolvedValue({ success: false, error: 'port busy' });
+
+      const result = await scheduler.wake('feature-a');
+
+      expect(result).toEqual({ success: false, woke: false, error: 'port busy' });
+      expect(scheduler.isSuspended('feature-a')).toBe(true);
+    });
+
+    it('should return null for activity on worktrees that are not suspended', () => {
+      expect(scheduler.recordActivity('feature-b', 'terminal')).toBeNull();
+    });
+  });
+
+  describe('state file', () => {
+    it('should restore suspended worktrees from disk', () => {
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify({
+        suspended: [{ name: 'feature-c', suspendedAt: '2025-12-31T00:00:00.000Z' }]
+      }));
+
+      const restored = new IdleSuspendScheduler({
+        worktreeManager: mockWorktreeManager,
+        stateFile: '/state.json'
+      });
+
+      expect(restored.isSuspended('feature-c')).toBe(true);
+      expect(restored.getStatus().suspended).toEqual([
+        { name: 'feature-c', suspendedAt: '2025-12-31T00:00:00.000Z' }
+      ]);
+    });
+  });
+});
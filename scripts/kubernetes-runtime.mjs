@@ -0,0 +1,531 @@
+/**
+ * Kubernetes Runtime
+ *
+ * Runs a worktree's services on a local Kubernetes cluster (kind, k3d, ...)
+ * instead of docker compose. Each worktree gets its own namespace, into which
+ * the manifests in its `container.kubernetes.manifests` directory are applied.
+ * Services are reached through `kubectl port-forward` on the ports allocated
+ * by PortRegistry, and their status is reported in the same shape as
+ * WorktreeManager.getDockerStatus.
+ *
+ * Everything goes through the kubectl CLI, so a stub kubectl is enough to test it.
+ */
+
+import { execFile, execFileSync, spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import YAML from 'yaml';
+
+const FORWARD_RESTART_DELAY = 2000; // ms before a port-forward that ended is started again
+const MANIFEST_EXTENSIONS = ['.yml', '.yaml', '.json'];
+const WORKLOAD_KINDS = 'deployments,statefulsets';
+const KUBECTL_TIMEOUT = 30000; // ms before a kubectl call is killed
+const REQUEST_TIMEOUT = '20s'; // Per API request, so an unreachable cluster fails instead of hanging
+
+/**
+ * Namespace for a worktree: a DNS-1123 label (lowercase alphanumerics and '-', at most 63 characters)
+ * A hash of the exact name keeps worktrees that slug alike (feature-x, feature_x) apart.
+ * @param {string} worktreeName
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function namespaceFor(worktreeName, prefix = 'vibe-') {
+  const hash = createHash('sha256').update(worktreeName).digest('hex').slice(0, 8);
+  const name = `${prefix}${worktreeName}`
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .slice(0, 63 - hash.length - 1)
+    .replace(/^-+|-+$/g, '');
+  return `${name || 'vibe'}-${hash}`;
+}
+
+/**
+ * Services and their ports declared by `kind: Service` objects in manifests,
+ * in the shape of ComposeInspector.getServices
+ * @param {string} manifestsDir - Directory of YAML/JSON manifests
+ * @returns {Array<{name: string, ports: number[]}>}
+ */
+export function discoverManifestServices(manifestsDir) {
+  if (!existsSync(manifestsDir)) {
+    return [];
+  }
+
+  const services = [];
+  const files = readdirSync(manifestsDir)
+    .filter(file => MANIFEST_EXTENSIONS.some(ext => file.endsWith(ext)))
+    .sort();
+
+  for (const file of files) {
+    for (const doc of YAML.parseAllDocuments(readFileSync(join(manifestsDir, file), 'utf-8'))) {
+      const manifest = doc.toJS();
+      const objects = manifest?.kind === 'List' ? manifest.items || [] : [manifest];
+      for (const object of objects) {
+        if (object?.kind !== 'Service' || !object.metadata?.name) continue;
+        services.push({
+          name: object.metadata.name,
+          ports: (object.spec?.ports || []).map(p => Number(p.port)).filter(Boolean)
+        });
+      }
+    }
+  }
+
+  return services;
+}
+
+/**
+ * Map a Deployment/StatefulSet to a getDockerStatus entry
+ * @param {Object} workload - Item of `kubectl get deployments,statefulsets -o json`
+ * @param {Array} forwards - Port-forwards of the worktree
+ * @returns {{name: string, state: string, status: string, ports: string[], kind: string}}
+ */
+export function workloadStatus(workload, forwards = []) {
+  const name = workload.metadata.name;
+  const desired = workload.spec?.replicas ?? 1;
+  const ready = workload.status?.readyReplicas || 0;
+
+  let state;
+  if (desired === 0) {
+    state = 'exited';
+  } else if (ready >= desired) {
+    state = 'running';
+  } else {
+    state = 'restarting'; // Rolling out, pending or crash-looping
+  }
+
+  return {
+    name,
+    state,
+    status: desired === 0 ? 'Scaled to 0' : `Ready ${ready}/${desired}`,
+    ports: forwards.filter(f => f.service === name).map(f => `${f.localPort}:${f.remotePort}`),
+    kind: workload.kind.toLowerCase()
+  };
+}
+
+/**
+ * Kubernetes runtime: same role as ContainerRuntime, driven by kubectl
+ */
+export class KubernetesRuntime {
+  /**
+   * @param {Object} options - `container.kubernetes` config
+   * @param {string} [options.kubectl] - kubectl binary (default: 'kubectl')
+   * @param {string} [options.context] - kubeconfig context, e.g. 'kind-vibe' (default: current context)
+   * @param {string} [options.manifests] - Manifests directory, relative to the worktree (default: 'k8s')
+   * @param {string} [options.namespacePrefix] - Prefix of per-worktree namespaces (default: 'vibe-')
+   * @param {number} [options.forwardRestartDelay] - ms before restarting a port-forward that ended
+   */
+  constructor(options = {}) {
+    this.kubectlPath = options.kubectl || 'kubectl';
+    this.context = options.context || null;
+    this.manifests = options.manifests || 'k8s';
+    this.namespacePrefix = options.namespacePrefix ?? 'vibe-';
+    this.forwardRestartDelay = options.forwardRestartDelay ?? FORWARD_RESTART_DELAY;
+
+    this._forwards = new Map(); // worktreeName -> [{ service, localPort, remotePort, process, timer, connected }]
+
+    this._validate();
+  }
+
+  /**
+   * Check that kubectl is installed and the cluster answers
+   * @private
+   */
+  _validate() {
+    try {
+      this.kubectl(['version', '--client']);
+    } catch (error) {
+      throw new Error(
+        `kubectl not found (${this.kubectlPath}). Install kubectl and a local cluster:\n` +
+        '  kind: https://kind.sigs.k8s.io/docs/user/quick-start/\n' +
+        '  k3d:  https://k3d.io/#installation'
+      );
+    }
+    try {
+      this.kubectl(['cluster-info', '--request-timeout=5s']);
+    } catch (error) {
+      const target = this.context ? `context '${this.context}'` : 'the current context';
+      throw new Error(`Kubernetes cluster for ${target} is not reachable: ${error.stderr?.toString().trim() || error.message}`);
+    }
+  }
+
+  /**
+   * @returns {string} Always 'kubernetes'
+   */
+  getRuntime() {
+    return 'kubernetes';
+  }
+
+  /**
+   * There is no compose command; compose-only features skip this runtime
+   * @returns {string} Always ''
+   */
+  getComposeCommand() {
+    return '';
+  }
+
+  /**
+   * @returns {boolean} kubectl never needs sudo
+   */
+  needsElevation() {
+    return false;
+  }
+
+  /**
+   * @returns {boolean} Always true (the cluster was reachable at startup)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Docker/Podman CLI commands have no kubectl equivalent
+   * @throws {Error} Always
+   */
+  exec(command) {
+    throw new Error(`'${command.split(' ')[0]}' is not supported by the kubernetes runtime`);
+  }
+
+  /**
+   * @returns {Promise<never>} Always rejects
+   */
+  async execAsync(command) {
+    return this.exec(command);
+  }
+
+  /**
+   * @throws {Error} Always: services are managed with up/down/stop instead
+   */
+  execCompose(command) {
+    throw new Error(`compose '${command}' is not supported by the kubernetes runtime`);
+  }
+
+  /**
+   * No container event stream: status is read from the cluster on demand
+   * @returns {{stop: Function}}
+   */
+  streamEvents() {
+    return { stop: () => {} };
+  }
+
+  /**
+   * @returns {Function} Unsubscribe
+   */
+  subscribe() {
+    return () => {};
+  }
+
+  /**
+   * Run kubectl (against the configured context)
+   * @param {string[]} args
+   * @param {Object} options
+   * @param {string} [options.namespace]
+   * @param {string} [options.input] - stdin
+   * @returns {string} stdout
+   */
+  kubectl(args, { namespace, input } = {}) {
+    return execFileSync(this.kubectlPath, this._kubectlArgs(args, namespace), {
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      input,
+      timeout: KUBECTL_TIMEOUT
+    });
+  }
+
+  /**
+   * Run kubectl without blocking the event loop
+   * @param {string[]} args
+   * @param {Object} options
+   * @param {string} [options.namespace]
+   * @returns {Promise<string>} stdout
+   */
+  kubectlAsync(args, { namespace } = {}) {
+    return new Promise((resolve, reject) => {
+      execFile(this.kubectlPath, this._kubectlArgs(args, namespace), {
+        encoding: 'utf-8',
+        timeout: KUBECTL_TIMEOUT,
+        maxBuffer: 32 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        if (error) {
+          error.stderr = stderr;
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _kubectlArgs(args, namespace) {
+    const hasRequestTimeout = args.some(arg => arg.startsWith('--request-timeout'));
+    return [
+      ...(this.context ? ['--context', this.context] : []),
+      ...(namespace ? ['--namespace', namespace] : []),
+      ...(hasRequestTimeout ? [] : [`--request-timeout=${REQUEST_TIMEOUT}`]),
+      ...args
+    ];
+  }
+
+  /**
+   * @param {string} worktreeName
+   * @returns {string} The worktree's namespace
+   */
+  namespaceFor(worktreeName) {
+    return namespaceFor(worktreeName, this.namespacePrefix);
+  }
+
+  /**
+   * @param {string} worktreePath
+   * @returns {string} Manifests directory of a worktree
+   */
+  manifestsPath(worktreePath) {
+    return join(worktreePath, this.manifests);
+  }
+
+  /**
+   * @param {string} worktreePath
+   * @returns {boolean} Whether the worktree has manifests to deploy
+   */
+  hasManifests(worktreePath) {
+    return existsSync(this.manifestsPath(worktreePath));
+  }
+
+  /**
+   * @param {string} worktreePath
+   * @returns {Array<{name: string, ports: number[]}>} Services declared in the manifests
+   */
+  discoverServices(worktreePath) {
+    return discoverManifestServices(this.manifestsPath(worktreePath));
+  }
+
+  /**
+   * Deploy a worktree's manifests into its namespace and forward its ports
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @param {Array<{service: string, localPort: number, remotePort: number}>} forwards
+   * @returns {string} kubectl apply output
+   */
+  up(worktreeName, worktreePath, forwards = []) {
+    const namespace = this.namespaceFor(worktreeName);
+    const namespaceManifest = {
+      apiVersion: 'v1',
+      kind: 'Namespace',
+      metadata: {
+        name: namespace,
+        labels: {
+          'app.kubernetes.io/managed-by': 'vibetrees',
+          'vibetrees.io/worktree': namespaceFor(worktreeName, '')
+        }
+      }
+    };
+    this.kubectl(['apply', '-f', '-'], { input: JSON.stringify(namespaceManifest) });
+
+    const output = this.kubectl(['apply', '-f', this.manifestsPath(worktreePath)], { namespace });
+    this.forward(worktreeName, forwards);
+    return output;
+  }
+
+  /**
+   * Delete the worktree's objects, keeping the namespace (and its persistent volume claims)
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   */
+  down(worktreeName, worktreePath) {
+    this.stopForwards(worktreeName);
+    this.kubectl(
+      ['delete', '-f', this.manifestsPath(worktreePath), '--ignore-not-found', '--wait=false'],
+      { namespace: this.namespaceFor(worktreeName) }
+    );
+  }
+
+  /**
+   * Scale every workload to zero (quick to bring back with `up`)
+   * @param {string} worktreeName
+   */
+  stop(worktreeName) {
+    this.stopForwards(worktreeName);
+    this.kubectl(['scale', WORKLOAD_KINDS, '--all', '--replicas=0'], { namespace: this.namespaceFor(worktreeName) });
+  }
+
+  /**
+   * Delete the worktree's namespace and everything in it
+   * @param {string} worktreeName
+   */
+  remove(worktreeName) {
+    this.stopForwards(worktreeName);
+    this.kubectl(['delete', 'namespace', this.namespaceFor(worktreeName), '--ignore-not-found', '--wait=false']);
+  }
+
+  /**
+   * Workloads of a worktree
+   * @param {string} worktreeName
+   * @returns {Object[]} Deployment and StatefulSet objects
+   */
+  getWorkloads(worktreeName) {
+    const output = this.kubectl(['get', WORKLOAD_KINDS, '-o', 'json'], { namespace: this.namespaceFor(worktreeName) });
+    return JSON.parse(output).items || [];
+  }
+
+  /**
+   * Status of a worktree's services, in the shape of getDockerStatus
+   * @param {string} worktreeName
+   * @returns {Array<{name, state, status, ports, kind}>}
+   */
+  getStatus(worktreeName) {
+    const forwards = this.listForwards(worktreeName);
+    return this.getWorkloads(worktreeName).map(workload => workloadStatus(workload, forwards));
+  }
+
+  /**
+   * getStatus without blocking the event loop (for worktree lists)
+   * @param {string} worktreeName
+   * @returns {Promise<Array<{name, state, status, ports, kind}>>}
+   */
+  async getStatusAsync(worktreeName) {
+    const output = await this.kubectlAsync(['get', WORKLOAD_KINDS, '-o', 'json'], { namespace: this.namespaceFor(worktreeName) });
+    const forwards = this.listForwards(worktreeName);
+    return (JSON.parse(output).items || []).map(workload => workloadStatus(workload, forwards));
+  }
+
+  /**
+   * @private
+   */
+  _workloadRef(worktreeName, service) {
+    const workload = this.getWorkloads(worktreeName).find(w => w.metadata.name === service);
+    if (!workload) {
+      throw new Error(`No deployment or statefulset named '${service}' in ${this.namespaceFor(worktreeName)}`);
+    }
+    return `${workload.kind.toLowerCase()}/${service}`;
+  }
+
+  /**
+   * Scale one service's workload back to a single replica
+   * @param {string} worktreeName
+   * @param {string} service - Deployment or StatefulSet name
+   */
+  startService(worktreeName, service) {
+    this.kubectl(['scale', this._workloadRef(worktreeName, service), '--replicas=1'], { namespace: this.namespaceFor(worktreeName) });
+  }
+
+  /**
+   * Scale one service's workload to zero
+   * @param {string} worktreeName
+   * @param {string} service - Deployment or StatefulSet name
+   */
+  stopService(worktreeName, service) {
+    this.kubectl(['scale', this._workloadRef(worktreeName, service), '--replicas=0'], { namespace: this.namespaceFor(worktreeName) });
+  }
+
+  /**
+   * Replace one service's pods
+   * @param {string} worktreeName
+   * @param {string} service - Deployment or StatefulSet name
+   */
+  restartService(worktreeName, service) {
+    this.kubectl(['rollout', 'restart', this._workloadRef(worktreeName, service)], { namespace: this.namespaceFor(worktreeName) });
+  }
+
+  /**
+   * Forward local ports to a worktree's Services, replacing earlier forwards.
+   * Forwards are restarted when they end (pods not ready yet, pod replaced).
+   * @param {string} worktreeName
+   * @param {Array<{service: string, localPort: number, remotePort: number}>} forwards
+   */
+  forward(worktreeName, forwards) {
+    this.stopForwards(worktreeName);
+    const namespace = this.namespaceFor(worktreeName);
+    const entries = forwards.map(({ service, localPort, remotePort }) => ({
+      service, localPort, remotePort, process: null, timer: null, connected: false
+    }));
+    this._forwards.set(worktreeName, entries);
+
+    for (const entry of entries) {
+      this._startForward(worktreeName, namespace, entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _startForward(worktreeName, namespace, entry) {
+    const args = [
+      ...(this.context ? ['--context', this.context] : []),
+      '--namespace', namespace,
+      'port-forward', `service/${entry.service}`, `${entry.localPort}:${entry.remotePort}`,
+      '--address', '127.0.0.1'
+    ];
+
+    const forwardProcess = spawn(this.kubectlPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    entry.process = forwardProcess;
+
+    forwardProcess.stdout.on('data', (data) => {
+      if (data.toString().includes('Forwarding from')) {
+        entry.connected = true;
+      }
+    });
+    forwardProcess.stderr.on('data', () => {}); // 'error: ... pod not running' until the service is ready
+
+    const onExit = () => {
+      if (entry.process !== forwardProcess) return;
+      entry.process = null;
+      entry.connected = false;
+      if (this._forwards.get(worktreeName)?.includes(entry)) {
+        entry.timer = setTimeout(() => {
+          entry.timer = null;
+          this._startForward(worktreeName, namespace, entry);
+        }, this.forwardRestartDelay);
+        entry.timer.unref?.();
+      }
+    };
+    forwardProcess.on('close', onExit);
+    forwardProcess.on('error', (error) => {
+      console.error(`[K8S] Port-forward ${entry.localPort} -> ${entry.service} failed:`, error.message);
+      onExit();
+    });
+  }
+
+  /**
+   * @param {string} worktreeName
+   * @returns {Array<{service, localPort, remotePort, connected}>}
+   */
+  listForwards(worktreeName) {
+    return (this._forwards.get(worktreeName) || [])
+      .map(({ service, localPort, remotePort, connected }) => ({ service, localPort, remotePort, connected }));
+  }
+
+  /**
+   * @param {string} worktreeName
+   */
+  stopForwards(worktreeName) {
+    const entries = this._forwards.get(worktreeName) || [];
+    this._forwards.delete(worktreeName);
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      entry.process?.kill();
+    }
+  }
+
+  /**
+   * Stop all port-forwards (on shutdown)
+   */
+  stopAll() {
+    for (const worktreeName of [...this._forwards.keys()]) {
+      this.stopForwards(worktreeName);
+    }
+  }
+
+  /**
+   * Get runtime information for logging/debugging
+   * @returns {Object} Runtime information
+   */
+  getInfo() {
+    return {
+      runtime: 'kubernetes',
+      context: this.context,
+      manifests: this.manifests,
+      namespacePrefix: this.namespacePrefix
+    };
+  }
+}
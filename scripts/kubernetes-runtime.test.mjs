@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KubernetesRuntime, namespaceFor, discoverManifestServices, workloadStatus } from './kubernetes-runtime.mjs';
+
+/**
+ * Stub kubectl: records its arguments (and stdin) in calls.log and answers
+ * from files in its directory:
+ *   unreachable     cluster-info fails
+ *   workloads.json  output of `get deployments,statefulsets`
+ *   forward-fails   port-forward exits right away instead of forwarding
+ */
+function writeStubKubectl(dir) {
+  const stub = path.join(dir, 'kubectl');
+  fs.writeFileSync(stub, `#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const dir = ${JSON.stringify(dir)};
+const args = process.argv.slice(2);
+const has = (arg) => args.includes(arg);
+const input = args.includes('-') ? fs.readFileSync(0, 'utf-8') : null;
+fs.appendFileSync(path.join(dir, 'calls.log'), JSON.stringify({ args, input }) + '\\n');
+
+if (has('cluster-info') && fs.existsSync(path.join(dir, 'unreachable'))) {
+  process.stderr.write('The connection to the server localhost:8080 was refused');
+  process.exit(1);
+}
+if (has('get')) {
+  const file = path.join(dir, 'workloads.json');
+  process.stdout.write(fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '{"items":[]}');
+  process.exit(0);
+}
+if (has('port-forward')) {
+  if (fs.existsSync(path.join(dir, 'forward-fails'))) {
+    process.stderr.write('error: unable to forward port because pod is not running');
+    process.exit(1);
+  }
+  const [local, remote] = args[args.indexOf('port-forward') + 2].split(':');
+  process.stdout.write('Forwarding from 127.0.0.1:' + local + ' -> ' + remote + '\\n');
+  setInterval(() => {}, 1000);
+} else {
+  process.stdout.write('ok\\n');
+}
+`);
+  fs.chmodSync(stub, 0o755);
+  return stub;
+}
+
+const MANIFESTS = `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: api
+spec:
+  replicas: 1
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: api
+spec:
+  ports:
+    - port: 3000
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: minio
+spec:
+  ports:
+    - port: 9000
+    - port: 9001
+`;
+
+const WORKLOADS = {
+  items: [
+    { kind: 'Deployment', metadata: { name: 'api' }, spec: { replicas: 1 }, status: { readyReplicas: 1 } },
+    { kind: 'StatefulSet', metadata: { name: 'postgres' }, spec: { replicas: 1 }, status: {} },
+    { kind: 'Deployment', metadata: { name: 'worker' }, spec: { replicas: 0 }, status: {} }
+  ]
+};
+
+async function waitFor(condition, timeout = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const NAMESPACE = namespaceFor('feature-x');
+
+describe('KubernetesRuntime', () => {
+  let tempDir;
+  let worktreePath;
+  let kubectl;
+  let runtime;
+
+  const calls = () => fs.readFileSync(path.join(tempDir, 'calls.log'), 'utf-8')
+    .trim().split('\n').map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kubernetes-runtime-test-'));
+    kubectl = writeStubKubectl(tempDir);
+    worktreePath = path.join(tempDir, 'feature-x');
+    fs.mkdirSync(path.join(worktreePath, 'k8s'), { recursive: true });
+    fs.writeFileSync(path.join(worktreePath, 'k8s', 'app.yaml'), MANIFESTS);
+  });
+
+  afterEach(() => {
+    runtime?.stopAll();
+    runtime = null;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should derive valid namespace names from worktree names', () => {
+    expect(namespaceFor('feature/Login_Page')).toMatch(/^vibe-feature-login-page-[0-9a-f]{8}$/);
+    expect(namespaceFor('x'.repeat(80))).toMatch(/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/);
+    expect(namespaceFor('x'.repeat(80)).length).toBe(63);
+    expect(namespaceFor('api', 'dev-')).toMatch(/^dev-api-[0-9a-f]{8}$/);
+  });
+
+  it('should give worktrees whose names slug alike different namespaces', () => {
+    const names = ['feature-x', 'feature_x', 'Feature.X', `${'x'.repeat(70)}-a`, `${'x'.repeat(70)}-b`];
+    expect(new Set(names.map(name => namespaceFor(name))).size).toBe(names.length);
+  });
+
+  it('should discover services and ports from Service manifests', () => {
+    expect(discoverManifestServices(path.join(worktreePath, 'k8s'))).toEqual([
+      { name: 'api', ports: [3000] },
+      { name: 'minio', ports: [9000, 9001] }
+    ]);
+    expect(discoverManifestServices(path.join(tempDir, 'missing'))).toEqual([]);
+  });
+
+  it('should report workloads in the getDockerStatus shape', () => {
+    const forwards = [{ service: 'api', localPort: 3001, remotePort: 3000 }];
+    expect(WORKLOADS.items.map(workload => workloadStatus(workload, forwards))).toEqual([
+      { name: 'api', state: 'running', status: 'Ready 1/1', ports: ['3001:3000'], kind: 'deployment' },
+      { name: 'postgres', state: 'restarting', status: 'Ready 0/1', ports: [], kind: 'statefulset' },
+      { name: 'worker', state: 'exited', status: 'Scaled to 0', ports: [], kind: 'deployment' }
+    ]);
+  });
+
+  it('should fail to start when the cluster is not reachable', () => {
+    fs.writeFileSync(path.join(tempDir, 'unreachable'), '');
+    expect(() => new KubernetesRuntime({ kubectl, context: 'kind-vibe' }))
+      .toThrow("Kubernetes cluster for context 'kind-vibe' is not reachable: The connection to the server localhost:8080 was refused");
+    expect(() => new KubernetesRuntime({ kubectl: path.join(tempDir, 'no-kubectl') })).toThrow('kubectl not found');
+  });
+
+  it('should deploy into the worktree namespace and forward allocated ports', async () => {
+    runtime = new KubernetesRuntime({ kubectl, context: 'kind-vibe' });
+    fs.writeFileSync(path.join(tempDir, 'workloads.json'), JSON.stringify(WORKLOADS));
+
+    runtime.up('feature-x', worktreePath, [{ service: 'api', localPort: 3001, remotePort: 3000 }]);
+    await waitFor(() => runtime.listForwards('feature-x')[0]?.connected);
+
+    const [namespaceCall, applyCall] = calls().filter(call => call.args.includes('apply'));
+    expect(namespaceCall.args).toEqual(['--context', 'kind-vibe', '--request-timeout=20s', 'apply', '-f', '-']);
+    expect(JSON.parse(namespaceCall.input).metadata).toEqual({
+      name: NAMESPACE,
+      labels: { 'app.kubernetes.io/managed-by': 'vibetrees', 'vibetrees.io/worktree': namespaceFor('feature-x', '') }
+    });
+    expect(applyCall.args).toEqual(['--context', 'kind-vibe', '--namespace', NAMESPACE, '--request-timeout=20s', 'apply', '-f', path.join(worktreePath, 'k8s')]);
+    expect(calls().find(call => call.args.includes('port-forward')).args).toEqual([
+      '--context', 'kind-vibe', '--namespace', NAMESPACE, 'port-forward', 'service/api', '3001:3000', '--address', '127.0.0.1'
+    ]);
+    expect(runtime.getStatus('feature-x')[0]).toEqual({ name: 'api', state: 'running', status: 'Ready 1/1', ports: ['3001:3000'], kind: 'deployment' });
+    expect(await runtime.getStatusAsync('feature-x')).toEqual(runtime.getStatus('feature-x'));
+
+    runtime.down('feature-x', worktreePath);
+    expect(runtime.listForwards('feature-x')).toEqual([]);
+    expect(calls().at(-1).args).toEqual([
+      '--context', 'kind-vibe', '--namespace', NAMESPACE, '--request-timeout=20s', 'delete', '-f', path.join(worktreePath, 'k8s'), '--ignore-not-found', '--wait=false'
+    ]);
+  });
+
+  it('should restart port-forwards that end until they are stopped', async () => {
+    runtime = new KubernetesRuntime({ kubectl, forwardRestartDelay: 20 });
+    fs.writeFileSync(path.join(tempDir, 'forward-fails'), '');
+
+    runtime.forward('feature-x', [{ service: 'api', localPort: 3001, remotePort: 3000 }]);
+    const forwardCalls = () => calls().filter(call => call.args.includes('port-forward')).length;
+    await waitFor(() => forwardCalls() >= 2);
+
+    runtime.stopForwards('feature-x');
+    const stoppedAt = forwardCalls();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(forwardCalls()).toBe(stoppedAt);
+  });
+
+  it('should scale, restart and remove by workload', () => {
+    runtime = new KubernetesRuntime({ kubectl });
+    fs.writeFileSync(path.join(tempDir, 'workloads.json'), JSON.stringify(WORKLOADS));
+
+    runtime.stopService('feature-x', 'postgres');
+    expect(calls().at(-1).args).toEqual(['--namespace', NAMESPACE, '--request-timeout=20s', 'scale', 'statefulset/postgres', '--replicas=0']);
+    runtime.restartService('feature-x', 'api');
+    expect(calls().at(-1).args).toEqual(['--namespace', NAMESPACE, '--request-timeout=20s', 'rollout', 'restart', 'deployment/api']);
+    expect(() => runtime.startService('feature-x', 'redis')).toThrow(`No deployment or statefulset named 'redis' in ${NAMESPACE}`);
+
+    runtime.stop('feature-x');
+    expect(calls().at(-1).args).toEqual(['--namespace', NAMESPACE, '--request-timeout=20s', 'scale', 'deployments,statefulsets', '--all', '--replicas=0']);
+    runtime.remove('feature-x');
+    expect(calls().at(-1).args).toEqual(['--request-timeout=20s', 'delete', 'namespace', NAMESPACE, '--ignore-not-found', '--wait=false']);
+
+    expect(() => runtime.execCompose('up -d')).toThrow('not supported by the kubernetes runtime');
+    expect(runtime.getComposeCommand()).toBe('');
+  });
+});
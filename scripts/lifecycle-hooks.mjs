@@ -0,0 +1,145 @@
+/**
+ * Lifecycle Hooks
+ *
+ * User-defined shell commands from `hooks` in .vibe/config.json that run at
+ * points in a worktree's life. Each entry is either a command string or an
+ * object:
+ *
+ *   "hooks": {
+ *     "postCreate": ["npm run db:seed"],
+ *     "postStart": [{ "command": "rails db:migrate", "service": "web", "timeout": 600000 }],
+ *     "preDelete": [{ "command": "./scripts/export-fixtures.sh", "continueOnError": true }]
+ *   }
+ *
+ * Commands run with `sh -c` in the worktree, or through `compose exec` in the
+ * named service's container when `service` is set.
+ */
+
+export const HOOK_NAMES = ['postCreate', 'preStart', 'postStart', 'preDelete', 'postSync'];
+
+export const DEFAULT_HOOK_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Expand a hook entry to its full form
+ * @param {string|Object} entry - Command string or { command, service, timeout, continueOnError }
+ * @returns {{command: string, service: string|null, timeout: number, continueOnError: boolean}}
+ */
+export function normalizeHook(entry) {
+  if (typeof entry === 'string') {
+    return { command: entry, service: null, timeout: DEFAULT_HOOK_TIMEOUT, continueOnError: false };
+  }
+
+  return {
+    command: entry.command,
+    service: entry.service || null,
+    timeout: entry.timeout ?? DEFAULT_HOOK_TIMEOUT,
+    continueOnError: entry.continueOnError === true
+  };
+}
+
+/**
+ * Validate the `hooks` config section
+ * @param {Object} hooks - Hook lists keyed by hook name
+ * @returns {string[]} Validation errors
+ */
+export function validateHooks(hooks) {
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+    return ['hooks must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [name, entries] of Object.entries(hooks)) {
+    if (!HOOK_NAMES.includes(name)) {
+      errors.push(`hooks.${name} is not a known hook (expected one of ${HOOK_NAMES.join(', ')})`);
+      continue;
+    }
+    if (!Array.isArray(entries)) {
+      errors.push(`hooks.${name} must be an array`);
+      continue;
+    }
+
+    entries.forEach((entry, index) => {
+      const path = `hooks.${name}[${index}]`;
+
+      if (typeof entry === 'string') {
+        if (!entry.trim()) errors.push(`${path} must not be empty`);
+        return;
+      }
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`${path} must be a command string or an object`);
+        return;
+      }
+      if (typeof entry.command !== 'string' || !entry.command.trim()) {
+        errors.push(`${path}.command must be a non-empty string`);
+      }
+      if (entry.service !== undefined && !/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(String(entry.service))) {
+        errors.push(`${path}.service must be a compose service name`);
+      }
+      if (entry.timeout !== undefined && (typeof entry.timeout !== 'number' || entry.timeout <= 0)) {
+        errors.push(`${path}.timeout must be a positive number of milliseconds`);
+      }
+      if (entry.continueOnError !== undefined && typeof entry.continueOnError !== 'boolean') {
+        errors.push(`${path}.continueOnError must be a boolean`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Configured entries for one hook
+ * @param {Object} hooks - The `hooks` config section
+ * @param {string} name - Hook name
+ * @returns {Object[]} Normalized hook entries
+ */
+export function getHooks(hooks, name) {
+  return (hooks?.[name] || []).map(normalizeHook);
+}
+
+/**
+ * Quote a string for use as a single sh argument
+ * @param {string} value
+ * @returns {string}
+ */
+export function shellQuote(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Run hook entries in order, stopping at the first failure unless it is
+ * marked continueOnError
+ * @param {string} name - Hook name (used in error messages)
+ * @param {Object[]} hooks - Normalized hook entries
+ * @param {Object} options
+ * @param {Function} options.run - (command, { timeout }) => Promise; runs a shell command in the worktree
+ * @param {Function} options.containerCommand - (service, command) => Promise<string>; wraps a command to run in a service container
+ * @returns {Promise<{success: boolean, ran: number, failures: Object[], error?: string}>}
+ *   failures are { command, service, error, continued }
+ */
+export async function runHooks(name, hooks, { run, containerCommand }) {
+  const failures = [];
+  let ran = 0;
+
+  for (const hook of hooks) {
+    ran++;
+    try {
+      const command = hook.service ? await containerCommand(hook.service, hook.command) : hook.command;
+      await run(command, { timeout: hook.timeout });
+    } catch (error) {
+      failures.push({ command: hook.command, service: hook.service, error: error.message, continued: hook.continueOnError });
+
+      if (!hook.continueOnError) {
+        return {
+          success: false,
+          ran,
+          failures,
+          error: `${name} hook "${hook.command}" failed: ${error.message}`
+        };
+      }
+    }
+  }
+
+  return { success: true, ran, failures };
+}
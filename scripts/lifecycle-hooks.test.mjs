@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  normalizeHook,
+  validateHooks,
+  getHooks,
+  shellQuote,
+  runHooks,
+  DEFAULT_HOOK_TIMEOUT
+} from './lifecycle-hooks.mjs';
+
+describe('normalizeHook', () => {
+  it('should expand a command string', () => {
+    expect(normalizeHook('npm run seed')).toEqual({
+      command: 'npm run seed',
+      service: null,
+      timeout: DEFAULT_HOOK_TIMEOUT,
+      continueOnError: false
+    });
+  });
+
+  it('should keep object settings', () => {
+    expect(normalizeHook({ command: 'rake db:migrate', service: 'web', timeout: 1000, continueOnError: true })).toEqual({
+      command: 'rake db:migrate',
+      service: 'web',
+      timeout: 1000,
+      continueOnError: true
+    });
+  });
+});
+
+describe('validateHooks', () => {
+  it('should accept strings and objects', () => {
+    expect(validateHooks({
+      postCreate: ['npm run seed'],
+      preDelete: [{ command: './export.sh', service: 'db', timeout: 60000, continueOnError: true }]
+    })).toEqual([]);
+  });
+
+  it('should report unknown hooks and invalid entries', () => {
+    expect(validateHooks({
+      postStop: ['echo'],
+      preStart: 'npm test',
+      postSync: ['', { command: 'x', service: 'web; rm -rf /' }, { continueOnError: 'yes' }]
+    })).toEqual([
+      'hooks.postStop is not a known hook (expected one of postCreate, preStart, postStart, preDelete, postSync)',
+      'hooks.preStart must be an array',
+      'hooks.postSync[0] must not be empty',
+      'hooks.postSync[1].service must be a compose service name',
+      'hooks.postSync[2].command must be a non-empty string',
+      'hooks.postSync[2].continueOnError must be a boolean'
+    ]);
+  });
+});
+
+describe('getHooks', () => {
+  it('should return normalized entries for one hook', () => {
+    expect(getHooks({ postCreate: ['a', { command: 'b', continueOnError: true }] }, 'postCreate'))
+      .toEqual([normalizeHook('a'), normalizeHook({ command: 'b', continueOnError: true })]);
+    expect(getHooks(undefined, 'postCreate')).toEqual([]);
+  });
+});
+
+describe('shellQuote', () => {
+  it('should quote single quotes', () => {
+    expect(shellQuote('echo \'hi\'')).toBe('\'echo \'\\\'\'hi\'\\\'\'\'');
+  });
+});
+
+describe('runHooks', () => {
+  const containerCommand = vi.fn(async (service, command) => `exec ${service} ${command}`);
+
+  it('should run commands in order with their timeouts', async () => {
+    const run = vi.fn(async () => {});
+
+    const result = await runHooks('postStart', [
+      normalizeHook('npm run seed'),
+      normalizeHook({ command: 'migrate', service: 'web', timeout: 1000 })
+    ], { run, containerCommand });
+
+    expect(result).toEqual({ success: true, ran: 2, failures: [] });
+    expect(run.mock.calls).toEqual([
+      ['npm run seed', { timeout: DEFAULT_HOOK_TIMEOUT }],
+      ['exec web migrate', { timeout: 1000 }]
+    ]);
+  });
+
+  it('should stop at the first failure', async () => {
+    const run = vi.fn(async command => {
+      if (command === 'bad') throw new Error('Command exited with code 1');
+    });
+
+    const result = await runHooks('preDelete', [normalizeHook('bad'), normalizeHook('after')], { run, containerCommand });
+
+    expect(result).toMatchObject({
+      success: false,
+      ran: 1,
+      error: 'preDelete hook "bad" failed: Command exited with code 1'
+    });
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record failures marked continueOnError and keep going', async () => {
+    const run = vi.fn(async command => {
+      if (command === 'flaky') throw new Error('timed out');
+    });
+
+    const result = await runHooks('postSync', [
+      normalizeHook({ command: 'flaky', continueOnError: true }),
+      normalizeHook('after')
+    ], { run, containerCommand });
+
+    expect(result).toEqual({
+      success: true,
+      ran: 2,
+      failures: [{ command: 'flaky', service: null, error: 'timed out', continued: true }]
+    });
+  });
+});
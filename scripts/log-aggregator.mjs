@@ -0,0 +1,583 @@
+/**
+ * LogAggregator
+ *
+ * Collects container logs for each worktree into structured records
+ * ({ id, timestamp, service, level, message, fields }) and keeps them in a
+ * bounded on-disk store, so logs can be filtered by service, level, time and
+ * text after the containers (or the server) have restarted.
+ *
+ * One `compose logs -f --timestamps` process follows each worktree while its
+ * services run. When it exits (services stopped), collection resumes from the
+ * last stored timestamp the next time services start.
+ */
+
+import { spawn } from 'child_process';
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  unlinkSync
+} from 'fs';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'fatal'];
+
+const MAX_SEGMENT_BYTES = 5 * 1024 * 1024;
+const MAX_SEGMENTS = 4;
+const RECENT_RECORDS = 5000; // Newest records kept in memory, enough for live tail polls
+const INITIAL_TAIL = 1000; // Lines to import the first time a worktree is collected
+const RESTART_DELAY = 30000; // ms before a collector that exited may be started again
+const MAX_MESSAGE_LENGTH = 8192;
+
+const LEVEL_ALIASES = {
+  trace: 'debug',
+  debug: 'debug',
+  info: 'info',
+  information: 'info',
+  notice: 'info',
+  warn: 'warn',
+  warning: 'warn',
+  err: 'error',
+  error: 'error',
+  crit: 'fatal',
+  critical: 'fatal',
+  alert: 'fatal',
+  emerg: 'fatal',
+  fatal: 'fatal',
+  panic: 'fatal'
+};
+
+// Numeric levels as used by pino/bunyan
+const NUMERIC_LEVELS = [[60, 'fatal'], [50, 'error'], [40, 'warn'], [30, 'info'], [0, 'debug']];
+
+const PREFIX_PATTERN = /^([\w.-]+?)(?:[-_]\d+)?\s+\|\s?(.*)$/;
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2}))\s?/;
+const LOGFMT_LEVEL_PATTERN = /\b(?:level|lvl|severity)=["']?(\w+)/i;
+const WORD_LEVEL_PATTERN = /\b(FATAL|PANIC|CRITICAL|CRIT|ERROR|ERR|WARNING|WARN|INFO|NOTICE|DEBUG|TRACE)\b/i;
+
+/**
+ * Map a level name or number from a log line onto LOG_LEVELS
+ * @param {string|number} value
+ * @returns {string|null}
+ */
+export function normalizeLevel(value) {
+  if (typeof value === 'number') {
+    return NUMERIC_LEVELS.find(([min]) => value >= min)[1];
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  return LEVEL_ALIASES[value.toLowerCase()] || null;
+}
+
+/**
+ * Parse an RFC 3339 timestamp (with up to nanosecond precision) to ISO form
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toISOTimestamp(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const date = new Date(typeof value === 'string' ? value.replace(/(\.\d{3})\d+/, '$1') : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse the message part of a line as a JSON object, if it is one
+ * @returns {Object|null}
+ */
+function parseJsonMessage(text) {
+  if (!text.startsWith('{') || !text.endsWith('}')) {
+    return null;
+  }
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn one line of `compose logs` output into a structured record
+ *
+ * Understands the `service-1 | ` prefix, the `--timestamps` prefix, JSON lines
+ * (level/msg/time keys; the remaining keys become `fields`), logfmt `level=`
+ * and plain-text level words. Lines without a level are `info`.
+ *
+ * @param {string} line - Raw line
+ * @param {string} defaultService - Service when the line has no prefix
+ * @returns {{timestamp: string, service: string, level: string, message: string, fields?: Object}|null}
+ */
+export function parseLogLine(line, defaultService = 'unknown') {
+  let text = line.replace(/\r$/, '');
+  let service = defaultService;
+
+  const prefix = text.match(PREFIX_PATTERN);
+  if (prefix) {
+    service = prefix[1];
+    text = prefix[2];
+  }
+
+  let timestamp = null;
+  const stamp = text.match(TIMESTAMP_PATTERN);
+  if (stamp) {
+    timestamp = toISOTimestamp(stamp[1]);
+    text = text.slice(stamp[0].length);
+  }
+
+  text = text.trim();
+  if (!text) {
+    return null;
+  }
+
+  const record = { timestamp, service, level: null, message: text };
+
+  const json = parseJsonMessage(text);
+  if (json) {
+    const { level, lvl, severity, msg, message, time, ts, timestamp: jsonTime, ...fields } = json;
+    record.level = normalizeLevel(level ?? lvl ?? severity);
+    record.message = String(msg ?? message ?? text);
+    record.timestamp ||= toISOTimestamp(time ?? ts ?? jsonTime);
+    if (msg !== undefined || message !== undefined) {
+      record.fields = fields;
+    }
+  } else {
+    const logfmt = text.match(LOGFMT_LEVEL_PATTERN);
+    record.level = normalizeLevel(logfmt?.[1]) || normalizeLevel(text.match(WORD_LEVEL_PATTERN)?.[1]);
+  }
+
+  record.level ||= 'info';
+  record.timestamp ||= new Date().toISOString();
+  if (record.message.length > MAX_MESSAGE_LENGTH) {
+    record.message = `${record.message.slice(0, MAX_MESSAGE_LENGTH)}…`;
+  }
+  return record;
+}
+
+/**
+ * Records of a JSON-lines segment
+ * @param {string} content - Segment file content
+ * @returns {Array<Object>}
+ */
+function parseSegment(content) {
+  return content
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // Line cut short by a crash
+      }
+    });
+}
+
+/**
+ * Bounded log store for one worktree: JSON-lines segment files, oldest
+ * segment dropped once there are more than maxSegments
+ *
+ * The newest records are also kept in memory, so live tail polls and recent
+ * history never touch the disk; older records are read without blocking.
+ */
+export class LogStore {
+  /**
+   * @param {string} dir - Directory holding this worktree's segments
+   * @param {Object} options
+   * @param {number} options.maxSegmentBytes - Start a new segment past this size
+   * @param {number} options.maxSegments - Segments kept (total size is roughly their product)
+   * @param {number} options.recentRecords - Newest records kept in memory
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.maxSegmentBytes = options.maxSegmentBytes ?? MAX_SEGMENT_BYTES;
+    this.maxSegments = options.maxSegments ?? MAX_SEGMENTS;
+    this.recentRecords = options.recentRecords ?? RECENT_RECORDS;
+
+    this.lastId = 0;
+    this.lastTimestamp = null;
+    this.services = new Set();
+    this._segment = 0;
+    this._segmentSize = 0;
+    this._recent = []; // Newest records, oldest first
+    this._segmentStarts = new Map(); // Segment -> id of its first record
+    this._load();
+  }
+
+  /**
+   * @private
+   */
+  _segments() {
+    if (!existsSync(this.dir)) {
+      return [];
+    }
+    return readdirSync(this.dir)
+      .map(file => file.match(/^(\d+)\.jsonl$/))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * @private
+   */
+  _segmentPath(segment) {
+    return join(this.dir, `${String(segment).padStart(6, '0')}.jsonl`);
+  }
+
+  /**
+   * @private
+   */
+  _readSegment(segment) {
+    try {
+      return parseSegment(readFileSync(this._segmentPath(segment), 'utf-8'));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _readSegmentAsync(segment) {
+    try {
+      return parseSegment(await readFile(this._segmentPath(segment), 'utf-8'));
+    } catch {
+      return []; // Rotated away since it was listed
+    }
+  }
+
+  /**
+   * Keep the newest records in memory
+   * @private
+   */
+  _remember(records) {
+    this._recent = this._recent.concat(records);
+    // Trim in batches rather than on every append
+    if (this._recent.length > this.recentRecords * 1.1) {
+      this._recent = this._recent.slice(-this.recentRecords);
+    }
+  }
+
+  /**
+   * Pick up where a previous run left off
+   * @private
+   */
+  _load() {
+    const segments = this._segments();
+    for (const segment of segments) {
+      const records = this._readSegment(segment);
+      if (records.length > 0) {
+        this._segmentStarts.set(segment, records[0].id);
+      }
+      for (const record of records) {
+        this.services.add(record.service);
+        this.lastId = Math.max(this.lastId, record.id);
+        this.lastTimestamp = record.timestamp;
+      }
+      this._remember(records);
+    }
+
+    if (segments.length > 0) {
+      this._segment = segments.at(-1);
+      this._segmentSize = statSync(this._segmentPath(this._segment)).size;
+    }
+  }
+
+  /**
+   * Store records, giving each an increasing id
+   * @param {Array<Object>} records - Parsed records
+   * @returns {Array<Object>} Stored records
+   */
+  append(records) {
+    if (records.length === 0) {
+      return [];
+    }
+
+    mkdirSync(this.dir, { recursive: true });
+    if (this._segmentSize >= this.maxSegmentBytes) {
+      this._rotate();
+    }
+
+    const stored = records.map(record => ({ id: ++this.lastId, ...record }));
+    const data = stored.map(record => `${JSON.stringify(record)}\n`).join('');
+    appendFileSync(this._segmentPath(this._segment), data);
+    this._segmentSize += Buffer.byteLength(data);
+    if (!this._segmentStarts.has(this._segment)) {
+      this._segmentStarts.set(this._segment, stored[0].id);
+    }
+
+    for (const record of stored) {
+      this.services.add(record.service);
+    }
+    this._remember(stored);
+    this.lastTimestamp = stored.at(-1).timestamp;
+    return stored;
+  }
+
+  /**
+   * @private
+   */
+  _rotate() {
+    this._segment++;
+    this._segmentSize = 0;
+
+    const segments = this._segments();
+    for (const segment of segments.slice(0, Math.max(0, segments.length - this.maxSegments + 1))) {
+      unlinkSync(this._segmentPath(segment));
+      this._segmentStarts.delete(segment);
+    }
+
+    // Forget records whose segments are gone, as a restart would
+    const oldestKept = Math.min(...this._segmentStarts.values());
+    this._recent = this._recent.filter(record => record.id >= oldestKept);
+  }
+
+  /**
+   * Find records matching all given filters
+   * @param {Object} filters
+   * @param {string[]} filters.services - Only these services
+   * @param {string} filters.level - Minimum level (e.g. 'warn' also returns errors)
+   * @param {string} filters.since - ISO timestamp, inclusive
+   * @param {string} filters.until - ISO timestamp, inclusive
+   * @param {string} filters.text - Case-insensitive text in the message or fields
+   * @param {number} filters.after - Only records with a higher id (live tail cursor)
+   * @param {number} filters.limit - Newest records to return (default: 500)
+   * @returns {Promise<Array<Object>>} Matching records, oldest first
+   */
+  async query({ services = null, level = null, since = null, until = null, text = null, after = 0, limit = 500 } = {}) {
+    const minLevel = level ? LOG_LEVELS.indexOf(level) : 0;
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    const needle = text ? text.toLowerCase() : null;
+
+    const matches = (record) => {
+      if (services?.length && !services.includes(record.service)) return false;
+      if (LOG_LEVELS.indexOf(record.level) < minLevel) return false;
+
+      const time = Date.parse(record.timestamp);
+      if (sinceTime !== null && time < sinceTime) return false;
+      if (untilTime !== null && time > untilTime) return false;
+
+      return !needle ||
+        record.message.toLowerCase().includes(needle) ||
+        (record.fields !== undefined && JSON.stringify(record.fields).toLowerCase().includes(needle));
+    };
+
+    const results = [];
+    // Scans records newest first; true once the cursor or the limit is reached
+    const scan = (records, below = Infinity) => {
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (records[i].id >= below) continue; // Already scanned in memory
+        if (records[i].id <= after) return true;
+        if (matches(records[i])) {
+          results.push(records[i]);
+          if (results.length >= limit) return true;
+        }
+      }
+      return false;
+    };
+
+    // Live tail polls and recent history are answered from memory
+    const oldestRecent = this._recent[0]?.id ?? this.lastId + 1;
+    if (scan(this._recent) || after >= oldestRecent - 1) {
+      return results.reverse();
+    }
+
+    for (const segment of this._segments().reverse()) {
+      if (scan(await this._readSegmentAsync(segment), oldestRecent)) break;
+    }
+    return results.reverse();
+  }
+
+  /**
+   * Remove every stored record
+   */
+  clear() {
+    rmSync(this.dir, { recursive: true, force: true });
+    this.services.clear();
+    this._recent = [];
+    this._segmentStarts.clear();
+    this.lastTimestamp = null;
+    this._segment = 0;
+    this._segmentSize = 0;
+  }
+}
+
+export class LogAggregator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.runtime - ContainerRuntime
+   * @param {string} options.logsDir - Directory holding one store per worktree
+   * @param {Object} options.storeOptions - Passed to each LogStore
+   */
+  constructor({ runtime, logsDir, storeOptions = {} }) {
+    this.runtime = runtime;
+    this.logsDir = logsDir;
+    this.storeOptions = storeOptions;
+
+    this._stores = new Map(); // worktreeName -> LogStore
+    this._collectors = new Map(); // worktreeName -> { process, buffer, resumeAfter }
+    this._exitedAt = new Map(); // worktreeName -> time the last collector exited
+  }
+
+  /**
+   * Store for a worktree, created on first use
+   * @param {string} worktreeName
+   * @returns {LogStore}
+   */
+  getStore(worktreeName) {
+    let store = this._stores.get(worktreeName);
+    if (!store) {
+      store = new LogStore(join(this.logsDir, worktreeName), this.storeOptions);
+      this._stores.set(worktreeName, store);
+    }
+    return store;
+  }
+
+  /**
+   * Whether a collector is following the worktree's containers
+   * @param {string} worktreeName
+   * @returns {boolean}
+   */
+  isCollecting(worktreeName) {
+    return this._collectors.has(worktreeName);
+  }
+
+  /**
+   * Start following a worktree's container logs, unless already doing so
+   * @param {string} worktreeName
+   * @param {string} worktreePath - Directory to run compose in
+   * @param {Object} options
+   * @param {boolean} options.force - Ignore the delay after a collector exited (services were just started)
+   * @returns {boolean} Whether a collector is running
+   */
+  watch(worktreeName, worktreePath, { force = false } = {}) {
+    if (this._collectors.has(worktreeName)) {
+      return true;
+    }
+    // Runtimes without compose (kubernetes) have no compose logs to follow
+    if (!this.runtime?.isAvailable?.() || !this.runtime.getComposeCommand()) {
+      return false;
+    }
+    if (!force && Date.now() - (this._exitedAt.get(worktreeName) || 0) < RESTART_DELAY) {
+      return false;
+    }
+
+    const store = this.getStore(worktreeName);
+    const resumeAfter = store.lastTimestamp;
+    const composeCmd = this.runtime.getComposeCommand().split(' ');
+    const args = [
+      ...composeCmd.slice(1), 'logs', '-f', '--timestamps', '--no-color',
+      ...(resumeAfter ? ['--since', resumeAfter] : [`--tail=${INITIAL_TAIL}`])
+    ];
+    const cmd = this.runtime.needsElevation() ? 'sudo' : composeCmd[0];
+    const fullArgs = this.runtime.needsElevation() ? [composeCmd[0], ...args] : args;
+
+    let logsProcess;
+    try {
+      logsProcess = spawn(cmd, fullArgs, { cwd: worktreePath, env: process.env });
+    } catch (error) {
+      console.error(`[LOGS] Failed to collect logs for ${worktreeName}:`, error.message);
+      return false;
+    }
+
+    const collector = { process: logsProcess, buffer: '', resumeAfter };
+    this._collectors.set(worktreeName, collector);
+
+    logsProcess.stdout.on('data', (data) => {
+      collector.buffer += data.toString();
+      const lines = collector.buffer.split('\n');
+      collector.buffer = lines.pop() || '';
+      this.ingest(worktreeName, lines, { after: collector.resumeAfter });
+    });
+
+    // Exits when the worktree's containers stop (or there are none)
+    const onExit = () => {
+      if (this._collectors.get(worktreeName) !== collector) return;
+      this._collectors.delete(worktreeName);
+      this._exitedAt.set(worktreeName, Date.now());
+      if (collector.buffer) {
+        this.ingest(worktreeName, [collector.buffer], { after: collector.resumeAfter });
+      }
+    };
+    logsProcess.on('close', onExit);
+    logsProcess.on('error', (error) => {
+      console.error(`[LOGS] Log collector for ${worktreeName} failed:`, error.message);
+      onExit();
+    });
+
+    return true;
+  }
+
+  /**
+   * Parse and store raw `compose logs` lines
+   * @param {string} worktreeName
+   * @param {string[]} lines - Raw lines
+   * @param {Object} options
+   * @param {string|null} options.after - Drop records at or before this timestamp (already stored)
+   * @returns {Array<Object>} Stored records
+   */
+  ingest(worktreeName, lines, { after = null } = {}) {
+    const afterTime = after ? Date.parse(after) : null;
+    const records = lines
+      .map(line => parseLogLine(line))
+      .filter(record => record && (afterTime === null || Date.parse(record.timestamp) > afterTime));
+
+    try {
+      return this.getStore(worktreeName).append(records);
+    } catch (error) {
+      console.error(`[LOGS] Failed to store logs for ${worktreeName}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Query a worktree's stored logs
+   * @param {string} worktreeName
+   * @param {Object} filters - See LogStore#query
+   * @returns {Promise<{records: Array<Object>, services: string[], lastId: number, collecting: boolean}>}
+   */
+  async query(worktreeName, filters = {}) {
+    const store = this.getStore(worktreeName);
+    return {
+      records: await store.query(filters),
+      services: [...store.services].sort(),
+      lastId: store.lastId,
+      collecting: this.isCollecting(worktreeName)
+    };
+  }
+
+  /**
+   * Stop following a worktree and optionally delete its stored logs
+   * @param {string} worktreeName
+   * @param {Object} options
+   * @param {boolean} options.clear - Also remove stored records
+   */
+  unwatch(worktreeName, { clear = false } = {}) {
+    const collector = this._collectors.get(worktreeName);
+    if (collector) {
+      this._collectors.delete(worktreeName);
+      collector.process.kill();
+    }
+    if (clear) {
+      this.getStore(worktreeName).clear();
+      this._stores.delete(worktreeName);
+    }
+  }
+
+  /**
+   * Stop every collector (server shutdown)
+   */
+  stopAll() {
+    for (const worktreeName of [...this._collectors.keys()]) {
+      this.unwatch(worktreeName);
+    }
+  }
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LogAggregator, LogStore, parseLogLine } from './log-aggregator.mjs';
+
+describe('parseLogLine', () => {
+  it('should read the service, timestamp and level of a plain line', () => {
+    expect(parseLogLine('api-1  | 2024-05-01T10:00:00.123456789Z [WARN] slow query took 2s')).toEqual({
+      timestamp: '2024-05-01T10:00:00.123Z',
+      service: 'api',
+      level: 'warn',
+      message: '[WARN] slow query took 2s'
+    });
+  });
+
+  it('should take the message, level and fields from JSON lines', () => {
+    const record = parseLogLine('worker-2 | 2024-05-01T10:00:00Z {"level":50,"msg":"job failed","jobId":7,"err":{"code":"ETIMEDOUT"}}');
+
+    expect(record).toMatchObject({ service: 'worker', level: 'error', message: 'job failed' });
+    expect(record.fields).toEqual({ jobId: 7, err: { code: 'ETIMEDOUT' } });
+  });
+
+  it('should understand logfmt levels and default to info', () => {
+    expect(parseLogLine('db-1 | time=now level=debug msg="checkpoint"').level).toBe('debug');
+    expect(parseLogLine('db-1 | Listening on port 5432').level).toBe('info');
+    expect(parseLogLine('web_1 | FATAL: could not bind').level).toBe('fatal');
+  });
+
+  it('should skip empty lines', () => {
+    expect(parseLogLine('api-1  | 2024-05-01T10:00:00Z   ')).toBeNull();
+  });
+});
+
+describe('LogStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-logs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const record = (minute, service, level, message, fields) => ({
+    timestamp: `2024-05-01T10:${String(minute).padStart(2, '0')}:00.000Z`,
+    service,
+    level,
+    message,
+    ...(fields && { fields })
+  });
+
+  it('should filter by service, minimum level, time range and text', async () => {
+    const store = new LogStore(dir);
+    store.append([
+      record(0, 'api', 'info', 'started'),
+      record(1, 'api', 'error', 'request failed', { path: '/login' }),
+      record(2, 'db', 'warn', 'slow query'),
+      record(3, 'api', 'debug', 'cache miss')
+    ]);
+
+    expect((await store.query({ services: ['api'] })).map(r => r.message)).toEqual(['started', 'request failed', 'cache miss']);
+    expect((await store.query({ level: 'warn' })).map(r => r.message)).toEqual(['request failed', 'slow query']);
+    expect(await store.query({ since: '2024-05-01T10:01:00Z', until: '2024-05-01T10:02:00Z' })).toHaveLength(2);
+    expect((await store.query({ text: 'LOGIN' })).map(r => r.message)).toEqual(['request failed']);
+  });
+
+  it('should return the newest records and those after a cursor', async () => {
+    const store = new LogStore(dir);
+    store.append([1, 2, 3, 4].map(i => record(i, 'api', 'info', `line ${i}`)));
+
+    expect((await store.query({ limit: 2 })).map(r => r.message)).toEqual(['line 3', 'line 4']);
+    expect((await store.query({ after: 3 })).map(r => r.id)).toEqual([4]);
+  });
+
+  it('should answer tail polls from memory and read older records from disk', async () => {
+    const store = new LogStore(dir, { recentRecords: 2 });
+    store.append([1, 2, 3, 4].map(i => record(i, 'api', 'info', `line ${i}`)));
+    const readSegment = vi.spyOn(store, '_readSegmentAsync');
+
+    expect((await store.query({ after: 3 })).map(r => r.id)).toEqual([4]);
+    expect(readSegment).not.toHaveBeenCalled();
+
+    expect((await store.query()).map(r => r.message)).toEqual(['line 1', 'line 2', 'line 3', 'line 4']);
+    expect(readSegment).toHaveBeenCalled();
+  });
+
+  it('should drop the oldest segments and resume after a restart', async () => {
+    const store = new LogStore(dir, { maxSegmentBytes: 200, maxSegments: 2 });
+    for (let i = 0; i < 20; i++) {
+      store.append([record(i, 'api', 'info', `line ${i}`)]);
+    }
+
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+    expect((await store.query()).at(0).message).not.toBe('line 0');
+
+    const reopened = new LogStore(dir, { maxSegmentBytes: 200, maxSegments: 2 });
+    expect(reopened.lastId).toBe(20);
+    expect(reopened.lastTimestamp).toBe(record(19).timestamp);
+    expect([...reopened.services]).toEqual(['api']);
+  });
+});
+
+describe('LogAggregator', () => {
+  let logsDir;
+
+  beforeEach(() => {
+    logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-logs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(logsDir, { recursive: true, force: true });
+  });
+
+  it('should store parsed lines per worktree, skipping lines already stored', async () => {
+    const aggregator = new LogAggregator({ runtime: null, logsDir });
+    aggregator.ingest('feature-x', [
+      'api-1 | 2024-05-01T10:00:00Z first',
+      'api-1 | 2024-05-01T10:00:05Z ERROR second'
+    ]);
+    aggregator.ingest('feature-x', [
+      'api-1 | 2024-05-01T10:00:05Z ERROR second',
+      'api-1 | 2024-05-01T10:00:09Z third'
+    ], { after: '2024-05-01T10:00:05Z' });
+
+    const result = await aggregator.query('feature-x', {});
+    expect(result.records.map(r => r.message)).toEqual(['first', 'ERROR second', 'third']);
+    expect(result).toMatchObject({ services: ['api'], lastId: 3, collecting: false });
+    expect((await aggregator.query('feature-y')).records).toEqual([]);
+  });
+
+  it('should not collect without a container runtime', () => {
+    const aggregator = new LogAggregator({ runtime: { isAvailable: () => false }, logsDir });
+
+    expect(aggregator.watch('feature-x', logsDir)).toBe(false);
+    expect(aggregator.isCollecting('feature-x')).toBe(false);
+  });
+
+  it('should remove stored logs with the worktree', async () => {
+    const aggregator = new LogAggregator({ runtime: null, logsDir });
+    aggregator.ingest('feature-x', ['api-1 | hello']);
+
+    aggregator.unwatch('feature-x', { clear: true });
+
+    expect(fs.existsSync(path.join(logsDir, 'feature-x'))).toBe(false);
+    expect((await aggregator.query('feature-x')).records).toEqual([]);
+  });
+});
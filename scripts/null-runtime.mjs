@@ -65,6 +65,18 @@ export class NullRuntime {
     return Buffer.from('');
   }
 
+  /**
+   * Execute a container command asynchronously
+   * Resolves with empty output to indicate no containers exist
+   *
+   * @param {string} command - The command to execute
+   * @param {Object} options - Execution options
+   * @returns {Promise<string>} Empty output
+   */
+  async execAsync(command, options = {}) {
+    return this.exec(command, { encoding: 'utf-8', ...options });
+  }
+
   /**
    * Execute a compose command
    * Returns empty output to indicate no services exist
@@ -81,6 +93,26 @@ export class NullRuntime {
     return Buffer.from('');
   }
 
+  /**
+   * Follow container events
+   * There are no containers, so the stream never produces events
+   *
+   * @returns {{stop: Function}} Handle to end the stream
+   */
+  streamEvents() {
+    return { stop: () => {} };
+  }
+
+  /**
+   * Subscribe to container events
+   * There are no containers, so listeners are never called
+   *
+   * @returns {Function} Unsubscribe
+   */
+  subscribe() {
+    return () => {};
+  }
+
   /**
    * Get runtime information
    * @returns {Object} Runtime metadata
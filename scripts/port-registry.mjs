@@ -133,6 +133,23 @@ export class PortRegistry {
     this.save();
   }
 
+  /**
+   * Release some of a worktree's ports, e.g. those of services it now shares with main
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string[]} services - Port keys to release
+   * @returns {string[]} Port keys that were allocated and are now released
+   */
+  releaseServices(worktreeName, services) {
+    const released = services.filter(service => this.ports[`${worktreeName}:${service}`] !== undefined);
+    for (const service of released) {
+      delete this.ports[`${worktreeName}:${service}`];
+    }
+    if (released.length > 0) {
+      this.save();
+    }
+    return released;
+  }
+
   getWorktreePorts(worktreeName) {
     const result = {};
     for (const [key, port] of Object.entries(this.ports)) {
@@ -267,6 +284,55 @@ export class PortRegistry {
     });
   }
 
+  /**
+   * Find a worktree's allocated ports that are now held by foreign processes
+   * @param {string} worktreeName - Name of the worktree
+   * @param {Iterable<number>} ownedPorts - Ports published by the worktree's own containers
+   * @returns {Promise<Array<{service: string, port: number}>>} Conflicting allocations
+   */
+  async findConflicts(worktreeName, ownedPorts = []) {
+    const owned = new Set(ownedPorts);
+    const conflicts = [];
+
+    for (const [service, port] of Object.entries(this.getWorktreePorts(worktreeName))) {
+      if (!owned.has(port) && await this.isPortInUse(port)) {
+        conflicts.push({ service, port });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Move conflicting allocations of a worktree to free ports
+   * Each conflicting service gets the next port above its current one that is
+   * neither allocated in the registry nor in use on the system.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {Iterable<number>} ownedPorts - Ports published by the worktree's own containers
+   * @returns {Promise<Array<{service: string, from: number, to: number}>>} Re-allocations
+   */
+  async heal(worktreeName, ownedPorts = []) {
+    return this._withLock(async () => {
+      const conflicts = await this.findConflicts(worktreeName, ownedPorts);
+      const usedPorts = new Set(Object.values(this.ports));
+      const healed = [];
+
+      for (const { service, port } of conflicts) {
+        let newPort = port + 1;
+        while (usedPorts.has(newPort) || this.isPortInUseSync(newPort)) {
+          newPort++;
+        }
+
+        usedPorts.add(newPort);
+        this.ports[`${worktreeName}:${service}`] = newPort;
+        healed.push({ service, from: port, to: newPort });
+        console.log(`[PortRegistry] Re-allocated ${worktreeName}:${service}: ${port} → ${newPort} (port taken by another process)`);
+      }
+
+      return healed;
+    });
+  }
+
   /**
    * Release all ports for a worktree atomically
    * @param {string} worktreeName - Name of the worktree
@@ -121,6 +121,15 @@ describe('PortRegistry', () => {
 
       expect(writeFileSync).toHaveBeenCalled();
     });
+
+    it('should release single ports of a worktree', () => {
+      registry.allocate('feature-x', 'redis', 6379);
+      registry.allocate('feature-x', 'minio-console', 9001);
+      registry.allocate('feature-x', 'api', 3000);
+
+      expect(registry.releaseServices('feature-x', ['redis', 'minio-console', 'temporal'])).toEqual(['redis', 'minio-console']);
+      expect(registry.getWorktreePorts('feature-x')).toEqual({ api: 3000 });
+    });
   });
 
   describe('getWorktreePorts', () => {
@@ -508,4 +517,54 @@ COMPOSE_PROJECT_NAME=vibe_feature_x
       expect(writeFileSync).toHaveBeenCalled();
     });
   });
+
+  describe('heal', () => {
+    beforeEach(() => {
+      // Registry file holds two worktrees; _withLock reloads it from disk
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify({
+        'main:api': 3000,
+        'main:postgres': 5432,
+        'feature:api': 3001,
+        'feature:postgres': 5433
+      }));
+      registry = new PortRegistry('/mock/project/my-app');
+    });
+
+    it('should report ports held by foreign processes', async () => {
+      vi.spyOn(registry, 'isPortInUse').mockImplementation(async port => port === 3001 || port === 5433);
+
+      const conflicts = await registry.findConflicts('feature', [5433]);
+
+      expect(conflicts).toEqual([{ service: 'api', port: 3001 }]);
+    });
+
+    it('should move conflicting allocations to the next free port', async () => {
+      vi.spyOn(registry, 'isPortInUse').mockImplementation(async port => port === 3001);
+      vi.spyOn(registry, 'isPortInUseSync').mockImplementation(port => port === 3003);
+      readFileSync.mockReturnValue(JSON.stringify({
+        'main:api': 3000,
+        'feature:api': 3001,
+        'other:api': 3002
+      }));
+
+      const healed = await registry.heal('feature');
+
+      expect(healed).toEqual([{ service: 'api', from: 3001, to: 3004 }]);
+      expect(registry.getWorktreePorts('feature')).toEqual({ api: 3004 });
+      expect(writeFileSync).toHaveBeenCalledWith(
+        expect.stringContaining('ports.json'),
+        expect.stringContaining('"feature:api": 3004')
+      );
+    });
+
+    it('should leave ports owned by the worktree alone', async () => {
+      vi.spyOn(registry, 'isPortInUse').mockResolvedValue(true);
+
+      const healed = await registry.heal('feature', [3001, 5433]);
+
+      expect(healed).toEqual([]);
+      expect(registry.getWorktreePorts('feature')).toEqual({ api: 3001, postgres: 5433 });
+    });
+  });
 });
@@ -7,6 +7,7 @@ import fs from 'fs';
 import os from 'os';
 import path from 'path';
 import { randomUUID } from 'crypto';
+import { DEFAULT_ROLE, isRole } from './security/roles.mjs';
 
 export class ProjectManager {
   constructor() {
@@ -198,6 +199,111 @@ export class ProjectManager {
     this._saveProjects();
   }
 
+  /**
+   * Get a user's role in a project
+   * Global admins are admins everywhere. Otherwise a worktree assignment wins
+   * over the project assignment, which wins over the project's defaultRole.
+   * @param {string|null} id - Project ID
+   * @param {Object} user - Signed-in user ({ username, admin })
+   * @param {string|null} worktreeName - Worktree the action targets, if any
+   * @returns {string} viewer, developer or admin
+   */
+  getUserRole(id, user, worktreeName = null) {
+    if (user?.admin) {
+      return 'admin';
+    }
+
+    const project = id ? this.getProject(id) : null;
+    if (!project || !user) {
+      return DEFAULT_ROLE;
+    }
+
+    return (worktreeName && project.worktreeRoles?.[worktreeName]?.[user.username])
+      || project.members?.[user.username]
+      || project.defaultRole
+      || DEFAULT_ROLE;
+  }
+
+  /**
+   * Assign a user's role in a project or one of its worktrees
+   * @param {string} id - Project ID
+   * @param {string} username - User to assign
+   * @param {string|null} role - viewer, developer or admin; null removes the assignment
+   * @param {string|null} worktreeName - Assign for this worktree only
+   * @returns {Object} Updated project
+   */
+  setMemberRole(id, username, role, worktreeName = null) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error(`Project not found: ${id}`);
+    }
+    if (role !== null && !isRole(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    let members;
+    if (worktreeName) {
+      project.worktreeRoles = project.worktreeRoles || {};
+      members = project.worktreeRoles[worktreeName] = project.worktreeRoles[worktreeName] || {};
+    } else {
+      members = project.members = project.members || {};
+    }
+
+    if (role === null) {
+      delete members[username];
+      if (worktreeName && Object.keys(members).length === 0) {
+        delete project.worktreeRoles[worktreeName];
+      }
+    } else {
+      members[username] = role;
+    }
+
+    this._saveProjects();
+
+    return project;
+  }
+
+  /**
+   * Set the role of users without an assignment in a project
+   * @param {string} id - Project ID
+   * @param {string} role - viewer, developer or admin
+   * @returns {Object} Updated project
+   */
+  setDefaultRole(id, role) {
+    const project = this.getProject(id);
+    if (!project) {
+      throw new Error(`Project not found: ${id}`);
+    }
+    if (!isRole(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    project.defaultRole = role;
+    this._saveProjects();
+
+    return project;
+  }
+
+  /**
+   * Drop a deleted user's role assignments from every project
+   * @param {string} username
+   */
+  removeUserRoles(username) {
+    for (const project of this.projects) {
+      if (project.members) {
+        delete project.members[username];
+      }
+      for (const [worktreeName, members] of Object.entries(project.worktreeRoles || {})) {
+        delete members[username];
+        if (Object.keys(members).length === 0) {
+          delete project.worktreeRoles[worktreeName];
+        }
+      }
+    }
+
+    this._saveProjects();
+  }
+
   /**
    * Detect project from a file/directory path
    * Finds the project whose path is an ancestor of the given path
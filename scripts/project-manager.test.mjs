@@ -420,4 +420,46 @@ describe('ProjectManager', () => {
       expect(found.id).toBe(child.id);
     });
   });
+
+  describe('roles', () => {
+    let project;
+
+    beforeEach(() => {
+      project = projectManager.addProject({ name: 'Test', path: '/path/to/project' });
+    });
+
+    it('should default to viewer and make global admins admin', () => {
+      expect(projectManager.getUserRole(project.id, { username: 'bob' })).toBe('viewer');
+      expect(projectManager.getUserRole(null, { username: 'bob' })).toBe('viewer');
+      expect(projectManager.getUserRole(project.id, { username: 'root', admin: true })).toBe('admin');
+    });
+
+    it('should prefer worktree assignments over project assignments', () => {
+      projectManager.setDefaultRole(project.id, 'developer');
+      projectManager.setMemberRole(project.id, 'bob', 'viewer');
+      projectManager.setMemberRole(project.id, 'bob', 'admin', 'feature');
+
+      expect(projectManager.getUserRole(project.id, { username: 'carol' })).toBe('developer');
+      expect(projectManager.getUserRole(project.id, { username: 'bob' })).toBe('viewer');
+      expect(projectManager.getUserRole(project.id, { username: 'bob' }, 'feature')).toBe('admin');
+      expect(projectManager.getUserRole(project.id, { username: 'bob' }, 'other')).toBe('viewer');
+    });
+
+    it('should remove assignments', () => {
+      projectManager.setMemberRole(project.id, 'bob', 'developer');
+      projectManager.setMemberRole(project.id, 'bob', 'admin', 'feature');
+
+      projectManager.setMemberRole(project.id, 'bob', null, 'feature');
+      expect(project.worktreeRoles).toEqual({});
+
+      projectManager.removeUserRoles('bob');
+      expect(projectManager.getUserRole(project.id, { username: 'bob' })).toBe('viewer');
+    });
+
+    it('should reject unknown roles', () => {
+      expect(() => projectManager.setMemberRole(project.id, 'bob', 'owner')).toThrow('Invalid role: owner');
+      expect(() => projectManager.setDefaultRole(project.id, 'owner')).toThrow('Invalid role: owner');
+      expect(() => projectManager.setMemberRole('missing', 'bob', 'viewer')).toThrow('Project not found');
+    });
+  });
 });
@@ -1,13 +1,32 @@
-import { randomUUID } from 'crypto';
+import { randomUUID, randomBytes } from 'crypto';
+import EventEmitter from 'events';
 import pty from 'node-pty';
 import { PTYStateSerializer } from './pty-state-serializer.mjs';
-
-export class PTYSessionManager {
+import { stripAnsi } from './terminal-recorder.mjs';
+import { plainLine } from './terminal-search-index.mjs';
+
+const SHARE_LINK_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const IDLE_DELAY = 5000; // Quiet output for this long means the agent stopped working
+const ECHO_WINDOW = 500; // Output this soon after input is taken as its echo, not agent work
+const ACTIVITY_TAIL_LENGTH = 2000; // Characters of recent output kept for prompt detection
+const PROMPT_LINES = 12; // Last non-empty output lines checked against awaiting-input patterns
+const MAX_PARTIAL_LINE_LENGTH = 10000; // Characters kept of an output line still waiting for its line feed
+
+/**
+ * Manages PTY sessions and emits 'agent-state' when a session's agent starts
+ * working, goes idle, waits for input, exits or its terminal is closed:
+ * { sessionId, worktree, agent, state, previousState, since, exitCode }
+ */
+export class PTYSessionManager extends EventEmitter {
   constructor(options = {}) {
+    super();
     this._sessions = new Map();
     this.serializer = options.serializer || new PTYStateSerializer();
     this.autoSaveInterval = options.autoSaveInterval || 5000; // 5 seconds default
     this.orphanTimeout = options.orphanTimeout || 1 * 60 * 60 * 1000; // 1 hour (not 24!)
+    this.recorder = options.recorder || null; // TerminalRecorder for asciicast recordings
+    this.searchIndex = options.searchIndex || null; // TerminalSearchIndex fed with every session's output
+    this.idleDelay = options.idleDelay ?? IDLE_DELAY;
 
     // Start cleanup check every 5 minutes (not 1 hour!)
     this._cleanupTimer = setInterval(() => {
@@ -55,10 +74,14 @@ export class PTYSessionManager {
       agent,
       cwd,
       connected: false,
-      clientId: null,
-      ws: null, // WebSocket reference for takeover notifications
+      clients: new Map(), // clientId -> { id, ws, user, readOnly, joinedAt }
+      driverId: null, // Client whose input reaches the PTY
+      shareTokens: new Map(), // token -> expiry timestamp
       pty: null,
       activeListener: null, // Track active data listener
+      recording: null, // Asciicast recording in progress
+      recordingListener: null,
+      activity: null, // Agent state tracking, see _trackActivity
       createdAt: new Date(),
       disconnectedAt: null
     });
@@ -86,41 +109,144 @@ export class PTYSessionManager {
 
   /**
    * Attach WebSocket client to session
+   * Any number of clients can watch a session. The first one allowed to type
+   * becomes the driver; the others spectate until the driver role moves.
    * @param {string} sessionId - Session ID
    * @param {string} clientId - WebSocket client ID
    * @param {object} ws - WebSocket connection (optional)
-   * @returns {object|null} Previous WebSocket if session was taken over, null otherwise
+   * @param {object} info - Client details
+   * @param {string|null} info.user - Name shown in the presence list
+   * @param {boolean} info.readOnly - Never let this client drive
+   * @returns {object|null} Attached client, or null if the session does not exist
    */
-  attachClient(sessionId, clientId, ws = null) {
+  attachClient(sessionId, clientId, ws = null, { user = null, readOnly = false } = {}) {
     const session = this._sessions.get(sessionId);
-    if (session) {
-      const previousWs = session.ws;
-      const wasTakeover = session.connected && previousWs;
+    if (!session) {
+      return null;
+    }
 
-      session.connected = true;
-      session.clientId = clientId;
-      session.ws = ws;
-      session.disconnectedAt = null;
+    const client = { id: clientId, ws, user, readOnly, joinedAt: new Date() };
+    session.clients.set(clientId, client);
+    session.connected = true;
+    session.disconnectedAt = null;
 
-      // Return previous WebSocket if this was a takeover
-      return wasTakeover ? previousWs : null;
+    if (!session.driverId && !readOnly) {
+      session.driverId = clientId;
     }
-    return null;
+
+    return client;
   }
 
   /**
    * Detach WebSocket client from session
+   * If the driver leaves, the longest-attached client that may type takes over.
    * @param {string} sessionId - Session ID
+   * @param {string} clientId - Client to detach (all clients if omitted)
    */
-  detachClient(sessionId) {
+  detachClient(sessionId, clientId = null) {
     const session = this._sessions.get(sessionId);
-    if (session) {
+    if (!session) {
+      return;
+    }
+
+    if (clientId) {
+      session.clients.delete(clientId);
+    } else {
+      session.clients.clear();
+    }
+
+    if (!session.clients.has(session.driverId)) {
+      const next = [...session.clients.values()].find(client => !client.readOnly);
+      session.driverId = next ? next.id : null;
+    }
+
+    if (session.clients.size === 0) {
       session.connected = false;
-      session.ws = null;
       session.disconnectedAt = new Date();
     }
   }
 
+  /**
+   * Hand the driver role to another attached client
+   * @param {string} sessionId - Session ID
+   * @param {string} clientId - New driver
+   * @returns {boolean} False if the client is unknown or read-only
+   */
+  setDriver(sessionId, clientId) {
+    const client = this._sessions.get(sessionId)?.clients.get(clientId);
+    if (!client || client.readOnly) {
+      return false;
+    }
+
+    this._sessions.get(sessionId).driverId = clientId;
+    return true;
+  }
+
+  /**
+   * Who is attached to a session
+   * @param {string} sessionId - Session ID
+   * @returns {Array<{id: string, user: string|null, readOnly: boolean, driver: boolean}>} In join order
+   */
+  getPresence(sessionId) {
+    const session = this._sessions.get(sessionId);
+    if (!session) {
+      return [];
+    }
+
+    return [...session.clients.values()].map(client => ({
+      id: client.id,
+      user: client.user,
+      readOnly: client.readOnly,
+      driver: client.id === session.driverId
+    }));
+  }
+
+  /**
+   * Create a token for a share link that lets its holder watch the session read-only
+   * @param {string} sessionId - Session ID
+   * @param {number} ttl - Lifetime in ms (default: 24 hours)
+   * @returns {{token: string, expiresAt: number}|null} Null if the session does not exist
+   */
+  createShareToken(sessionId, ttl = SHARE_LINK_TTL) {
+    const session = this._sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const token = randomBytes(24).toString('hex');
+    const expiresAt = Date.now() + ttl;
+    session.shareTokens.set(token, expiresAt);
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Find the session a share token was created for
+   * @param {string} token - Share token
+   * @returns {object|null} Session, or null if the token is unknown or expired
+   */
+  resolveShareToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    for (const session of this._sessions.values()) {
+      const expiresAt = session.shareTokens.get(token);
+      if (expiresAt) {
+        return expiresAt > Date.now() ? session : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Invalidate every share link of a session
+   * @param {string} sessionId - Session ID
+   */
+  revokeShareTokens(sessionId) {
+    this._sessions.get(sessionId)?.shareTokens.clear();
+  }
+
   /**
    * Spawn PTY process for session
    * @param {string} sessionId - Session ID
@@ -129,6 +255,8 @@ export class PTYSessionManager {
    * @param {string[]} options.args - Command arguments
    * @param {number} options.cols - Terminal columns
    * @param {number} options.rows - Terminal rows
+   * @param {Object} options.env - Extra environment variables
+   * @param {Array<RegExp>} options.awaitingInput - Output patterns of a prompt waiting for an answer
    */
   spawnPTY(sessionId, options) {
     const session = this._sessions.get(sessionId);
@@ -143,14 +271,202 @@ export class PTYSessionManager {
       cols: options.cols || 80,
       rows: options.rows || 24,
       cwd: session.cwd,
-      env: process.env
+      env: options.env ? { ...process.env, ...options.env } : process.env
     });
 
     session.pty = ptyProcess;
 
+    if (this.recorder?.shouldRecord(session.agent)) {
+      this.startRecording(sessionId);
+    }
+    if (this.searchIndex) {
+      this._indexOutput(session);
+    }
+    // A plain shell goes quiet after every command; that is not an agent stopping
+    if (session.agent !== 'shell') {
+      this._trackActivity(session, options.awaitingInput || []);
+    }
+
     return ptyProcess;
   }
 
+  /**
+   * Feed a session's output to the search index line by line, whether or not
+   * anyone is watching
+   * @private
+   */
+  _indexOutput(session) {
+    let partial = '';
+
+    session.pty.onData((data) => {
+      const lines = (partial + data).split('\n');
+      partial = lines.pop().slice(-MAX_PARTIAL_LINE_LENGTH);
+      for (const line of lines) {
+        this.searchIndex.addLine(session, plainLine(line));
+      }
+    });
+  }
+
+  /**
+   * Follow a session's output to tell whether its agent is working, idle,
+   * waiting for an answer or finished
+   *
+   * Output keeps a session 'working'; once it has been quiet for idleDelay the
+   * last lines decide between 'awaiting-input' and 'idle'. Sessions begin as
+   * 'starting' so an agent's startup banner does not count as work.
+   * @private
+   */
+  _trackActivity(session, awaitingInput) {
+    const activity = {
+      state: 'starting',
+      since: Date.now(),
+      exitCode: null,
+      awaitingInput,
+      tail: '',
+      lastInputAt: 0,
+      timer: null,
+      stopped: false
+    };
+    session.activity = activity;
+
+    const settle = () => {
+      activity.timer = null;
+      const lines = activity.tail.split('\n').filter(line => line.trim()).slice(-PROMPT_LINES).join('\n');
+      const waiting = activity.awaitingInput.some(pattern => pattern.test(lines));
+      this._setAgentState(session, waiting ? 'awaiting-input' : 'idle');
+    };
+
+    session.pty.onData((data) => {
+      if (activity.stopped || activity.state === 'finished') return;
+
+      activity.tail = (activity.tail + stripAnsi(data)).slice(-ACTIVITY_TAIL_LENGTH);
+      const isEcho = Date.now() - activity.lastInputAt < ECHO_WINDOW;
+      if (activity.state !== 'starting' && activity.state !== 'working' && isEcho) {
+        return;
+      }
+
+      if (activity.state !== 'starting') {
+        this._setAgentState(session, 'working');
+      }
+      clearTimeout(activity.timer);
+      activity.timer = setTimeout(settle, this.idleDelay);
+      activity.timer.unref?.();
+    });
+
+    session.pty.onExit(({ exitCode } = {}) => {
+      clearTimeout(activity.timer);
+      activity.exitCode = exitCode ?? null;
+      this._setAgentState(session, 'finished');
+    });
+  }
+
+  /**
+   * @private
+   */
+  _setAgentState(session, state) {
+    const activity = session.activity;
+    if (!activity || activity.stopped || activity.state === state) {
+      return;
+    }
+
+    const previousState = activity.state;
+    activity.state = state;
+    activity.since = Date.now();
+    this.emit('agent-state', { ...this.getAgentState(session.id), previousState });
+  }
+
+  /**
+   * Note that a client typed into a session, so the echo is not taken for agent work
+   * @param {string} sessionId - Session ID
+   */
+  recordInput(sessionId) {
+    const activity = this._sessions.get(sessionId)?.activity;
+    if (activity) {
+      activity.lastInputAt = Date.now();
+      activity.tail = ''; // A prompt that was answered no longer counts
+    }
+  }
+
+  /**
+   * What a session's agent is doing
+   * @param {string} sessionId - Session ID
+   * @returns {{sessionId: string, worktree: string, agent: string, state: string, since: string, exitCode: number|null}|null}
+   */
+  getAgentState(sessionId) {
+    const session = this._sessions.get(sessionId);
+    if (!session?.activity) {
+      return null;
+    }
+
+    return {
+      sessionId,
+      worktree: session.worktreeName,
+      agent: session.agent,
+      state: session.activity.state,
+      since: new Date(session.activity.since).toISOString(),
+      exitCode: session.activity.exitCode
+    };
+  }
+
+  /**
+   * States of every session with a running (or exited) PTY
+   * @returns {Array<Object>} See getAgentState
+   */
+  listAgentStates() {
+    return [...this._sessions.keys()].map(sessionId => this.getAgentState(sessionId)).filter(Boolean);
+  }
+
+  /**
+   * Record a session's output from now on, whether or not anyone is watching
+   * @param {string} sessionId - Session ID
+   * @returns {object|null} Recording, or null without a recorder or running PTY
+   */
+  startRecording(sessionId) {
+    const session = this._sessions.get(sessionId);
+    if (!this.recorder || !session?.pty) {
+      return null;
+    }
+    if (session.recording) {
+      return session.recording;
+    }
+
+    let recording;
+    try {
+      recording = this.recorder.start({
+        worktree: session.worktreeName,
+        agent: session.agent,
+        cols: session.pty.cols || 80,
+        rows: session.pty.rows || 24
+      });
+    } catch (error) {
+      // A terminal that can't be recorded still works
+      console.error(`[RECORDING] Failed to start recording for session ${sessionId}:`, error.message);
+      return null;
+    }
+    session.recording = recording;
+    session.recordingListener = session.pty.onData(data => recording.output(data));
+    session.pty.onExit(() => this.stopRecording(sessionId));
+
+    return recording;
+  }
+
+  /**
+   * Finish a session's recording
+   * @param {string} sessionId - Session ID
+   */
+  async stopRecording(sessionId) {
+    const session = this._sessions.get(sessionId);
+    if (!session?.recording) {
+      return;
+    }
+
+    const recording = session.recording;
+    session.recording = null;
+    session.recordingListener?.dispose();
+    session.recordingListener = null;
+    await recording.stop();
+  }
+
   /**
    * Destroy session and kill PTY process
    * @param {string} sessionId - Session ID
@@ -164,6 +480,15 @@ export class PTYSessionManager {
         session.activeListener = null;
       }
 
+      await this.stopRecording(sessionId);
+
+      // Closing a terminal is not the agent finishing
+      if (session.activity) {
+        clearTimeout(session.activity.timer);
+        this._setAgentState(session, 'closed');
+        session.activity.stopped = true;
+      }
+
       if (session.pty) {
         session.pty.kill();
       }
@@ -50,6 +50,7 @@ vi.mock('@xterm/headless', () => {
 let mockTerminal, mockSerializeAddon, mockTerminalConstructor, mockSerializeConstructor;
 
 import { PTYSessionManager } from './pty-session-manager.mjs';
+import { TerminalSearchIndex } from './terminal-search-index.mjs';
 import pty from 'node-pty';
 
 describe('PTYSessionManager', () => {
@@ -65,6 +66,7 @@ describe('PTYSessionManager', () => {
       kill: vi.fn(),
       on: vi.fn(),
       onData: vi.fn(),
+      onExit: vi.fn(),
       resize: vi.fn()
     };
     // Setup default mock implementation
@@ -99,14 +101,14 @@ describe('PTYSessionManager', () => {
 
       const session = manager.getSession(sessionId);
       expect(session.connected).toBe(true);
-      expect(session.clientId).toBe('ws-client-1');
+      expect(session.clients.has('ws-client-1')).toBe(true);
     });
 
     it('should mark session as disconnected when client detaches', () => {
       const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
       manager.attachClient(sessionId, 'ws-client-1');
 
-      manager.detachClient(sessionId);
+      manager.detachClient(sessionId, 'ws-client-1');
 
       const session = manager.getSession(sessionId);
       expect(session.connected).toBe(false);
@@ -122,62 +124,65 @@ describe('PTYSessionManager', () => {
 
       const session = manager.getSession(sessionId);
       expect(session.connected).toBe(true);
-      expect(session.clientId).toBe('ws-client-2');
+      expect(session.driverId).toBe('ws-client-2');
     });
   });
 
-  describe('Session Takeover', () => {
-    it('should return null when attaching to new session', () => {
+  describe('Shared Sessions', () => {
+    it('should keep earlier clients attached and make the first one the driver', () => {
       const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
-      const mockWs = { readyState: 1 };
+      const mockWs1 = { readyState: 1 };
+      const mockWs2 = { readyState: 1 };
 
-      const previousWs = manager.attachClient(sessionId, 'ws-client-1', mockWs);
+      manager.attachClient(sessionId, 'ws-client-1', mockWs1, { user: 'alice' });
+      const client = manager.attachClient(sessionId, 'ws-client-2', mockWs2, { user: 'bob' });
 
-      expect(previousWs).toBeNull();
+      expect(client).toMatchObject({ id: 'ws-client-2', ws: mockWs2, user: 'bob', readOnly: false });
+      expect(manager.getPresence(sessionId)).toEqual([
+        { id: 'ws-client-1', user: 'alice', readOnly: false, driver: true },
+        { id: 'ws-client-2', user: 'bob', readOnly: false, driver: false }
+      ]);
     });
 
-    it('should return previous WebSocket when taking over active session', () => {
+    it('should transfer the driver role, but never to read-only clients', () => {
       const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
-      const mockWs1 = { readyState: 1, send: vi.fn() };
-      const mockWs2 = { readyState: 1, send: vi.fn() };
-
-      // First client connects
-      manager.attachClient(sessionId, 'ws-client-1', mockWs1);
-
-      // Second client takes over
-      const previousWs = manager.attachClient(sessionId, 'ws-client-2', mockWs2);
-
-      expect(previousWs).toBe(mockWs1);
+      manager.attachClient(sessionId, 'ws-client-1');
+      manager.attachClient(sessionId, 'ws-client-2');
+      manager.attachClient(sessionId, 'viewer', null, { readOnly: true });
 
-      const session = manager.getSession(sessionId);
-      expect(session.ws).toBe(mockWs2);
-      expect(session.clientId).toBe('ws-client-2');
+      expect(manager.setDriver(sessionId, 'viewer')).toBe(false);
+      expect(manager.setDriver(sessionId, 'missing')).toBe(false);
+      expect(manager.setDriver(sessionId, 'ws-client-2')).toBe(true);
+      expect(manager.getSession(sessionId).driverId).toBe('ws-client-2');
     });
 
-    it('should not return previous WebSocket for disconnected session', () => {
+    it('should pass the driver role on when the driver leaves', () => {
       const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
-      const mockWs1 = { readyState: 1 };
-      const mockWs2 = { readyState: 1 };
-
-      // First client connects then disconnects
-      manager.attachClient(sessionId, 'ws-client-1', mockWs1);
-      manager.detachClient(sessionId);
+      manager.attachClient(sessionId, 'viewer', null, { readOnly: true });
+      manager.attachClient(sessionId, 'ws-client-1');
+      manager.attachClient(sessionId, 'ws-client-2');
 
-      // Second client reconnects (not a takeover)
-      const previousWs = manager.attachClient(sessionId, 'ws-client-2', mockWs2);
+      manager.detachClient(sessionId, 'ws-client-1');
+      expect(manager.getSession(sessionId).driverId).toBe('ws-client-2');
 
-      expect(previousWs).toBeNull();
+      manager.detachClient(sessionId, 'ws-client-2');
+      expect(manager.getSession(sessionId).driverId).toBeNull();
+      expect(manager.getSession(sessionId).connected).toBe(true);
     });
 
-    it('should clear WebSocket reference on detach', () => {
+    it('should resolve share tokens until they expire or are revoked', () => {
       const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
-      const mockWs = { readyState: 1 };
+      const { token, expiresAt } = manager.createShareToken(sessionId, 1000);
 
-      manager.attachClient(sessionId, 'ws-client-1', mockWs);
-      manager.detachClient(sessionId);
+      expect(expiresAt).toBeGreaterThan(Date.now());
+      expect(manager.resolveShareToken(token)?.id).toBe(sessionId);
+      expect(manager.resolveShareToken('unknown')).toBeNull();
 
-      const session = manager.getSession(sessionId);
-      expect(session.ws).toBeNull();
+      manager.revokeShareTokens(sessionId);
+      expect(manager.resolveShareToken(token)).toBeNull();
+
+      const expired = manager.createShareToken(sessionId, -1);
+      expect(manager.resolveShareToken(expired.token)).toBeNull();
     });
   });
 
@@ -218,6 +223,172 @@ describe('PTYSessionManager', () => {
     });
   });
 
+  describe('Recording', () => {
+    const createRecorder = (shouldRecord) => {
+      const recording = { output: vi.fn(), stop: vi.fn().mockResolvedValue(undefined) };
+      return { recording, recorder: { shouldRecord: vi.fn(() => shouldRecord), start: vi.fn(() => recording) } };
+    };
+
+    beforeEach(() => {
+      mockPty.onData.mockReturnValue({ dispose: vi.fn() });
+      mockPty.onExit = vi.fn();
+    });
+
+    it('should record new sessions the recorder asks for', () => {
+      const { recorder, recording } = createRecorder(true);
+      const manager = new PTYSessionManager({ recorder });
+      const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
+
+      manager.spawnPTY(sessionId, { cols: 120, rows: 30 });
+
+      expect(recorder.shouldRecord).toHaveBeenCalledWith('claude');
+      expect(manager.getSession(sessionId).recording).toBe(recording);
+      mockPty.onData.mock.calls[0][0]('output');
+      expect(recording.output).toHaveBeenCalledWith('output');
+      manager.destroy();
+    });
+
+    it('should start and stop recording on request', async () => {
+      const { recorder, recording } = createRecorder(false);
+      const manager = new PTYSessionManager({ recorder });
+      const sessionId = manager.createSession('feature-test', 'shell', '/path/to/worktree');
+
+      expect(manager.startRecording(sessionId)).toBeNull();
+      manager.spawnPTY(sessionId, {});
+      expect(manager.getSession(sessionId).recording).toBeNull();
+
+      expect(manager.startRecording(sessionId)).toBe(recording);
+      expect(manager.startRecording(sessionId)).toBe(recording);
+      expect(recorder.start).toHaveBeenCalledTimes(1);
+
+      await manager.stopRecording(sessionId);
+      expect(recording.stop).toHaveBeenCalled();
+      expect(manager.getSession(sessionId).recording).toBeNull();
+      manager.destroy();
+    });
+
+    it('should keep the terminal working when recording fails to start', () => {
+      const recorder = { shouldRecord: () => true, start: vi.fn(() => { throw new Error('EACCES'); }) };
+      const manager = new PTYSessionManager({ recorder });
+      const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(() => manager.spawnPTY(sessionId, {})).not.toThrow();
+      expect(manager.getSession(sessionId).recording).toBeNull();
+      consoleError.mockRestore();
+      manager.destroy();
+    });
+  });
+
+  describe('Search index', () => {
+    it('should index output of sessions nobody is attached to', () => {
+      const searchIndex = new TerminalSearchIndex();
+      const manager = new PTYSessionManager({ searchIndex });
+      const sessionId = manager.createSession('feature-test', 'codex', '/path/to/worktree');
+      const outputs = [];
+      mockPty.onData.mockImplementation(handler => { outputs.push(handler); });
+
+      manager.spawnPTY(sessionId, {});
+      const emit = data => outputs.forEach(handler => handler(data));
+      emit('\x1b[31mError: conn');
+      emit('ection refused\x1b[0m\r\n$ ');
+
+      expect(manager.getSession(sessionId).clients.size).toBe(0);
+      expect(searchIndex.search('connection refused')).toEqual([
+        expect.objectContaining({ sessionId, worktree: 'feature-test', agent: 'codex', snippet: 'Error: connection refused' })
+      ]);
+      manager.destroy();
+    });
+  });
+
+  describe('Agent state', () => {
+    let output;
+    let exit;
+    let events;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      mockPty.onData.mockImplementation(handler => { output = handler; });
+      mockPty.onExit.mockImplementation(handler => { exit = handler; });
+      manager = new PTYSessionManager({ idleDelay: 1000 });
+      events = [];
+      manager.on('agent-state', event => events.push(event));
+    });
+
+    afterEach(() => {
+      manager.destroy();
+      vi.useRealTimers();
+    });
+
+    const spawn = (awaitingInput = []) => {
+      const sessionId = manager.createSession('feature-test', 'claude', '/path/to/worktree');
+      manager.spawnPTY(sessionId, { awaitingInput });
+      return sessionId;
+    };
+
+    it('should go idle once output stops, ignoring the startup banner', () => {
+      const sessionId = spawn();
+      output('Welcome to Claude Code\r\n');
+      vi.advanceTimersByTime(1000);
+
+      expect(events).toEqual([expect.objectContaining({ sessionId, worktree: 'feature-test', agent: 'claude', state: 'idle', previousState: 'starting' })]);
+
+      output('Thinking...');
+      vi.advanceTimersByTime(1000);
+      expect(events.map(e => e.state)).toEqual(['idle', 'working', 'idle']);
+    });
+
+    it('should not count the echo of typed input as work', () => {
+      const sessionId = spawn();
+      output('> ');
+      vi.advanceTimersByTime(1000);
+
+      manager.recordInput(sessionId);
+      output('h');
+      expect(manager.getAgentState(sessionId).state).toBe('idle');
+
+      vi.advanceTimersByTime(600);
+      output('Reading files...');
+      expect(manager.getAgentState(sessionId).state).toBe('working');
+    });
+
+    it('should detect a prompt waiting for an answer', () => {
+      const sessionId = spawn([/Do you want to proceed/]);
+      output('ready');
+      vi.advanceTimersByTime(1000);
+      output('\x1b[1mDo you want to proceed?\x1b[0m\r\n❯ 1. Yes\r\n');
+      vi.advanceTimersByTime(1000);
+
+      expect(manager.getAgentState(sessionId)).toMatchObject({ state: 'awaiting-input', exitCode: null });
+    });
+
+    it('should report the exit code when the agent exits', () => {
+      const sessionId = spawn();
+      exit({ exitCode: 1 });
+
+      expect(events.at(-1)).toMatchObject({ state: 'finished', exitCode: 1 });
+      expect(manager.listAgentStates()).toEqual([expect.objectContaining({ sessionId, state: 'finished' })]);
+    });
+
+    it('should not track plain shell sessions', async () => {
+      const sessionId = manager.createSession('feature-test', 'shell', '/path/to/worktree');
+      manager.spawnPTY(sessionId, {});
+      vi.advanceTimersByTime(1000);
+      await manager.destroySession(sessionId);
+
+      expect(mockPty.onData).not.toHaveBeenCalled();
+      expect(events).toEqual([]);
+    });
+
+    it('should report a closed terminal once and then stay quiet', async () => {
+      const sessionId = spawn();
+      await manager.destroySession(sessionId);
+      exit({ exitCode: 0 });
+
+      expect(events.map(e => e.state)).toEqual(['closed']);
+    });
+  });
+
   // Note: Auto-save feature was removed for performance reasons
   // (was causing 10-50ms freezes every 5 seconds)
 
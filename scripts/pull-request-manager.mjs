@@ -0,0 +1,249 @@
+import { execFile } from 'child_process';
+import { GitHubCli, summarizeChecks } from './github-cli.mjs';
+
+/**
+ * PullRequestManager
+ *
+ * Pushes worktree branches and opens pull requests through `gh`, and keeps a
+ * cached summary of each worktree's PR (number, CI checks, review state) that
+ * is refreshed periodically for the sidebar.
+ */
+export class PullRequestManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.worktreeManager - WorktreeManager instance
+   * @param {GitHubCli} options.gh - GitHub CLI wrapper (default: real gh)
+   * @param {string} options.baseBranch - Branch PRs target (default: 'main')
+   * @param {number} options.refreshInterval - How often to refresh PR status in ms (default: 5 minutes)
+   * @param {number} options.gitTimeout - Longest a git command (e.g. push) may take in ms (default: 2 minutes)
+   */
+  constructor(options) {
+    this.worktreeManager = options.worktreeManager;
+    this.gh = options.gh || new GitHubCli();
+    this.baseBranch = options.baseBranch || 'main';
+    this.refreshInterval = options.refreshInterval ?? 5 * 60 * 1000;
+    this.gitTimeout = options.gitTimeout ?? 2 * 60 * 1000;
+
+    this.intervalId = null;
+    this._statuses = new Map(); // worktreeName -> PR summary (null when the branch has no PR)
+  }
+
+  /**
+   * Start refreshing PR status periodically
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.intervalId) return;
+
+    if (!await this.gh.isAvailable()) {
+      console.log('[PullRequests] gh CLI not available or not authenticated, PR tracking paused until it is');
+    }
+
+    this.intervalId = setInterval(() => {
+      this.refreshAll().catch(error => {
+        console.error(`[PullRequests] Refresh failed: ${error.message}`);
+      });
+    }, this.refreshInterval);
+
+    this.refreshAll().catch(error => {
+      console.error(`[PullRequests] Refresh failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Stop periodic refresh
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Cached PR summary for a worktree
+   * @param {string} worktreeName
+   * @returns {Object|null|undefined} undefined when not fetched yet, null when there is no PR
+   */
+  getStatus(worktreeName) {
+    return this._statuses.get(worktreeName);
+  }
+
+  /**
+   * Refresh PR status of every worktree except main
+   * @returns {Promise<void>}
+   */
+  async refreshAll() {
+    if (!await this.gh.isAvailable()) return;
+
+    for (const { name, path } of this.worktreeManager._worktreeLocations()) {
+      if (name === 'main') continue;
+
+      try {
+        await this.refreshStatus(name, path);
+      } catch (error) {
+        console.warn(`[PullRequests] Could not refresh ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Fetch the PR for a worktree's branch and update the cache
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @returns {Promise<Object|null>} PR summary, or null if the branch has no PR
+   */
+  async refreshStatus(worktreeName, worktreePath) {
+    const branch = (await this._git(['branch', '--show-current'], worktreePath)).trim();
+    const pr = branch ? await this.gh.getPullRequest(worktreePath, branch) : null;
+    const status = pr ? this._summarize(pr) : null;
+
+    const previous = this._statuses.get(worktreeName);
+    this._statuses.set(worktreeName, status);
+
+    if (JSON.stringify(previous) !== JSON.stringify(status)) {
+      this.worktreeManager.broadcast?.('pr:updated', { worktree: worktreeName, pr: status });
+    }
+
+    return status;
+  }
+
+  /**
+   * Suggest a PR title and body from the commits on the branch
+   * @param {string} worktreePath
+   * @returns {Promise<{branch: string, base: string, title: string, body: string, commits: Object[]}>}
+   */
+  async getDraft(worktreePath) {
+    const branch = (await this._git(['branch', '--show-current'], worktreePath)).trim();
+    const log = await this._git(
+      ['log', '--reverse', '--format=%s%x1f%b%x1e', `${await this._baseRef(worktreePath)}..HEAD`],
+      worktreePath
+    );
+
+    const commits = log.split('\x1e')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [subject, body = ''] = entry.split('\x1f');
+        return { subject: subject.trim(), body: body.trim() };
+      });
+
+    let title = titleFromBranch(branch);
+    let body = '';
+
+    if (commits.length === 1) {
+      title = commits[0].subject;
+      body = commits[0].body;
+    } else if (commits.length > 1) {
+      body = commits.map(commit => `- ${commit.subject}`).join('\n');
+    }
+
+    return { branch, base: this.baseBranch, title, body, commits };
+  }
+
+  /**
+   * Push the branch and open a pull request
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @param {Object} pr - { title, body, draft }
+   * @returns {Promise<{success: boolean, url?: string, pr?: Object, error?: string}>}
+   */
+  async pushAndCreate(worktreeName, worktreePath, { title, body = '', draft = false }) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return { success: false, error: 'Title is required' };
+    }
+
+    if (!await this.gh.isAvailable()) {
+      return { success: false, error: 'gh CLI not available or not authenticated (run: gh auth login)' };
+    }
+
+    try {
+      const branch = (await this._git(['branch', '--show-current'], worktreePath)).trim();
+      if (!branch) {
+        return { success: false, error: 'Worktree is not on a branch' };
+      }
+
+      await this._git(['push', '-u', 'origin', branch], worktreePath);
+
+      const url = await this.gh.createPullRequest(worktreePath, {
+        title: title.trim(),
+        body,
+        base: this.baseBranch,
+        head: branch,
+        draft
+      });
+      console.log(`[PullRequests] Opened ${url} for ${worktreeName}`);
+
+      const pr = await this.refreshStatus(worktreeName, worktreePath);
+      return { success: true, url, pr };
+    } catch (error) {
+      return { success: false, error: error.stderr?.toString().trim() || error.message };
+    }
+  }
+
+  /**
+   * Reduce gh's PR JSON to what the UI needs
+   * @private
+   */
+  _summarize(pr) {
+    return {
+      number: pr.number,
+      url: pr.url,
+      title: pr.title,
+      state: pr.state,
+      isDraft: pr.isDraft || false,
+      review: pr.reviewDecision || null,
+      checks: summarizeChecks(pr.statusCheckRollup)
+    };
+  }
+
+  /**
+   * Prefer the remote-tracking base branch so drafts match what the PR will show
+   * @private
+   */
+  async _baseRef(worktreePath) {
+    try {
+      await this._git(['rev-parse', '--verify', '--quiet', `origin/${this.baseBranch}`], worktreePath);
+      return `origin/${this.baseBranch}`;
+    } catch (error) {
+      return this.baseBranch;
+    }
+  }
+
+  /**
+   * Run git without blocking the event loop (pushes can take a while)
+   * @private
+   */
+  _git(args, cwd) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        cwd,
+        encoding: 'utf-8',
+        maxBuffer: 32 * 1024 * 1024,
+        timeout: this.gitTimeout,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } // Fail instead of prompting for credentials
+      };
+      const child = execFile('git', args, options, (error, stdout, stderr) => {
+        if (error?.killed) {
+          reject(new Error(`git ${args[0]} timed out after ${Math.round(this.gitTimeout / 1000)}s`));
+        } else if (error) {
+          error.stderr = stderr;
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+      child.stdin.end();
+    });
+  }
+}
+
+/**
+ * Turn a branch name like "feature/add-login-form" into "Add login form"
+ * @param {string} branch
+ * @returns {string}
+ */
+export function titleFromBranch(branch) {
+  const words = (branch || '').split('/').pop().replace(/[-_]+/g, ' ').trim();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : '';
+}
@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PullRequestManager, titleFromBranch } from './pull-request-manager.mjs';
+import { GitHubCli, summarizeChecks } from './github-cli.mjs';
+
+describe('summarizeChecks', () => {
+  it('should report failing when any check failed', () => {
+    expect(summarizeChecks([
+      { __typename: 'CheckRun', status: 'COMPLETED', conclusion: 'SUCCESS' },
+      { __typename: 'CheckRun', status: 'COMPLETED', conclusion: 'FAILURE' },
+      { __typename: 'StatusContext', state: 'PENDING' }
+    ])).toEqual({ state: 'failing', passed: 1, failed: 1, pending: 1 });
+  });
+
+  it('should report pending while checks are running', () => {
+    expect(summarizeChecks([
+      { __typename: 'CheckRun', status: 'IN_PROGRESS', conclusion: '' },
+      { __typename: 'StatusContext', state: 'SUCCESS' }
+    ]).state).toBe('pending');
+  });
+
+  it('should report none without checks', () => {
+    expect(summarizeChecks([])).toEqual({ state: 'none', passed: 0, failed: 0, pending: 0 });
+    expect(summarizeChecks(null).state).toBe('none');
+  });
+});
+
+describe('GitHubCli', () => {
+  it('should pass the body on stdin when creating a PR', async () => {
+    const exec = vi.fn(() => 'https://github.com/acme/app/pull/7\n');
+    const gh = new GitHubCli({ exec });
+
+    const url = await gh.createPullRequest('/wt', { title: 'Add login', body: 'Body', base: 'main', head: 'feature', draft: true });
+
+    expect(url).toBe('https://github.com/acme/app/pull/7');
+    expect(exec).toHaveBeenCalledWith(
+      ['pr', 'create', '--title', 'Add login', '--body-file', '-', '--base', 'main', '--head', 'feature', '--draft'],
+      { cwd: '/wt', input: 'Body' }
+    );
+  });
+
+  it('should return null when the branch has no PR', async () => {
+    const gh = new GitHubCli({
+      exec: () => {
+        const error = new Error('Command failed');
+        error.stderr = 'no pull requests found for branch "feature"';
+        throw error;
+      }
+    });
+
+    expect(await gh.getPullRequest('/wt', 'feature')).toBeNull();
+  });
+
+  it('should cache availability', async () => {
+    const exec = vi.fn(() => { throw new Error('not logged in'); });
+    const gh = new GitHubCli({ exec });
+
+    expect(await gh.isAvailable()).toBe(false);
+    expect(await gh.isAvailable()).toBe(false);
+    expect(exec).toHaveBeenCalledTimes(1);
+  });
+
+  it('should check again once gh may have been set up', async () => {
+    vi.useFakeTimers();
+    const exec = vi.fn(() => { throw new Error('not logged in'); });
+    const gh = new GitHubCli({ exec });
+
+    expect(await gh.isAvailable()).toBe(false);
+    exec.mockReturnValue('Logged in to github.com');
+    vi.advanceTimersByTime(60 * 1000);
+
+    expect(await gh.isAvailable()).toBe(true);
+    vi.advanceTimersByTime(60 * 60 * 1000);
+    expect(await gh.isAvailable()).toBe(true);
+    expect(exec).toHaveBeenCalledTimes(2);
+    vi.useRealTimers();
+  });
+});
+
+describe('titleFromBranch', () => {
+  it('should humanize branch names', () => {
+    expect(titleFromBranch('feature/add-login_form')).toBe('Add login form');
+    expect(titleFromBranch('')).toBe('');
+  });
+});
+
+describe('PullRequestManager', () => {
+  let tmp;
+  let repo;
+  let manager;
+  let fakeGh;
+  let worktreeManager;
+
+  const git = (command, cwd = repo) => execSync(`git ${command}`, { cwd, encoding: 'utf-8' });
+  const commit = (file, message) => {
+    fs.writeFileSync(path.join(repo, file), message);
+    git(`add ${file}`);
+    git(`commit -q -m "${message}"`);
+  };
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-manager-test-'));
+    const remote = path.join(tmp, 'remote.git');
+    repo = path.join(tmp, 'repo');
+
+    execSync(`git init -q --bare -b main "${remote}"`);
+    execSync(`git init -q -b main "${repo}"`);
+    git('config user.email test@example.com');
+    git('config user.name Test');
+    git(`remote add origin "${remote}"`);
+    commit('README.md', 'Initial commit');
+    git('push -q origin main');
+    git('checkout -q -b feature/add-login');
+
+    const prs = new Map();
+    fakeGh = {
+      isAvailable: vi.fn(() => true),
+      createPullRequest: vi.fn((cwd, { head }) => {
+        prs.set(head, {
+          number: 42,
+          url: 'https://github.com/acme/app/pull/42',
+          title: 'Add login',
+          state: 'OPEN',
+          isDraft: false,
+          reviewDecision: 'REVIEW_REQUIRED',
+          statusCheckRollup: [{ __typename: 'CheckRun', status: 'QUEUED', conclusion: '' }]
+        });
+        return 'https://github.com/acme/app/pull/42';
+      }),
+      getPullRequest: vi.fn((cwd, branch) => prs.get(branch) || null)
+    };
+
+    worktreeManager = {
+      _worktreeLocations: vi.fn(() => [
+        { name: 'main', path: '/elsewhere' },
+        { name: 'add-login', path: repo }
+      ]),
+      broadcast: vi.fn()
+    };
+
+    manager = new PullRequestManager({ worktreeManager, gh: fakeGh, refreshInterval: 1000 });
+  });
+
+  afterEach(() => {
+    manager.stop();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  describe('getDraft', () => {
+    it('should use the commit subject and body for a single commit', async () => {
+      fs.writeFileSync(path.join(repo, 'login.js'), 'login');
+      git('add login.js');
+      git('commit -q -m "Add login form" -m "Adds a basic form."');
+
+      expect(await manager.getDraft(repo)).toMatchObject({
+        branch: 'feature/add-login',
+        base: 'main',
+        title: 'Add login form',
+        body: 'Adds a basic form.'
+      });
+    });
+
+    it('should list commit subjects and title from the branch for several commits', async () => {
+      commit('a.js', 'Add form');
+      commit('b.js', 'Add validation');
+
+      const draft = await manager.getDraft(repo);
+
+      expect(draft.title).toBe('Add login');
+      expect(draft.body).toBe('- Add form\n- Add validation');
+      expect(draft.commits).toHaveLength(2);
+    });
+  });
+
+  describe('pushAndCreate', () => {
+    it('should push the branch, open the PR and cache its status', async () => {
+      commit('a.js', 'Add form');
+
+      const result = await manager.pushAndCreate('add-login', repo, { title: 'Add login', body: '- Add form' });
+
+      expect(result).toMatchObject({ success: true, url: 'https://github.com/acme/app/pull/42' });
+      expect(git('ls-remote --heads origin')).toContain('refs/heads/feature/add-login');
+      expect(fakeGh.createPullRequest).toHaveBeenCalledWith(repo, {
+        title: 'Add login', body: '- Add form', base: 'main', head: 'feature/add-login', draft: false
+      });
+      expect(manager.getStatus('add-login')).toEqual({
+        number: 42,
+        url: 'https://github.com/acme/app/pull/42',
+        title: 'Add login',
+        state: 'OPEN',
+        isDraft: false,
+        review: 'REVIEW_REQUIRED',
+        checks: { state: 'pending', passed: 0, failed: 0, pending: 1 }
+      });
+      expect(worktreeManager.broadcast).toHaveBeenCalledWith('pr:updated', expect.objectContaining({ worktree: 'add-login' }));
+    });
+
+    it('should require a title and an authenticated gh', async () => {
+      expect((await manager.pushAndCreate('add-login', repo, { title: ' ' })).error).toBe('Title is required');
+
+      fakeGh.isAvailable.mockReturnValue(false);
+      expect((await manager.pushAndCreate('add-login', repo, { title: 'x' })).error).toMatch(/gh CLI not available/);
+    });
+
+    it('should run git without credential prompts and give up when it hangs', async () => {
+      git('config alias.prompt "!printenv GIT_TERMINAL_PROMPT"');
+      git('config alias.hang "!sleep 1"');
+      manager.gitTimeout = 100;
+
+      expect(await manager._git(['prompt'], repo)).toBe('0\n');
+      await expect(manager._git(['hang'], repo)).rejects.toThrow(/git hang timed out/);
+    });
+  });
+
+  describe('refreshAll', () => {
+    it('should record worktrees without a PR and skip main', async () => {
+      await manager.refreshAll();
+
+      expect(manager.getStatus('add-login')).toBeNull();
+      expect(manager.getStatus('main')).toBeUndefined();
+      expect(fakeGh.getPullRequest).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip refreshing while gh is unavailable', async () => {
+      fakeGh.isAvailable.mockReturnValue(false);
+      await manager.refreshAll();
+
+      expect(fakeGh.getPullRequest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Resource monitoring and limits for worktree containers
+ *
+ * Reads live CPU/memory usage from the container runtime's stats API and
+ * groups it by compose project (worktree). Also turns the per-worktree caps
+ * from `.vibe/config.json` (container.resourceLimits) into a compose override.
+ */
+
+const BYTE_UNITS = {
+  b: 1,
+  kb: 1000,
+  mb: 1000 ** 2,
+  gb: 1000 ** 3,
+  tb: 1000 ** 4,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4,
+  // Compose/docker CLI shorthand (binary)
+  k: 1024,
+  m: 1024 ** 2,
+  g: 1024 ** 3,
+  t: 1024 ** 4
+};
+
+/**
+ * Parse a human-readable size ("7.5MiB", "1.2GB", "512m") into bytes
+ * @param {string|number} value - Size string or byte count
+ * @returns {number} Bytes (0 if unparseable)
+ */
+export function parseByteSize(value) {
+  if (typeof value === 'number') return value;
+
+  const match = String(value || '').trim().match(/^([\d.]+)\s*([a-zA-Z]*)$/);
+  if (!match) return 0;
+
+  const unit = (match[2] || 'b').toLowerCase();
+  const multiplier = BYTE_UNITS[unit];
+  return multiplier ? Math.round(parseFloat(match[1]) * multiplier) : 0;
+}
+
+/**
+ * Parse a percentage string ("12.5%") into a number
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parsePercent(value) {
+  if (typeof value === 'number') return value;
+  return parseFloat(String(value || '').replace('%', '')) || 0;
+}
+
+/**
+ * Parse runtime JSON output: Docker prints one object per line, Podman a single array
+ * @param {string} output - Raw command output
+ * @returns {Array<Object>}
+ */
+export function parseJsonLines(output) {
+  const trimmed = (output || '').trim();
+  if (!trimmed) return [];
+
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+
+  return trimmed.split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Normalize one `stats --no-stream` entry (Docker or Podman field names)
+ * @param {Object} entry - Raw stats entry
+ * @returns {{container: string, cpuPercent: number, memoryBytes: number, memoryLimitBytes: number, memoryPercent: number}}
+ */
+export function normalizeStatsEntry(entry) {
+  const name = entry.Name || entry.name || entry.Container || '';
+  const memUsage = entry.MemUsage || entry.mem_usage || '';
+  const [used, limit] = memUsage.split('/').map(part => part.trim());
+
+  return {
+    container: name.replace(/^\//, ''),
+    cpuPercent: parsePercent(entry.CPUPerc ?? entry.cpu_percent),
+    memoryBytes: parseByteSize(used),
+    memoryLimitBytes: parseByteSize(limit),
+    memoryPercent: parsePercent(entry.MemPerc ?? entry.mem_percent)
+  };
+}
+
+/**
+ * Extract compose labels from a `ps --format json` entry
+ * @private
+ */
+function composeLabels(entry) {
+  const labels = entry.Labels;
+  if (!labels) return {};
+
+  if (typeof labels === 'object') {
+    return {
+      workingDir: labels['com.docker.compose.project.working_dir'] || null,
+      service: labels['com.docker.compose.service'] || null
+    };
+  }
+
+  // Docker returns labels as a comma-separated string
+  const workingDir = labels.match(/com\.docker\.compose\.project\.working_dir=([^,]+)/);
+  const service = labels.match(/com\.docker\.compose\.service=([^,]+)/);
+  return {
+    workingDir: workingDir ? workingDir[1] : null,
+    service: service ? service[1] : null
+  };
+}
+
+export class ResourceMonitor {
+  /**
+   * @param {Object} runtime - ContainerRuntime instance
+   * @param {Object} options - { cacheTtl: ms to reuse the last sample (default: 5000) }
+   */
+  constructor(runtime, options = {}) {
+    this.runtime = runtime;
+    this.cacheTtl = options.cacheTtl ?? 5000;
+    this._cache = null;
+    this._pending = null;
+  }
+
+  /**
+   * Sample usage of all running containers
+   * Concurrent callers share one in-flight sample; results are cached for cacheTtl.
+   * @returns {Promise<Array<{container: string, workingDir: string|null, service: string|null, cpuPercent: number, memoryBytes: number, memoryLimitBytes: number, memoryPercent: number}>>}
+   */
+  async collect() {
+    if (this._cache && Date.now() - this._cache.timestamp < this.cacheTtl) {
+      return this._cache.containers;
+    }
+
+    if (!this._pending) {
+      this._pending = this._sample()
+        .then(containers => {
+          this._cache = { timestamp: Date.now(), containers };
+          return containers;
+        })
+        .finally(() => {
+          this._pending = null;
+        });
+    }
+
+    return this._pending;
+  }
+
+  /**
+   * @private
+   */
+  async _sample() {
+    const statsFormat = this.runtime.getRuntime() === 'podman' ? 'json' : '"{{json .}}"';
+
+    const [psOutput, statsOutput] = await Promise.all([
+      this.runtime.execAsync('ps --format json', { timeout: 10000 }),
+      this.runtime.execAsync(`stats --no-stream --format ${statsFormat}`, { timeout: 15000 })
+    ]);
+
+    const labelsByName = new Map();
+    for (const entry of parseJsonLines(psOutput)) {
+      const name = Array.isArray(entry.Names) ? entry.Names[0] : entry.Names;
+      if (name) {
+        labelsByName.set(name, composeLabels(entry));
+      }
+    }
+
+    return parseJsonLines(statsOutput).map(entry => {
+      const stats = normalizeStatsEntry(entry);
+      const labels = labelsByName.get(stats.container) || {};
+      return {
+        ...stats,
+        workingDir: labels.workingDir || null,
+        service: labels.service || null
+      };
+    });
+  }
+
+  /**
+   * Group container usage by worktree
+   * @param {Array} containers - Result of collect()
+   * @param {Array<{name: string, path: string}>} worktrees - Worktree locations
+   * @returns {Object<string, {cpuPercent: number, memoryBytes: number, services: Array}>} Usage keyed by worktree name
+   */
+  static groupByWorktree(containers, worktrees) {
+    const byPath = new Map(worktrees.map(wt => [wt.path.replace(/\/+$/, ''), wt.name]));
+    const usage = {};
+
+    for (const wt of worktrees) {
+      usage[wt.name] = { cpuPercent: 0, memoryBytes: 0, services: [] };
+    }
+
+    for (const container of containers) {
+      const worktreeName = container.workingDir && byPath.get(container.workingDir.replace(/\/+$/, ''));
+      if (!worktreeName) continue;
+
+      const entry = usage[worktreeName];
+      entry.cpuPercent += container.cpuPercent;
+      entry.memoryBytes += container.memoryBytes;
+      entry.services.push({
+        name: container.service || container.container,
+        container: container.container,
+        cpuPercent: container.cpuPercent,
+        memoryBytes: container.memoryBytes,
+        memoryLimitBytes: container.memoryLimitBytes
+      });
+    }
+
+    for (const entry of Object.values(usage)) {
+      entry.cpuPercent = Math.round(entry.cpuPercent * 100) / 100;
+    }
+
+    return usage;
+  }
+}
+
+/**
+ * Resolve the resource caps for a worktree
+ * Worktree-specific settings override `default`; service caps are merged.
+ * @param {Object|undefined} resourceLimits - container.resourceLimits from config
+ * @param {string} worktreeName - Name of the worktree
+ * @returns {{cpus?: number, memory?: string, services: Object}|null} Caps, or null if none apply
+ */
+export function resolveResourceLimits(resourceLimits, worktreeName) {
+  if (!resourceLimits) return null;
+
+  const base = resourceLimits.default || {};
+  const specific = (resourceLimits.worktrees || {})[worktreeName] || {};
+  const limits = {
+    ...base,
+    ...specific,
+    services: { ...(base.services || {}), ...(specific.services || {}) }
+  };
+
+  const hasWorktreeCap = limits.cpus || limits.memory;
+  const hasServiceCaps = Object.keys(limits.services).length > 0;
+  return hasWorktreeCap || hasServiceCaps ? limits : null;
+}
+
+/**
+ * Build a compose override that applies resource caps
+ * Services with explicit caps use them; the worktree-wide cpus/memory cap is
+ * split evenly across the remaining services.
+ * @param {string[]} serviceNames - All compose services of the worktree
+ * @param {{cpus?: number, memory?: string|number, services: Object}} limits - Result of resolveResourceLimits
+ * @returns {{services: Object}} Compose override document
+ */
+export function buildResourceOverride(serviceNames, limits) {
+  const override = { services: {} };
+  const explicit = limits.services || {};
+  const shared = serviceNames.filter(name => !explicit[name]);
+
+  const toLimits = ({ cpus, memory }) => {
+    const result = {};
+    if (cpus) result.cpus = String(Math.max(0.01, Math.round(cpus * 100) / 100));
+    if (memory) result.memory = `${Math.max(6, Math.floor(parseByteSize(memory) / 1024 / 1024))}M`;
+    return result;
+  };
+
+  for (const name of serviceNames) {
+    let serviceLimits;
+    if (explicit[name]) {
+      serviceLimits = toLimits(explicit[name]);
+    } else {
+      serviceLimits = toLimits({
+        cpus: limits.cpus ? limits.cpus / shared.length : null,
+        memory: limits.memory ? parseByteSize(limits.memory) / shared.length : null
+      });
+    }
+
+    if (Object.keys(serviceLimits).length > 0) {
+      override.services[name] = { deploy: { resources: { limits: serviceLimits } } };
+    }
+  }
+
+  return override;
+}
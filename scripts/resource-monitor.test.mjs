@@ -0,0 +1,183 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseByteSize,
+  parsePercent,
+  parseJsonLines,
+  normalizeStatsEntry,
+  resolveResourceLimits,
+  buildResourceOverride,
+  ResourceMonitor
+} from './resource-monitor.mjs';
+
+describe('resource-monitor', () => {
+  describe('parseByteSize', () => {
+    it('should parse decimal, binary and shorthand units', () => {
+      expect(parseByteSize('512B')).toBe(512);
+      expect(parseByteSize('1.5kB')).toBe(1500);
+      expect(parseByteSize('7.5MiB')).toBe(7.5 * 1024 * 1024);
+      expect(parseByteSize('2GB')).toBe(2e9);
+      expect(parseByteSize('4g')).toBe(4 * 1024 ** 3);
+      expect(parseByteSize('512m')).toBe(512 * 1024 ** 2);
+    });
+
+    it('should return 0 for unparseable values', () => {
+      expect(parseByteSize('')).toBe(0);
+      expect(parseByteSize('--')).toBe(0);
+      expect(parseByteSize('3 parsecs')).toBe(0);
+    });
+  });
+
+  describe('parsePercent', () => {
+    it('should strip the percent sign', () => {
+      expect(parsePercent('12.5%')).toBe(12.5);
+      expect(parsePercent(3)).toBe(3);
+      expect(parsePercent('--')).toBe(0);
+    });
+  });
+
+  describe('parseJsonLines', () => {
+    it('should parse docker line-delimited and podman array output', () => {
+      expect(parseJsonLines('{"a":1}\n{"a":2}\n')).toEqual([{ a: 1 }, { a: 2 }]);
+      expect(parseJsonLines('[{"a":1}]')).toEqual([{ a: 1 }]);
+      expect(parseJsonLines('  ')).toEqual([]);
+    });
+  });
+
+  describe('normalizeStatsEntry', () => {
+    it('should normalize docker stats fields', () => {
+      expect(normalizeStatsEntry({
+        Name: 'feat-x-api-1',
+        CPUPerc: '12.50%',
+        MemUsage: '100MiB / 2GiB',
+        MemPerc: '4.88%'
+      })).toEqual({
+        container: 'feat-x-api-1',
+        cpuPercent: 12.5,
+        memoryBytes: 100 * 1024 ** 2,
+        memoryLimitBytes: 2 * 1024 ** 3,
+        memoryPercent: 4.88
+      });
+    });
+
+    it('should normalize podman stats fields', () => {
+      const stats = normalizeStatsEntry({ name: 'db', cpu_percent: '1.2%', mem_usage: '50MB / 1GB', mem_percent: '5%' });
+
+      expect(stats.container).toBe('db');
+      expect(stats.cpuPercent).toBe(1.2);
+      expect(stats.memoryBytes).toBe(50e6);
+    });
+  });
+
+  describe('ResourceMonitor', () => {
+    const psOutput = [
+      JSON.stringify({
+        Names: 'feat-x-api-1',
+        Labels: 'com.docker.compose.project=feat-x,com.docker.compose.project.working_dir=/repo/.worktrees/feat-x,com.docker.compose.service=api'
+      }),
+      JSON.stringify({ Names: 'stray', Labels: '' })
+    ].join('\n');
+    const statsOutput = [
+      JSON.stringify({ Name: 'feat-x-api-1', CPUPerc: '10%', MemUsage: '100MiB / 1GiB', MemPerc: '10%' }),
+      JSON.stringify({ Name: 'stray', CPUPerc: '1%', MemUsage: '1MiB / 1GiB', MemPerc: '0.1%' })
+    ].join('\n');
+
+    function createRuntime(runtimeName = 'docker') {
+      return {
+        getRuntime: vi.fn(() => runtimeName),
+        execAsync: vi.fn(async (command) => command.startsWith('ps') ? psOutput : statsOutput)
+      };
+    }
+
+    it('should join stats with compose labels', async () => {
+      const runtime = createRuntime();
+      const containers = await new ResourceMonitor(runtime).collect();
+
+      expect(runtime.execAsync).toHaveBeenCalledWith('stats --no-stream --format "{{json .}}"', expect.any(Object));
+      expect(containers[0]).toMatchObject({
+        container: 'feat-x-api-1',
+        workingDir: '/repo/.worktrees/feat-x',
+        service: 'api',
+        cpuPercent: 10
+      });
+      expect(containers[1].workingDir).toBeNull();
+    });
+
+    it('should use the podman stats format and object labels', async () => {
+      const runtime = {
+        getRuntime: () => 'podman',
+        execAsync: vi.fn(async (command) => command.startsWith('ps')
+          ? JSON.stringify([{ Names: ['db'], Labels: { 'com.docker.compose.project.working_dir': '/repo', 'com.docker.compose.service': 'postgres' } }])
+          : JSON.stringify([{ name: 'db', cpu_percent: '2%', mem_usage: '10MB / 1GB', mem_percent: '1%' }]))
+      };
+
+      const [container] = await new ResourceMonitor(runtime).collect();
+
+      expect(runtime.execAsync).toHaveBeenCalledWith('stats --no-stream --format json', expect.any(Object));
+      expect(container).toMatchObject({ workingDir: '/repo', service: 'postgres', cpuPercent: 2 });
+    });
+
+    it('should cache samples within the ttl', async () => {
+      const runtime = createRuntime();
+      const monitor = new ResourceMonitor(runtime, { cacheTtl: 60000 });
+
+      await Promise.all([monitor.collect(), monitor.collect()]);
+      await monitor.collect();
+
+      expect(runtime.execAsync).toHaveBeenCalledTimes(2);
+    });
+
+    it('should group usage by worktree path', async () => {
+      const containers = await new ResourceMonitor(createRuntime()).collect();
+      const usage = ResourceMonitor.groupByWorktree(containers, [
+        { name: 'feat-x', path: '/repo/.worktrees/feat-x/' },
+        { name: 'main', path: '/repo' }
+      ]);
+
+      expect(usage['feat-x']).toMatchObject({ cpuPercent: 10, memoryBytes: 100 * 1024 ** 2 });
+      expect(usage['feat-x'].services).toEqual([
+        expect.objectContaining({ name: 'api', container: 'feat-x-api-1' })
+      ]);
+      expect(usage.main).toEqual({ cpuPercent: 0, memoryBytes: 0, services: [] });
+    });
+  });
+
+  describe('resolveResourceLimits', () => {
+    it('should return null when nothing is configured', () => {
+      expect(resolveResourceLimits(undefined, 'feat-x')).toBeNull();
+      expect(resolveResourceLimits({ default: null, worktrees: {} }, 'feat-x')).toBeNull();
+    });
+
+    it('should merge worktree overrides over the default', () => {
+      const limits = resolveResourceLimits({
+        default: { cpus: 2, memory: '2g', services: { postgres: { memory: '512m' } } },
+        worktrees: { 'feat-x': { cpus: 4, services: { api: { cpus: 1 } } } }
+      }, 'feat-x');
+
+      expect(limits).toEqual({
+        cpus: 4,
+        memory: '2g',
+        services: { postgres: { memory: '512m' }, api: { cpus: 1 } }
+      });
+    });
+  });
+
+  describe('buildResourceOverride', () => {
+    it('should split the worktree cap across services without explicit caps', () => {
+      const override = buildResourceOverride(['api', 'worker', 'postgres'], {
+        cpus: 2,
+        memory: '2g',
+        services: { postgres: { cpus: 0.5, memory: '512m' } }
+      });
+
+      expect(override.services.postgres.deploy.resources.limits).toEqual({ cpus: '0.5', memory: '512M' });
+      expect(override.services.api.deploy.resources.limits).toEqual({ cpus: '1', memory: '1024M' });
+      expect(override.services.worker.deploy.resources.limits).toEqual({ cpus: '1', memory: '1024M' });
+    });
+
+    it('should leave services without any cap out of the override', () => {
+      const override = buildResourceOverride(['api', 'postgres'], { services: { postgres: { memory: '1g' } } });
+
+      expect(Object.keys(override.services)).toEqual(['postgres']);
+    });
+  });
+});
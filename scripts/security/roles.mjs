@@ -0,0 +1,78 @@
+/**
+ * Role-Based Permissions
+ *
+ * Roles are assigned per project (and optionally per worktree) by
+ * ProjectManager and only apply to servers started with `--listen`:
+ * - viewer: read-only access, watch terminals and logs
+ * - developer: create worktrees, use terminals, run services, sync, commit
+ * - admin: delete worktrees, import or restore databases, run diagnostics fixes
+ */
+
+export const ROLES = ['viewer', 'developer', 'admin'];
+
+/**
+ * Role of signed-in users without an explicit assignment
+ */
+export const DEFAULT_ROLE = 'viewer';
+
+/**
+ * @param {*} value
+ * @returns {boolean} True if value is one of ROLES
+ */
+export function isRole(value) {
+  return ROLES.includes(value);
+}
+
+/**
+ * @param {string} role - Role the user has
+ * @param {string} required - Role an action needs
+ * @returns {boolean} True if role grants at least what required grants
+ */
+export function roleAtLeast(role, required) {
+  return isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Role an API request needs unless its route asks for more: reads are open
+ * to viewers, anything that changes state needs a developer
+ * @param {string} method - HTTP method
+ * @returns {string}
+ */
+export function requiredRoleForMethod(method) {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'viewer' : 'developer';
+}
+
+/**
+ * Express helpers checking the signed-in user's role
+ * @param {Function} resolveRole - (user, worktreeName) => role in the current project
+ * @param {Object} options
+ * @param {boolean} options.enabled - When false every check passes (localhost mode)
+ * @returns {{hasRole: Function, requireRole: Function}}
+ */
+export function createRoleMiddleware(resolveRole, { enabled }) {
+  /**
+   * @param {Object} req - Request with req.user set by requireUser
+   * @param {string} role - Required role
+   * @param {string|null} worktreeName - Worktree the action targets, if any
+   * @returns {boolean}
+   */
+  const hasRole = (req, role, worktreeName = null) => {
+    if (!enabled) return true;
+    return roleAtLeast(resolveRole(req.user, worktreeName), role);
+  };
+
+  return {
+    hasRole,
+
+    /**
+     * Middleware answering 403 unless the user has the role for the current
+     * project, or for the worktree in req.params.name
+     */
+    requireRole: (role) => (req, res, next) => {
+      if (!hasRole(req, role, req.params.name ?? null)) {
+        return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+      }
+      next();
+    }
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Security Tests for Role-Based Permissions
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { roleAtLeast, isRole, requiredRoleForMethod, createRoleMiddleware } from './roles.mjs';
+
+describe('roleAtLeast', () => {
+  it('should order viewer < developer < admin', () => {
+    expect(roleAtLeast('admin', 'developer')).toBe(true);
+    expect(roleAtLeast('developer', 'developer')).toBe(true);
+    expect(roleAtLeast('viewer', 'developer')).toBe(false);
+    expect(roleAtLeast('owner', 'viewer')).toBe(false);
+    expect(isRole('owner')).toBe(false);
+  });
+});
+
+describe('requiredRoleForMethod', () => {
+  it('should let viewers read and require developers to write', () => {
+    expect(requiredRoleForMethod('GET')).toBe('viewer');
+    expect(requiredRoleForMethod('POST')).toBe('developer');
+    expect(requiredRoleForMethod('DELETE')).toBe('developer');
+  });
+});
+
+describe('createRoleMiddleware', () => {
+  const response = () => {
+    const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+    return res;
+  };
+
+  it('should check the role for the worktree in the route', () => {
+    const resolveRole = vi.fn((user, worktreeName) => (worktreeName === 'feature' ? 'admin' : 'developer'));
+    const { requireRole } = createRoleMiddleware(resolveRole, { enabled: true });
+    const user = { username: 'bob' };
+    const next = vi.fn();
+
+    requireRole('admin')({ user, params: { name: 'feature' } }, response(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(resolveRole).toHaveBeenCalledWith(user, 'feature');
+
+    const res = response();
+    requireRole('admin')({ user, params: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let everything through when disabled', () => {
+    const resolveRole = vi.fn(() => 'viewer');
+    const { hasRole, requireRole } = createRoleMiddleware(resolveRole, { enabled: false });
+    const next = vi.fn();
+
+    requireRole('admin')({ user: null, params: {} }, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(hasRole({ user: null }, 'admin')).toBe(true);
+    expect(resolveRole).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,444 @@
+/**
+ * User Authentication Module
+ *
+ * Local accounts for servers started with `--listen`:
+ * - Users with scrypt-hashed passwords, stored in ~/.vibetrees/users.json
+ * - Browser sessions carried in an HttpOnly cookie
+ * - Named API tokens for scripts (sent as `Authorization: Bearer <token>`)
+ *
+ * Session ids and API tokens are only stored as SHA-256 hashes, so the users
+ * file never contains a credential that can be replayed.
+ */
+
+import crypto from 'crypto';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+export const SESSION_COOKIE = 'vibe_session';
+
+const API_TOKEN_PREFIX = 'vt_';
+const USERNAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {string} "scrypt$<salt>$<hash>" (hex encoded)
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {boolean}
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header
+ * @returns {Object} Cookie values by name
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (name) {
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        cookies[name] = part.slice(index + 1).trim();
+      }
+    }
+  }
+  return cookies;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Persistent store of users, sessions and API tokens
+ */
+export class UserStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Storage file (default: ~/.vibetrees/users.json)
+   * @param {number} options.sessionTtl - Session lifetime in ms (default: 7 days)
+   */
+  constructor(options = {}) {
+    this.file = options.file || join(homedir(), '.vibetrees', 'users.json');
+    this.sessionTtl = options.sessionTtl || 7 * 24 * 60 * 60 * 1000;
+    this._data = this._load();
+  }
+
+  /**
+   * @returns {boolean} True once at least one account exists
+   */
+  hasUsers() {
+    return this._data.users.length > 0;
+  }
+
+  /**
+   * @returns {Object[]} Users without password hashes
+   */
+  listUsers() {
+    return this._data.users.map(user => this._publicUser(user));
+  }
+
+  /**
+   * @param {string} username
+   * @returns {Object|null} User without password hash
+   */
+  getUser(username) {
+    const user = this._findUser(username);
+    return user ? this._publicUser(user) : null;
+  }
+
+  /**
+   * Create an account
+   * @param {Object} user - { username, password, admin }
+   * @returns {{success: boolean, user?: Object, error?: string}}
+   */
+  createUser({ username, password, admin = false }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { success: false, error: 'Username must be 1-32 letters, digits, ".", "_" or "-"' };
+    }
+    if (this._findUser(username)) {
+      return { success: false, error: `User "${username}" already exists` };
+    }
+    const passwordError = this._checkPassword(password);
+    if (passwordError) {
+      return { success: false, error: passwordError };
+    }
+
+    const user = {
+      username,
+      passwordHash: hashPassword(password),
+      admin: admin === true,
+      createdAt: new Date().toISOString()
+    };
+    this._data.users.push(user);
+    this._save();
+
+    return { success: true, user: this._publicUser(user) };
+  }
+
+  /**
+   * Change a user's password or admin flag
+   * @param {string} username
+   * @param {Object} changes - { password, admin }
+   * @param {Object} options
+   * @param {string} options.keepSession - Session id that stays signed in after a password change
+   * @returns {{success: boolean, user?: Object, error?: string}}
+   */
+  updateUser(username, { password, admin } = {}, { keepSession = null } = {}) {
+    const user = this._findUser(username);
+    if (!user) {
+      return { success: false, error: `User "${username}" not found` };
+    }
+
+    if (password !== undefined) {
+      const passwordError = this._checkPassword(password);
+      if (passwordError) {
+        return { success: false, error: passwordError };
+      }
+    }
+    if (admin === false && user.admin && this._adminCount() === 1) {
+      return { success: false, error: 'Cannot remove the last admin' };
+    }
+
+    if (password !== undefined) {
+      user.passwordHash = hashPassword(password);
+      // A new password signs the user out everywhere else
+      const kept = keepSession ? sha256(keepSession) : null;
+      this._data.sessions = this._data.sessions.filter(session => session.username !== username || session.hash === kept);
+    }
+    if (admin !== undefined) {
+      user.admin = admin === true;
+    }
+    this._save();
+
+    return { success: true, user: this._publicUser(user) };
+  }
+
+  /**
+   * Delete a user with their sessions and API tokens
+   * @param {string} username
+   * @returns {{success: boolean, error?: string}}
+   */
+  deleteUser(username) {
+    const user = this._findUser(username);
+    if (!user) {
+      return { success: false, error: `User "${username}" not found` };
+    }
+    if (user.admin && this._adminCount() === 1) {
+      return { success: false, error: 'Cannot delete the last admin' };
+    }
+
+    this._data.users = this._data.users.filter(u => u !== user);
+    this._data.sessions = this._data.sessions.filter(session => session.username !== username);
+    this._data.tokens = this._data.tokens.filter(token => token.username !== username);
+    this._save();
+
+    return { success: true };
+  }
+
+  /**
+   * Check a username and password
+   * @returns {Object|null} User, or null if the credentials are wrong
+   */
+  authenticate(username, password) {
+    const user = this._findUser(username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+    return this._publicUser(user);
+  }
+
+  /**
+   * Start a browser session
+   * @param {string} username
+   * @returns {string} Session id for the cookie
+   */
+  createSession(username) {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    this._data.sessions = this._data.sessions.filter(session => session.expires > now);
+    this._data.sessions.push({ hash: sha256(sessionId), username, expires: now + this.sessionTtl });
+    this._save();
+
+    return sessionId;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Object|null} The session's user, or null if unknown or expired
+   */
+  getSessionUser(sessionId) {
+    if (!sessionId) return null;
+
+    const hash = sha256(sessionId);
+    const session = this._data.sessions.find(s => s.hash === hash);
+    if (!session || session.expires <= Date.now()) {
+      return null;
+    }
+    return this.getUser(session.username);
+  }
+
+  /**
+   * End a browser session
+   * @param {string} sessionId
+   */
+  deleteSession(sessionId) {
+    if (!sessionId) return;
+
+    const hash = sha256(sessionId);
+    this._data.sessions = this._data.sessions.filter(session => session.hash !== hash);
+    this._save();
+  }
+
+  /**
+   * Create an API token for scripts
+   * @param {string} username
+   * @param {string} name - Label shown in the token list
+   * @returns {{success: boolean, token?: string, id?: string, error?: string}} token is only returned here
+   */
+  createApiToken(username, name) {
+    if (!this._findUser(username)) {
+      return { success: false, error: `User "${username}" not found` };
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      return { success: false, error: 'Token name is required' };
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const id = crypto.randomBytes(6).toString('hex');
+    this._data.tokens.push({
+      id,
+      name: name.trim(),
+      username,
+      hash: sha256(token),
+      createdAt: new Date().toISOString()
+    });
+    this._save();
+
+    return { success: true, token, id };
+  }
+
+  /**
+   * @param {string} username
+   * @returns {Object[]} { id, name, createdAt } for each of the user's tokens
+   */
+  listApiTokens(username) {
+    return this._data.tokens
+      .filter(token => token.username === username)
+      .map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+  }
+
+  /**
+   * Revoke one of a user's API tokens
+   * @returns {{success: boolean, error?: string}}
+   */
+  revokeApiToken(username, id) {
+    const before = this._data.tokens.length;
+    this._data.tokens = this._data.tokens.filter(token => !(token.id === id && token.username === username));
+    if (this._data.tokens.length === before) {
+      return { success: false, error: 'Token not found' };
+    }
+    this._save();
+    return { success: true };
+  }
+
+  /**
+   * @param {string} token
+   * @returns {Object|null} The token's user, or null if unknown
+   */
+  getApiTokenUser(token) {
+    if (typeof token !== 'string' || !token.startsWith(API_TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const hash = sha256(token);
+    const entry = this._data.tokens.find(t => t.hash === hash);
+    return entry ? this.getUser(entry.username) : null;
+  }
+
+  /**
+   * Identify the user behind an HTTP request or WebSocket upgrade: an API
+   * token in the Authorization header or `token` query parameter, or a
+   * session cookie
+   * @param {Object} req - Node/Express request
+   * @returns {Object|null} User, or null if unauthenticated
+   */
+  resolveRequest(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader?.startsWith('Bearer ')) {
+      return this.getApiTokenUser(authHeader.slice(7).trim());
+    }
+
+    const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (queryToken) {
+      return this.getApiTokenUser(queryToken);
+    }
+
+    return this.getSessionUser(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  }
+
+  /**
+   * @private
+   */
+  _findUser(username) {
+    return this._data.users.find(user => user.username === username) || null;
+  }
+
+  /**
+   * @private
+   */
+  _publicUser({ username, admin, createdAt }) {
+    return { username, admin, createdAt };
+  }
+
+  /**
+   * @private
+   */
+  _adminCount() {
+    return this._data.users.filter(user => user.admin).length;
+  }
+
+  /**
+   * @private
+   */
+  _checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    const empty = { users: [], sessions: [], tokens: [] };
+    if (!existsSync(this.file)) {
+      return empty;
+    }
+
+    try {
+      const data = JSON.parse(readFileSync(this.file, 'utf-8'));
+      return {
+        users: data.users || [],
+        sessions: (data.sessions || []).filter(session => session.expires > Date.now()),
+        tokens: data.tokens || []
+      };
+    } catch (error) {
+      console.error(`[AUTH] Could not read ${this.file}: ${error.message}`);
+      return empty;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    mkdirSync(dirname(this.file), { recursive: true });
+    writeFileSync(this.file, JSON.stringify(this._data, null, 2), { mode: 0o600 });
+  }
+}
+
+/**
+ * Express middleware gating routes on a signed-in user
+ * @param {UserStore} store
+ * @param {Object} options
+ * @param {boolean} options.enabled - When false every request is let through (localhost mode)
+ * @returns {{requireUser: Function, requireAdmin: Function}}
+ */
+export function createAuthMiddleware(store, { enabled }) {
+  return {
+    /**
+     * Attach req.user, or answer 401
+     */
+    requireUser: (req, res, next) => {
+      if (!enabled) {
+        req.user = null;
+        return next();
+      }
+
+      req.user = store.resolveRequest(req);
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      next();
+    },
+
+    /**
+     * Answer 403 unless the user is an admin (everyone is in localhost mode)
+     */
+    requireAdmin: (req, res, next) => {
+      if (enabled && !req.user?.admin) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      next();
+    }
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Security Tests for User Authentication
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  UserStore,
+  hashPassword,
+  verifyPassword,
+  parseCookies,
+  createAuthMiddleware,
+  SESSION_COOKIE
+} from './user-auth.mjs';
+
+describe('password hashing', () => {
+  it('should verify the right password only', () => {
+    const stored = hashPassword('correct horse');
+
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(verifyPassword('correct horse', stored)).toBe(true);
+    expect(verifyPassword('wrong horse', stored)).toBe(false);
+    expect(verifyPassword('correct horse', 'plain')).toBe(false);
+  });
+
+  it('should salt each hash', () => {
+    expect(hashPassword('same password')).not.toBe(hashPassword('same password'));
+  });
+});
+
+describe('parseCookies', () => {
+  it('should parse and decode cookies', () => {
+    expect(parseCookies('a=1; vibe_session=abc%3D; broken')).toEqual({ a: '1', vibe_session: 'abc=' });
+    expect(parseCookies(undefined)).toEqual({});
+  });
+});
+
+describe('UserStore', () => {
+  let tmp;
+  let file;
+  let store;
+
+  const request = (headers = {}, url = '/api/worktrees') => ({ headers, url });
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'user-auth-test-'));
+    file = path.join(tmp, 'users.json');
+    store = new UserStore({ file });
+    store.createUser({ username: 'alice', password: 'alice-password', admin: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  describe('users', () => {
+    it('should persist users without exposing password hashes', () => {
+      const reloaded = new UserStore({ file });
+
+      expect(reloaded.hasUsers()).toBe(true);
+      expect(reloaded.listUsers()).toEqual([
+        { username: 'alice', admin: true, createdAt: expect.any(String) }
+      ]);
+      expect(fs.readFileSync(file, 'utf-8')).not.toContain('alice-password');
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    });
+
+    it('should validate new users', () => {
+      expect(store.createUser({ username: 'alice', password: 'long enough' }).error).toBe('User "alice" already exists');
+      expect(store.createUser({ username: '../bob', password: 'long enough' }).error).toMatch(/Username must be/);
+      expect(store.createUser({ username: 'bob', password: 'short' }).error).toBe('Password must be at least 8 characters');
+    });
+
+    it('should authenticate with the right password', () => {
+      expect(store.authenticate('alice', 'alice-password')).toMatchObject({ username: 'alice', admin: true });
+      expect(store.authenticate('alice', 'wrong-password')).toBeNull();
+      expect(store.authenticate('nobody', 'alice-password')).toBeNull();
+    });
+
+    it('should keep at least one admin', () => {
+      expect(store.deleteUser('alice').error).toBe('Cannot delete the last admin');
+      expect(store.updateUser('alice', { admin: false }).error).toBe('Cannot remove the last admin');
+
+      store.createUser({ username: 'bob', password: 'bob-password', admin: true });
+      expect(store.updateUser('alice', { admin: false }).success).toBe(true);
+      expect(store.deleteUser('alice').success).toBe(true);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should resolve a session until it is deleted', () => {
+      const sessionId = store.createSession('alice');
+
+      expect(new UserStore({ file }).getSessionUser(sessionId)).toMatchObject({ username: 'alice' });
+      expect(fs.readFileSync(file, 'utf-8')).not.toContain(sessionId);
+
+      store.deleteSession(sessionId);
+      expect(store.getSessionUser(sessionId)).toBeNull();
+    });
+
+    it('should expire sessions', () => {
+      vi.useFakeTimers();
+      try {
+        const sessionId = store.createSession('alice');
+        vi.advanceTimersByTime(store.sessionTtl + 1);
+        expect(store.getSessionUser(sessionId)).toBeNull();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should sign out other sessions when the password changes', () => {
+      const sessionId = store.createSession('alice');
+
+      store.updateUser('alice', { password: 'new-password' });
+
+      expect(store.getSessionUser(sessionId)).toBeNull();
+      expect(store.authenticate('alice', 'new-password')).not.toBeNull();
+    });
+
+    it('should keep the session that changed the password', () => {
+      const current = store.createSession('alice');
+      const other = store.createSession('alice');
+
+      store.updateUser('alice', { password: 'new-password' }, { keepSession: current });
+
+      expect(store.getSessionUser(current)).toMatchObject({ username: 'alice' });
+      expect(store.getSessionUser(other)).toBeNull();
+    });
+  });
+
+  describe('API tokens', () => {
+    it('should create, list and revoke tokens', () => {
+      const { token, id } = store.createApiToken('alice', 'ci');
+
+      expect(token).toMatch(/^vt_[0-9a-f]{48}$/);
+      expect(store.getApiTokenUser(token)).toMatchObject({ username: 'alice' });
+      expect(store.listApiTokens('alice')).toEqual([{ id, name: 'ci', createdAt: expect.any(String) }]);
+      expect(fs.readFileSync(file, 'utf-8')).not.toContain(token);
+
+      expect(store.revokeApiToken('bob', id).success).toBe(false);
+      expect(store.revokeApiToken('alice', id).success).toBe(true);
+      expect(store.getApiTokenUser(token)).toBeNull();
+    });
+
+    it('should drop tokens of deleted users', () => {
+      store.createUser({ username: 'bob', password: 'bob-password' });
+      const { token } = store.createApiToken('bob', 'laptop');
+
+      store.deleteUser('bob');
+
+      expect(store.getApiTokenUser(token)).toBeNull();
+    });
+  });
+
+  describe('resolveRequest', () => {
+    it('should accept a bearer token, a token query parameter or a session cookie', () => {
+      const { token } = store.createApiToken('alice', 'ci');
+      const sessionId = store.createSession('alice');
+
+      expect(store.resolveRequest(request({ authorization: `Bearer ${token}` }))?.username).toBe('alice');
+      expect(store.resolveRequest(request({}, `/terminal/main?command=shell&token=${token}`))?.username).toBe('alice');
+      expect(store.resolveRequest(request({ cookie: `${SESSION_COOKIE}=${sessionId}` }))?.username).toBe('alice');
+    });
+
+    it('should reject unknown credentials', () => {
+      expect(store.resolveRequest(request())).toBeNull();
+      expect(store.resolveRequest(request({ authorization: 'Bearer vt_nope' }))).toBeNull();
+      expect(store.resolveRequest(request({ cookie: `${SESSION_COOKIE}=nope` }))).toBeNull();
+    });
+  });
+
+  describe('createAuthMiddleware', () => {
+    const response = () => {
+      const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+      return res;
+    };
+
+    it('should answer 401 without credentials and 403 for non-admins', () => {
+      const { requireUser, requireAdmin } = createAuthMiddleware(store, { enabled: true });
+      const next = vi.fn();
+
+      const res = response();
+      requireUser(request(), res, next);
+      expect(res.status).toHaveBeenCalledWith(401);
+
+      store.createUser({ username: 'bob', password: 'bob-password' });
+      const req = request({ cookie: `${SESSION_COOKIE}=${store.createSession('bob')}` });
+      requireUser(req, response(), next);
+      expect(req.user.username).toBe('bob');
+      expect(next).toHaveBeenCalledTimes(1);
+
+      const adminRes = response();
+      requireAdmin(req, adminRes, next);
+      expect(adminRes.status).toHaveBeenCalledWith(403);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let everything through when disabled', () => {
+      const { requireUser, requireAdmin } = createAuthMiddleware(store, { enabled: false });
+      const next = vi.fn();
+      const req = request();
+
+      requireUser(req, response(), next);
+      requireAdmin(req, response(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Service selection
+ *
+ * Which compose services and profiles each worktree runs. The choice is kept
+ * per worktree so every later start (restart, wake from idle suspend, ...)
+ * brings up the same subset instead of the whole stack.
+ */
+
+const EMPTY_SELECTION = Object.freeze({ services: null, profiles: [] });
+
+/**
+ * Persisted service selections keyed by worktree name
+ */
+export class ServiceSelectionStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.stateFile - JSON file persisting selections across restarts
+   */
+  constructor(options = {}) {
+    this.stateFile = options.stateFile ?? null;
+    this._selections = new Map(); // worktreeName -> { services, profiles }
+
+    this._loadState();
+  }
+
+  /**
+   * Selection of a worktree
+   * @param {string} worktreeName
+   * @returns {{services: string[]|null, profiles: string[]}} services null means every service
+   */
+  get(worktreeName) {
+    return this._selections.get(worktreeName) || EMPTY_SELECTION;
+  }
+
+  /**
+   * Replace the selection of a worktree
+   * @param {string} worktreeName
+   * @param {{services?: string[]|null, profiles?: string[]}} selection
+   * @returns {{services: string[]|null, profiles: string[]}} The stored selection
+   */
+  set(worktreeName, { services = null, profiles = [] } = {}) {
+    const selection = {
+      services: Array.isArray(services) ? [...new Set(services)] : null,
+      profiles: [...new Set(profiles || [])]
+    };
+
+    if (selection.services === null && selection.profiles.length === 0) {
+      this._selections.delete(worktreeName);
+    } else {
+      this._selections.set(worktreeName, selection);
+    }
+    this._saveState();
+    return this.get(worktreeName);
+  }
+
+  /**
+   * Forget the selection of a deleted worktree
+   * @param {string} worktreeName
+   */
+  delete(worktreeName) {
+    if (this._selections.delete(worktreeName)) {
+      this._saveState();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _loadState() {
+    if (!this.stateFile || !existsSync(this.stateFile)) return;
+
+    try {
+      const state = JSON.parse(readFileSync(this.stateFile, 'utf-8'));
+      for (const [name, selection] of Object.entries(state.worktrees || {})) {
+        this._selections.set(name, {
+          services: Array.isArray(selection.services) ? selection.services : null,
+          profiles: Array.isArray(selection.profiles) ? selection.profiles : []
+        });
+      }
+    } catch (error) {
+      console.warn(`[ServiceSelection] Ignoring unreadable state file: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _saveState() {
+    if (!this.stateFile) return;
+
+    try {
+      mkdirSync(dirname(this.stateFile), { recursive: true });
+      writeFileSync(this.stateFile, JSON.stringify({ worktrees: Object.fromEntries(this._selections) }, null, 2));
+    } catch (error) {
+      console.error(`[ServiceSelection] Failed to save state: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check a selection against the services of a compose file
+ * @param {{services?: string[]|null, profiles?: string[]}} selection
+ * @param {Array<{name: string, profiles: string[]}>} services - From ComposeInspector.getServices()
+ * @returns {string[]} Validation errors
+ */
+export function validateServiceSelection(selection, services) {
+  const errors = [];
+  const names = new Set(services.map(service => service.name));
+  const profiles = new Set(services.flatMap(service => service.profiles || []));
+
+  if (selection.services !== undefined && selection.services !== null) {
+    if (!Array.isArray(selection.services)) {
+      errors.push('services must be an array of service names or null');
+    } else {
+      for (const name of selection.services.filter(name => !names.has(name))) {
+        errors.push(`Unknown service: ${name}`);
+      }
+    }
+  }
+
+  if (selection.profiles !== undefined) {
+    if (!Array.isArray(selection.profiles)) {
+      errors.push('profiles must be an array of profile names');
+    } else {
+      for (const profile of selection.profiles.filter(profile => !profiles.has(profile))) {
+        errors.push(`Unknown profile: ${profile}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Work out which services a worktree starts
+ *
+ * Without an explicit service list a worktree runs what compose would: every
+ * service without profiles plus those of its active profiles. Dependencies are
+ * always added. Shared services run in the main worktree only; other worktrees
+ * leave them out and start with --no-deps so compose does not pull them back in.
+ *
+ * @param {Array<{name: string, profiles: string[], dependsOn: string[]}>} services - From ComposeInspector.getServices()
+ * @param {{services: string[]|null, profiles: string[]}} selection - Stored selection of the worktree
+ * @param {Object} [options]
+ * @param {string[]} [options.shared] - Names of shared services
+ * @param {boolean} [options.isMain] - Whether this is the main worktree, which hosts the shared services
+ * @returns {{services: string[]|null, profiles: string[], shared: string[], noDeps: boolean}}
+ *   services null means plain `up` (everything compose starts by default)
+ */
+export function resolveServiceSelection(services, selection = EMPTY_SELECTION, { shared = [], isMain = false } = {}) {
+  const byName = new Map(services.map(service => [service.name, service]));
+  const profiles = (selection.profiles || []).filter(profile => services.some(s => (s.profiles || []).includes(profile)));
+  const sharedNames = shared.filter(name => byName.has(name));
+
+  const defaultSelection = selection.services === null || selection.services === undefined;
+  const excludesShared = !isMain && sharedNames.length > 0;
+  if (defaultSelection && profiles.length === 0 && !excludesShared) {
+    return { services: null, profiles, shared: [], noDeps: false };
+  }
+
+  const active = new Set(profiles);
+  const wanted = defaultSelection
+    ? services
+      .filter(service => !service.profiles?.length || service.profiles.some(profile => active.has(profile)))
+      .map(service => service.name)
+    : selection.services.filter(name => byName.has(name));
+
+  if (isMain) {
+    wanted.push(...sharedNames);
+  }
+
+  // Add dependencies, transitively
+  const selected = new Set();
+  const visit = (name) => {
+    if (selected.has(name) || !byName.has(name)) return;
+    selected.add(name);
+    byName.get(name).dependsOn?.forEach(visit);
+  };
+  wanted.forEach(visit);
+
+  const skipped = isMain ? [] : sharedNames.filter(name => selected.has(name));
+  skipped.forEach(name => selected.delete(name));
+
+  return {
+    services: services.map(service => service.name).filter(name => selected.has(name)),
+    profiles,
+    shared: skipped,
+    noDeps: skipped.length > 0
+  };
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ServiceSelectionStore, resolveServiceSelection, validateServiceSelection } from './service-selection.mjs';
+
+const SERVICES = [
+  { name: 'api', profiles: [], dependsOn: ['postgres', 'redis'] },
+  { name: 'postgres', profiles: [], dependsOn: [] },
+  { name: 'redis', profiles: [], dependsOn: [] },
+  { name: 'worker', profiles: ['jobs'], dependsOn: ['api'] },
+  { name: 'mailhog', profiles: ['debug'], dependsOn: [] }
+];
+
+describe('resolveServiceSelection', () => {
+  it('should leave a worktree without a selection to compose', () => {
+    expect(resolveServiceSelection(SERVICES)).toEqual({ services: null, profiles: [], shared: [], noDeps: false });
+  });
+
+  it('should add the services of active profiles to the default ones', () => {
+    expect(resolveServiceSelection(SERVICES, { services: null, profiles: ['jobs', 'gone'] })).toEqual({
+      services: ['api', 'postgres', 'redis', 'worker'],
+      profiles: ['jobs'],
+      shared: [],
+      noDeps: false
+    });
+  });
+
+  it('should start explicitly selected services with their dependencies', () => {
+    const resolved = resolveServiceSelection(SERVICES, { services: ['worker', 'mailhog'], profiles: [] });
+    expect(resolved.services).toEqual(['api', 'postgres', 'redis', 'worker', 'mailhog']);
+  });
+
+  it('should leave shared services to the main worktree', () => {
+    expect(resolveServiceSelection(SERVICES, undefined, { shared: ['redis', 'unknown'] })).toEqual({
+      services: ['api', 'postgres'],
+      profiles: [],
+      shared: ['redis'],
+      noDeps: true
+    });
+
+    const main = resolveServiceSelection(SERVICES, { services: ['postgres'], profiles: [] }, { shared: ['redis'], isMain: true });
+    expect(main).toEqual({ services: ['postgres', 'redis'], profiles: [], shared: [], noDeps: false });
+  });
+});
+
+describe('validateServiceSelection', () => {
+  it('should reject unknown services and profiles', () => {
+    expect(validateServiceSelection({ services: ['api'], profiles: ['debug'] }, SERVICES)).toEqual([]);
+    expect(validateServiceSelection({ services: ['web'], profiles: ['prod'] }, SERVICES)).toEqual([
+      'Unknown service: web',
+      'Unknown profile: prod'
+    ]);
+    expect(validateServiceSelection({ services: 'api' }, SERVICES)).toEqual(['services must be an array of service names or null']);
+  });
+});
+
+describe('ServiceSelectionStore', () => {
+  let tempDir;
+  let stateFile;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-selection-test-'));
+    stateFile = path.join(tempDir, 'state', 'service-selection.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should persist selections across instances', () => {
+    const store = new ServiceSelectionStore({ stateFile });
+    store.set('feature-x', { services: ['api', 'api'], profiles: ['debug'] });
+
+    const reloaded = new ServiceSelectionStore({ stateFile });
+    expect(reloaded.get('feature-x')).toEqual({ services: ['api'], profiles: ['debug'] });
+    expect(reloaded.get('feature-y')).toEqual({ services: null, profiles: [] });
+  });
+
+  it('should drop default and deleted selections', () => {
+    const store = new ServiceSelectionStore({ stateFile });
+    store.set('feature-x', { services: ['api'] });
+    store.set('feature-y', { services: ['api'] });
+
+    store.set('feature-x', {});
+    store.delete('feature-y');
+
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf-8'))).toEqual({ worktrees: {} });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * ServiceStateTracker
+ *
+ * Follows the container runtime's event stream and turns it into per-service
+ * state transitions for each worktree, as they happen instead of on the next
+ * `docker ps`. Containers are matched to worktrees and services by the labels
+ * compose puts on them.
+ *
+ * Emits:
+ *   'transition'  { worktree, service, container, state, previousState, health,
+ *                   exitCode, crashLooping, time }
+ *   'crash-loop'  { worktree, service, container, exitCode, restartCount, since }
+ *                 once a service has crashed `crashLoopThreshold` times within
+ *                 `crashLoopWindow` ms
+ */
+
+import { EventEmitter } from 'events';
+import { parseServiceEvent } from './container-runtime.mjs';
+
+const CRASH_LOOP_THRESHOLD = 3;
+const CRASH_LOOP_WINDOW = 2 * 60 * 1000;
+
+export class ServiceStateTracker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.runtime - Container runtime (ContainerRuntime or NullRuntime)
+   * @param {Function} options.resolveWorktree - (workingDir, project) => worktree name or null
+   * @param {number} options.crashLoopThreshold - Crashes within the window that make a crash loop
+   * @param {number} options.crashLoopWindow - Window in ms
+   */
+  constructor(options) {
+    super();
+    this.runtime = options.runtime;
+    this.resolveWorktree = options.resolveWorktree;
+    this.crashLoopThreshold = options.crashLoopThreshold ?? CRASH_LOOP_THRESHOLD;
+    this.crashLoopWindow = options.crashLoopWindow ?? CRASH_LOOP_WINDOW;
+
+    this._services = new Map(); // 'worktree/service' -> { worktree, service, container, state, health, exitCode, crashes, crashLooping, time }
+    this._worktreeByDir = new Map(); // compose working_dir -> worktree name, or null for other projects
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Start following container events
+   */
+  start() {
+    if (!this._unsubscribe && this.runtime?.isAvailable?.()) {
+      this._unsubscribe = this.runtime.subscribe((event) => this.handleEvent(event));
+    }
+  }
+
+  /**
+   * Stop following container events
+   */
+  stop() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * @private
+   */
+  _worktreeFor(info) {
+    if (info.workingDir && this._worktreeByDir.has(info.workingDir)) {
+      return this._worktreeByDir.get(info.workingDir);
+    }
+    // Misses are cached too: other projects' containers keep sending events
+    const worktree = this.resolveWorktree(info.workingDir, info.project) || null;
+    if (info.workingDir) {
+      this._worktreeByDir.set(info.workingDir, worktree);
+    }
+    return worktree;
+  }
+
+  /**
+   * Match working directories to worktrees afresh (after worktrees were added or removed)
+   */
+  clearWorktreeCache() {
+    this._worktreeByDir.clear();
+  }
+
+  /**
+   * Apply one runtime event
+   * @param {Object} event - Normalized runtime event (see parseRuntimeEvent)
+   * @returns {Object|null} The transition, if the service's state or health changed
+   */
+  handleEvent(event) {
+    const info = parseServiceEvent(event);
+    if (!info || (!info.state && !info.health)) {
+      return null; // exec_start, attach, ... change nothing
+    }
+    const worktree = this._worktreeFor(info);
+    if (!worktree) {
+      return null;
+    }
+
+    const key = `${worktree}/${info.service}`;
+    const record = this._services.get(key) || {
+      worktree,
+      service: info.service,
+      container: null,
+      state: null,
+      health: null,
+      exitCode: null,
+      crashes: [],
+      crashLooping: false,
+      time: null
+    };
+    this._services.set(key, record);
+
+    const previousState = record.state;
+    const previousHealth = record.health;
+    if (info.state) record.state = info.state;
+    if (info.health) record.health = info.health;
+    if (info.state === 'running') record.health = info.health;
+    if (info.exitCode !== null) record.exitCode = info.exitCode;
+    record.container = info.containerName || record.container;
+    record.time = info.time;
+
+    if (info.action === 'die') {
+      this._recordExit(record, info);
+    } else if (info.state === 'running' && record.crashLooping) {
+      // Stable again once the crashes have aged out of the window
+      record.crashes = record.crashes.filter(time => info.time - time < this.crashLoopWindow);
+      record.crashLooping = record.crashes.length >= this.crashLoopThreshold;
+    }
+    if (record.state === previousState && record.health === previousHealth) {
+      return null;
+    }
+
+    const transition = {
+      worktree,
+      service: info.service,
+      container: record.container,
+      state: record.state,
+      previousState,
+      health: record.health,
+      exitCode: record.state === 'exited' ? record.exitCode : null,
+      crashLooping: record.crashLooping,
+      time: new Date(info.time).toISOString()
+    };
+    if (record.state === 'removed') {
+      this._services.delete(key);
+    }
+
+    this.emit('transition', transition);
+    return transition;
+  }
+
+  /**
+   * Count crashes (non-zero exits) and report a crash loop once per episode
+   * @private
+   */
+  _recordExit(record, info) {
+    record.crashes = record.crashes.filter(time => info.time - time < this.crashLoopWindow);
+    if (info.exitCode === 0 || info.exitCode === null) {
+      record.crashLooping = false; // Stopped on purpose
+      record.crashes = [];
+      return;
+    }
+
+    record.crashes.push(info.time);
+    if (record.crashes.length < this.crashLoopThreshold) {
+      record.crashLooping = false;
+      return;
+    }
+    if (record.crashLooping) {
+      return;
+    }
+
+    record.crashLooping = true;
+    this._reportCrashLoop(record, info);
+  }
+
+  /**
+   * @private
+   */
+  async _reportCrashLoop(record, info) {
+    // The runtime's own count covers restarts from before we were watching
+    let restartCount = record.crashes.length;
+    try {
+      const output = await this.runtime.execAsync(`inspect --format "{{.RestartCount}}" ${info.containerId}`);
+      restartCount = Math.max(restartCount, parseInt(output, 10) || 0);
+    } catch {
+      // Container already removed; keep the observed count
+    }
+
+    console.warn(`[SERVICES] ${record.worktree}/${record.service} is crash-looping (exit code ${info.exitCode}, ${restartCount} restarts)`);
+    this.emit('crash-loop', {
+      worktree: record.worktree,
+      service: record.service,
+      container: record.container,
+      exitCode: info.exitCode,
+      restartCount,
+      since: new Date(record.crashes[0]).toISOString()
+    });
+  }
+
+  /**
+   * Last known state of every tracked service
+   * @param {string|null} worktree - Only services of this worktree
+   * @returns {Object[]} { worktree, service, container, state, health, exitCode, crashLooping, restarts, since }
+   */
+  list(worktree = null) {
+    return [...this._services.values()]
+      .filter(record => !worktree || record.worktree === worktree)
+      .map(({ crashes, time, ...record }) => ({ ...record, restarts: crashes.length, since: time ? new Date(time).toISOString() : null }));
+  }
+
+  /**
+   * Forget a worktree's services (after it is deleted)
+   * @param {string} worktree
+   */
+  forget(worktree) {
+    for (const [key, record] of this._services) {
+      if (record.worktree === worktree) {
+        this._services.delete(key);
+      }
+    }
+    for (const [dir, name] of this._worktreeByDir) {
+      if (name === worktree) {
+        this._worktreeByDir.delete(dir);
+      }
+    }
+  }
+}
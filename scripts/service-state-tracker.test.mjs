@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ServiceStateTracker } from './service-state-tracker.mjs';
+
+const WORKING_DIR = '/work/feature-x';
+
+/** A normalized runtime event for one compose service container */
+function containerEvent(action, { service = 'api', time = 1000, exitCode, workingDir = WORKING_DIR } = {}) {
+  const attributes = {
+    name: `feature-x-${service}-1`,
+    'com.docker.compose.service': service,
+    'com.docker.compose.project': 'feature-x',
+    'com.docker.compose.project.working_dir': workingDir
+  };
+  if (exitCode !== undefined) {
+    attributes.exitCode = String(exitCode);
+  }
+  return { type: 'container', action, id: `${service}-id`, name: attributes.name, attributes, time };
+}
+
+function fakeRuntime() {
+  return {
+    isAvailable: () => true,
+    subscribe: vi.fn(() => vi.fn()),
+    execAsync: vi.fn(async () => '7\n')
+  };
+}
+
+describe('ServiceStateTracker', () => {
+  let runtime;
+  let tracker;
+  let resolveWorktree;
+
+  beforeEach(() => {
+    runtime = fakeRuntime();
+    resolveWorktree = vi.fn(workingDir => (workingDir === WORKING_DIR ? 'feature-x' : null));
+    tracker = new ServiceStateTracker({ runtime, resolveWorktree, crashLoopThreshold: 3, crashLoopWindow: 60000 });
+  });
+
+  it('should follow the runtime event stream while started', () => {
+    tracker.start();
+    tracker.start();
+    expect(runtime.subscribe).toHaveBeenCalledTimes(1);
+
+    const unsubscribe = runtime.subscribe.mock.results[0].value;
+    tracker.stop();
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should emit state transitions for the service of a worktree', () => {
+    const transitions = [];
+    tracker.on('transition', transition => transitions.push(transition));
+
+    tracker.handleEvent(containerEvent('start'));
+    tracker.handleEvent(containerEvent('restart')); // Still running: no transition
+    tracker.handleEvent(containerEvent('health_status: healthy'));
+    tracker.handleEvent(containerEvent('die', { exitCode: 0 }));
+    tracker.handleEvent(containerEvent('start', { workingDir: '/elsewhere' }));
+
+    expect(transitions.map(t => [t.state, t.previousState, t.health])).toEqual([
+      ['running', null, null],
+      ['running', 'running', 'healthy'],
+      ['exited', 'running', 'healthy']
+    ]);
+    expect(transitions[2]).toMatchObject({ worktree: 'feature-x', service: 'api', container: 'feature-x-api-1', exitCode: 0, crashLooping: false });
+    expect(resolveWorktree).toHaveBeenCalledTimes(2); // Cached once resolved
+  });
+
+  it('should report a crash loop once per episode with the runtime restart count', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const crashLoops = [];
+    tracker.on('crash-loop', crashLoop => crashLoops.push(crashLoop));
+
+    for (let i = 0; i < 4; i++) {
+      tracker.handleEvent(containerEvent('start', { time: 1000 + i * 1000 }));
+      tracker.handleEvent(containerEvent('die', { exitCode: 1, time: 1500 + i * 1000 }));
+    }
+    await vi.waitFor(() => expect(crashLoops).toHaveLength(1));
+
+    expect(crashLoops[0]).toEqual({
+      worktree: 'feature-x',
+      service: 'api',
+      container: 'feature-x-api-1',
+      exitCode: 1,
+      restartCount: 7,
+      since: new Date(1500).toISOString()
+    });
+    expect(runtime.execAsync).toHaveBeenCalledWith('inspect --format "{{.RestartCount}}" api-id');
+    expect(tracker.list('feature-x')[0]).toMatchObject({ state: 'exited', exitCode: 1, crashLooping: true, restarts: 4 });
+    consoleWarn.mockRestore();
+  });
+
+  it('should not count crashes outside the window or deliberate stops', () => {
+    const crashLoops = [];
+    tracker.on('crash-loop', crashLoop => crashLoops.push(crashLoop));
+
+    tracker.handleEvent(containerEvent('die', { exitCode: 1, time: 0 }));
+    tracker.handleEvent(containerEvent('die', { exitCode: 1, time: 30000 }));
+    tracker.handleEvent(containerEvent('die', { exitCode: 1, time: 70000 })); // The first crash has aged out
+    tracker.handleEvent(containerEvent('die', { exitCode: 0, time: 80000 }));
+    tracker.handleEvent(containerEvent('die', { exitCode: 1, time: 90000 }));
+
+    expect(crashLoops).toHaveLength(0);
+    expect(tracker.list()[0]).toMatchObject({ crashLooping: false, restarts: 1 });
+  });
+
+  it('should resolve each working directory once, including other projects', () => {
+    tracker.handleEvent(containerEvent('start', { workingDir: '/elsewhere' }));
+    tracker.handleEvent(containerEvent('health_status: healthy', { workingDir: '/elsewhere' }));
+    tracker.handleEvent(containerEvent('exec_start: pg_isready', { workingDir: '/another' }));
+    expect(resolveWorktree.mock.calls.map(([workingDir]) => workingDir)).toEqual(['/elsewhere']);
+
+    tracker.clearWorktreeCache();
+    tracker.handleEvent(containerEvent('start', { workingDir: '/elsewhere' }));
+    expect(resolveWorktree).toHaveBeenCalledTimes(2);
+    expect(tracker.list()).toEqual([]);
+  });
+
+  it('should forget removed containers and deleted worktrees', () => {
+    tracker.handleEvent(containerEvent('start', { service: 'api' }));
+    tracker.handleEvent(containerEvent('start', { service: 'db' }));
+    tracker.handleEvent(containerEvent('destroy', { service: 'db' }));
+    expect(tracker.list().map(s => s.service)).toEqual(['api']);
+
+    tracker.forget('feature-x');
+    expect(tracker.list()).toEqual([]);
+  });
+});
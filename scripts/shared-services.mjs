@@ -0,0 +1,248 @@
+/**
+ * Shared Services
+ *
+ * Services from `container.sharedServices` run once, in the main worktree,
+ * instead of once per worktree. Other worktrees connect to main's instance and
+ * get their own corner of it, chosen with `isolation`:
+ *
+ *   none           everyone uses the service as is (e.g. a cache)
+ *   database       a PostgreSQL database per worktree, seeded from main's database
+ *   schema         a PostgreSQL schema per worktree in main's database
+ *   bucket-prefix  a key prefix per worktree in MinIO / S3 buckets
+ *   namespace      a Temporal namespace per worktree
+ */
+
+import { createHash } from 'crypto';
+
+export const ISOLATION_MODES = ['none', 'database', 'schema', 'bucket-prefix', 'namespace'];
+
+/**
+ * Env entry written for each isolation mode, after the service's env var base
+ * (e.g. postgres → POSTGRES_DB)
+ */
+const ISOLATION_ENV = {
+  database: { suffix: 'DB', value: 'database' },
+  schema: { suffix: 'SCHEMA', value: 'schema' },
+  'bucket-prefix': { suffix: 'BUCKET_PREFIX', value: 'bucketPrefix' },
+  namespace: { suffix: 'NAMESPACE', value: 'namespace' }
+};
+
+/**
+ * Check the container.sharedServices section
+ * @param {Object} sharedServices - Settings keyed by service name
+ * @returns {string[]} Validation errors
+ */
+export function validateSharedServices(sharedServices) {
+  if (!sharedServices || typeof sharedServices !== 'object' || Array.isArray(sharedServices)) {
+    return ['container.sharedServices must be an object keyed by service name'];
+  }
+
+  const errors = [];
+
+  for (const [service, shared] of Object.entries(sharedServices)) {
+    const path = `container.sharedServices.${service}`;
+
+    if (!shared || typeof shared !== 'object' || Array.isArray(shared)) {
+      errors.push(`${path} must be an object`);
+      continue;
+    }
+    if (shared.isolation !== undefined && !ISOLATION_MODES.includes(shared.isolation)) {
+      errors.push(`${path}.isolation must be one of ${ISOLATION_MODES.join(', ')}`);
+    }
+    if (shared.env !== undefined) {
+      if (!shared.env || typeof shared.env !== 'object' || Array.isArray(shared.env)) {
+        errors.push(`${path}.env must be an object of environment variables`);
+        continue;
+      }
+      for (const [name, value] of Object.entries(shared.env)) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+          errors.push(`${path}.env: "${name}" is not a valid environment variable name`);
+        } else if (typeof value !== 'string') {
+          errors.push(`${path}.env.${name} must be a string`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Names a worktree gets inside a shared service
+ * @param {string} worktreeName
+ * @returns {{database: string, schema: string, bucketPrefix: string, namespace: string}}
+ */
+export function isolationNames(worktreeName) {
+  // The slug alone is lossy (feature-x and Feature.X share one), so a hash of
+  // the exact name keeps each worktree's corner its own
+  const hash = createHash('sha256').update(worktreeName).digest('hex').slice(0, 8);
+  const slug = worktreeName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'worktree';
+  const identifier = `vibe_${slug.slice(0, 63 - 'vibe__'.length - hash.length)}_${hash}`; // PostgreSQL identifier limit
+  const dashed = `${slug.replace(/_/g, '-')}-${hash}`;
+
+  return {
+    database: identifier,
+    schema: identifier,
+    bucketPrefix: `${dashed}/`,
+    namespace: `vibe-${dashed}`
+  };
+}
+
+/**
+ * Env entries pointing a worktree at its part of a shared service
+ * The isolation mode adds one entry (e.g. POSTGRES_DB=vibe_feature_x_<hash>); `env`
+ * templates may use {port}, {worktree}, {database}, {schema}, {bucketPrefix}
+ * and {namespace}.
+ * @param {Object} shared - The service's container.sharedServices settings
+ * @param {Object} context
+ * @param {string} context.worktreeName
+ * @param {string} context.envVarBase - Env var base of the service (e.g. POSTGRES)
+ * @param {number} context.port - Main's (first) port of the service
+ * @returns {Object} { NAME: value }
+ */
+export function sharedServiceEnv(shared, { worktreeName, envVarBase, port }) {
+  const values = { ...isolationNames(worktreeName), worktree: worktreeName, port: String(port) };
+  const env = {};
+
+  const isolationEnv = ISOLATION_ENV[shared.isolation];
+  if (isolationEnv) {
+    env[`${envVarBase}_${isolationEnv.suffix}`] = values[isolationEnv.value];
+  }
+
+  for (const [name, template] of Object.entries(shared.env || {})) {
+    env[name] = template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+  }
+
+  return env;
+}
+
+/**
+ * Creates and removes worktrees' isolated parts of shared services by running
+ * the service's own CLI inside main's container
+ */
+export class SharedServiceIsolation {
+  /**
+   * @param {Object} options
+   * @param {Function} options.exec - (service, command) => stdout; runs a command in main's container of the service
+   * @param {number} options.retries - Attempts while the service is still starting (default: 10)
+   * @param {number} options.retryDelay - Delay between attempts in ms (default: 2000)
+   */
+  constructor(options) {
+    this.exec = options.exec;
+    this.retries = options.retries ?? 10;
+    this.retryDelay = options.retryDelay ?? 2000;
+  }
+
+  /**
+   * Create a worktree's part of a shared service if it does not exist yet
+   * @param {string} service - Compose service name
+   * @param {Object} shared - The service's container.sharedServices settings
+   * @param {string} worktreeName
+   * @param {Object} credentials - { user, database } of a PostgreSQL service
+   * @returns {Promise<{created: boolean, seeded?: boolean}>}
+   */
+  async provision(service, shared, worktreeName, credentials = {}) {
+    const names = isolationNames(worktreeName);
+    const psql = `psql -U ${credentials.user || 'postgres'}`;
+
+    switch (shared.isolation) {
+      case 'database': {
+        const exists = await this._withRetries(() =>
+          this.exec(service, `${psql} -d postgres -tAc "SELECT 1 FROM pg_database WHERE datname = '${names.database}'"`)
+        );
+        if (String(exists).trim() === '1') {
+          return { created: false };
+        }
+
+        this.exec(service, `${psql} -d postgres -v ON_ERROR_STOP=1 -c 'CREATE DATABASE "${names.database}"'`);
+        console.log(`[SHARED] Created database ${names.database} in shared ${service}`);
+
+        // Start from main's data, like a worktree with its own database would
+        try {
+          this.exec(service, `sh -c 'pg_dump -U ${credentials.user || 'postgres'} --no-owner --no-acl ${credentials.database || 'postgres'} | ${psql} -q -d ${names.database}'`);
+          return { created: true, seeded: true };
+        } catch (error) {
+          console.warn(`[SHARED] Could not copy main's data into ${names.database}: ${error.stderr?.toString() || error.message}`);
+          return { created: true, seeded: false };
+        }
+      }
+
+      case 'schema': {
+        const database = credentials.database || 'postgres';
+        const exists = await this._withRetries(() =>
+          this.exec(service, `${psql} -d ${database} -tAc "SELECT 1 FROM information_schema.schemata WHERE schema_name = '${names.schema}'"`)
+        );
+        if (String(exists).trim() === '1') {
+          return { created: false };
+        }
+
+        this.exec(service, `${psql} -d ${database} -v ON_ERROR_STOP=1 -c 'CREATE SCHEMA IF NOT EXISTS "${names.schema}"'`);
+        console.log(`[SHARED] Created schema ${names.schema} in shared ${service}`);
+        return { created: true };
+      }
+
+      case 'namespace':
+        return this._withRetries(() => {
+          try {
+            this.exec(service, `temporal operator namespace create --namespace ${names.namespace}`);
+            console.log(`[SHARED] Created Temporal namespace ${names.namespace} in shared ${service}`);
+            return { created: true };
+          } catch (error) {
+            if (/already (exists|registered)/i.test(error.stderr?.toString() || error.message)) {
+              return { created: false };
+            }
+            throw error;
+          }
+        });
+
+      default:
+        // none and bucket-prefix: nothing to create, prefixes come into being with their first object
+        return { created: false };
+    }
+  }
+
+  /**
+   * Remove a deleted worktree's part of a shared service
+   * Objects under a bucket prefix are left alone.
+   * @param {string} service - Compose service name
+   * @param {Object} shared - The service's container.sharedServices settings
+   * @param {string} worktreeName
+   * @param {Object} credentials - { user, database } of a PostgreSQL service
+   * @returns {boolean} Whether anything was removed
+   */
+  release(service, shared, worktreeName, credentials = {}) {
+    const names = isolationNames(worktreeName);
+    const psql = `psql -U ${credentials.user || 'postgres'}`;
+
+    switch (shared.isolation) {
+      case 'database':
+        this.exec(service, `${psql} -d postgres -v ON_ERROR_STOP=1 -c 'DROP DATABASE IF EXISTS "${names.database}" WITH (FORCE)'`);
+        return true;
+      case 'schema':
+        this.exec(service, `${psql} -d ${credentials.database || 'postgres'} -v ON_ERROR_STOP=1 -c 'DROP SCHEMA IF EXISTS "${names.schema}" CASCADE'`);
+        return true;
+      case 'namespace':
+        this.exec(service, `temporal operator namespace delete --namespace ${names.namespace} --yes`);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Run fn until it succeeds, giving a just-started service time to accept connections
+   * @private
+   */
+  async _withRetries(fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= this.retries) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+      }
+    }
+  }
+}
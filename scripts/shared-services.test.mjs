@@ -0,0 +1,122 @@
+import { describe, it, expect, vi } from 'vitest';
+import { validateSharedServices, isolationNames, sharedServiceEnv, SharedServiceIsolation } from './shared-services.mjs';
+
+const CREDENTIALS = { user: 'app', database: 'app_dev' };
+const NAMES = isolationNames('feature-x');
+
+describe('validateSharedServices', () => {
+  it('should accept isolation modes and env templates', () => {
+    expect(validateSharedServices({
+      postgres: { isolation: 'database', env: { DATABASE_URL: 'postgres://app@localhost:{port}/{database}' } },
+      redis: {}
+    })).toEqual([]);
+  });
+
+  it('should reject unknown isolation modes and malformed env', () => {
+    expect(validateSharedServices({
+      minio: { isolation: 'bucket' },
+      temporal: { env: ['TEMPORAL_NAMESPACE'] },
+      redis: 'yes'
+    })).toEqual([
+      'container.sharedServices.minio.isolation must be one of none, database, schema, bucket-prefix, namespace',
+      'container.sharedServices.temporal.env must be an object of environment variables',
+      'container.sharedServices.redis must be an object'
+    ]);
+    expect(validateSharedServices([])).toEqual(['container.sharedServices must be an object keyed by service name']);
+  });
+});
+
+describe('isolationNames', () => {
+  it('should derive names that are valid in each service', () => {
+    expect(isolationNames('Feature/Login-Page')).toEqual({
+      database: expect.stringMatching(/^vibe_feature_login_page_[0-9a-f]{8}$/),
+      schema: expect.stringMatching(/^vibe_feature_login_page_[0-9a-f]{8}$/),
+      bucketPrefix: expect.stringMatching(/^feature-login-page-[0-9a-f]{8}\/$/),
+      namespace: expect.stringMatching(/^vibe-feature-login-page-[0-9a-f]{8}$/)
+    });
+    expect(isolationNames('x'.repeat(80)).database).toHaveLength(63);
+  });
+
+  it('should keep names apart that slug the same', () => {
+    const names = ['feature-x', 'feature_x', 'Feature.X', `${'x'.repeat(80)}-a`, `${'x'.repeat(80)}-b`].map(isolationNames);
+
+    for (const key of ['database', 'schema', 'bucketPrefix', 'namespace']) {
+      expect(new Set(names.map(name => name[key])).size).toBe(names.length);
+    }
+    expect(isolationNames('feature-x')).toEqual(NAMES);
+  });
+});
+
+describe('sharedServiceEnv', () => {
+  it('should add the isolation entry and fill in env templates', () => {
+    const shared = {
+      isolation: 'database',
+      env: { DATABASE_URL: 'postgres://app@localhost:{port}/{database}', LABEL: '{worktree} {unknown}' }
+    };
+
+    expect(sharedServiceEnv(shared, { worktreeName: 'feature-x', envVarBase: 'POSTGRES', port: 5432 })).toEqual({
+      POSTGRES_DB: NAMES.database,
+      DATABASE_URL: `postgres://app@localhost:5432/${NAMES.database}`,
+      LABEL: 'feature-x {unknown}'
+    });
+    expect(sharedServiceEnv({ isolation: 'bucket-prefix' }, { worktreeName: 'feature-x', envVarBase: 'MINIO', port: 9000 }))
+      .toEqual({ MINIO_BUCKET_PREFIX: NAMES.bucketPrefix });
+    expect(sharedServiceEnv({}, { worktreeName: 'feature-x', envVarBase: 'REDIS', port: 6379 })).toEqual({});
+  });
+});
+
+describe('SharedServiceIsolation', () => {
+  it('should create and seed a database once', async () => {
+    const exec = vi.fn(() => '');
+    const isolation = new SharedServiceIsolation({ exec });
+
+    expect(await isolation.provision('postgres', { isolation: 'database' }, 'feature-x', CREDENTIALS)).toEqual({ created: true, seeded: true });
+    expect(exec.mock.calls.map(([service, command]) => `${service}: ${command}`)).toEqual([
+      `postgres: psql -U app -d postgres -tAc "SELECT 1 FROM pg_database WHERE datname = '${NAMES.database}'"`,
+      `postgres: psql -U app -d postgres -v ON_ERROR_STOP=1 -c 'CREATE DATABASE "${NAMES.database}"'`,
+      `postgres: sh -c 'pg_dump -U app --no-owner --no-acl app_dev | psql -U app -q -d ${NAMES.database}'`
+    ]);
+
+    exec.mockReturnValue('1\n');
+    expect(await isolation.provision('postgres', { isolation: 'database' }, 'feature-x', CREDENTIALS)).toEqual({ created: false });
+  });
+
+  it('should wait for a starting service before giving up', async () => {
+    const exec = vi.fn()
+      .mockImplementationOnce(() => { throw new Error('could not connect to server'); })
+      .mockReturnValue('');
+    const isolation = new SharedServiceIsolation({ exec, retryDelay: 1 });
+
+    await isolation.provision('postgres', { isolation: 'schema' }, 'feature-x', CREDENTIALS);
+    expect(exec).toHaveBeenLastCalledWith('postgres', `psql -U app -d app_dev -v ON_ERROR_STOP=1 -c 'CREATE SCHEMA IF NOT EXISTS "${NAMES.schema}"'`);
+
+    const failing = new SharedServiceIsolation({ exec: () => { throw new Error('could not connect to server'); }, retries: 2, retryDelay: 1 });
+    await expect(failing.provision('postgres', { isolation: 'schema' }, 'feature-x', CREDENTIALS)).rejects.toThrow('could not connect to server');
+  });
+
+  it('should treat an existing Temporal namespace as provisioned', async () => {
+    const error = Object.assign(new Error('Command failed'), { stderr: Buffer.from(`Namespace ${NAMES.namespace} already exists`) });
+    const exec = vi.fn(() => { throw error; });
+    const isolation = new SharedServiceIsolation({ exec, retryDelay: 1 });
+
+    expect(await isolation.provision('temporal', { isolation: 'namespace' }, 'feature-x')).toEqual({ created: false });
+    expect(exec).toHaveBeenCalledWith('temporal', `temporal operator namespace create --namespace ${NAMES.namespace}`);
+    expect(exec).toHaveBeenCalledTimes(1);
+  });
+
+  it('should remove a deleted worktree\'s database, schema and namespace', () => {
+    const exec = vi.fn(() => '');
+    const isolation = new SharedServiceIsolation({ exec });
+
+    expect(isolation.release('postgres', { isolation: 'database' }, 'feature-x', CREDENTIALS)).toBe(true);
+    expect(isolation.release('postgres', { isolation: 'schema' }, 'feature-x', CREDENTIALS)).toBe(true);
+    expect(isolation.release('temporal', { isolation: 'namespace' }, 'feature-x')).toBe(true);
+    expect(isolation.release('minio', { isolation: 'bucket-prefix' }, 'feature-x')).toBe(false);
+
+    expect(exec.mock.calls.map(([, command]) => command)).toEqual([
+      `psql -U app -d postgres -v ON_ERROR_STOP=1 -c 'DROP DATABASE IF EXISTS "${NAMES.database}" WITH (FORCE)'`,
+      `psql -U app -d app_dev -v ON_ERROR_STOP=1 -c 'DROP SCHEMA IF EXISTS "${NAMES.schema}" CASCADE'`,
+      `temporal operator namespace delete --namespace ${NAMES.namespace} --yes`
+    ]);
+  });
+});
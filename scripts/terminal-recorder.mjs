@@ -0,0 +1,353 @@
+import { createWriteStream, existsSync, mkdirSync, readdirSync, readFileSync, statSync, rmSync, openSync, readSync, writeSync, closeSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { secretSanitizer } from './security/secret-sanitizer.mjs';
+
+const FLUSH_DELAY = 250; // ms an unfinished line may wait before it is written anyway
+const RECORDING_ID_PATTERN = /^(?!\.+$)[\w.-]+$/; // Not "." or ".."
+const HEADER_BYTES = 4096;
+const TAIL_BYTES = 64 * 1024;
+
+const ESC = '\x1b';
+const BEL = '\x07';
+const OSC_PATTERN = new RegExp(`${ESC}\\][^${BEL}${ESC}]*(?:${BEL}|${ESC}\\\\)`, 'g'); // Titles, hyperlinks
+const CSI_PATTERN = new RegExp(`${ESC}\\[[0-?]*[ -/]*[@-~]`, 'g'); // Colors, cursor movement
+const ESCAPE_PATTERN = new RegExp(`${ESC}[@-Z\\\\-_]`, 'g'); // Other two-byte escapes
+
+/**
+ * Strip ANSI escape sequences from terminal output
+ * @param {string} text - Raw terminal output
+ * @returns {string} Plain text
+ */
+export function stripAnsi(text) {
+  return text
+    .replace(OSC_PATTERN, '')
+    .replace(CSI_PATTERN, '')
+    .replace(ESCAPE_PATTERN, '')
+    .replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Read part of a file as UTF-8
+ * @param {string} path - File path
+ * @param {number} position - Byte offset
+ * @param {number} length - Maximum bytes to read
+ * @returns {string}
+ */
+function readSlice(path, position, length) {
+  const fd = openSync(path, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = readSync(fd, buffer, 0, length, position);
+    return buffer.toString('utf-8', 0, bytesRead);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * One asciicast v2 file being written for a PTY session
+ *
+ * Output is held back until a line is complete (or FLUSH_DELAY passes) so a
+ * secret split across PTY chunks is still whole when it is sanitized.
+ */
+class Recording {
+  constructor({ id, worktree, agent, path, cols, rows, sanitizer, flushDelay, onStop }) {
+    this.id = id;
+    this.worktree = worktree;
+    this.agent = agent;
+    this.path = path;
+    this.startedAt = Date.now();
+    this.sanitizer = sanitizer;
+    this.flushDelay = flushDelay;
+    this._onStop = onStop;
+
+    this._pending = '';
+    this._pendingSince = null; // Elapsed seconds of the first chunk in _pending
+    this._flushTimer = null;
+
+    // Open and write the header synchronously so the file is listed (and can't be clobbered) from the start
+    const fd = openSync(path, 'wx');
+    writeSync(fd, `${JSON.stringify({
+      version: 2,
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(this.startedAt / 1000),
+      title: `${worktree} / ${agent}`,
+      env: { TERM: 'xterm-256color' }
+    })}\n`);
+    this._stream = createWriteStream(null, { fd });
+    this._stream.on('error', (error) => {
+      console.error(`[RECORDING] Write failed for ${path}:`, error.message);
+    });
+  }
+
+  /**
+   * Seconds since the recording started
+   * @private
+   */
+  _elapsed() {
+    return Number(((Date.now() - this.startedAt) / 1000).toFixed(6));
+  }
+
+  /**
+   * @private
+   */
+  _writeLine(value) {
+    this._stream.write(`${JSON.stringify(value)}\n`);
+  }
+
+  /**
+   * Record PTY output
+   * @param {string} data - Output chunk
+   */
+  output(data) {
+    if (!this._stream || !data) return;
+
+    if (this._pendingSince === null) {
+      this._pendingSince = this._elapsed();
+    }
+    this._pending += data;
+
+    const lastNewline = this._pending.lastIndexOf('\n');
+    if (lastNewline !== -1) {
+      this._writeOutput(this._pending.slice(0, lastNewline + 1));
+      this._pending = this._pending.slice(lastNewline + 1);
+      this._pendingSince = this._pending ? this._elapsed() : null;
+    }
+
+    clearTimeout(this._flushTimer);
+    this._flushTimer = this._pending ? setTimeout(() => this.flush(), this.flushDelay) : null;
+  }
+
+  /**
+   * Record a terminal resize
+   * @param {number} cols - Columns
+   * @param {number} rows - Rows
+   */
+  resize(cols, rows) {
+    if (!this._stream) return;
+    this.flush();
+    this._writeLine([this._elapsed(), 'r', `${cols}x${rows}`]);
+  }
+
+  /**
+   * Write out output held back for an unfinished line
+   */
+  flush() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    if (this._pending) {
+      this._writeOutput(this._pending);
+      this._pending = '';
+      this._pendingSince = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _writeOutput(text) {
+    const time = this._pendingSince ?? this._elapsed();
+    this._writeLine([time, 'o', this.sanitizer.sanitize(text).sanitized]);
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this._stream) return Promise.resolve();
+    this.flush();
+    const stream = this._stream;
+    this._stream = null;
+    this._onStop?.();
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  get active() {
+    return this._stream !== null;
+  }
+}
+
+/**
+ * TerminalRecorder
+ *
+ * Records PTY sessions as asciicast v2 files under ~/.vibetrees/recordings/<worktree>/,
+ * so what an agent did while nobody was watching can be replayed later. Output
+ * goes through the SecretSanitizer before it reaches disk.
+ */
+export class TerminalRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.recordingsDir - Where recordings are kept (default: ~/.vibetrees/recordings)
+   * @param {boolean} options.enabled - Record new sessions automatically (default: false)
+   * @param {string[]} options.agents - Only record these agents automatically (default: all)
+   * @param {Object} options.sanitizer - SecretSanitizer instance
+   * @param {number} options.flushDelay - See FLUSH_DELAY
+   */
+  constructor(options = {}) {
+    this.recordingsDir = options.recordingsDir || join(homedir(), '.vibetrees', 'recordings');
+    this.enabled = options.enabled ?? false;
+    this.agents = options.agents || [];
+    this.sanitizer = options.sanitizer || secretSanitizer;
+    this.flushDelay = options.flushDelay ?? FLUSH_DELAY;
+
+    this._active = new Map(); // `${worktree}/${id}` -> Recording
+  }
+
+  /**
+   * Whether a new session of this agent is recorded without being asked
+   * @param {string} agent - Agent name
+   * @returns {boolean}
+   */
+  shouldRecord(agent) {
+    return this.enabled && (this.agents.length === 0 || this.agents.includes(agent));
+  }
+
+  /**
+   * Start recording a session
+   * @param {Object} params
+   * @param {string} params.worktree - Worktree name
+   * @param {string} params.agent - Agent name
+   * @param {number} params.cols - Terminal columns
+   * @param {number} params.rows - Terminal rows
+   * @returns {Recording}
+   */
+  start({ worktree, agent, cols = 80, rows = 24 }) {
+    const dir = join(this.recordingsDir, worktree);
+    mkdirSync(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const id = `${agent}-${stamp}`.replace(/[^\w.-]/g, '_');
+    const key = `${worktree}/${id}`;
+    const recording = new Recording({
+      id,
+      worktree,
+      agent,
+      path: join(dir, `${id}.cast`),
+      cols,
+      rows,
+      sanitizer: this.sanitizer,
+      flushDelay: this.flushDelay,
+      onStop: () => this._active.delete(key)
+    });
+    this._active.set(key, recording);
+
+    console.log(`[RECORDING] Recording ${worktree}/${agent} to ${recording.path}`);
+    return recording;
+  }
+
+  /**
+   * List recordings, newest first
+   * @param {string|null} worktree - Only this worktree's recordings
+   * @returns {Array<{id: string, worktree: string, agent: string|null, startedAt: string|null, duration: number, size: number, active: boolean}>}
+   */
+  list(worktree = null) {
+    if (!existsSync(this.recordingsDir)) {
+      return [];
+    }
+
+    const worktrees = worktree ? [worktree] : readdirSync(this.recordingsDir);
+    const recordings = [];
+
+    for (const name of worktrees) {
+      const dir = join(this.recordingsDir, name);
+      if (!RECORDING_ID_PATTERN.test(name) || !existsSync(dir) || !statSync(dir).isDirectory()) continue;
+
+      for (const file of readdirSync(dir)) {
+        if (!file.endsWith('.cast')) continue;
+        const info = this._describe(name, file.slice(0, -'.cast'.length));
+        if (info) recordings.push(info);
+      }
+    }
+
+    return recordings.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+  }
+
+  /**
+   * Summary of one recording from its header and last event
+   * Only the ends of the file are read; overnight recordings get large.
+   * @private
+   */
+  _describe(worktree, id) {
+    const path = join(this.recordingsDir, worktree, `${id}.cast`);
+    try {
+      const { size } = statSync(path);
+      const head = readSlice(path, 0, HEADER_BYTES);
+      const header = JSON.parse(head.slice(0, head.indexOf('\n')));
+
+      // Event lines start with "[<seconds>,"; a newline inside output is escaped
+      const tail = readSlice(path, Math.max(0, size - TAIL_BYTES), TAIL_BYTES);
+      const times = [...tail.matchAll(/\n\[([\d.]+),/g)];
+
+      return {
+        id,
+        worktree,
+        agent: header.title?.split(' / ')[1] || null,
+        startedAt: header.timestamp ? new Date(header.timestamp * 1000).toISOString() : null,
+        duration: times.length > 0 ? Number(times[times.length - 1][1]) : 0,
+        size,
+        active: this._active.has(`${worktree}/${id}`)
+      };
+    } catch (error) {
+      console.warn(`[RECORDING] Skipping unreadable recording ${path}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Path of a recording file, or null if it does not exist
+   * @param {string} worktree - Worktree name
+   * @param {string} id - Recording ID
+   * @returns {string|null}
+   */
+  getPath(worktree, id) {
+    if (!RECORDING_ID_PATTERN.test(worktree) || !RECORDING_ID_PATTERN.test(id)) {
+      return null;
+    }
+    const path = join(this.recordingsDir, worktree, `${id}.cast`);
+    return existsSync(path) ? path : null;
+  }
+
+  /**
+   * Plain-text transcript of a recording (escape sequences removed)
+   * @param {string} worktree - Worktree name
+   * @param {string} id - Recording ID
+   * @returns {string|null} Null if the recording does not exist
+   */
+  exportText(worktree, id) {
+    const path = this.getPath(worktree, id);
+    if (!path) return null;
+
+    const output = readFileSync(path, 'utf-8')
+      .split('\n')
+      .slice(1)
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(([, type]) => type === 'o')
+      .map(([, , data]) => data)
+      .join('');
+
+    return stripAnsi(output);
+  }
+
+  /**
+   * Delete a finished recording
+   * @param {string} worktree - Worktree name
+   * @param {string} id - Recording ID
+   * @returns {{success: boolean, error?: string}}
+   */
+  delete(worktree, id) {
+    if (this._active.has(`${worktree}/${id}`)) {
+      return { success: false, error: 'Recording is still in progress' };
+    }
+    const path = this.getPath(worktree, id);
+    if (!path) {
+      return { success: false, error: 'Recording not found' };
+    }
+
+    rmSync(path, { force: true });
+    return { success: true };
+  }
+}
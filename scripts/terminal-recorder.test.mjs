@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TerminalRecorder, stripAnsi } from './terminal-recorder.mjs';
+
+const GITHUB_TOKEN = `ghp_${'a1B2'.repeat(9)}`;
+
+function readCast(file) {
+  return fs.readFileSync(file, 'utf-8').trimEnd().split('\n').map(line => JSON.parse(line));
+}
+
+describe('TerminalRecorder', () => {
+  let recordingsDir;
+  let recorder;
+
+  beforeEach(() => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-recordings-'));
+    recorder = new TerminalRecorder({ recordingsDir, flushDelay: 10 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+
+  it('should write an asciicast v2 header and output events', async () => {
+    const recording = recorder.start({ worktree: 'feature-x', agent: 'claude', cols: 120, rows: 30 });
+    recording.output('hello\r\n');
+    recording.resize(100, 40);
+    await recording.stop();
+
+    const [header, output, resize] = readCast(recording.path);
+    expect(header).toMatchObject({ version: 2, width: 120, height: 30, title: 'feature-x / claude' });
+    expect(output).toEqual([expect.any(Number), 'o', 'hello\r\n']);
+    expect(resize).toEqual([expect.any(Number), 'r', '100x40']);
+  });
+
+  it('should sanitize secrets split across output chunks', async () => {
+    const recording = recorder.start({ worktree: 'feature-x', agent: 'claude' });
+    recording.output(`export GITHUB_TOKEN=${GITHUB_TOKEN.slice(0, 20)}`);
+    recording.output(`${GITHUB_TOKEN.slice(20)}\r\n`);
+    await recording.stop();
+
+    const contents = fs.readFileSync(recording.path, 'utf-8');
+    expect(contents).not.toContain(GITHUB_TOKEN);
+    expect(contents).toContain('[REDACTED]');
+  });
+
+  it('should write an unfinished line after the flush delay', async () => {
+    vi.useFakeTimers();
+    const recording = recorder.start({ worktree: 'feature-x', agent: 'shell' });
+    recording.output('$ ');
+    vi.advanceTimersByTime(10);
+    vi.useRealTimers();
+    await recording.stop();
+
+    expect(readCast(recording.path)[1]).toEqual([expect.any(Number), 'o', '$ ']);
+  });
+
+  it('should list recordings with their duration and active state', async () => {
+    const finished = recorder.start({ worktree: 'feature-x', agent: 'claude' });
+    finished.output('done\n');
+    await finished.stop();
+    const running = recorder.start({ worktree: 'feature-y', agent: 'codex' });
+
+    const recordings = recorder.list();
+    expect(recordings).toHaveLength(2);
+    expect(recordings.find(r => r.worktree === 'feature-x')).toMatchObject({ id: finished.id, agent: 'claude', active: false });
+    expect(recordings.find(r => r.worktree === 'feature-y')).toMatchObject({ agent: 'codex', active: true, duration: 0 });
+    expect(recorder.list('feature-y')).toHaveLength(1);
+
+    await running.stop();
+  });
+
+  it('should export plain text and refuse to delete an active recording', async () => {
+    const recording = recorder.start({ worktree: 'feature-x', agent: 'shell' });
+    recording.output('\x1b[32mok\x1b[0m\r\n');
+
+    expect(recorder.delete('feature-x', recording.id)).toEqual({ success: false, error: 'Recording is still in progress' });
+    await recording.stop();
+
+    expect(recorder.exportText('feature-x', recording.id)).toBe('ok\n');
+    expect(recorder.delete('feature-x', recording.id)).toEqual({ success: true });
+    expect(recorder.getPath('feature-x', recording.id)).toBeNull();
+  });
+
+  it('should reject path traversal in recording IDs', () => {
+    const nested = new TerminalRecorder({ recordingsDir: path.join(recordingsDir, 'nested') });
+    fs.mkdirSync(nested.recordingsDir);
+    fs.writeFileSync(path.join(recordingsDir, 'outside.cast'), '{"version":2}\n');
+
+    expect(nested.getPath('..', 'outside')).toBeNull();
+    expect(nested.list('..')).toEqual([]);
+    expect(recorder.getPath('feature-x', '../../etc/passwd')).toBeNull();
+  });
+
+  it('should only record configured agents automatically', () => {
+    expect(recorder.shouldRecord('claude')).toBe(false);
+    expect(new TerminalRecorder({ recordingsDir, enabled: true }).shouldRecord('shell')).toBe(true);
+    expect(new TerminalRecorder({ recordingsDir, enabled: true, agents: ['claude'] }).shouldRecord('shell')).toBe(false);
+  });
+});
+
+describe('stripAnsi', () => {
+  it('should remove colors, cursor movement and titles', () => {
+    expect(stripAnsi('\x1b]0;title\x07\x1b[1;31mred\x1b[0m\x1b[2K\r\n')).toBe('red\n');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * TerminalSearchIndex
+ *
+ * In-memory index of terminal output lines across every PTY session, so
+ * output can be found again without opening each tab. Lines are fed from
+ * each session's PTY output, whether or not a browser is attached, and stay
+ * searchable after their session ends until the limits push them out.
+ */
+
+import { stripAnsi } from './terminal-recorder.mjs';
+
+const MAX_LINES_PER_SESSION = 20000;
+const MAX_SESSIONS = 100;
+const MAX_SNIPPET_LENGTH = 240;
+
+/**
+ * Text a line of raw PTY output leaves on screen
+ * A carriage return redraws the line (progress bars, spinners), so only what
+ * follows the last one counts.
+ * @param {string} raw - Output line without its line feed
+ * @returns {string} Line text without escape sequences or trailing whitespace
+ */
+export function plainLine(raw) {
+  const drawn = raw.split('\r').filter(Boolean).at(-1) ?? '';
+  return stripAnsi(drawn).trimEnd();
+}
+
+/**
+ * Cut a long line down to the part around the match
+ * @param {string} text - Full line
+ * @param {number} index - Match position
+ * @param {number} length - Match length
+ * @returns {string}
+ */
+function snippetAround(text, index, length) {
+  if (text.length <= MAX_SNIPPET_LENGTH) {
+    return text;
+  }
+
+  const start = Math.max(0, Math.min(index - Math.floor((MAX_SNIPPET_LENGTH - length) / 2), text.length - MAX_SNIPPET_LENGTH));
+  const end = start + MAX_SNIPPET_LENGTH;
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+export class TerminalSearchIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxLinesPerSession - Oldest lines of a session are dropped past this
+   * @param {number} options.maxSessions - Oldest sessions are dropped past this
+   */
+  constructor(options = {}) {
+    this.maxLinesPerSession = options.maxLinesPerSession ?? MAX_LINES_PER_SESSION;
+    this.maxSessions = options.maxSessions ?? MAX_SESSIONS;
+
+    this._sessions = new Map(); // sessionId -> { sessionId, worktree, agent, lineCount, lines: [{ text, line, timestamp, seq }] }
+    this._seq = 0; // Orders lines across sessions when timestamps tie
+  }
+
+  /**
+   * Index a completed line of a session's output
+   * @param {Object} session - PTY session ({ id, worktreeName, agent })
+   * @param {string} text - Line text
+   */
+  addLine(session, text) {
+    let entry = this._sessions.get(session.id);
+    if (!entry) {
+      entry = { sessionId: session.id, worktree: session.worktreeName, agent: session.agent, lineCount: 0, lines: [] };
+      this._sessions.set(session.id, entry);
+      this._dropOldSessions();
+    }
+
+    // Every line feed counts, so line numbers match the terminal's own line count
+    const line = entry.lineCount++;
+    if (!text.trim() || entry.lines.at(-1)?.text === text) {
+      return;
+    }
+
+    entry.lines.push({ text, line, timestamp: Date.now(), seq: this._seq++ });
+    // Trim in batches rather than shifting the array on every line
+    if (entry.lines.length > this.maxLinesPerSession * 1.1) {
+      entry.lines.splice(0, entry.lines.length - this.maxLinesPerSession);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _dropOldSessions() {
+    while (this._sessions.size > this.maxSessions) {
+      this._sessions.delete(this._sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * Find lines containing the query (case-insensitive), newest first
+   * @param {string} query - Text to find
+   * @param {Object} options
+   * @param {string|null} options.worktree - Only search this worktree
+   * @param {number} options.limit - Maximum results (default: 50)
+   * @returns {Array<{sessionId: string, worktree: string, agent: string, line: number, linesAfter: number, timestamp: string, snippet: string}>}
+   */
+  search(query, { worktree = null, limit = 50 } = {}) {
+    const needle = query.toLowerCase();
+    if (!needle) {
+      return [];
+    }
+
+    const results = [];
+    for (const entry of this._sessions.values()) {
+      if (worktree && entry.worktree !== worktree) continue;
+
+      for (const { text, line, timestamp, seq } of entry.lines) {
+        const index = text.toLowerCase().indexOf(needle);
+        if (index === -1) continue;
+
+        results.push({
+          sessionId: entry.sessionId,
+          worktree: entry.worktree,
+          agent: entry.agent,
+          line,
+          linesAfter: entry.lineCount - line - 1,
+          timestamp,
+          snippet: snippetAround(text, index, needle.length),
+          seq
+        });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.seq - a.seq)
+      .slice(0, limit)
+      .map(({ seq: _seq, ...result }) => ({ ...result, timestamp: new Date(result.timestamp).toISOString() }));
+  }
+}
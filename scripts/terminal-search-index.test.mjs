@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { TerminalSearchIndex, plainLine } from './terminal-search-index.mjs';
+
+const session = (id, worktreeName = 'feature-x', agent = 'codex') => ({ id, worktreeName, agent });
+
+describe('plainLine', () => {
+  it('should strip colors and trailing whitespace', () => {
+    expect(plainLine('\x1b[31mError:\x1b[0m something went wrong   \r')).toBe('Error: something went wrong');
+  });
+
+  it('should keep what the last carriage return drew', () => {
+    expect(plainLine('Downloading 10%\rDownloading 55%\rDownloaded\r')).toBe('Downloaded');
+    expect(plainLine('\r')).toBe('');
+  });
+});
+
+describe('TerminalSearchIndex', () => {
+  it('should find lines case-insensitively, newest first', () => {
+    const index = new TerminalSearchIndex();
+    index.addLine(session('a'), 'TypeError: x is undefined');
+    index.addLine(session('a'), '    at main (app.js:3:5)');
+    index.addLine(session('b', 'feature-y', 'claude'), 'typeerror again');
+
+    const results = index.search('typeerror');
+
+    expect(results.map(r => r.sessionId)).toEqual(['b', 'a']);
+    expect(results[1]).toMatchObject({ worktree: 'feature-x', agent: 'codex', line: 0, linesAfter: 1, snippet: 'TypeError: x is undefined' });
+    expect(results[1].timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(index.search('typeerror', { worktree: 'feature-y' })).toHaveLength(1);
+  });
+
+  it('should count blank and repeated lines without indexing them', () => {
+    const index = new TerminalSearchIndex();
+    index.addLine(session('a'), 'building');
+    index.addLine(session('a'), 'building');
+    index.addLine(session('a'), '   ');
+    index.addLine(session('a'), 'done');
+
+    expect(index.search('building')).toHaveLength(1);
+    expect(index.search('done')[0]).toMatchObject({ line: 3, linesAfter: 0 });
+  });
+
+  it('should cut long lines down to the text around the match', () => {
+    const index = new TerminalSearchIndex();
+    index.addLine(session('a'), `${'x'.repeat(500)}NEEDLE${'y'.repeat(500)}`);
+
+    const { snippet } = index.search('needle')[0];
+    expect(snippet.length).toBeLessThan(260);
+    expect(snippet).toContain('NEEDLE');
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+  });
+
+  it('should drop the oldest lines and sessions past its limits', () => {
+    const index = new TerminalSearchIndex({ maxLinesPerSession: 10, maxSessions: 2 });
+    for (let i = 0; i < 20; i++) {
+      index.addLine(session('a'), `line ${i}`);
+    }
+    index.addLine(session('b'), 'line b');
+    index.addLine(session('c'), 'line c');
+
+    expect(index.search('line 0')).toHaveLength(0);
+    expect(index.search('line b')).toHaveLength(1);
+    expect(index.search('line 19')).toHaveLength(0); // Session a was dropped
+  });
+});
@@ -0,0 +1,580 @@
+/**
+ * Vibe CLI - Worktree lifecycle commands
+ *
+ * Implements the scriptable `vibe` subcommands (worktree, services, sync,
+ * diagnostics). Commands run against a live server over HTTP when one is
+ * reachable, and fall back to an in-process WorktreeManager otherwise.
+ */
+
+import { join } from 'path';
+
+export const DEFAULT_SERVER_URL = 'http://127.0.0.1:3335';
+
+/**
+ * Subcommands handled by this module (anything else is a PM2 flag)
+ */
+export const CLI_COMMANDS = ['worktree', 'services', 'sync', 'diagnostics'];
+
+const SERVICE_ACTIONS = ['start', 'stop', 'restart'];
+const SYNC_STRATEGIES = ['merge', 'rebase'];
+
+export const CLI_USAGE = `
+Worktree commands:
+  vibe worktree list                          List worktrees
+  vibe worktree create <branch> [--from main] Create a worktree (waits for completion)
+  vibe worktree delete <name> [--delete-branch]
+                                              Delete a worktree (optionally its branch)
+  vibe services start|stop|restart <worktree> [service]
+                                              Control a worktree's services
+  vibe sync <worktree> [--strategy merge|rebase] [--force]
+                                              Sync a worktree with its base branch
+  vibe diagnostics [worktree]                 Run diagnostic checks
+
+Options for worktree commands:
+  --json               Print machine-readable JSON
+  --url <url>          Server URL (default: $VIBE_URL or ${DEFAULT_SERVER_URL})
+                       Servers started with --listen need an API token in $VIBE_TOKEN
+  --local              Skip the server and run in-process
+`;
+
+/**
+ * Error raised for invalid command lines
+ */
+export class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+/**
+ * Check if argv starts with a worktree lifecycle subcommand
+ * @param {string[]} args - Arguments after the executable
+ * @returns {boolean}
+ */
+export function isCliCommand(args) {
+  return args.length > 0 && CLI_COMMANDS.includes(args[0]);
+}
+
+/**
+ * Parse CLI arguments into a command descriptor
+ * @param {string[]} args - Arguments after the executable
+ * @returns {Object} { command, action, positional, options }
+ */
+export function parseCliArgs(args) {
+  const positional = [];
+  const options = { json: false, local: false, force: false, deleteBranch: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const takeValue = () => {
+      const value = args[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new CliUsageError(`Missing value for ${arg}`);
+      }
+      return value;
+    };
+
+    switch (arg) {
+      case '--json':
+        options.json = true;
+        break;
+      case '--local':
+        options.local = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--delete-branch':
+        options.deleteBranch = true;
+        break;
+      case '--from':
+        options.from = takeValue();
+        break;
+      case '--strategy':
+        options.strategy = takeValue();
+        break;
+      case '--url':
+        options.url = takeValue();
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new CliUsageError(`Unknown option: ${arg}`);
+        }
+        positional.push(arg);
+    }
+  }
+
+  const [command, ...rest] = positional;
+  if (!CLI_COMMANDS.includes(command)) {
+    throw new CliUsageError(`Unknown command: ${command || '(none)'}`);
+  }
+
+  if (command === 'worktree') {
+    const [action, ...params] = rest;
+    if (!['list', 'create', 'delete'].includes(action)) {
+      throw new CliUsageError('Usage: vibe worktree list|create|delete');
+    }
+    if (action !== 'list' && !params[0]) {
+      throw new CliUsageError(`Usage: vibe worktree ${action} <${action === 'create' ? 'branch' : 'name'}>`);
+    }
+    return { command, action, positional: params, options };
+  }
+
+  if (command === 'services') {
+    const [action, ...params] = rest;
+    if (!SERVICE_ACTIONS.includes(action) || !params[0]) {
+      throw new CliUsageError('Usage: vibe services start|stop|restart <worktree> [service]');
+    }
+    return { command, action, positional: params, options };
+  }
+
+  if (command === 'sync') {
+    if (!rest[0]) {
+      throw new CliUsageError('Usage: vibe sync <worktree> [--strategy merge|rebase]');
+    }
+    if (options.strategy && !SYNC_STRATEGIES.includes(options.strategy)) {
+      throw new CliUsageError(`Invalid strategy: ${options.strategy} (expected ${SYNC_STRATEGIES.join(' or ')})`);
+    }
+    return { command, action: null, positional: rest, options };
+  }
+
+  return { command, action: null, positional: rest, options };
+}
+
+/**
+ * Transport that talks to a running VibeTrees server
+ */
+export class HttpTransport {
+  /**
+   * @param {string} baseUrl - Server base URL
+   * @param {Function} fetchFn - fetch implementation (for testing)
+   * @param {string|null} token - API token for servers started with --listen (default: $VIBE_TOKEN)
+   */
+  constructor(baseUrl = DEFAULT_SERVER_URL, fetchFn = globalThis.fetch, token = process.env.VIBE_TOKEN || null) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchFn;
+    this.token = token;
+  }
+
+  /**
+   * Check whether the server answers
+   * @param {number} timeoutMs - Probe timeout
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable(timeoutMs = 1000) {
+    try {
+      const response = await this.fetch(`${this.baseUrl}/api/version`, {
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  async _request(method, path, body) {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401) {
+      return { success: false, error: 'Authentication required: set $VIBE_TOKEN to an API token from the Users panel' };
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch {
+      data = {};
+    }
+
+    if (!response.ok && data.success === undefined) {
+      return { success: false, error: data.error || `HTTP ${response.status}`, ...data };
+    }
+    return data;
+  }
+
+  listWorktrees() {
+    return this._request('GET', '/api/worktrees');
+  }
+
+  createWorktree(branchName, fromBranch) {
+    return this._request('POST', '/api/worktrees?wait=true', { branchName, fromBranch });
+  }
+
+  deleteWorktree(name, { deleteBranch = false } = {}) {
+    return this._request('DELETE', `/api/worktrees/${encodeURIComponent(name)}`, { deleteBranch });
+  }
+
+  serviceAction(action, worktreeName, service = null) {
+    const base = `/api/worktrees/${encodeURIComponent(worktreeName)}/services`;
+    const path = service ? `${base}/${encodeURIComponent(service)}/${action}` : `${base}/${action}`;
+    return this._request('POST', path);
+  }
+
+  syncWorktree(worktreeName, { strategy = 'merge', force = false } = {}) {
+    return this._request('POST', `/api/worktrees/${encodeURIComponent(worktreeName)}/sync`, { strategy, force });
+  }
+
+  runDiagnostics(worktreeName = null) {
+    const path = worktreeName ? `/api/diagnostics/${encodeURIComponent(worktreeName)}` : '/api/diagnostics';
+    return this._request('GET', path);
+  }
+}
+
+/**
+ * Transport that drives a WorktreeManager in this process
+ */
+export class InProcessTransport {
+  /**
+   * @param {Object} manager - WorktreeManager instance
+   */
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Build a WorktreeManager wired the same way server.mjs does
+   * @param {string} rootDir - Project root directory
+   * @returns {Promise<InProcessTransport>}
+   */
+  static async create(rootDir = process.cwd()) {
+    const [
+      { WorktreeManager },
+      { ConfigManager },
+      { ContainerRuntime },
+      { NullRuntime },
+      { McpManager },
+      { PortRegistry },
+      { PTYSessionManager },
+      { Profiler },
+      { PerformanceOptimizer },
+      { CacheManager },
+      { WorktreeImporter },
+      { DiagnosticRunner },
+      { InitializationManager },
+      { ComposeInspector },
+      { ServiceConfig },
+      { GitSyncManager },
+      { SmartReloadManager },
+      { AIConflictResolver },
+      { ServiceSelectionStore }
+    ] = await Promise.all([
+      import('./worktree-web/worktree-manager.mjs'),
+      import('./config-manager.mjs'),
+      import('./container-runtime.mjs'),
+      import('./null-runtime.mjs'),
+      import('./mcp-manager.mjs'),
+      import('./port-registry.mjs'),
+      import('./pty-session-manager.mjs'),
+      import('./profiler.mjs'),
+      import('./performance-optimizer.mjs'),
+      import('./cache-manager.mjs'),
+      import('./worktree-importer.mjs'),
+      import('./diagnostic-runner.mjs'),
+      import('./initialization-manager.mjs'),
+      import('./compose-inspector.mjs'),
+      import('./service-config.mjs'),
+      import('./git-sync-manager.mjs'),
+      import('./smart-reload-manager.mjs'),
+      import('./ai-conflict-resolver.mjs'),
+      import('./service-selection.mjs')
+    ]);
+
+    let runtime;
+    try {
+      runtime = new ContainerRuntime();
+    } catch {
+      runtime = new NullRuntime();
+    }
+
+    const config = new ConfigManager(rootDir);
+    config.load();
+
+    const manager = new WorktreeManager({
+      rootDir,
+      config,
+      runtime,
+      mcpManager: new McpManager(rootDir, runtime),
+      worktreeBase: join(rootDir, '.worktrees'),
+      modules: {
+        PortRegistry,
+        PTYSessionManager,
+        Profiler,
+        PerformanceOptimizer,
+        CacheManager,
+        WorktreeImporter,
+        DiagnosticRunner,
+        InitializationManager,
+        ComposeInspector,
+        ServiceConfig,
+        GitSyncManager,
+        SmartReloadManager,
+        AIConflictResolver
+      }
+    });
+    // Same selections as the web server, so starts from the CLI run the chosen services
+    manager.serviceSelection = new ServiceSelectionStore({
+      stateFile: join(manager.portRegistry.registryDir, 'service-selection.json')
+    });
+
+    return new InProcessTransport(manager);
+  }
+
+  _findWorktree(name) {
+    return this.manager.listWorktrees().find(w => w.name === name) || null;
+  }
+
+  async listWorktrees() {
+    return this.manager.listWorktrees();
+  }
+
+  async createWorktree(branchName, fromBranch = 'main') {
+    return this.manager.createWorktree(branchName, fromBranch);
+  }
+
+  async deleteWorktree(name, { deleteBranch = false } = {}) {
+    const worktree = this._findWorktree(name);
+    if (!worktree) {
+      return { success: false, error: 'Worktree not found' };
+    }
+
+    const result = await this.manager.deleteWorktree(name);
+
+    let branchDeletion = null;
+    if (result.success && deleteBranch && worktree.branch) {
+      const { BranchCleanupManager } = await import('./branch-cleanup-manager.mjs');
+      const branchManager = new BranchCleanupManager(this.manager.getProjectRoot());
+      branchDeletion = await branchManager.deleteBranch(worktree.branch, {
+        deleteLocal: true,
+        deleteRemote: true
+      });
+    }
+
+    return { ...result, branchDeletion };
+  }
+
+  async serviceAction(action, worktreeName, service = null) {
+    if (service) {
+      const method = `${action}Service`;
+      return this.manager[method](worktreeName, service);
+    }
+
+    if (action === 'restart') {
+      const stopResult = await this.manager.stopServices(worktreeName);
+      if (!stopResult.success) return stopResult;
+      return this.manager.startServices(worktreeName);
+    }
+
+    return action === 'start'
+      ? this.manager.startServices(worktreeName)
+      : this.manager.stopServices(worktreeName);
+  }
+
+  async syncWorktree(worktreeName, { strategy = 'merge', force = false } = {}) {
+    const worktree = this._findWorktree(worktreeName);
+    if (!worktree) {
+      return { success: false, error: 'Worktree not found' };
+    }
+    return this.manager.syncWorktree(worktreeName, worktree.path, { strategy, force });
+  }
+
+  async runDiagnostics(worktreeName = null) {
+    return this.manager.runDiagnostics(worktreeName);
+  }
+
+  /**
+   * Stop background timers so the process can exit
+   */
+  close() {
+    this.manager.ptyManager?.destroy();
+  }
+}
+
+/**
+ * Pick a transport: the server when it answers, otherwise in-process
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} deps - Injected factories (for testing)
+ * @returns {Promise<Object>} Transport instance
+ */
+export async function resolveTransport(options, deps = {}) {
+  const createHttp = deps.createHttp || (url => new HttpTransport(url));
+  const createLocal = deps.createLocal || (() => InProcessTransport.create(deps.rootDir));
+
+  if (!options.local) {
+    const http = createHttp(options.url || process.env.VIBE_URL || DEFAULT_SERVER_URL);
+    if (await http.isAvailable()) {
+      return http;
+    }
+    if (options.url) {
+      throw new Error(`VibeTrees server not reachable at ${options.url}`);
+    }
+  }
+
+  return createLocal();
+}
+
+/**
+ * Execute a parsed command against a transport
+ * @param {Object} parsed - Result of parseCliArgs
+ * @param {Object} transport - HttpTransport or InProcessTransport
+ * @returns {Promise<Object>} Command result
+ */
+export async function executeCommand(parsed, transport) {
+  const { command, action, positional, options } = parsed;
+
+  switch (command) {
+    case 'worktree':
+      if (action === 'list') {
+        return transport.listWorktrees();
+      }
+      if (action === 'create') {
+        return transport.createWorktree(positional[0], options.from || 'main');
+      }
+      return transport.deleteWorktree(positional[0], { deleteBranch: options.deleteBranch });
+
+    case 'services':
+      return transport.serviceAction(action, positional[0], positional[1] || null);
+
+    case 'sync':
+      return transport.syncWorktree(positional[0], {
+        strategy: options.strategy || 'merge',
+        force: options.force
+      });
+
+    case 'diagnostics':
+      return transport.runDiagnostics(positional[0] || null);
+
+    default:
+      throw new CliUsageError(`Unknown command: ${command}`);
+  }
+}
+
+/**
+ * Determine whether a command result represents failure
+ * @param {any} result - Command result
+ * @returns {boolean}
+ */
+export function isFailure(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return false;
+  }
+  if (result.success === false) {
+    return true;
+  }
+  return result.summary?.errors > 0;
+}
+
+/**
+ * Render a command result for humans
+ * @param {Object} parsed - Result of parseCliArgs
+ * @param {any} result - Command result
+ * @returns {string} Text output
+ */
+export function formatResult(parsed, result) {
+  const { command, action, positional } = parsed;
+
+  if (isFailure(result)) {
+    return `❌ ${result.error || result.message || 'Command failed'}`;
+  }
+
+  if (command === 'worktree' && action === 'list') {
+    if (!result.length) return 'No worktrees found';
+    return result.map(wt => {
+      const running = (wt.dockerStatus || []).filter(s => s.state === 'running').length;
+      const total = (wt.dockerStatus || []).length;
+      return `${wt.name.padEnd(30)} ${(wt.branch || '-').padEnd(30)} ${wt.gitStatus || 'unknown'}  services ${running}/${total}`;
+    }).join('\n');
+  }
+
+  if (command === 'worktree' && action === 'create') {
+    const worktree = result.worktree || result;
+    return result.existed
+      ? `✓ Worktree already exists: ${worktree.name || result.name} (${worktree.path || result.path})`
+      : `✓ Worktree created: ${worktree.name} (${worktree.path})`;
+  }
+
+  if (command === 'worktree' && action === 'delete') {
+    return `✓ Worktree deleted: ${positional[0]}`;
+  }
+
+  if (command === 'services') {
+    const target = positional[1] ? `${positional[1]} in ${positional[0]}` : positional[0];
+    const verb = { start: 'started', stop: 'stopped', restart: 'restarted' }[action];
+    return `✓ Services ${verb}: ${target}`;
+  }
+
+  if (command === 'sync') {
+    return `✓ ${result.message || `Synced ${positional[0]}`}`;
+  }
+
+  if (command === 'diagnostics') {
+    const icons = { ok: '✓', warning: '⚠', error: '✗' };
+    const lines = [];
+    for (const check of result.checks || []) {
+      lines.push(`${icons[check.status] || '?'} ${check.description || check.name}`);
+      for (const issue of check.issues || []) {
+        lines.push(`    - ${issue}`);
+      }
+    }
+    if (result.summary) {
+      const { passed, warnings, errors, health } = result.summary;
+      lines.push('', `${passed} passed, ${warnings} warnings, ${errors} errors (health: ${health})`);
+    }
+    return lines.join('\n');
+  }
+
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Run a CLI invocation end to end
+ * @param {string[]} args - Arguments after the executable
+ * @param {Object} deps - Injected dependencies (for testing)
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCli(args, deps = {}) {
+  const stdout = deps.stdout || (text => process.stdout.write(`${text}\n`));
+  const stderr = deps.stderr || (text => console.error(text));
+
+  let parsed;
+  try {
+    parsed = parseCliArgs(args);
+  } catch (error) {
+    stderr(`❌ ${error.message}`);
+    stderr(CLI_USAGE);
+    return 2;
+  }
+
+  // Keep stdout parseable: manager progress logging goes to stderr in JSON mode
+  const originalLog = console.log;
+  if (parsed.options.json) {
+    console.log = console.error;
+  }
+
+  let transport;
+  try {
+    transport = await resolveTransport(parsed.options, deps);
+    const result = await executeCommand(parsed, transport);
+
+    stdout(parsed.options.json ? JSON.stringify(result, null, 2) : formatResult(parsed, result));
+    return isFailure(result) ? 1 : 0;
+  } catch (error) {
+    if (parsed.options.json) {
+      stdout(JSON.stringify({ success: false, error: error.message }, null, 2));
+    } else {
+      stderr(`❌ ${error.message}`);
+    }
+    return 1;
+  } finally {
+    console.log = originalLog;
+    transport?.close?.();
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Tests for the vibe CLI worktree lifecycle commands
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  isCliCommand,
+  parseCliArgs,
+  CliUsageError,
+  HttpTransport,
+  InProcessTransport,
+  resolveTransport,
+  executeCommand,
+  isFailure,
+  formatResult,
+  runCli
+} from './vibe-cli.mjs';
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  };
+}
+
+describe('vibe CLI', () => {
+  describe('isCliCommand', () => {
+    it('should recognize lifecycle subcommands', () => {
+      expect(isCliCommand(['worktree', 'list'])).toBe(true);
+      expect(isCliCommand(['services', 'start', 'feature'])).toBe(true);
+      expect(isCliCommand(['sync', 'feature'])).toBe(true);
+      expect(isCliCommand(['diagnostics'])).toBe(true);
+    });
+
+    it('should leave PM2 flags alone', () => {
+      expect(isCliCommand([])).toBe(false);
+      expect(isCliCommand(['--stop'])).toBe(false);
+      expect(isCliCommand(['--port', '8080'])).toBe(false);
+    });
+  });
+
+  describe('parseCliArgs', () => {
+    it('should parse worktree create with --from', () => {
+      const parsed = parseCliArgs(['worktree', 'create', 'feature/login', '--from', 'develop', '--json']);
+
+      expect(parsed.command).toBe('worktree');
+      expect(parsed.action).toBe('create');
+      expect(parsed.positional).toEqual(['feature/login']);
+      expect(parsed.options.from).toBe('develop');
+      expect(parsed.options.json).toBe(true);
+    });
+
+    it('should parse services with optional service name', () => {
+      const parsed = parseCliArgs(['services', 'restart', 'feature-login', 'postgres']);
+
+      expect(parsed.action).toBe('restart');
+      expect(parsed.positional).toEqual(['feature-login', 'postgres']);
+    });
+
+    it('should parse sync strategy', () => {
+      const parsed = parseCliArgs(['sync', 'feature-login', '--strategy', 'rebase', '--force']);
+
+      expect(parsed.positional).toEqual(['feature-login']);
+      expect(parsed.options.strategy).toBe('rebase');
+      expect(parsed.options.force).toBe(true);
+    });
+
+    it('should reject invalid sync strategy', () => {
+      expect(() => parseCliArgs(['sync', 'feature', '--strategy', 'squash'])).toThrow(CliUsageError);
+    });
+
+    it('should reject missing worktree argument', () => {
+      expect(() => parseCliArgs(['worktree', 'delete'])).toThrow(/Usage/);
+      expect(() => parseCliArgs(['services', 'start'])).toThrow(/Usage/);
+    });
+
+    it('should reject unknown options and missing option values', () => {
+      expect(() => parseCliArgs(['worktree', 'list', '--bogus'])).toThrow(/Unknown option/);
+      expect(() => parseCliArgs(['worktree', 'create', 'x', '--from'])).toThrow(/Missing value/);
+    });
+  });
+
+  describe('HttpTransport', () => {
+    let fetchFn;
+    let transport;
+
+    beforeEach(() => {
+      fetchFn = vi.fn();
+      transport = new HttpTransport('http://localhost:3335/', fetchFn);
+    });
+
+    it('should report availability from /api/version', async () => {
+      fetchFn.mockResolvedValue(jsonResponse({ version: '1.0.0' }));
+      expect(await transport.isAvailable()).toBe(true);
+      expect(fetchFn.mock.calls[0][0]).toBe('http://localhost:3335/api/version');
+
+      fetchFn.mockRejectedValue(new Error('ECONNREFUSED'));
+      expect(await transport.isAvailable()).toBe(false);
+    });
+
+    it('should create worktrees synchronously with wait=true', async () => {
+      fetchFn.mockResolvedValue(jsonResponse({ success: true, worktree: { name: 'feature' } }, 201));
+
+      const result = await transport.createWorktree('feature', 'main');
+
+      expect(result.success).toBe(true);
+      const [url, init] = fetchFn.mock.calls[0];
+      expect(url).toBe('http://localhost:3335/api/worktrees?wait=true');
+      expect(init.method).toBe('POST');
+      expect(JSON.parse(init.body)).toEqual({ branchName: 'feature', fromBranch: 'main' });
+    });
+
+    it('should route single-service actions to the service endpoint', async () => {
+      fetchFn.mockResolvedValue(jsonResponse({ success: true }));
+
+      await transport.serviceAction('stop', 'feature', 'postgres');
+      await transport.serviceAction('start', 'feature');
+
+      expect(fetchFn.mock.calls[0][0]).toBe('http://localhost:3335/api/worktrees/feature/services/postgres/stop');
+      expect(fetchFn.mock.calls[1][0]).toBe('http://localhost:3335/api/worktrees/feature/services/start');
+    });
+
+    it('should turn HTTP errors into failed results', async () => {
+      fetchFn.mockResolvedValue(jsonResponse({ error: 'Worktree not found' }, 404));
+
+      const result = await transport.deleteWorktree('missing');
+
+      expect(result).toEqual({ success: false, error: 'Worktree not found' });
+    });
+
+    it('should send the API token as a bearer header', async () => {
+      fetchFn.mockResolvedValue(jsonResponse({ success: true }));
+      transport = new HttpTransport('http://localhost:3335', fetchFn, 'vt_abc');
+
+      await transport.serviceAction('start', 'feature');
+
+      expect(fetchFn.mock.calls[0][1].headers.Authorization).toBe('Bearer vt_abc');
+    });
+
+    it('should explain how to authenticate on 401', async () => {
+      fetchFn.mockResolvedValue(jsonResponse({ error: 'Authentication required' }, 401));
+
+      const result = await transport.deleteWorktree('feature');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/VIBE_TOKEN/);
+    });
+  });
+
+  describe('InProcessTransport', () => {
+    let manager;
+    let transport;
+
+    beforeEach(() => {
+      manager = {
+        listWorktrees: vi.fn().mockReturnValue([{ name: 'feature', path: '/repo/.worktrees/feature', branch: 'feature' }]),
+        startServices: vi.fn().mockResolvedValue({ success: true }),
+        stopServices: vi.fn().mockResolvedValue({ success: true }),
+        restartService: vi.fn().mockResolvedValue({ success: true, service: 'api' }),
+        syncWorktree: vi.fn().mockResolvedValue({ success: true }),
+        deleteWorktree: vi.fn().mockResolvedValue({ success: true }),
+        ptyManager: { destroy: vi.fn() }
+      };
+      transport = new InProcessTransport(manager);
+    });
+
+    it('should restart all services as stop then start', async () => {
+      const result = await transport.serviceAction('restart', 'feature');
+
+      expect(result.success).toBe(true);
+      expect(manager.stopServices).toHaveBeenCalledWith('feature');
+      expect(manager.startServices).toHaveBeenCalledWith('feature');
+    });
+
+    it('should delegate single-service actions', async () => {
+      await transport.serviceAction('restart', 'feature', 'api');
+
+      expect(manager.restartService).toHaveBeenCalledWith('feature', 'api');
+    });
+
+    it('should resolve the worktree path for sync', async () => {
+      await transport.syncWorktree('feature', { strategy: 'rebase' });
+
+      expect(manager.syncWorktree).toHaveBeenCalledWith('feature', '/repo/.worktrees/feature', { strategy: 'rebase', force: false });
+    });
+
+    it('should fail sync for unknown worktrees', async () => {
+      const result = await transport.syncWorktree('nope');
+
+      expect(result.success).toBe(false);
+      expect(manager.syncWorktree).not.toHaveBeenCalled();
+    });
+
+    it('should stop PTY timers on close', () => {
+      transport.close();
+      expect(manager.ptyManager.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveTransport', () => {
+    it('should prefer a reachable server', async () => {
+      const http = { isAvailable: vi.fn().mockResolvedValue(true) };
+      const createLocal = vi.fn();
+
+      const transport = await resolveTransport({}, { createHttp: () => http, createLocal });
+
+      expect(transport).toBe(http);
+      expect(createLocal).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to in-process when the server is down', async () => {
+      const local = { name: 'local' };
+      const transport = await resolveTransport({}, {
+        createHttp: () => ({ isAvailable: vi.fn().mockResolvedValue(false) }),
+        createLocal: () => local
+      });
+
+      expect(transport).toBe(local);
+    });
+
+    it('should not fall back when an explicit --url is unreachable', async () => {
+      await expect(resolveTransport({ url: 'http://remote:3335' }, {
+        createHttp: () => ({ isAvailable: vi.fn().mockResolvedValue(false) }),
+        createLocal: vi.fn()
+      })).rejects.toThrow(/not reachable/);
+    });
+
+    it('should skip the server with --local', async () => {
+      const createHttp = vi.fn();
+      const local = {};
+
+      const transport = await resolveTransport({ local: true }, { createHttp, createLocal: () => local });
+
+      expect(transport).toBe(local);
+      expect(createHttp).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('executeCommand', () => {
+    it('should map each command to a transport call', async () => {
+      const transport = {
+        listWorktrees: vi.fn().mockResolvedValue([]),
+        createWorktree: vi.fn().mockResolvedValue({ success: true }),
+        deleteWorktree: vi.fn().mockResolvedValue({ success: true }),
+        serviceAction: vi.fn().mockResolvedValue({ success: true }),
+        syncWorktree: vi.fn().mockResolvedValue({ success: true }),
+        runDiagnostics: vi.fn().mockResolvedValue({ checks: [] })
+      };
+
+      await executeCommand(parseCliArgs(['worktree', 'list']), transport);
+      await executeCommand(parseCliArgs(['worktree', 'create', 'feat']), transport);
+      await executeCommand(parseCliArgs(['worktree', 'delete', 'feat', '--delete-branch']), transport);
+      await executeCommand(parseCliArgs(['services', 'stop', 'feat', 'api']), transport);
+      await executeCommand(parseCliArgs(['sync', 'feat']), transport);
+      await executeCommand(parseCliArgs(['diagnostics', 'feat']), transport);
+
+      expect(transport.listWorktrees).toHaveBeenCalled();
+      expect(transport.createWorktree).toHaveBeenCalledWith('feat', 'main');
+      expect(transport.deleteWorktree).toHaveBeenCalledWith('feat', { deleteBranch: true });
+      expect(transport.serviceAction).toHaveBeenCalledWith('stop', 'feat', 'api');
+      expect(transport.syncWorktree).toHaveBeenCalledWith('feat', { strategy: 'merge', force: false });
+      expect(transport.runDiagnostics).toHaveBeenCalledWith('feat');
+    });
+  });
+
+  describe('isFailure / formatResult', () => {
+    it('should treat success:false and diagnostic errors as failures', () => {
+      expect(isFailure({ success: false })).toBe(true);
+      expect(isFailure({ summary: { errors: 2 } })).toBe(true);
+      expect(isFailure({ success: true })).toBe(false);
+      expect(isFailure([])).toBe(false);
+    });
+
+    it('should format worktree list as a table', () => {
+      const output = formatResult(parseCliArgs(['worktree', 'list']), [
+        { name: 'main', branch: 'main', gitStatus: 'clean', dockerStatus: [{ state: 'running' }, { state: 'exited' }] }
+      ]);
+
+      expect(output).toContain('main');
+      expect(output).toContain('services 1/2');
+    });
+
+    it('should format failures with the error message', () => {
+      const output = formatResult(parseCliArgs(['sync', 'feat']), { success: false, error: 'CONFLICT' });
+      expect(output).toBe('❌ CONFLICT');
+    });
+  });
+
+  describe('runCli', () => {
+    it('should print JSON and return exit code 0 on success', async () => {
+      const stdout = vi.fn();
+      const transport = { listWorktrees: vi.fn().mockResolvedValue([{ name: 'main' }]) };
+
+      const code = await runCli(['worktree', 'list', '--json', '--local'], {
+        stdout,
+        createLocal: () => transport
+      });
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout.mock.calls[0][0])).toEqual([{ name: 'main' }]);
+    });
+
+    it('should return exit code 1 when the command fails', async () => {
+      const stdout = vi.fn();
+      const transport = {
+        syncWorktree: vi.fn().mockResolvedValue({ success: false, error: 'Worktree not found' }),
+        close: vi.fn()
+      };
+
+      const code = await runCli(['sync', 'missing', '--local'], { stdout, createLocal: () => transport });
+
+      expect(code).toBe(1);
+      expect(stdout).toHaveBeenCalledWith('❌ Worktree not found');
+      expect(transport.close).toHaveBeenCalled();
+    });
+
+    it('should return exit code 2 on usage errors', async () => {
+      const stderr = vi.fn();
+
+      const code = await runCli(['worktree', 'rename'], { stderr });
+
+      expect(code).toBe(2);
+      expect(stderr.mock.calls[0][0]).toContain('Usage');
+    });
+
+    it('should report thrown errors as JSON in --json mode', async () => {
+      const stdout = vi.fn();
+
+      const code = await runCli(['diagnostics', '--json', '--local'], {
+        stdout,
+        createLocal: () => ({ runDiagnostics: vi.fn().mockRejectedValue(new Error('boom')) })
+      });
+
+      expect(code).toBe(1);
+      expect(JSON.parse(stdout.mock.calls[0][0])).toEqual({ success: false, error: 'boom' });
+    });
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * WebhookDispatcher
+ *
+ * Delivers EventBus events to the webhook subscribers configured in
+ * `webhooks` ({ url, secret, events }). Each event is POSTed as JSON with
+ * these headers:
+ *
+ *   X-Vibe-Event      event type, e.g. 'sync.conflicted'
+ *   X-Vibe-Delivery   delivery id
+ *   X-Vibe-Signature  'sha256=' + hex HMAC-SHA256 of the body keyed with the
+ *                     subscriber's secret (only when a secret is set)
+ *
+ * Failed deliveries (network error, timeout or non-2xx response) are retried
+ * with backoff. Every delivery is kept in a bounded log, persisted so that
+ * deliveries still pending when the server stops are retried after a restart.
+ */
+
+import { createHmac, randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { EVENT_TYPES, matchesEventType } from './event-bus.mjs';
+
+const RETRY_DELAYS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+const DELIVERY_TIMEOUT = 10000;
+const MAX_DELIVERIES = 500;
+const MAX_RESPONSE_LENGTH = 1000;
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Subscriber secret
+ * @param {string} body - Raw request body
+ * @returns {string} 'sha256=<hex digest>'
+ */
+export function signPayload(secret, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Validate the `webhooks` config section
+ * @param {Array} webhooks - Subscribers: { url, secret, events }
+ * @returns {string[]} Validation errors
+ */
+export function validateWebhooks(webhooks) {
+  if (!Array.isArray(webhooks)) {
+    return ['webhooks must be an array'];
+  }
+
+  const errors = [];
+
+  webhooks.forEach((webhook, index) => {
+    const path = `webhooks[${index}]`;
+
+    if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url)) {
+      errors.push(`${path}.url must be an http(s) URL`);
+    }
+    if (webhook.secret !== undefined && (typeof webhook.secret !== 'string' || !webhook.secret)) {
+      errors.push(`${path}.secret must be a non-empty string`);
+    }
+    if (webhook.events !== undefined) {
+      if (!Array.isArray(webhook.events)) {
+        errors.push(`${path}.events must be an array`);
+        return;
+      }
+      for (const pattern of webhook.events) {
+        const known = typeof pattern === 'string' &&
+          EVENT_TYPES.some(type => matchesEventType(pattern, type));
+        if (!known) {
+          errors.push(`${path}.events: "${pattern}" matches no event type`);
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+export class WebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {EventBus} options.bus - Bus to subscribe to
+   * @param {Array<{url: string, secret?: string, events?: string[]}>} options.subscribers
+   * @param {string|null} options.logFile - JSON file persisting the delivery log
+   * @param {number[]} options.retryDelays - Wait before each retry in ms (its length is the retry count)
+   * @param {number} options.timeout - Per-attempt timeout in ms
+   * @param {number} options.maxDeliveries - Deliveries kept in the log
+   * @param {Function} options.fetch - fetch implementation (for tests)
+   */
+  constructor(options = {}) {
+    this.subscribers = options.subscribers || [];
+    this.logFile = options.logFile ?? null;
+    this.retryDelays = options.retryDelays ?? RETRY_DELAYS;
+    this.timeout = options.timeout ?? DELIVERY_TIMEOUT;
+    this.maxDeliveries = options.maxDeliveries ?? MAX_DELIVERIES;
+    this._fetch = options.fetch || globalThis.fetch;
+
+    this._deliveries = []; // Oldest first
+    this._timers = new Map(); // deliveryId -> retry timeout
+    this._inFlight = new Map(); // deliveryId -> Promise of the current attempt
+    this._onEvent = (event) => this.dispatch(event);
+
+    this._load();
+    if (options.bus) {
+      this.attach(options.bus);
+    }
+  }
+
+  /**
+   * Start delivering events published on a bus
+   * @param {EventBus} bus
+   */
+  attach(bus) {
+    this.bus = bus;
+    bus.on('event', this._onEvent);
+  }
+
+  /**
+   * Subscribers interested in an event type. Pings go to everyone.
+   * @param {string} type
+   * @returns {Object[]}
+   */
+  subscribersFor(type) {
+    return this.subscribers.filter(subscriber =>
+      type === 'ping' || (subscriber.events || ['*']).some(pattern => matchesEventType(pattern, type))
+    );
+  }
+
+  /**
+   * Queue an event for every interested subscriber and make the first attempt
+   * @param {Object} event - EventBus event
+   * @returns {Object[]} The new deliveries
+   */
+  dispatch(event) {
+    const deliveries = this.subscribersFor(event.type).map(subscriber => ({
+      id: randomUUID(),
+      eventId: event.id,
+      type: event.type,
+      url: subscriber.url,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      deliveredAt: null,
+      payload: JSON.stringify(event)
+    }));
+
+    if (deliveries.length === 0) {
+      return [];
+    }
+
+    this._deliveries.push(...deliveries);
+    this._prune();
+    this._save();
+
+    for (const delivery of deliveries) {
+      this._attempt(delivery);
+    }
+    return deliveries;
+  }
+
+  /**
+   * Resume deliveries left pending by a previous run
+   */
+  resume() {
+    for (const delivery of this._deliveries) {
+      if (delivery.status !== 'pending' || this._timers.has(delivery.id) || this._inFlight.has(delivery.id)) {
+        continue;
+      }
+      if (!this.subscribers.some(s => s.url === delivery.url)) {
+        this._giveUp(delivery, 'Subscriber removed');
+        continue;
+      }
+      const wait = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() - Date.now() : 0;
+      this._schedule(delivery, Math.max(0, wait));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _schedule(delivery, delay) {
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => {
+      this._timers.delete(delivery.id);
+      this._attempt(delivery);
+    }, delay);
+    timer.unref?.();
+    this._timers.set(delivery.id, timer);
+  }
+
+  /**
+   * @private
+   */
+  _attempt(delivery) {
+    const attempt = this._send(delivery).finally(() => this._inFlight.delete(delivery.id));
+    this._inFlight.set(delivery.id, attempt);
+    return attempt;
+  }
+
+  /**
+   * @private
+   */
+  async _send(delivery) {
+    // Without its subscriber there is no secret to sign with, and nobody asked for it any more
+    const subscriber = this.subscribers.find(s => s.url === delivery.url);
+    if (!subscriber) {
+      this._giveUp(delivery, 'Subscriber removed');
+      return delivery;
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'VibeTrees-Webhook',
+      'X-Vibe-Event': delivery.type,
+      'X-Vibe-Delivery': delivery.id
+    };
+    if (subscriber.secret) {
+      headers['X-Vibe-Signature'] = signPayload(subscriber.secret, delivery.payload);
+    }
+
+    delivery.attempts++;
+    try {
+      const response = await this._fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body: delivery.payload,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      delivery.responseStatus = response.status;
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, MAX_RESPONSE_LENGTH)}` : ''}`);
+      }
+
+      delivery.status = 'delivered';
+      delivery.error = null;
+      delivery.nextAttemptAt = null;
+      delivery.deliveredAt = new Date().toISOString();
+    } catch (error) {
+      delivery.error = error.message;
+      const retry = delivery.attempts - 1;
+      if (retry < this.retryDelays.length) {
+        this._schedule(delivery, this.retryDelays[retry]);
+      } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        console.error(`[WEBHOOK] Giving up on ${delivery.type} to ${delivery.url} after ${delivery.attempts} attempts: ${error.message}`);
+      }
+    }
+
+    this._save();
+    return delivery;
+  }
+
+  /**
+   * Mark a delivery failed without another attempt
+   * @private
+   */
+  _giveUp(delivery, error) {
+    delivery.status = 'failed';
+    delivery.error = error;
+    delivery.nextAttemptAt = null;
+    this._save();
+    console.warn(`[WEBHOOK] Dropped ${delivery.type} to ${delivery.url}: ${error}`);
+  }
+
+  /**
+   * Wait for attempts currently in progress (for tests and shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this._inFlight.values()]);
+  }
+
+  /**
+   * Recent deliveries, newest first, without their payloads
+   * @param {Object} filters
+   * @param {string} filters.status - 'pending', 'delivered' or 'failed'
+   * @param {string} filters.eventId - Deliveries of one event
+   * @param {number} filters.limit - Maximum deliveries returned (default: 100)
+   * @returns {Object[]}
+   */
+  listDeliveries({ status, eventId, limit = 100 } = {}) {
+    return this._deliveries
+      .filter(d => (!status || d.status === status) && (!eventId || d.eventId === eventId))
+      .slice(-limit)
+      .reverse()
+      .map(({ payload: _payload, ...delivery }) => delivery);
+  }
+
+  /**
+   * Cancel scheduled retries (they resume on the next start)
+   */
+  stop() {
+    for (const timer of this._timers.values()) {
+      clearTimeout(timer);
+    }
+    this._timers.clear();
+    this.bus?.off('event', this._onEvent);
+  }
+
+  /**
+   * Drop the oldest finished deliveries past the limit
+   * @private
+   */
+  _prune() {
+    let excess = this._deliveries.length - this.maxDeliveries;
+    if (excess <= 0) {
+      return;
+    }
+    this._deliveries = this._deliveries.filter(d => {
+      if (excess > 0 && d.status !== 'pending') {
+        excess--;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    if (!this.logFile || !existsSync(this.logFile)) {
+      return;
+    }
+    try {
+      const deliveries = JSON.parse(readFileSync(this.logFile, 'utf-8'));
+      this._deliveries = Array.isArray(deliveries) ? deliveries : [];
+    } catch (error) {
+      console.error('[WEBHOOK] Failed to load delivery log:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    if (!this.logFile) {
+      return;
+    }
+    try {
+      mkdirSync(dirname(this.logFile), { recursive: true });
+      writeFileSync(this.logFile, JSON.stringify(this._deliveries));
+    } catch (error) {
+      console.error('[WEBHOOK] Failed to save delivery log:', error.message);
+    }
+  }
+}
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { EventBus } from './event-bus.mjs';
+import { WebhookDispatcher, signPayload } from './webhook-dispatcher.mjs';
+
+/**
+ * Local HTTP receiver that answers with the given status codes in turn
+ * (the last one repeats) and records every request
+ */
+async function startReceiver(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end(res.statusCode < 300 ? 'ok' : 'nope');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('WebhookDispatcher', () => {
+  let receiver;
+  let dispatcher;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+  });
+
+  afterEach(async () => {
+    dispatcher?.stop();
+    dispatcher = null;
+    await receiver?.close();
+    receiver = null;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should POST signed events to a local receiver', async () => {
+    receiver = await startReceiver();
+    const bus = new EventBus();
+    dispatcher = new WebhookDispatcher({ bus, subscribers: [{ url: receiver.url, secret: 's3cret' }] });
+
+    const event = bus.publish('worktree.created', { name: 'feature-x' });
+    await dispatcher.flush();
+
+    expect(receiver.requests).toHaveLength(1);
+    const { headers, body } = receiver.requests[0];
+    expect(JSON.parse(body)).toEqual(event);
+    expect(headers['content-type']).toBe('application/json');
+    expect(headers['x-vibe-event']).toBe('worktree.created');
+    expect(headers['x-vibe-signature']).toBe(signPayload('s3cret', body));
+
+    const [delivery] = dispatcher.listDeliveries();
+    expect(delivery).toMatchObject({ eventId: event.id, status: 'delivered', attempts: 1, responseStatus: 200 });
+    expect(headers['x-vibe-delivery']).toBe(delivery.id);
+    expect(delivery.payload).toBeUndefined();
+  });
+
+  it('should leave the signature out when no secret is set', async () => {
+    receiver = await startReceiver();
+    const bus = new EventBus();
+    dispatcher = new WebhookDispatcher({ bus, subscribers: [{ url: receiver.url }] });
+
+    bus.publish('services.started', { worktree: 'a' });
+    await dispatcher.flush();
+
+    expect(receiver.requests[0].headers['x-vibe-signature']).toBeUndefined();
+  });
+
+  it('should only deliver the event types a subscriber asked for', async () => {
+    receiver = await startReceiver();
+    const bus = new EventBus();
+    dispatcher = new WebhookDispatcher({ bus, subscribers: [{ url: receiver.url, events: ['sync.*'] }] });
+
+    bus.publish('worktree.created', { name: 'a' });
+    bus.publish('sync.conflicted', { worktree: 'a' });
+    bus.publish('ping', {});
+    await dispatcher.flush();
+
+    expect(receiver.requests.map(r => r.headers['x-vibe-event'])).toEqual(['sync.conflicted', 'ping']);
+  });
+
+  it('should retry failed deliveries with backoff until they succeed', async () => {
+    receiver = await startReceiver([500, 503, 200]);
+    const bus = new EventBus();
+    dispatcher = new WebhookDispatcher({ bus, subscribers: [{ url: receiver.url }], retryDelays: [20, 40, 80] });
+
+    bus.publish('services.failed', { worktree: 'a', error: 'port in use' });
+    await waitFor(() => dispatcher.listDeliveries()[0].status === 'delivered');
+
+    expect(receiver.requests).toHaveLength(3);
+    expect(new Set(receiver.requests.map(r => r.headers['x-vibe-delivery'])).size).toBe(1);
+    expect(dispatcher.listDeliveries()[0]).toMatchObject({ attempts: 3, error: null, responseStatus: 200 });
+  });
+
+  it('should give up after the last retry and record the error', async () => {
+    receiver = await startReceiver([500]);
+    const bus = new EventBus();
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    dispatcher = new WebhookDispatcher({ bus, subscribers: [{ url: receiver.url }], retryDelays: [10] });
+
+    bus.publish('backup.finished', { worktree: 'main', success: true });
+    await waitFor(() => dispatcher.listDeliveries()[0].status === 'failed');
+
+    expect(receiver.requests).toHaveLength(2);
+    expect(dispatcher.listDeliveries()[0]).toMatchObject({ attempts: 2, responseStatus: 500, error: 'HTTP 500: nope' });
+    consoleError.mockRestore();
+  });
+
+  it('should resume pending deliveries after a restart', async () => {
+    const logFile = path.join(tempDir, 'deliveries.json');
+    const bus = new EventBus();
+    const first = new WebhookDispatcher({
+      bus,
+      subscribers: [{ url: 'http://127.0.0.1:1/unreachable' }],
+      retryDelays: [60000],
+      logFile
+    });
+    bus.publish('diagnostics.failed', { worktree: 'a' });
+    await first.flush();
+    first.stop();
+    expect(first.listDeliveries()[0].status).toBe('pending');
+
+    // The receiver is back at a new address by the time the server restarts
+    receiver = await startReceiver();
+    const saved = JSON.parse(fs.readFileSync(logFile, 'utf-8'));
+    saved[0].url = receiver.url;
+    saved[0].nextAttemptAt = new Date().toISOString();
+    fs.writeFileSync(logFile, JSON.stringify(saved));
+
+    dispatcher = new WebhookDispatcher({ subscribers: [{ url: receiver.url }], logFile });
+    dispatcher.resume();
+    await waitFor(() => dispatcher.listDeliveries()[0].status === 'delivered');
+
+    expect(JSON.parse(receiver.requests[0].body).type).toBe('diagnostics.failed');
+  });
+
+  it('should fail pending deliveries whose subscriber was removed instead of sending them unsigned', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    receiver = await startReceiver([500, 200]);
+    const logFile = path.join(tempDir, 'deliveries.json');
+    const bus = new EventBus();
+    const first = new WebhookDispatcher({
+      bus,
+      subscribers: [{ url: receiver.url, secret: 's3cret' }],
+      retryDelays: [60000],
+      logFile
+    });
+    bus.publish('diagnostics.failed', { worktree: 'a' });
+    await first.flush();
+    first.stop();
+
+    dispatcher = new WebhookDispatcher({ subscribers: [], logFile });
+    dispatcher.resume();
+    await dispatcher.flush();
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(dispatcher.listDeliveries()[0]).toMatchObject({ status: 'failed', error: 'Subscriber removed', nextAttemptAt: null });
+    consoleWarn.mockRestore();
+  });
+});
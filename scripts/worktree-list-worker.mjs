@@ -105,8 +105,8 @@ function getDockerStatus(worktreePath, name, runtimeInfo = {}) {
     const runtime = runtimeInfo.runtime || 'docker';
     const needsSudo = runtimeInfo.needsSudo ?? false;
 
-    // Skip if runtime is 'none' (NullRuntime - Docker unavailable)
-    if (runtime === 'none') {
+    // Skip if runtime is 'none' (NullRuntime - Docker unavailable) or 'kubernetes' (read in the main thread)
+    if (runtime === 'none' || runtime === 'kubernetes') {
       return [];
     }
 
@@ -290,12 +290,22 @@ function extractPortsFromDockerStatus(dockerStatus) {
   return ports;
 }
 
+// Same values as WorktreeManager.getGitStatus and WorktreeWatcher deltas
 function getGitStatus(path) {
   try {
-    execSync('git status --porcelain', { cwd: path, encoding: 'utf-8', stdio: 'pipe' });
-    return 'clean';
+    const status = execSync('git status --porcelain', { cwd: path, encoding: 'utf-8', stdio: 'pipe' });
+    if (status.trim()) {
+      return 'uncommitted';
+    }
+
+    try {
+      const unpushed = execSync('git log @{u}.. --oneline', { cwd: path, encoding: 'utf-8', stdio: 'pipe' });
+      return unpushed.trim() ? 'unpushed' : 'clean';
+    } catch {
+      return 'clean'; // No upstream branch
+    }
   } catch (error) {
-    return 'dirty';
+    return 'unknown';
   }
 }
 
@@ -0,0 +1,108 @@
+/**
+ * Worktree Presets
+ *
+ * Named creation profiles from `presets` in .vibe/config.json. A preset picks
+ * which compose services start, how data is seeded, which agent opens by
+ * default and which setup commands run after checkout.
+ *
+ * Example:
+ *   "presets": {
+ *     "frontend-only": { "services": ["web"], "data": "none", "agent": "claude" },
+ *     "full-stack": { "data": "volumes", "volumes": ["postgres_data"], "setup": ["npm run db:migrate"] },
+ *     "docs": { "services": [], "data": "none", "installDependencies": false, "mcp": false }
+ *   }
+ */
+
+/**
+ * How a preset seeds data from main:
+ *   database - copy the database and restore main's latest backup (default)
+ *   volumes  - copy compose volumes with DataSync
+ *   none     - start with empty data
+ */
+export const PRESET_DATA_MODES = ['database', 'volumes', 'none'];
+
+/**
+ * Behaviour of a worktree created without a preset
+ */
+const DEFAULT_PRESET = {
+  description: '',
+  services: null, // null = all services
+  data: 'database',
+  volumes: null, // null = all volumes (data: 'volumes' only)
+  agent: null,
+  installDependencies: true,
+  mcp: true,
+  setup: []
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate one preset definition
+ * @param {string} name - Preset name (used in error messages)
+ * @param {Object} preset - Preset definition
+ * @returns {string[]} Validation errors
+ */
+export function validatePreset(name, preset) {
+  const path = `presets.${name}`;
+
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+
+  if (preset.description !== undefined && typeof preset.description !== 'string') {
+    errors.push(`${path}.description must be a string`);
+  }
+  for (const key of ['services', 'volumes', 'setup']) {
+    if (preset[key] !== undefined && !isStringArray(preset[key])) {
+      errors.push(`${path}.${key} must be an array of strings`);
+    }
+  }
+  if (preset.data !== undefined && !PRESET_DATA_MODES.includes(preset.data)) {
+    errors.push(`${path}.data must be one of ${PRESET_DATA_MODES.join(', ')}`);
+  }
+  if (preset.agent !== undefined && typeof preset.agent !== 'string') {
+    errors.push(`${path}.agent must be a string`);
+  }
+  for (const key of ['installDependencies', 'mcp']) {
+    if (preset[key] !== undefined && typeof preset[key] !== 'boolean') {
+      errors.push(`${path}.${key} must be a boolean`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a preset by name, filling in defaults
+ * @param {Object} presets - The `presets` config section
+ * @param {string|null} name - Preset name, or empty for the default behaviour
+ * @returns {Object} Preset with every option set (name is null for the default)
+ * @throws {Error} If the preset does not exist
+ */
+export function resolvePreset(presets, name) {
+  if (!name) {
+    return { name: null, ...DEFAULT_PRESET };
+  }
+
+  if (!presets || !Object.hasOwn(presets, name)) {
+    const available = Object.keys(presets || {});
+    throw new Error(`Unknown preset "${name}"${available.length ? ` (available: ${available.join(', ')})` : ''}`);
+  }
+
+  return { name, ...DEFAULT_PRESET, ...presets[name] };
+}
+
+/**
+ * Summaries of the configured presets for the UI
+ * @param {Object} presets - The `presets` config section
+ * @returns {Array<{name: string, description: string, agent: string|null, services: string[]|null, data: string}>}
+ */
+export function listPresets(presets) {
+  return Object.keys(presets || {}).map(name => {
+    const { description, agent, services, data } = resolvePreset(presets, name);
+    return { name, description, agent, services, data };
+  });
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { validatePreset, resolvePreset, listPresets } from './worktree-presets.mjs';
+
+const presets = {
+  'frontend-only': { description: 'Web only', services: ['web'], data: 'none', agent: 'codex' },
+  'full-stack': { data: 'volumes', volumes: ['postgres_data'], setup: ['npm run db:migrate'] }
+};
+
+describe('validatePreset', () => {
+  it('should accept a valid preset', () => {
+    expect(validatePreset('full-stack', presets['full-stack'])).toEqual([]);
+    expect(validatePreset('empty', {})).toEqual([]);
+  });
+
+  it('should report each invalid option', () => {
+    expect(validatePreset('bad', {
+      services: 'web',
+      data: 'copy',
+      agent: 3,
+      installDependencies: 'yes',
+      setup: [1]
+    })).toEqual([
+      'presets.bad.services must be an array of strings',
+      'presets.bad.setup must be an array of strings',
+      'presets.bad.data must be one of database, volumes, none',
+      'presets.bad.agent must be a string',
+      'presets.bad.installDependencies must be a boolean'
+    ]);
+    expect(validatePreset('bad', ['web'])).toEqual(['presets.bad must be an object']);
+  });
+});
+
+describe('resolvePreset', () => {
+  it('should return the default behaviour without a name', () => {
+    expect(resolvePreset(presets, null)).toEqual({
+      name: null,
+      description: '',
+      services: null,
+      data: 'database',
+      volumes: null,
+      agent: null,
+      installDependencies: true,
+      mcp: true,
+      setup: []
+    });
+  });
+
+  it('should fill in defaults for a named preset', () => {
+    expect(resolvePreset(presets, 'frontend-only')).toMatchObject({
+      name: 'frontend-only',
+      services: ['web'],
+      data: 'none',
+      agent: 'codex',
+      installDependencies: true,
+      setup: []
+    });
+  });
+
+  it('should throw for an unknown preset', () => {
+    expect(() => resolvePreset(presets, 'docs')).toThrow('Unknown preset "docs" (available: frontend-only, full-stack)');
+    expect(() => resolvePreset({}, 'toString')).toThrow('Unknown preset "toString"');
+  });
+});
+
+describe('listPresets', () => {
+  it('should summarize presets for the UI', () => {
+    expect(listPresets(presets)).toEqual([
+      { name: 'frontend-only', description: 'Web only', agent: 'codex', services: ['web'], data: 'none' },
+      { name: 'full-stack', description: '', agent: null, services: null, data: 'volumes' }
+    ]);
+    expect(listPresets(undefined)).toEqual([]);
+  });
+});
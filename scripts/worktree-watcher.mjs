@@ -0,0 +1,436 @@
+/**
+ * WorktreeWatcher
+ *
+ * Keeps worktree state current without polling. For each worktree it watches:
+ *  - the git dir: index, HEAD and the HEAD reflog (staging, commits, checkouts)
+ *  - the working tree, one directory at a time, skipping what .gitignore ignores
+ *  - container events from the runtime, matched to worktrees by the compose
+ *    working_dir label
+ *
+ * Bursts of changes are debounced per worktree, then only the fields that
+ * differ from the last snapshot are emitted:
+ *
+ *   'change'        { name, changes: { gitStatus, modifiedFiles, ..., dockerStatus } }
+ *   'list-changed'  a worktree was added or removed outside VibeTrees (git CLI)
+ */
+
+import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { existsSync, statSync, watch as fsWatch } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+
+const DEBOUNCE = 300;
+const MAX_WATCHED_DIRS = 2000; // Per worktree; deeper changes still arrive through the git dir
+const ALWAYS_SKIPPED = new Set(['.git', 'node_modules']);
+
+/**
+ * Run git in a directory
+ * @returns {Promise<string>} stdout ('' when git fails)
+ */
+function git(cwd, args, input = null) {
+  return new Promise((resolve) => {
+    const child = execFile('git', args, { cwd, encoding: 'utf-8', maxBuffer: 16 * 1024 * 1024 }, (error, stdout) => {
+      // check-ignore exits 1 when nothing is ignored; stdout is still meaningful
+      resolve(error && !stdout ? '' : stdout);
+    });
+    if (input !== null) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Read the git fields shown for a worktree (same meaning as in /api/worktrees)
+ * @param {string} worktreePath
+ * @returns {Promise<Object>}
+ */
+export async function readGitState(worktreePath) {
+  const [status, branchOutput, commitCount, lastCommit, unpushed] = await Promise.all([
+    // Without optional locks, status does not refresh the index (which would wake the watcher again)
+    git(worktreePath, ['--no-optional-locks', 'status', '--porcelain']),
+    git(worktreePath, ['rev-parse', '--abbrev-ref', 'HEAD']),
+    git(worktreePath, ['rev-list', '--count', 'HEAD']),
+    git(worktreePath, ['log', '-1', '--format=%H|%s|%an|%ar']),
+    git(worktreePath, ['log', '@{u}..', '--oneline'])
+  ]);
+
+  const branch = branchOutput.trim();
+  const aheadBehind = await git(worktreePath, ['rev-list', '--left-right', '--count', `origin/${branch}...${branch}`]);
+  const [behind, ahead] = aheadBehind.trim().split('\t').map(n => parseInt(n, 10));
+
+  const lines = status.split('\n').filter(Boolean);
+  const [hash, subject, author, date] = lastCommit.trim().split('|');
+
+  return {
+    branch,
+    gitStatus: lines.length > 0 ? 'uncommitted' : (unpushed.trim() ? 'unpushed' : 'clean'),
+    modifiedFiles: lines.filter(l => l.startsWith(' M') || l.startsWith('M ')).length,
+    untrackedFiles: lines.filter(l => l.startsWith('??')).length,
+    ahead: ahead || 0,
+    behind: behind || 0,
+    commitCount: parseInt(commitCount, 10) || 0,
+    lastCommit: hash ? { hash, subject, author, date } : null
+  };
+}
+
+/**
+ * Whether a snapshot field is unchanged. Commits are compared by hash, since
+ * their relative date ('5 minutes ago') changes on its own.
+ */
+function sameValue(field, a, b) {
+  if (field === 'lastCommit') {
+    return a?.hash === b?.hash;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export class WorktreeWatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.runtime - Container runtime (ContainerRuntime or NullRuntime)
+   * @param {Function} options.getDockerStatus - (path, name) => container status list (or a promise of one)
+   * @param {number} options.debounce - Quiet period before a worktree is re-read, in ms
+   * @param {Function} options.readGitState - Git state reader (for tests)
+   */
+  constructor(options = {}) {
+    super();
+    this.runtime = options.runtime || null;
+    this.getDockerStatus = options.getDockerStatus || null;
+    this.debounce = options.debounce ?? DEBOUNCE;
+    this._readGitState = options.readGitState || readGitState;
+
+    this._worktrees = new Map(); // name -> { path, gitDir, watchers: Map(dir -> FSWatcher), snapshot, pending, timer, flushing, rerun }
+    this._listWatchers = [];
+    this._listTimer = null;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Follow container events (worktrees are matched by compose working_dir)
+   */
+  start() {
+    if (!this._unsubscribe && this.runtime?.isAvailable?.()) {
+      this._unsubscribe = this.runtime.subscribe((event) => this.handleContainerEvent(event));
+    }
+  }
+
+  /**
+   * Refresh the container status of the worktree a container event belongs to
+   * @param {Object} event - Normalized runtime event ({ attributes, ... })
+   * @returns {string|null} Name of the matched worktree
+   */
+  handleContainerEvent(event) {
+    const workingDir = event.attributes?.['com.docker.compose.project.working_dir'];
+    if (!workingDir) {
+      return null;
+    }
+
+    const normalized = workingDir.replace(/\/+$/, '');
+    for (const [name, entry] of this._worktrees) {
+      if (entry.path.replace(/\/+$/, '') === normalized) {
+        this._schedule(name, 'containers');
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start watching a worktree
+   * @param {string} name - Worktree name
+   * @param {string} worktreePath - Worktree directory
+   * @returns {Promise<boolean>} Whether the worktree is watched
+   */
+  async watch(name, worktreePath) {
+    const existing = this._worktrees.get(name);
+    if (existing?.path === worktreePath) {
+      return true;
+    }
+    if (existing) {
+      this.unwatch(name);
+    }
+    if (!existsSync(worktreePath)) {
+      return false;
+    }
+
+    const gitDir = (await git(worktreePath, ['rev-parse', '--absolute-git-dir'])).trim();
+    const entry = {
+      path: worktreePath,
+      gitDir,
+      watchers: new Map(),
+      snapshot: {},
+      pending: { kinds: new Set(), paths: new Set() },
+      timer: null,
+      flushing: false,
+      rerun: false
+    };
+    this._worktrees.set(name, entry);
+
+    if (gitDir) {
+      this._watchDir(name, entry, gitDir, (file) => {
+        if (file === 'index' || file === 'HEAD') this._schedule(name, 'git');
+      });
+      this._watchDir(name, entry, join(gitDir, 'logs'), (file) => {
+        if (file === 'HEAD') this._schedule(name, 'git');
+      });
+    }
+
+    for (const dir of await this._workingDirs(worktreePath)) {
+      this._watchWorkingDir(name, entry, dir);
+    }
+
+    entry.snapshot = await this._read(name, entry, new Set(['git', 'containers']));
+    return this._worktrees.get(name) === entry;
+  }
+
+  /**
+   * Directories of a worktree that hold tracked or non-ignored files
+   * @private
+   */
+  async _workingDirs(worktreePath) {
+    const files = (await git(worktreePath, ['ls-files', '--cached', '--others', '--exclude-standard'])).split('\n');
+    const dirs = new Set([worktreePath]);
+
+    for (const file of files) {
+      let dir = dirname(file);
+      while (dir !== '.' && !dirs.has(join(worktreePath, dir))) {
+        dirs.add(join(worktreePath, dir));
+        dir = dirname(dir);
+      }
+      if (dirs.size >= MAX_WATCHED_DIRS) {
+        console.warn(`[WATCH] ${worktreePath} has over ${MAX_WATCHED_DIRS} directories; only the first are watched`);
+        break;
+      }
+    }
+    return [...dirs];
+  }
+
+  /**
+   * @private
+   */
+  _watchDir(name, entry, dir, onChange) {
+    if (entry.watchers.has(dir) || !existsSync(dir)) {
+      return;
+    }
+    try {
+      const watcher = fsWatch(dir, (eventType, file) => {
+        if (file) onChange(file.toString());
+      });
+      watcher.on('error', () => {
+        // The directory was removed
+        watcher.close();
+        entry.watchers.delete(dir);
+      });
+      entry.watchers.set(dir, watcher);
+    } catch (error) {
+      console.warn(`[WATCH] Cannot watch ${dir} for ${name}:`, error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _watchWorkingDir(name, entry, dir) {
+    if (entry.watchers.size >= MAX_WATCHED_DIRS) {
+      return;
+    }
+    this._watchDir(name, entry, dir, (file) => {
+      if (ALWAYS_SKIPPED.has(file)) return;
+      entry.pending.paths.add(relative(entry.path, join(dir, file)));
+      this._schedule(name, 'files');
+    });
+  }
+
+  /**
+   * @private
+   */
+  _schedule(name, kind) {
+    const entry = this._worktrees.get(name);
+    if (!entry) return;
+
+    entry.pending.kinds.add(kind);
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this._flush(name, entry), this.debounce);
+    entry.timer.unref?.();
+  }
+
+  /**
+   * Re-read a worktree after a burst of changes and emit what differs
+   * One flush runs at a time per worktree; changes arriving meanwhile stay
+   * pending for a second pass, so an older read never lands after a newer one.
+   * @private
+   */
+  async _flush(name, entry) {
+    entry.timer = null;
+    if (entry.flushing) {
+      entry.rerun = true;
+      return;
+    }
+
+    entry.flushing = true;
+    try {
+      await this._refresh(name, entry);
+    } finally {
+      entry.flushing = false;
+    }
+
+    if (entry.rerun) {
+      entry.rerun = false;
+      await this._flush(name, entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _refresh(name, entry) {
+    const { kinds, paths } = entry.pending;
+    entry.pending = { kinds: new Set(), paths: new Set() };
+
+    if (kinds.has('files')) {
+      kinds.delete('files');
+      const relevant = await this._unignored(entry, [...paths]);
+      if (relevant.length > 0) {
+        kinds.add('git');
+        this._watchNewDirs(name, entry, relevant);
+      }
+    }
+    if (kinds.size === 0 || this._worktrees.get(name) !== entry) {
+      return;
+    }
+
+    const next = await this._read(name, entry, kinds);
+    if (this._worktrees.get(name) !== entry) {
+      return;
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(next)) {
+      if (!sameValue(field, value, entry.snapshot[field])) {
+        changes[field] = value;
+      }
+    }
+    Object.assign(entry.snapshot, next);
+
+    if (Object.keys(changes).length > 0) {
+      this.emit('change', { name, changes });
+    }
+  }
+
+  /**
+   * Paths that .gitignore does not ignore
+   * @private
+   */
+  async _unignored(entry, paths) {
+    const candidates = paths.filter(p => !p.split(sep).some(part => ALWAYS_SKIPPED.has(part)));
+    if (candidates.length === 0) {
+      return [];
+    }
+    const ignored = new Set((await git(entry.path, ['check-ignore', '--stdin'], candidates.join('\n') + '\n')).split('\n'));
+    return candidates.filter(p => !ignored.has(p));
+  }
+
+  /**
+   * Watch directories created since the worktree was first watched
+   * @private
+   */
+  _watchNewDirs(name, entry, paths) {
+    for (const path of paths) {
+      const fullPath = join(entry.path, path);
+      try {
+        if (statSync(fullPath).isDirectory()) {
+          this._watchWorkingDir(name, entry, fullPath);
+        }
+      } catch {
+        // Deleted again before we got to it
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _read(name, entry, kinds) {
+    const state = {};
+    if (kinds.has('git')) {
+      Object.assign(state, await this._readGitState(entry.path));
+    }
+    if (kinds.has('containers') && this.getDockerStatus) {
+      state.dockerStatus = await this.getDockerStatus(entry.path, name);
+    }
+    return state;
+  }
+
+  /**
+   * Notice worktrees added or removed with the git CLI
+   * @param {string} rootDir - Main worktree of the project
+   */
+  async watchList(rootDir) {
+    this.unwatchList();
+
+    const commonDir = (await git(rootDir, ['rev-parse', '--path-format=absolute', '--git-common-dir'])).trim();
+    if (!commonDir) return;
+
+    const onChange = () => {
+      clearTimeout(this._listTimer);
+      this._listTimer = setTimeout(() => this.emit('list-changed'), this.debounce);
+      this._listTimer.unref?.();
+    };
+
+    // .git/worktrees only exists once there is a linked worktree
+    for (const [dir, match] of [[commonDir, 'worktrees'], [join(commonDir, 'worktrees'), null]]) {
+      if (!existsSync(dir)) continue;
+      try {
+        const watcher = fsWatch(dir, (eventType, file) => {
+          if (!match || file?.toString() === match) onChange();
+        });
+        watcher.on('error', () => watcher.close());
+        this._listWatchers.push(watcher);
+      } catch (error) {
+        console.warn(`[WATCH] Cannot watch ${dir}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Stop noticing added or removed worktrees
+   */
+  unwatchList() {
+    clearTimeout(this._listTimer);
+    this._listWatchers.forEach(watcher => watcher.close());
+    this._listWatchers = [];
+  }
+
+  /**
+   * Names of watched worktrees
+   * @returns {string[]}
+   */
+  list() {
+    return [...this._worktrees.keys()];
+  }
+
+  /**
+   * Stop watching a worktree
+   * @param {string} name
+   */
+  unwatch(name) {
+    const entry = this._worktrees.get(name);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    entry.watchers.forEach(watcher => watcher.close());
+    this._worktrees.delete(name);
+  }
+
+  /**
+   * Stop all watchers and the container event stream
+   */
+  stop() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this.unwatchList();
+    for (const name of this.list()) {
+      this.unwatch(name);
+    }
+  }
+}
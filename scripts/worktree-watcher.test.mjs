@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WorktreeWatcher, readGitState } from './worktree-watcher.mjs';
+
+function run(cwd, command) {
+  return execSync(command, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: 'pipe',
+    env: { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 't@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 't@example.com' }
+  });
+}
+
+function nextEvent(emitter, event, timeout = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} event`)), timeout);
+    emitter.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+describe('WorktreeWatcher', () => {
+  let repo;
+  let watcher;
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'worktree-watcher-test-'));
+    run(repo, 'git init -q -b main');
+    fs.writeFileSync(path.join(repo, '.gitignore'), 'build/\n*.log\n');
+    fs.mkdirSync(path.join(repo, 'src'));
+    fs.writeFileSync(path.join(repo, 'src', 'app.js'), 'one\n');
+    run(repo, 'git add -A && git commit -q -m initial');
+  });
+
+  afterEach(() => {
+    watcher?.stop();
+    watcher = null;
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('should read the same git fields as the worktree list', async () => {
+    fs.writeFileSync(path.join(repo, 'src', 'app.js'), 'two\n');
+    fs.writeFileSync(path.join(repo, 'notes.txt'), 'new\n');
+
+    const state = await readGitState(repo);
+
+    expect(state).toMatchObject({
+      branch: 'main',
+      gitStatus: 'uncommitted',
+      modifiedFiles: 1,
+      untrackedFiles: 1,
+      ahead: 0,
+      behind: 0,
+      commitCount: 1
+    });
+    expect(state.lastCommit.subject).toBe('initial');
+  });
+
+  it('should emit only the fields that changed when a file is edited', async () => {
+    watcher = new WorktreeWatcher({ debounce: 50 });
+    await watcher.watch('main', repo);
+
+    const change = nextEvent(watcher, 'change');
+    fs.writeFileSync(path.join(repo, 'src', 'app.js'), 'two\n');
+
+    expect(await change).toEqual({ name: 'main', changes: { gitStatus: 'uncommitted', modifiedFiles: 1 } });
+  });
+
+  it('should notice commits through the git dir', async () => {
+    fs.writeFileSync(path.join(repo, 'src', 'app.js'), 'two\n');
+    watcher = new WorktreeWatcher({ debounce: 50 });
+    await watcher.watch('main', repo);
+
+    const change = nextEvent(watcher, 'change');
+    run(repo, 'git commit -q -am second');
+
+    const { changes } = await change;
+    expect(changes).toMatchObject({ gitStatus: 'clean', modifiedFiles: 0, commitCount: 2 });
+    expect(changes.lastCommit.subject).toBe('second');
+  });
+
+  it('should ignore files matched by .gitignore', async () => {
+    const readState = vi.fn(readGitState);
+    watcher = new WorktreeWatcher({ debounce: 50, readGitState: readState });
+    await watcher.watch('main', repo);
+    readState.mockClear();
+
+    fs.writeFileSync(path.join(repo, 'debug.log'), 'noise\n');
+    fs.mkdirSync(path.join(repo, 'build'));
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect(readState).not.toHaveBeenCalled();
+  });
+
+  it('should watch directories created after it started', async () => {
+    watcher = new WorktreeWatcher({ debounce: 50 });
+    await watcher.watch('main', repo);
+
+    let change = nextEvent(watcher, 'change');
+    fs.mkdirSync(path.join(repo, 'lib'));
+    fs.writeFileSync(path.join(repo, 'lib', 'util.js'), 'x\n');
+    expect((await change).changes).toEqual({ gitStatus: 'uncommitted', untrackedFiles: 1 });
+
+    change = nextEvent(watcher, 'change');
+    run(repo, 'git add -A && git commit -q -m lib');
+    await change;
+
+    change = nextEvent(watcher, 'change');
+    fs.writeFileSync(path.join(repo, 'lib', 'util.js'), 'y\n');
+
+    expect((await change).changes).toEqual({ gitStatus: 'uncommitted', modifiedFiles: 1 });
+  });
+
+  it('should not let a slow earlier read overwrite a newer one', async () => {
+    let reads = 0;
+    const readState = vi.fn(async (worktreePath) => {
+      const state = await readGitState(worktreePath);
+      if (++reads === 2) {
+        await new Promise(resolve => setTimeout(resolve, 300)); // Stale by the time it returns
+      }
+      return state;
+    });
+    watcher = new WorktreeWatcher({ debounce: 20, readGitState: readState });
+    await watcher.watch('main', repo);
+    const latest = {};
+    watcher.on('change', ({ changes }) => Object.assign(latest, changes));
+
+    fs.writeFileSync(path.join(repo, 'src', 'app.js'), 'two\n');
+    await new Promise(resolve => setTimeout(resolve, 150));
+    fs.writeFileSync(path.join(repo, 'notes.txt'), 'new\n');
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    expect(latest).toMatchObject({ modifiedFiles: 1, untrackedFiles: 1 });
+  });
+
+  it('should refresh container status for events from a worktree\'s compose project', async () => {
+    const getDockerStatus = vi.fn()
+      .mockReturnValueOnce([])
+      .mockReturnValue([{ name: 'api', state: 'running', status: 'Up 1 second', ports: [] }]);
+    watcher = new WorktreeWatcher({ debounce: 20, getDockerStatus });
+    await watcher.watch('main', repo);
+
+    expect(watcher.handleContainerEvent({ attributes: { 'com.docker.compose.project.working_dir': '/elsewhere' } })).toBeNull();
+    const change = nextEvent(watcher, 'change');
+    expect(watcher.handleContainerEvent({ attributes: { 'com.docker.compose.project.working_dir': `${repo}/` } })).toBe('main');
+
+    expect(await change).toEqual({ name: 'main', changes: { dockerStatus: [{ name: 'api', state: 'running', status: 'Up 1 second', ports: [] }] } });
+    expect(getDockerStatus).toHaveBeenLastCalledWith(repo, 'main');
+  });
+
+  it('should follow container events while started', () => {
+    const unsubscribe = vi.fn();
+    const runtime = { isAvailable: () => true, subscribe: vi.fn(() => unsubscribe) };
+    watcher = new WorktreeWatcher({ runtime });
+
+    watcher.start();
+    watcher.start();
+    watcher.stop();
+
+    expect(runtime.subscribe).toHaveBeenCalledTimes(1);
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should report worktrees added with the git CLI', async () => {
+    watcher = new WorktreeWatcher({ debounce: 50 });
+    await watcher.watchList(repo);
+
+    const listChanged = nextEvent(watcher, 'list-changed');
+    run(repo, `git worktree add -q ${path.join(repo, 'build', 'feature')} -b feature`);
+
+    await listChanged;
+  });
+
+  it('should stop emitting once a worktree is unwatched', async () => {
+    watcher = new WorktreeWatcher({ debounce: 50 });
+    await watcher.watch('main', repo);
+    const onChange = vi.fn();
+    watcher.on('change', onChange);
+
+    watcher.unwatch('main');
+    fs.writeFileSync(path.join(repo, 'src', 'app.js'), 'two\n');
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(watcher.list()).toEqual([]);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
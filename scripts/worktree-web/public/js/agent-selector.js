@@ -249,8 +249,10 @@ class AgentSelector {
         return 'Gemini requires <code>GOOGLE_API_KEY</code> environment variable';
       case 'claude':
       case 'shell':
-      default:
         return null;
+      default:
+        // Custom agents describe their own requirements
+        return this.agents.find(agent => agent.name === agentName)?.requirements || null;
     }
   }
 
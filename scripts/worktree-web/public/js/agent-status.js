@@ -0,0 +1,146 @@
+/**
+ * Agent Status Module
+ * Badges on terminal tabs and sidebar cards showing what each agent is doing,
+ * and browser notifications when one needs attention
+ */
+
+import { appState } from './state.js';
+import { escapeHtml } from './utils.js';
+import { getActiveTabId, switchToTab } from './terminals.js';
+
+const STATE_LABELS = {
+  working: 'Working',
+  idle: 'Idle',
+  'awaiting-input': 'Needs input',
+  finished: 'Exited'
+};
+
+// Most urgent first; a worktree's sidebar badge shows its most urgent session
+const STATE_PRIORITY = ['awaiting-input', 'idle', 'working', 'finished'];
+
+const states = new Map(); // sessionId -> agent state event
+
+/**
+ * Load the current state of every terminal (after a page load)
+ */
+export async function loadAgentStates() {
+  try {
+    const response = await fetch('/api/terminals/states');
+    if (!response.ok) return;
+
+    for (const state of await response.json()) {
+      states.set(state.sessionId, state);
+    }
+    applyBadges();
+  } catch (error) {
+    console.error('[agent-status] Failed to load agent states:', error);
+  }
+}
+
+/**
+ * Handle an 'agent:state' WebSocket event
+ */
+export function handleAgentState(event) {
+  if (event.state === 'closed') {
+    states.delete(event.sessionId);
+  } else {
+    states.set(event.sessionId, event);
+  }
+  applyBadges();
+
+  if (event.state === 'finished' || event.previousState === 'working') {
+    notify(event);
+  }
+}
+
+function describe(state) {
+  const label = STATE_LABELS[state.state] || state.state;
+  return state.state === 'finished' && state.exitCode !== null ? `${label} (code ${state.exitCode})` : label;
+}
+
+function badgeHtml(state, title) {
+  return `<span class="agent-state-badge agent-${state.state}" title="${escapeHtml(title)}">${escapeHtml(describe(state))}</span>`;
+}
+
+/**
+ * Sidebar badge for the most urgent agent of a worktree
+ */
+export function renderWorktreeBadge(worktreeName) {
+  const sessions = [...states.values()].filter(state => state.worktree === worktreeName && STATE_LABELS[state.state]);
+  if (sessions.length === 0) return '';
+
+  sessions.sort((a, b) => STATE_PRIORITY.indexOf(a.state) - STATE_PRIORITY.indexOf(b.state));
+  const title = sessions.map(state => `${state.agent}: ${describe(state)}`).join('\n');
+  return badgeHtml(sessions[0], title);
+}
+
+/**
+ * Tab ID of the terminal showing an agent session, if one is open
+ */
+function findTab(state) {
+  for (const [tabId, info] of appState.tabs) {
+    if (info.worktree === state.worktree && info.command === state.agent && !info.isLogs && !info.isWebUI) {
+      return tabId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Refresh the badges on open tabs and sidebar cards
+ */
+export function applyBadges() {
+  for (const [tabId, info] of appState.tabs) {
+    const tab = document.getElementById(tabId);
+    if (!tab || info.isLogs || info.isWebUI) continue;
+
+    const state = [...states.values()].find(s => s.worktree === info.worktree && s.agent === info.command);
+    tab.querySelector('.agent-state-badge')?.remove();
+    if (state && STATE_LABELS[state.state]) {
+      tab.querySelector('.terminal-tab-close')?.insertAdjacentHTML('beforebegin', badgeHtml(state, `${state.agent}: ${describe(state)}`));
+    }
+  }
+
+  document.querySelectorAll('.agent-state-slot').forEach(slot => {
+    slot.innerHTML = renderWorktreeBadge(slot.dataset.worktree);
+  });
+}
+
+/**
+ * Tell the user about an agent that stopped, unless they are looking at it
+ */
+function notify(state) {
+  const tabId = findTab(state);
+  const watching = !document.hidden && tabId && tabId === getActiveTabId();
+  if (watching) return;
+
+  const message = `${state.agent} in ${state.worktree}: ${describe(state).toLowerCase()}`;
+
+  if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+    const notification = new Notification('VibeTrees', { body: message, tag: state.sessionId });
+    notification.onclick = () => {
+      window.focus();
+      if (tabId) switchToTab(tabId);
+      notification.close();
+    };
+  } else {
+    window.showToast?.(message, 5000);
+  }
+}
+
+// Browsers only ask for notification permission from a user gesture
+document.addEventListener('click', () => {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+}, { once: true });
+
+appState.on('tab:added', () => applyBadges());
+loadAgentStates();
+
+// Export to global scope
+window.agentStatusModule = {
+  handleAgentState,
+  renderWorktreeBadge,
+  applyBadges
+};
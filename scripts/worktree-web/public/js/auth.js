@@ -0,0 +1,329 @@
+/**
+ * Auth Module
+ * Sign-in check for `--listen` servers, plus the Users & API tokens modal
+ */
+
+import { escapeHtml } from './utils.js';
+
+let authStatus = null;
+let users = [];
+let tokens = [];
+let currentProject = null;
+let roleAssignments = [];
+
+/**
+ * Send the browser to the login page, coming back here afterwards
+ */
+function redirectToLogin() {
+  const next = window.location.pathname + window.location.search;
+  window.location.replace(`/login.html?next=${encodeURIComponent(next)}`);
+}
+
+/**
+ * Check the session and redirect to the login page when signed out.
+ * Any API call answering 401 later (session expired, user deleted) does the same.
+ */
+export async function initAuth() {
+  const originalFetch = window.fetch.bind(window);
+  window.fetch = async (...args) => {
+    const response = await originalFetch(...args);
+    if (response.status === 401 && authStatus?.enabled) {
+      redirectToLogin();
+    }
+    return response;
+  };
+
+  try {
+    authStatus = await (await originalFetch('/api/auth/status')).json();
+  } catch (error) {
+    console.error('[auth] Could not load auth status:', error);
+    return;
+  }
+
+  if (authStatus.enabled && !authStatus.user) {
+    redirectToLogin();
+    return;
+  }
+
+  // Lets stylesheets and modules adapt to the role in the current project
+  document.body.dataset.role = authStatus.role;
+
+  const button = document.getElementById('users-button');
+  if (button) {
+    button.style.display = '';
+    button.title = authStatus.user ? `Signed in as ${authStatus.user.username} (${authStatus.role})` : 'Users';
+  }
+}
+
+/**
+ * @returns {Object|null} Signed-in user ({ username, admin }), null in localhost mode
+ */
+export function getCurrentUser() {
+  return authStatus?.user || null;
+}
+
+/**
+ * @returns {string} viewer, developer or admin in the current project (admin in localhost mode)
+ */
+export function getCurrentRole() {
+  return authStatus?.role || 'admin';
+}
+
+export async function showUsersModal() {
+  const user = getCurrentUser();
+  const isAdmin = !authStatus?.enabled || user?.admin;
+  const isProjectAdmin = getCurrentRole() === 'admin';
+
+  document.getElementById('users-admin-section').style.display = isAdmin ? 'block' : 'none';
+  document.getElementById('roles-section').style.display = isProjectAdmin ? 'block' : 'none';
+  document.getElementById('tokens-section').style.display = user ? 'block' : 'none';
+  document.getElementById('logout-button').style.display = user ? '' : 'none';
+  document.getElementById('new-token').style.display = 'none';
+  document.getElementById('users-modal').classList.add('active');
+
+  await Promise.all([
+    isAdmin ? loadUsers() : null,
+    isProjectAdmin ? loadRoles() : null,
+    user ? loadTokens() : null
+  ]);
+}
+
+export function hideUsersModal() {
+  document.getElementById('users-modal').classList.remove('active');
+}
+
+async function request(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result;
+}
+
+async function loadUsers() {
+  const table = document.getElementById('users-table');
+  try {
+    users = await request('GET', '/api/users');
+  } catch (error) {
+    table.innerHTML = `<tr><td class="error-box">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  const self = getCurrentUser()?.username;
+  table.innerHTML = users.length === 0
+    ? '<tr><td>No accounts yet. Accounts are required when the server runs with --listen.</td></tr>'
+    : users.map((user, index) => `
+      <tr>
+        <td>${escapeHtml(user.username)}${user.username === self ? ' <em>(you)</em>' : ''}</td>
+        <td>${user.admin ? 'admin' : ''}</td>
+        <td>
+          <button class="small" onclick="window.authModule.toggleAdmin(${index})">${user.admin ? 'Remove admin' : 'Make admin'}</button>
+          <button class="small" onclick="window.authModule.resetPassword(${index})">Reset password</button>
+          ${user.username === self ? '' : `<button class="small danger" onclick="window.authModule.deleteUser(${index})">Delete</button>`}
+        </td>
+      </tr>
+    `).join('');
+}
+
+async function loadRoles() {
+  const table = document.getElementById('roles-table');
+  const defaultRole = document.getElementById('default-role');
+
+  try {
+    currentProject = await request('GET', '/api/projects/current');
+    if (!currentProject) {
+      table.innerHTML = '<tr><td>Register this repository as a project to assign roles.</td></tr>';
+      document.getElementById('roles-form').style.display = 'none';
+      return;
+    }
+    const roles = await request('GET', `/api/projects/${encodeURIComponent(currentProject.id)}/roles`);
+    defaultRole.value = roles.defaultRole;
+
+    roleAssignments = [
+      ...Object.entries(roles.members).map(([username, role]) => ({ username, role, worktree: null })),
+      ...Object.entries(roles.worktreeRoles).flatMap(([worktree, members]) =>
+        Object.entries(members).map(([username, role]) => ({ username, role, worktree })))
+    ];
+  } catch (error) {
+    table.innerHTML = `<tr><td class="error-box">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  document.getElementById('roles-form').style.display = '';
+  document.getElementById('roles-project').textContent = currentProject.name;
+  table.innerHTML = roleAssignments.map((assignment, index) => `
+    <tr>
+      <td>${escapeHtml(assignment.username)}</td>
+      <td>${assignment.role}</td>
+      <td>${assignment.worktree ? escapeHtml(assignment.worktree) : '<em>whole project</em>'}</td>
+      <td><button class="small danger" onclick="window.authModule.removeRole(${index})">Remove</button></td>
+    </tr>
+  `).join('');
+}
+
+async function loadTokens() {
+  const table = document.getElementById('tokens-table');
+  try {
+    tokens = await request('GET', '/api/auth/tokens');
+  } catch (error) {
+    table.innerHTML = `<tr><td class="error-box">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  table.innerHTML = tokens.map((token, index) => `
+    <tr>
+      <td>${escapeHtml(token.name)}</td>
+      <td>${new Date(token.createdAt).toLocaleDateString()}</td>
+      <td><button class="small danger" onclick="window.authModule.revokeToken(${index})">Revoke</button></td>
+    </tr>
+  `).join('');
+}
+
+export async function createUser() {
+  const username = document.getElementById('new-user-name');
+  const password = document.getElementById('new-user-password');
+  const admin = document.getElementById('new-user-admin');
+
+  try {
+    await request('POST', '/api/users', { username: username.value.trim(), password: password.value, admin: admin.checked });
+    username.value = '';
+    password.value = '';
+    admin.checked = false;
+    await loadUsers();
+  } catch (error) {
+    alert(`Could not create user: ${error.message}`);
+  }
+}
+
+export async function toggleAdmin(index) {
+  const user = users[index];
+  try {
+    await request('PATCH', `/api/users/${encodeURIComponent(user.username)}`, { admin: !user.admin });
+    await loadUsers();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+export async function resetPassword(index) {
+  const user = users[index];
+  const isSelf = user.username === getCurrentUser()?.username;
+  const currentPassword = isSelf ? prompt('Current password:') : undefined;
+  if (isSelf && !currentPassword) return;
+  const password = prompt(`New password for ${user.username}:`);
+  if (!password) return;
+
+  try {
+    await request('PATCH', `/api/users/${encodeURIComponent(user.username)}`, { password, currentPassword });
+    window.showToast?.(`Password changed for ${user.username}`);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+export async function deleteUser(index) {
+  const user = users[index];
+  if (!confirm(`Delete ${user.username}? Their sessions and API tokens stop working immediately.`)) return;
+
+  try {
+    await request('DELETE', `/api/users/${encodeURIComponent(user.username)}`);
+    await loadUsers();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+async function putRole(username, role, worktree) {
+  await request('PUT', `/api/projects/${encodeURIComponent(currentProject.id)}/roles/members/${encodeURIComponent(username)}`, { role, worktree });
+}
+
+export async function assignRole() {
+  const username = document.getElementById('role-user');
+  const worktree = document.getElementById('role-worktree');
+
+  try {
+    await putRole(username.value.trim(), document.getElementById('role-select').value, worktree.value.trim() || null);
+    username.value = '';
+    worktree.value = '';
+    await loadRoles();
+  } catch (error) {
+    alert(`Could not assign role: ${error.message}`);
+  }
+}
+
+export async function removeRole(index) {
+  const assignment = roleAssignments[index];
+  try {
+    await putRole(assignment.username, null, assignment.worktree);
+    await loadRoles();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+export async function setDefaultRole(role) {
+  try {
+    await request('PUT', `/api/projects/${encodeURIComponent(currentProject.id)}/roles/default`, { role });
+    window.showToast?.(`Users without a role are now ${role}s`);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+export async function createToken() {
+  const name = document.getElementById('new-token-name');
+
+  try {
+    const result = await request('POST', '/api/auth/tokens', { name: name.value.trim() });
+    name.value = '';
+
+    const box = document.getElementById('new-token');
+    box.innerHTML = `Copy this token now, it will not be shown again:<br><code>${escapeHtml(result.token)}</code>`;
+    box.style.display = 'block';
+    await loadTokens();
+  } catch (error) {
+    alert(`Could not create token: ${error.message}`);
+  }
+}
+
+export async function revokeToken(index) {
+  const token = tokens[index];
+  if (!confirm(`Revoke token "${token.name}"?`)) return;
+
+  try {
+    await request('DELETE', `/api/auth/tokens/${encodeURIComponent(token.id)}`);
+    await loadTokens();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+export async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  window.location.replace('/login.html');
+}
+
+initAuth();
+
+// Export to global scope
+window.authModule = {
+  showUsersModal,
+  hideUsersModal,
+  createUser,
+  toggleAdmin,
+  resetPassword,
+  deleteUser,
+  assignRole,
+  removeRole,
+  setDefaultRole,
+  createToken,
+  revokeToken,
+  logout,
+  getCurrentUser,
+  getCurrentRole
+};
@@ -62,6 +62,21 @@ export function worktreeContextMenuAction(action) {
         window.openDatabaseModal(worktreeName);
       }
       break;
+    case 'pullRequest':
+      window.pullRequestsModule?.showPullRequestModal(worktreeName);
+      break;
+    case 'review':
+      window.reviewModule?.showReviewModal(worktreeName);
+      break;
+    case 'tasks':
+      window.tasksModule?.showTasksModal(worktreeName);
+      break;
+    case 'logViewer':
+      window.logViewerModule?.showLogViewer(worktreeName);
+      break;
+    case 'recordings':
+      window.recordingsModule?.showRecordingsModal(worktreeName);
+      break;
     case 'diagnostics':
       if (window.diagnosticsModule) {
         window.diagnosticsModule.showDiagnosticsModal(worktreeName);
@@ -93,6 +108,9 @@ export function statusContextMenuAction(action) {
     case 'restart':
       restartServices(worktreeName);
       break;
+    case 'chooseServices':
+      window.serviceSelectionModule?.showServiceSelectionModal(worktreeName);
+      break;
     case 'viewAllLogs':
       openCombinedLogs(worktreeName);
       break;
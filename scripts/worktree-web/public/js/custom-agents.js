@@ -0,0 +1,70 @@
+/**
+ * Custom Agents Module
+ * Adds launch buttons for agents declared in .vibe/config.json or ~/.vibetrees/agents
+ */
+
+const customAgents = new Map(); // name -> agent metadata from /api/agents
+
+/**
+ * Load custom agents and render their launch buttons
+ */
+export async function initCustomAgents() {
+  try {
+    const response = await fetch('/api/agents');
+    const agents = await response.json();
+
+    customAgents.clear();
+    for (const agent of agents.filter(a => a.custom)) {
+      customAgents.set(agent.name, agent);
+    }
+
+    renderLaunchButtons();
+  } catch (error) {
+    console.error('[custom-agents] Failed to load agents:', error);
+  }
+}
+
+/**
+ * Get metadata for a custom agent
+ * @param {string} name - Agent name
+ * @returns {Object|undefined}
+ */
+export function getCustomAgent(name) {
+  return customAgents.get(name);
+}
+
+/**
+ * Render one launch button per custom agent next to the built-in ones
+ */
+function renderLaunchButtons() {
+  const container = document.getElementById('custom-agent-buttons');
+  if (!container) return;
+
+  // Agent fields come from config files, so they are set as text, never as HTML
+  container.replaceChildren(...[...customAgents.values()].map(agent => {
+    const button = document.createElement('button');
+    button.className = `small ${agent.installed ? '' : 'unavailable'}`;
+    button.title = agent.installed ? `Open ${agent.displayName}` : `${agent.displayName} is not installed`;
+    button.addEventListener('click', () => window.openAgentForSelected(agent.name));
+
+    const icon = document.createElement('span');
+    icon.className = 'custom-agent-icon';
+    icon.textContent = agent.icon;
+    const text = document.createElement('span');
+    text.className = 'button-text';
+    text.textContent = agent.displayName;
+
+    button.append(icon, text);
+    return button;
+  }));
+}
+
+window.openAgentForSelected = function(agentName) {
+  const selected = window.selectionManager?.getSelected() || window.appState?.selectedWorktreeId;
+  if (selected) {
+    window.openTerminal(selected, agentName);
+  } else {
+    console.error('[openAgentForSelected] No worktree selected');
+    alert('Please select a worktree first');
+  }
+};
@@ -19,6 +19,8 @@ class DatabaseUI {
     const importBtn = document.getElementById('importBtn');
     const viewSchemaBtn = document.getElementById('viewSchemaBtn');
     const backupBtn = document.getElementById('backupDatabase');
+    const createSnapshotBtn = document.getElementById('createSnapshotBtn');
+    const snapshotList = document.getElementById('snapshotList');
 
     if (exportBtn) {
       exportBtn.addEventListener('click', () => this.handleExport());
@@ -32,12 +34,265 @@ class DatabaseUI {
     if (backupBtn) {
       backupBtn.addEventListener('click', () => this.handleBackup());
     }
+    if (createSnapshotBtn) {
+      createSnapshotBtn.addEventListener('click', () => this.handleCreateSnapshot());
+    }
+    if (snapshotList) {
+      snapshotList.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (button) {
+          this.handleSnapshotAction(button.dataset.action, button.dataset.snapshot);
+        }
+      });
+    }
   }
 
   setWorktree(worktreeName) {
     this.currentWorktree = worktreeName;
   }
 
+  snapshotUrl(snapshotName = '', suffix = '') {
+    const base = `/api/worktrees/${encodeURIComponent(this.currentWorktree)}/database/snapshots`;
+    return snapshotName ? `${base}/${encodeURIComponent(snapshotName)}${suffix}` : base;
+  }
+
+  async loadSnapshots() {
+    const list = document.getElementById('snapshotList');
+    if (!list || !this.currentWorktree) return;
+
+    this.populateRestoreTargets();
+
+    try {
+      const response = await fetch(this.snapshotUrl());
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load snapshots');
+      }
+
+      this.renderSnapshots(result.snapshots);
+    } catch (error) {
+      console.error('Snapshot list error:', error);
+      list.textContent = `Failed to load snapshots: ${error.message}`;
+    }
+  }
+
+  populateRestoreTargets() {
+    const select = document.getElementById('snapshotRestoreTarget');
+    if (!select) return;
+
+    const worktrees = window.appState?.getWorktrees?.() || [];
+    const names = worktrees.length ? worktrees.map(w => w.name) : [this.currentWorktree];
+
+    select.innerHTML = '';
+    for (const name of names) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name === this.currentWorktree ? `${name} (this worktree)` : name;
+      option.selected = name === this.currentWorktree;
+      select.appendChild(option);
+    }
+  }
+
+  renderSnapshots(snapshots) {
+    const list = document.getElementById('snapshotList');
+    list.innerHTML = '';
+
+    if (!snapshots.length) {
+      const empty = document.createElement('div');
+      empty.className = 'snapshot-empty';
+      empty.textContent = 'No snapshots yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    // Snapshots arrive newest first; size delta is relative to the next older one
+    snapshots.forEach((snapshot, index) => {
+      const older = snapshots[index + 1];
+      const item = document.createElement('div');
+      item.className = 'snapshot-item';
+
+      const info = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'snapshot-name';
+      name.textContent = snapshot.name;
+      for (const tag of snapshot.tags) {
+        const badge = document.createElement('span');
+        badge.className = 'snapshot-tag';
+        badge.textContent = tag;
+        name.append(' ', badge);
+      }
+
+      const meta = document.createElement('div');
+      meta.className = 'snapshot-meta';
+      meta.textContent = `${new Date(snapshot.createdAt).toLocaleString()} · ${this.formatSize(snapshot.size)}`;
+      if (older) {
+        const delta = snapshot.size - older.size;
+        const deltaSpan = document.createElement('span');
+        deltaSpan.className = `snapshot-delta ${delta > 0 ? 'grew' : delta < 0 ? 'shrank' : ''}`;
+        deltaSpan.textContent = ` (${delta >= 0 ? '+' : '-'}${this.formatSize(Math.abs(delta))} vs ${older.name})`;
+        meta.appendChild(deltaSpan);
+      }
+
+      info.append(name, meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'snapshot-actions';
+      for (const [action, label] of [['restore', 'Restore'], ['tag', 'Tags'], ['compare', 'Compare'], ['delete', 'Delete']]) {
+        const button = document.createElement('button');
+        button.dataset.action = action;
+        button.dataset.snapshot = snapshot.name;
+        button.textContent = label;
+        actions.appendChild(button);
+      }
+
+      item.append(info, actions);
+      list.appendChild(item);
+    });
+  }
+
+  async handleCreateSnapshot() {
+    if (!this.currentWorktree) {
+      alert('Please select a worktree first');
+      return;
+    }
+
+    const nameInput = document.getElementById('snapshotName');
+    const tagsInput = document.getElementById('snapshotTags');
+    const name = nameInput.value.trim();
+
+    if (!name) {
+      alert('Please enter a snapshot name');
+      return;
+    }
+
+    const button = document.getElementById('createSnapshotBtn');
+    const label = button.querySelector('span');
+    const originalText = label.textContent;
+    button.disabled = true;
+    label.textContent = 'Creating snapshot...';
+
+    try {
+      const response = await fetch(this.snapshotUrl(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, tags: tagsInput.value })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Snapshot failed');
+      }
+
+      nameInput.value = '';
+      tagsInput.value = '';
+      await this.loadSnapshots();
+    } catch (error) {
+      alert(`✗ Snapshot failed\n\n${error.message}`);
+    } finally {
+      button.disabled = false;
+      label.textContent = originalText;
+    }
+  }
+
+  async handleSnapshotAction(action, snapshotName) {
+    try {
+      if (action === 'restore') {
+        await this.restoreSnapshot(snapshotName);
+      } else if (action === 'tag') {
+        await this.tagSnapshot(snapshotName);
+      } else if (action === 'compare') {
+        await this.compareSnapshot(snapshotName);
+      } else if (action === 'delete') {
+        await this.deleteSnapshot(snapshotName);
+      }
+    } catch (error) {
+      console.error(`Snapshot ${action} error:`, error);
+      alert(`✗ ${error.message}`);
+    }
+  }
+
+  async restoreSnapshot(snapshotName) {
+    const target = document.getElementById('snapshotRestoreTarget').value || this.currentWorktree;
+
+    if (!confirm(`Restore snapshot "${snapshotName}" into ${target}?\n\nThe current ${target} database will be replaced (a backup is taken first).`)) {
+      return;
+    }
+
+    const response = await fetch(this.snapshotUrl(snapshotName, '/restore'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ target })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(`Restore failed: ${result.error}`);
+    }
+
+    const backupNote = result.safetyBackup ? `\nPrevious data backed up to ${result.safetyBackup.split('/').pop()}` : '';
+    alert(`✓ Restored "${snapshotName}" into ${target}${backupNote}`);
+  }
+
+  async tagSnapshot(snapshotName) {
+    const tags = prompt(`Tags for "${snapshotName}" (comma separated):`);
+    if (tags === null) return;
+
+    const response = await fetch(this.snapshotUrl(snapshotName), {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags: tags.split(',') })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update tags');
+    }
+
+    await this.loadSnapshots();
+  }
+
+  async compareSnapshot(snapshotName) {
+    const other = prompt(`Compare "${snapshotName}" against snapshot (use worktree/name for another worktree):`);
+    if (!other) return;
+
+    const [againstWorktree, against] = other.includes('/') ? other.split('/', 2) : [this.currentWorktree, other];
+    const params = new URLSearchParams({ against, worktree: againstWorktree });
+
+    const response = await fetch(`${this.snapshotUrl(snapshotName, '/compare')}?${params}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Comparison failed');
+    }
+
+    const sign = result.sizeDelta >= 0 ? '+' : '-';
+    const percent = result.percentChange === null ? '' : ` (${sign}${Math.abs(result.percentChange)}%)`;
+    alert(`${result.from.worktree}/${result.from.name}: ${this.formatSize(result.from.size)}\n` +
+      `${result.to.worktree}/${result.to.name}: ${this.formatSize(result.to.size)}\n\n` +
+      `Difference: ${sign}${this.formatSize(Math.abs(result.sizeDelta))}${percent}`);
+  }
+
+  async deleteSnapshot(snapshotName) {
+    if (!confirm(`Delete snapshot "${snapshotName}"?`)) return;
+
+    const response = await fetch(this.snapshotUrl(snapshotName), { method: 'DELETE' });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to delete snapshot');
+    }
+
+    await this.loadSnapshots();
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+
   async handleExport() {
     if (!this.currentWorktree) {
       alert('Please select a worktree first');
@@ -207,6 +462,7 @@ function showDatabaseModal(worktreeName) {
     dbUI.setWorktree(worktreeName);
   }
   document.getElementById('database-modal').classList.add('show');
+  dbUI.loadSnapshots();
 }
 
 function closeDatabaseModal() {
@@ -0,0 +1,210 @@
+/**
+ * Log Viewer Module
+ * Browse a worktree's aggregated container logs with service, level, time and
+ * text filters, and follow new records live
+ */
+
+import { escapeHtml } from './utils.js';
+
+const TAIL_INTERVAL = 2000; // ms between live tail polls
+const FILTER_DELAY = 250; // ms after the last keystroke in the text filter
+const MAX_RENDERED = 2000; // Oldest rows are removed past this while tailing
+
+let worktree = null;
+let lastId = 0;
+let tailTimer = null;
+let filterTimer = null;
+let loadToken = 0;
+
+/**
+ * Show the log viewer for a worktree
+ */
+export async function showLogViewer(worktreeName) {
+  worktree = worktreeName;
+  document.getElementById('log-viewer-modal').classList.add('active');
+  document.getElementById('log-viewer-title').textContent = `Logs: ${worktreeName}`;
+  document.getElementById('log-viewer-service').innerHTML = '<option value="">All services</option>';
+  await loadLogs();
+}
+
+/**
+ * Hide the log viewer and stop tailing
+ */
+export function hideLogViewer() {
+  document.getElementById('log-viewer-modal').classList.remove('active');
+  clearTimeout(tailTimer);
+  clearTimeout(filterTimer);
+  worktree = null;
+}
+
+/**
+ * Reload after a filter changed (text input is debounced)
+ */
+export function onFilterChange(debounce = false) {
+  clearTimeout(filterTimer);
+  if (debounce) {
+    filterTimer = setTimeout(loadLogs, FILTER_DELAY);
+  } else {
+    loadLogs();
+  }
+}
+
+/**
+ * Turn live tail on or off
+ */
+export function setLiveTail(enabled) {
+  clearTimeout(tailTimer);
+  if (enabled) {
+    scheduleTail();
+  }
+}
+
+/**
+ * Query parameters for the current filters
+ */
+function filterParams() {
+  const params = new URLSearchParams();
+  const service = document.getElementById('log-viewer-service').value;
+  const level = document.getElementById('log-viewer-level').value;
+  const range = Number(document.getElementById('log-viewer-range').value);
+  const text = document.getElementById('log-viewer-text').value.trim();
+
+  if (service) params.set('service', service);
+  if (level) params.set('level', level);
+  if (range) params.set('since', new Date(Date.now() - range * 60000).toISOString());
+  if (text) params.set('q', text);
+  return params;
+}
+
+async function fetchLogs(params) {
+  const response = await fetch(`/api/worktrees/${encodeURIComponent(worktree)}/logs?${params}`);
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || 'Failed to load logs');
+  }
+  return result;
+}
+
+/**
+ * Load the newest records matching the filters
+ */
+export async function loadLogs() {
+  if (!worktree) return;
+
+  clearTimeout(tailTimer);
+  const token = ++loadToken;
+  const container = document.getElementById('log-viewer-records');
+
+  try {
+    const result = await fetchLogs(filterParams());
+    if (token !== loadToken) return; // Filters changed while loading
+
+    lastId = result.lastId;
+    updateServices(result.services);
+    updateStatus(result);
+
+    if (result.records.length === 0) {
+      container.innerHTML = '<div class="tasks-empty">No log records match. Logs are collected while the worktree\'s services run.</div>';
+    } else {
+      container.innerHTML = result.records.map(renderRecord).join('');
+      container.scrollTop = container.scrollHeight;
+    }
+  } catch (error) {
+    container.innerHTML = `<div class="tasks-empty">${escapeHtml(error.message)}</div>`;
+  }
+
+  if (token === loadToken && document.getElementById('log-viewer-tail').checked) {
+    scheduleTail();
+  }
+}
+
+function scheduleTail() {
+  clearTimeout(tailTimer);
+  tailTimer = setTimeout(tail, TAIL_INTERVAL);
+}
+
+/**
+ * Append records stored since the last load or poll
+ */
+async function tail() {
+  if (!worktree) return;
+
+  const token = loadToken;
+  const container = document.getElementById('log-viewer-records');
+
+  try {
+    const params = filterParams();
+    params.delete('since');
+    params.set('after', lastId);
+    const result = await fetchLogs(params);
+    if (token !== loadToken || !worktree) return;
+
+    lastId = result.lastId;
+    updateServices(result.services);
+    updateStatus(result);
+
+    if (result.records.length > 0) {
+      const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 20;
+      container.querySelector('.tasks-empty')?.remove();
+      container.insertAdjacentHTML('beforeend', result.records.map(renderRecord).join(''));
+      while (container.children.length > MAX_RENDERED) {
+        container.firstElementChild.remove();
+      }
+      if (atBottom) {
+        container.scrollTop = container.scrollHeight;
+      }
+    }
+  } catch (error) {
+    console.error('[log-viewer] Live tail failed:', error);
+  }
+
+  if (token === loadToken && worktree && document.getElementById('log-viewer-tail').checked) {
+    scheduleTail();
+  }
+}
+
+/**
+ * Keep the service filter in step with the services seen so far
+ */
+function updateServices(services) {
+  const select = document.getElementById('log-viewer-service');
+  const known = [...select.options].map(option => option.value).filter(Boolean);
+  if (services.join() === known.join()) return;
+
+  const selected = select.value;
+  select.innerHTML = '<option value="">All services</option>' +
+    services.map(service => `<option value="${escapeHtml(service)}">${escapeHtml(service)}</option>`).join('');
+  select.value = services.includes(selected) ? selected : '';
+}
+
+function updateStatus(result) {
+  document.getElementById('log-viewer-status').textContent = result.collecting
+    ? 'Collecting logs from running containers'
+    : 'Not collecting: services are stopped';
+}
+
+function renderRecord(record) {
+  const time = new Date(record.timestamp);
+  const fields = record.fields && Object.keys(record.fields).length > 0
+    ? `<span class="log-fields">${Object.entries(record.fields).map(([key, value]) =>
+      `${escapeHtml(key)}=${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value))}`).join(' ')}</span>`
+    : '';
+
+  return `
+    <div class="log-record log-${record.level}">
+      <span class="log-time" title="${escapeHtml(time.toLocaleString())}">${time.toLocaleTimeString()}</span>
+      <span class="log-service">${escapeHtml(record.service)}</span>
+      <span class="log-level">${record.level.toUpperCase()}</span>
+      <span class="log-message">${escapeHtml(record.message)}${fields}</span>
+    </div>
+  `;
+}
+
+// Export to global scope
+window.logViewerModule = {
+  showLogViewer,
+  hideLogViewer,
+  loadLogs,
+  onFilterChange,
+  setLiveTail
+};
@@ -0,0 +1,66 @@
+/**
+ * Login Page
+ * Signs in with username and password, or creates the first admin account
+ * with the setup code printed in the server console
+ */
+
+let setupMode = false;
+
+async function init() {
+  const status = await (await fetch('/api/auth/status')).json();
+
+  // Nothing to do here when accounts are off or the user is already signed in
+  if (!status.enabled || status.user) {
+    window.location.replace('/');
+    return;
+  }
+
+  setupMode = status.setupRequired;
+  if (setupMode) {
+    document.getElementById('login-title').textContent = 'Create the admin account';
+    document.getElementById('setup-code-group').style.display = 'block';
+    document.getElementById('login-password').autocomplete = 'new-password';
+    document.getElementById('login-submit').textContent = 'Create account';
+  }
+
+  document.getElementById('login-form').addEventListener('submit', submit);
+}
+
+async function submit(event) {
+  event.preventDefault();
+
+  const error = document.getElementById('login-error');
+  const button = document.getElementById('login-submit');
+  error.style.display = 'none';
+  button.disabled = true;
+
+  const body = {
+    username: document.getElementById('login-username').value.trim(),
+    password: document.getElementById('login-password').value
+  };
+  if (setupMode) {
+    body.code = document.getElementById('setup-code').value.trim();
+  }
+
+  try {
+    const response = await fetch(setupMode ? '/api/auth/setup' : '/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Sign in failed');
+    }
+
+    const next = new URLSearchParams(window.location.search).get('next');
+    window.location.replace(next && next.startsWith('/') && !next.startsWith('//') ? next : '/');
+  } catch (err) {
+    error.textContent = err.message;
+    error.style.display = 'block';
+    button.disabled = false;
+  }
+}
+
+init();
@@ -3,6 +3,7 @@
  * Initializes all modules and wires them together
  */
 
+import './auth.js'; // Import first: redirects to the login page when signed out
 import { appState } from './state.js';
 import { connectWebSocket } from './websockets.js';
 import { initSidebar, renderWorktrees } from './sidebar.js';
@@ -12,6 +13,8 @@ import { initTerminals } from './terminals.js';
 import { initPerformanceMetrics } from './performance-metrics.js';
 import { pollingManager } from './polling.js';
 import { initStatusBar } from './status-bar.js';
+import { initResources } from './resources.js';
+import { initCustomAgents } from './custom-agents.js';
 import './modals.js'; // Import for side effects (global exports)
 import './projects.js'; // Import for side effects (project management)
 import './context-menu-actions.js'; // Import for side effects (global exports)
@@ -19,6 +22,14 @@ import './service-actions.js'; // Import for side effects (global exports)
 import './update-notifications.js'; // Import for side effects (toast notifications)
 import './conflict-ui.js'; // Import for side effects (conflict resolution)
 import './sync-ui.js'; // Import for side effects (sync UI)
+import './tasks.js'; // Import for side effects (headless agent tasks)
+import './recordings.js'; // Import for side effects (terminal recording player)
+import './service-selection.js'; // Import for side effects (per-worktree service selection)
+import './log-viewer.js'; // Import for side effects (aggregated container log viewer)
+import './terminal-search.js'; // Import for side effects (terminal output search palette)
+import './agent-status.js'; // Import for side effects (agent state badges and notifications)
+import './review.js'; // Import for side effects (diff review)
+import './pull-requests.js'; // Import for side effects (pull request modal)
 
 // Make appState globally available for synchronization
 window.appState = appState;
@@ -73,6 +84,8 @@ function initApp() {
   initTerminals();
   initPerformanceMetrics();
   initStatusBar();
+  initResources();
+  initCustomAgents();
 
   // Update browser title when worktree selection changes
   appState.on('worktree:selected', (worktreeId) => {
@@ -109,9 +122,9 @@ function initApp() {
   window.refreshWorktrees();
   console.log(`[main] Initial data load started at ${performance.now().toFixed(0)}ms`);
 
-  // Start automatic polling
+  // Fallback polling, only while the WebSocket is down (changes are pushed otherwise)
   pollingManager.start();
-  console.log('[main] Automatic polling started');
+  console.log('[main] Fallback polling started');
 }
 
 // Helper functions for agent launch buttons
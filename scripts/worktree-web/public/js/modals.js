@@ -6,6 +6,7 @@
  */
 
 import { showSpinner, hideSpinner } from './spinner.js';
+import { escapeHtml } from './utils.js';
 
 // Initialize branch selector
 let branchSelector = null;
@@ -13,6 +14,11 @@ let branchSelector = null;
 // Initialize agent selector
 let agentSelector = null;
 
+// Presets from .vibe/config.json, loaded when the create modal opens
+let presets = [];
+
+const DEFAULT_PRESET_NOTE = 'All services will be included and the database will be copied from the main worktree.';
+
 // Track current modal state for proper lifecycle management
 let currentModalState = 'idle';
 
@@ -159,6 +165,58 @@ export function showCreateModal() {
   if (branchSelector && document.getElementById('existing-branch-tab').classList.contains('active')) {
     branchSelector.load();
   }
+
+  loadPresets();
+}
+
+/**
+ * Fill the preset dropdown (hidden when the project defines no presets)
+ */
+async function loadPresets() {
+  try {
+    const response = await fetch('/api/presets');
+    presets = await response.json();
+  } catch (error) {
+    console.warn('[showCreateModal] Could not load presets:', error.message);
+    presets = [];
+  }
+
+  const select = document.getElementById('preset-select');
+  select.innerHTML = '<option value="">Default</option>' + presets.map(preset =>
+    `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.name)}</option>`
+  ).join('');
+  document.getElementById('preset-group').style.display = presets.length > 0 ? 'block' : 'none';
+  selectCreatePreset('');
+}
+
+/**
+ * Describe the selected preset and switch to its default agent
+ */
+export function selectCreatePreset(name) {
+  const preset = presets.find(p => p.name === name);
+  const note = document.getElementById('preset-note');
+
+  if (!preset) {
+    note.textContent = DEFAULT_PRESET_NOTE;
+    return;
+  }
+
+  let services = 'All services will be included';
+  if (preset.services?.length === 0) {
+    services = 'No services will be started';
+  } else if (preset.services) {
+    services = `Only ${preset.services.join(', ')} will be started`;
+  }
+  const data = {
+    database: 'the database will be copied from the main worktree',
+    volumes: 'data volumes will be copied from the main worktree',
+    none: 'no data will be copied'
+  }[preset.data];
+  note.textContent = `${preset.description ? `${preset.description}. ` : ''}${services} and ${data}.`;
+
+  if (preset.agent && agentSelector) {
+    agentSelector.selectAgent(preset.agent);
+  }
 }
 
 /**
@@ -172,6 +230,8 @@ export function hideCreateModal() {
   document.getElementById('branch-name').value = '';
   document.getElementById('from-branch').value = 'main';
   document.getElementById('worktree-name').value = '';
+  document.getElementById('preset-select').value = '';
+  document.getElementById('preset-note').textContent = DEFAULT_PRESET_NOTE;
 
   // Reset to "New Branch" tab
   switchCreateTab('new-branch');
@@ -260,8 +320,9 @@ export async function createWorktree(event, force = false) {
                    BranchSelector.branchToWorktreeName(branchName);
   }
 
-  // Get selected agent
+  // Get selected agent and preset
   const selectedAgent = agentSelector?.getSelectedAgentName() || 'claude';
+  const selectedPreset = document.getElementById('preset-select').value;
 
   // Mark request as in-flight before any async operations
   createInFlight = true;
@@ -283,6 +344,9 @@ export async function createWorktree(event, force = false) {
     if (fromBranch) {
       payload.fromBranch = fromBranch;
     }
+    if (selectedPreset) {
+      payload.preset = selectedPreset;
+    }
 
     const url = force ? '/api/worktrees?force=true' : '/api/worktrees';
 
@@ -691,6 +755,7 @@ window.showCreateModal = showCreateModal;
 window.hideCreateModal = hideCreateModal;
 window.createWorktree = createWorktree;
 window.switchCreateTab = switchCreateTab;
+window.selectCreatePreset = selectCreatePreset;
 window.toggleProgressLogs = toggleProgressLogs;
 window.setModalState = setModalState;
 window.showToast = showToast; // CRITICAL: Export for websockets.js usage
@@ -1,6 +1,8 @@
 /**
  * Polling Manager
- * Handles automatic worktree data refresh with smart visibility detection
+ * Fallback worktree refresh for when the WebSocket is down. While it is
+ * connected the server pushes worktree changes (worktree:updated), so
+ * nothing is polled.
  */
 
 class PollingManager {
@@ -9,6 +11,7 @@ class PollingManager {
     this.HIDDEN_INTERVAL = 300000;    // 5 minutes when tab is hidden
     this.intervalId = null;
     this.isPolling = false;
+    this.connected = false;
     this.currentInterval = this.VISIBLE_INTERVAL;
     this.terminalFocused = false;
 
@@ -17,21 +20,20 @@ class PollingManager {
   }
 
   /**
-   * Start polling with smart visibility detection
+   * Start the fallback (polls only while the WebSocket is disconnected)
    */
   start() {
     if (this.isPolling) {
-      console.log('[PollingManager] Already polling');
+      console.log('[PollingManager] Already started');
       return;
     }
 
-    console.log('[PollingManager] Starting polling');
+    console.log('[PollingManager] Starting fallback polling');
     this.isPolling = true;
 
     // Set up visibility change listener
     document.addEventListener('visibilitychange', this.handleVisibilityChange);
 
-    // Start initial polling based on current visibility
     this.adjustPollingRate();
   }
 
@@ -41,60 +43,59 @@ class PollingManager {
   stop() {
     console.log('[PollingManager] Stopping polling');
     this.isPolling = false;
-
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
+    this.stopInterval();
 
     document.removeEventListener('visibilitychange', this.handleVisibilityChange);
   }
 
+  /**
+   * Called by the WebSocket module when the connection opens or closes
+   * @param {boolean} connected
+   */
+  setConnected(connected) {
+    this.connected = connected;
+    if (this.isPolling) {
+      this.adjustPollingRate();
+    }
+  }
+
   /**
    * Handle visibility change events
    */
   handleVisibilityChange() {
-    if (document.hidden) {
-      console.log('[PollingManager] Tab hidden, switching to slow polling (2min)');
-      this.currentInterval = this.HIDDEN_INTERVAL;
-    } else {
-      console.log('[PollingManager] Tab visible, switching to fast polling (15s) + immediate refresh');
-      this.currentInterval = this.VISIBLE_INTERVAL;
-
-      // Immediate refresh when tab becomes visible
+    if (!document.hidden && !this.connected) {
+      // Immediate refresh when tab becomes visible while updates are not pushed
       this.forceRefresh();
     }
 
-    // Restart polling with new interval
-    this.restartPolling();
+    this.adjustPollingRate();
   }
 
   /**
-   * Restart polling with current interval
+   * @private
    */
-  restartPolling() {
+  stopInterval() {
     if (this.intervalId) {
       clearInterval(this.intervalId);
+      this.intervalId = null;
     }
-
-    this.intervalId = setInterval(() => {
-      this.refresh();
-    }, this.currentInterval);
   }
 
   /**
-   * Adjust polling rate based on current visibility
+   * Poll while disconnected, at a rate based on current visibility
    */
   adjustPollingRate() {
-    if (document.hidden) {
-      this.currentInterval = this.HIDDEN_INTERVAL;
-      console.log('[PollingManager] Starting with slow polling (tab hidden)');
-    } else {
-      this.currentInterval = this.VISIBLE_INTERVAL;
-      console.log('[PollingManager] Starting with fast polling (tab visible)');
+    this.stopInterval();
+    if (this.connected) {
+      return;
     }
 
-    this.restartPolling();
+    this.currentInterval = document.hidden ? this.HIDDEN_INTERVAL : this.VISIBLE_INTERVAL;
+    console.log(`[PollingManager] WebSocket down, polling every ${this.currentInterval / 1000}s`);
+
+    this.intervalId = setInterval(() => {
+      this.refresh();
+    }, this.currentInterval);
   }
 
   /**
@@ -0,0 +1,130 @@
+/**
+ * Pull Requests Module
+ * "Push & open PR" modal and the PR badge shown on worktree cards
+ */
+
+import { escapeHtml } from './utils.js';
+
+let currentWorktree = null;
+
+const CHECK_ICONS = {
+  passing: '✓',
+  failing: '✗',
+  pending: '●',
+  none: ''
+};
+
+const REVIEW_LABELS = {
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes requested',
+  REVIEW_REQUIRED: 'review required'
+};
+
+/**
+ * Render the PR badge for a worktree card
+ * @param {Object|null} pr - PR summary from /api/worktrees
+ * @returns {string} HTML ('' when the worktree has no PR)
+ */
+export function renderPullRequestBadge(pr) {
+  if (!pr) return '';
+
+  const state = pr.isDraft ? 'draft' : pr.state.toLowerCase();
+  const review = REVIEW_LABELS[pr.review] || '';
+  const checks = pr.checks.state !== 'none'
+    ? `<span class="pr-checks ${pr.checks.state}" title="Checks: ${pr.checks.passed} passed, ${pr.checks.failed} failed, ${pr.checks.pending} pending">${CHECK_ICONS[pr.checks.state]}</span>`
+    : '';
+
+  return `
+    <a class="pr-badge ${state}" href="${escapeHtml(pr.url)}" target="_blank" onclick="event.stopPropagation();"
+       title="${escapeHtml(pr.title)} (${state}${review ? `, ${review}` : ''})">
+      <i data-lucide="git-pull-request" class="lucide-sm"></i>#${pr.number}
+      ${checks}
+      ${review ? `<span class="pr-review ${pr.review.toLowerCase()}">${review}</span>` : ''}
+    </a>
+  `;
+}
+
+/**
+ * Open the "Push & open PR" modal with title and body prefilled from commits
+ */
+export async function showPullRequestModal(worktreeName) {
+  currentWorktree = worktreeName;
+
+  const modal = document.getElementById('pr-modal');
+  const title = document.getElementById('pr-title');
+  const body = document.getElementById('pr-body');
+  const info = document.getElementById('pr-info');
+  const error = document.getElementById('pr-error');
+
+  title.value = '';
+  body.value = '';
+  info.textContent = 'Loading commits...';
+  error.style.display = 'none';
+  document.getElementById('pr-draft').checked = false;
+  modal.classList.add('active');
+
+  try {
+    const response = await fetch(`/api/worktrees/${encodeURIComponent(worktreeName)}/pr/draft`);
+    const draft = await response.json();
+    if (!response.ok) {
+      throw new Error(draft.error || 'Failed to load commits');
+    }
+
+    title.value = draft.title;
+    body.value = draft.body;
+    info.textContent = `${draft.branch} → ${draft.base} · ${draft.commits.length} commit(s)`;
+  } catch (err) {
+    info.textContent = '';
+    error.style.display = 'block';
+    error.textContent = err.message;
+  }
+}
+
+export function hidePullRequestModal() {
+  document.getElementById('pr-modal').classList.remove('active');
+  currentWorktree = null;
+}
+
+/**
+ * Push the branch and create the PR
+ */
+export async function submitPullRequest() {
+  const button = document.getElementById('pr-submit');
+  const error = document.getElementById('pr-error');
+
+  button.disabled = true;
+  error.style.display = 'none';
+
+  try {
+    const response = await fetch(`/api/worktrees/${encodeURIComponent(currentWorktree)}/pr`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: document.getElementById('pr-title').value,
+        body: document.getElementById('pr-body').value,
+        draft: document.getElementById('pr-draft').checked
+      })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to open pull request');
+    }
+
+    hidePullRequestModal();
+    window.open(result.url, '_blank');
+    window.refreshWorktrees?.();
+  } catch (err) {
+    error.style.display = 'block';
+    error.textContent = err.message;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Export to global scope
+window.pullRequestsModule = {
+  showPullRequestModal,
+  hidePullRequestModal,
+  submitPullRequest
+};
@@ -0,0 +1,350 @@
+/**
+ * Recordings Module
+ * List terminal recordings (asciicast v2) and replay them with seek and speed controls
+ */
+
+import { escapeHtml } from './utils.js';
+
+const IDLE_LIMIT = 2; // Seconds; longer pauses are shortened when "Skip idle time" is on
+
+let worktreeFilter = null;
+let player = null;
+
+/**
+ * Show the recordings modal, optionally for one worktree
+ */
+export async function showRecordingsModal(worktreeName = null) {
+  worktreeFilter = worktreeName;
+  document.getElementById('recordings-modal').classList.add('active');
+  document.getElementById('recordings-title').textContent = worktreeName ? `Recordings: ${worktreeName}` : 'Recordings';
+  await refreshRecordings();
+}
+
+/**
+ * Hide the recordings modal and stop playback
+ */
+export function hideRecordingsModal() {
+  document.getElementById('recordings-modal').classList.remove('active');
+  closePlayer();
+}
+
+/**
+ * Reload the recording list
+ */
+export async function refreshRecordings() {
+  const list = document.getElementById('recordings-list');
+
+  try {
+    const query = worktreeFilter ? `?worktree=${encodeURIComponent(worktreeFilter)}` : '';
+    const response = await fetch(`/api/recordings${query}`);
+    const recordings = await response.json();
+
+    if (recordings.length === 0) {
+      list.innerHTML = '<div class="tasks-empty">No recordings yet. Use Record above a terminal, or set "recording.enabled" in .vibe/config.json.</div>';
+      return;
+    }
+
+    list.innerHTML = recordings.map(recording => `
+      <div class="recording-item" data-worktree="${escapeHtml(recording.worktree)}" data-id="${escapeHtml(recording.id)}">
+        ${recording.active ? '<span class="task-status running">recording</span>' : ''}
+        <span class="task-worktree">${escapeHtml(recording.worktree)}</span>
+        <span class="recording-agent">${escapeHtml(recording.agent || '')}</span>
+        <span class="task-time">${recording.startedAt ? new Date(recording.startedAt).toLocaleString() : ''}</span>
+        <span class="task-time">${formatTime(recording.duration)} · ${formatSize(recording.size)}</span>
+        <span class="recording-actions">
+          <button class="small" data-action="play" title="Play"><i data-lucide="play" class="lucide-sm"></i></button>
+          <button class="small" data-action="download" title="Download .cast"><i data-lucide="download" class="lucide-sm"></i></button>
+          <button class="small" data-action="export" title="Export as plain text"><i data-lucide="file-text" class="lucide-sm"></i></button>
+          ${recording.active ? '' : '<button class="small" data-action="delete" title="Delete"><i data-lucide="trash-2" class="lucide-sm"></i></button>'}
+        </span>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.recording-item').forEach(item => {
+      const { worktree, id } = item.dataset;
+      const url = `/api/recordings/${encodeURIComponent(worktree)}/${encodeURIComponent(id)}`;
+
+      item.querySelector('[data-action="play"]').addEventListener('click', () => openPlayer(url));
+      item.querySelector('[data-action="download"]').addEventListener('click', () => {
+        window.location.href = `${url}?download=1`;
+      });
+      item.querySelector('[data-action="export"]').addEventListener('click', () => {
+        window.location.href = `${url}/export`;
+      });
+      item.querySelector('[data-action="delete"]')?.addEventListener('click', () => deleteRecording(url));
+    });
+
+    if (window.lucide) window.lucide.createIcons();
+  } catch (error) {
+    console.error('[recordings] Failed to load recordings:', error);
+    list.innerHTML = `<div class="tasks-empty">Failed to load recordings: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Delete a recording after confirmation
+ */
+async function deleteRecording(url) {
+  if (!confirm('Delete this recording?')) return;
+
+  try {
+    const response = await fetch(url, { method: 'DELETE' });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Could not delete recording');
+    }
+  } catch (error) {
+    alert(error.message);
+  }
+
+  await refreshRecordings();
+}
+
+/**
+ * Parse an asciicast v2 file
+ * @param {string} text - File contents
+ * @returns {{header: Object, events: Array<[number, string, string]>}}
+ */
+export function parseCast(text) {
+  const lines = text.split('\n').filter(Boolean);
+  const header = JSON.parse(lines[0]);
+  const events = [];
+
+  for (const line of lines.slice(1)) {
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      // The last line of a recording still being written may be incomplete
+    }
+  }
+
+  return { header, events };
+}
+
+/**
+ * Event times with pauses longer than idleLimit shortened to it
+ * @param {Array} events - asciicast events
+ * @param {number|null} idleLimit - Seconds, or null to keep real time
+ * @returns {number[]}
+ */
+export function playbackTimes(events, idleLimit) {
+  const times = [];
+  let previous = 0;
+  let shifted = 0;
+
+  for (const [time] of events) {
+    const gap = time - previous;
+    shifted += idleLimit === null ? gap : Math.min(gap, idleLimit);
+    times.push(shifted);
+    previous = time;
+  }
+
+  return times;
+}
+
+/**
+ * Load a recording into the player
+ */
+async function openPlayer(url) {
+  closePlayer();
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error('Recording not found');
+    }
+    const { header, events } = parseCast(await response.text());
+
+    const container = document.getElementById('recording-player');
+    container.style.display = 'block';
+    const screen = container.querySelector('.recording-screen');
+    screen.innerHTML = '';
+
+    const terminal = new Terminal({
+      cols: header.width,
+      rows: header.height,
+      fontSize: 12,
+      fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+      theme: { background: '#000000', foreground: '#d4d4d4' },
+      disableStdin: true,
+      scrollback: 5000
+    });
+    terminal.open(screen);
+
+    player = {
+      header,
+      events,
+      terminal,
+      times: [],
+      duration: 0,
+      index: 0, // Next event to write
+      position: 0, // Seconds of (shortened) playback time
+      playing: false,
+      frame: null,
+      lastTick: null
+    };
+
+    applyIdleSetting();
+    play();
+  } catch (error) {
+    alert(`Failed to load recording: ${error.message}`);
+  }
+}
+
+/**
+ * Stop playback and dispose the player terminal
+ */
+export function closePlayer() {
+  if (!player) return;
+
+  pause();
+  player.terminal.dispose();
+  player = null;
+  document.getElementById('recording-player').style.display = 'none';
+}
+
+/**
+ * Recompute the timeline after "Skip idle time" changes, keeping the current event
+ */
+export function applyIdleSetting() {
+  if (!player) return;
+
+  const skipIdle = document.getElementById('recording-skip-idle').checked;
+  player.times = playbackTimes(player.events, skipIdle ? IDLE_LIMIT : null);
+  player.duration = player.times.length > 0 ? player.times[player.times.length - 1] : 0;
+  player.position = player.index > 0 ? player.times[player.index - 1] : 0;
+
+  document.getElementById('recording-seek').max = player.duration;
+  updateProgress();
+}
+
+/**
+ * Write events up to the current position
+ */
+function writeUntil(position) {
+  let output = '';
+
+  while (player.index < player.events.length && player.times[player.index] <= position) {
+    const [, type, data] = player.events[player.index];
+    if (type === 'o') {
+      output += data;
+    } else if (type === 'r') {
+      // Flush before resizing so earlier output lands at the old size
+      player.terminal.write(output);
+      output = '';
+      const [cols, rows] = data.split('x').map(Number);
+      if (cols && rows) player.terminal.resize(cols, rows);
+    }
+    player.index++;
+  }
+
+  if (output) player.terminal.write(output);
+}
+
+function tick(now) {
+  if (!player?.playing) return;
+
+  const speed = Number(document.getElementById('recording-speed').value) || 1;
+  player.position = Math.min(player.duration, player.position + ((now - player.lastTick) / 1000) * speed);
+  player.lastTick = now;
+  writeUntil(player.position);
+  updateProgress();
+
+  if (player.index >= player.events.length) {
+    pause();
+    return;
+  }
+  player.frame = requestAnimationFrame(tick);
+}
+
+/**
+ * Start or continue playback (from the start once finished)
+ */
+export function play() {
+  if (!player || player.playing) return;
+
+  if (player.index >= player.events.length) {
+    seek(0);
+  }
+  player.playing = true;
+  player.lastTick = performance.now();
+  player.frame = requestAnimationFrame(tick);
+  updatePlayButton();
+}
+
+/**
+ * Pause playback
+ */
+export function pause() {
+  if (!player) return;
+
+  player.playing = false;
+  cancelAnimationFrame(player.frame);
+  player.frame = null;
+  updatePlayButton();
+}
+
+/**
+ * Toggle between playing and paused
+ */
+export function togglePlay() {
+  if (player?.playing) {
+    pause();
+  } else {
+    play();
+  }
+}
+
+/**
+ * Jump to a position by replaying everything before it
+ * @param {number} position - Seconds of playback time
+ */
+export function seek(position) {
+  if (!player) return;
+
+  player.terminal.reset();
+  player.terminal.resize(player.header.width, player.header.height);
+  player.index = 0;
+  player.position = Math.max(0, Math.min(Number(position), player.duration));
+  writeUntil(player.position);
+  updateProgress();
+}
+
+function updateProgress() {
+  if (!player) return;
+
+  document.getElementById('recording-seek').value = player.position;
+  document.getElementById('recording-time').textContent = `${formatTime(player.position)} / ${formatTime(player.duration)}`;
+}
+
+function updatePlayButton() {
+  document.getElementById('recording-play').innerHTML = player?.playing
+    ? '<i data-lucide="pause" class="lucide-sm"></i>'
+    : '<i data-lucide="play" class="lucide-sm"></i>';
+  if (window.lucide) window.lucide.createIcons();
+}
+
+function formatTime(seconds = 0) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(hours ? 2 : 1, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Export to global scope
+window.recordingsModule = {
+  showRecordingsModal,
+  hideRecordingsModal,
+  refreshRecordings,
+  closePlayer,
+  togglePlay,
+  seek,
+  applyIdleSetting
+};
@@ -0,0 +1,122 @@
+/**
+ * Resource Usage Module
+ * Polls live container CPU/memory usage and renders it in sidebar cards
+ */
+
+import { appState } from './state.js';
+
+const VISIBLE_INTERVAL = 10000; // 10 seconds when tab is visible
+let intervalId = null;
+
+/**
+ * Start polling /api/resources while the tab is visible
+ */
+export function initResources() {
+  appState.on('resources:updated', updateResourceElements);
+  appState.on('worktrees:updated', updateResourceElements);
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      stopPolling();
+    } else {
+      startPolling();
+    }
+  });
+
+  if (!document.hidden) {
+    startPolling();
+  }
+}
+
+function startPolling() {
+  if (intervalId) return;
+  refreshResources();
+  intervalId = setInterval(refreshResources, VISIBLE_INTERVAL);
+}
+
+function stopPolling() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+}
+
+/**
+ * Fetch resource usage and update state
+ */
+export async function refreshResources() {
+  try {
+    const response = await fetch('/api/resources');
+    const data = await response.json();
+    if (data.success) {
+      appState.updateResourceUsage(data);
+    }
+  } catch (error) {
+    console.error('[resources] Failed to fetch resource usage:', error);
+  }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Get usage for a worktree from the latest sample
+ * @param {string} worktreeName
+ * @returns {Object|null} Usage with at least one container, or null
+ */
+export function getWorktreeUsage(worktreeName) {
+  const usage = appState.resourceUsage?.worktrees?.[worktreeName];
+  return usage && usage.services.length > 0 ? usage : null;
+}
+
+/**
+ * Summary line ("12.5% CPU · 512 MB / 4.0 GB")
+ * @param {Object} usage - Worktree usage from /api/resources
+ * @returns {string}
+ */
+export function formatUsage(usage) {
+  const memory = usage.limits?.memoryBytes
+    ? `${formatBytes(usage.memoryBytes)} / ${formatBytes(usage.limits.memoryBytes)}`
+    : formatBytes(usage.memoryBytes);
+  const cpu = usage.limits?.cpus
+    ? `${usage.cpuPercent.toFixed(1)}% of ${usage.limits.cpus} CPU`
+    : `${usage.cpuPercent.toFixed(1)}% CPU`;
+  return `${cpu} · ${memory}`;
+}
+
+/**
+ * Per-container breakdown for tooltips
+ * @param {Object} usage - Worktree usage from /api/resources
+ * @returns {string}
+ */
+export function formatUsageTooltip(usage) {
+  const lines = usage.services.map(s => `${s.name}: ${s.cpuPercent.toFixed(1)}% CPU, ${formatBytes(s.memoryBytes)}`);
+  return lines.join('\n');
+}
+
+/**
+ * Fill the .resource-usage placeholders rendered in sidebar cards
+ */
+function updateResourceElements() {
+  document.querySelectorAll('.resource-usage[data-worktree]').forEach(el => {
+    const usage = getWorktreeUsage(el.dataset.worktree);
+    if (!usage) {
+      el.style.display = 'none';
+      return;
+    }
+
+    const memoryRatio = usage.limits?.memoryBytes ? usage.memoryBytes / usage.limits.memoryBytes : 0;
+    el.classList.toggle('near-limit', memoryRatio >= 0.9);
+    el.textContent = formatUsage(usage);
+    el.title = formatUsageTooltip(usage);
+    el.style.display = '';
+  });
+}
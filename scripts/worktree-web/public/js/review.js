@@ -0,0 +1,328 @@
+/**
+ * Review Module
+ * Diff viewer for a worktree with hunk staging, discarding and committing
+ */
+
+import { appState } from './state.js';
+import { escapeHtml } from './utils.js';
+
+const review = {
+  worktree: null,
+  mode: 'unstaged', // unstaged | staged | base
+  layout: 'unified', // unified | split
+  diff: null,
+  selectedPath: null
+};
+
+/**
+ * Open the review modal for a worktree
+ */
+export async function showReviewModal(worktreeName = null) {
+  review.worktree = worktreeName || appState.selectedWorktreeId;
+  if (!review.worktree) {
+    alert('Please select a worktree first');
+    return;
+  }
+
+  const modal = document.getElementById('review-modal');
+  modal.querySelector('.review-worktree').textContent = review.worktree;
+  modal.classList.add('active');
+
+  await loadDiff();
+}
+
+/**
+ * Close the review modal
+ */
+export function hideReviewModal() {
+  document.getElementById('review-modal').classList.remove('active');
+  review.diff = null;
+  review.selectedPath = null;
+}
+
+/**
+ * Switch between working tree, staged and base-branch diffs
+ */
+export async function setMode(mode) {
+  review.mode = mode;
+  await loadDiff();
+}
+
+/**
+ * Switch between unified and split layouts
+ */
+export function setLayout(layout) {
+  review.layout = layout;
+  renderDiff();
+}
+
+/**
+ * Fetch the diff for the current mode and render it
+ */
+async function loadDiff() {
+  const fileList = document.getElementById('review-files');
+  fileList.innerHTML = '<div class="review-empty">Loading...</div>';
+
+  try {
+    const response = await fetch(`/api/worktrees/${encodeURIComponent(review.worktree)}/diff?mode=${review.mode}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load diff');
+    }
+
+    review.diff = data;
+    const paths = allPaths();
+    if (!paths.includes(review.selectedPath)) {
+      review.selectedPath = paths[0] || null;
+    }
+
+    renderFileList();
+    renderDiff();
+  } catch (error) {
+    fileList.innerHTML = `<div class="error-box">${escapeHtml(error.message)}</div>`;
+    document.getElementById('review-diff').innerHTML = '';
+  }
+}
+
+/**
+ * Render the list of changed files
+ */
+function renderFileList() {
+  const fileList = document.getElementById('review-files');
+  const { files, untracked } = review.diff;
+
+  if (files.length === 0 && untracked.length === 0) {
+    fileList.innerHTML = '<div class="review-empty">No changes</div>';
+    return;
+  }
+
+  const item = (path, index, stats) => `
+    <div class="review-file ${path === review.selectedPath ? 'selected' : ''}"
+         onclick="window.reviewModule.selectFile(${index})" title="${escapeHtml(path)}">
+      <span class="review-file-path">${escapeHtml(path)}</span>
+      ${stats}
+    </div>
+  `;
+
+  fileList.innerHTML = [
+    ...files.map((file, index) => item(file.path, index,
+      `<span class="review-stat"><span class="diff-add">+${file.additions}</span> <span class="diff-del">-${file.deletions}</span></span>`)),
+    ...untracked.map((path, index) => item(path, files.length + index, '<span class="review-stat untracked">new</span>'))
+  ].join('');
+}
+
+/**
+ * Paths of all changed files, tracked first; list items refer to files by index
+ */
+function allPaths() {
+  return [...review.diff.files.map(file => file.path), ...review.diff.untracked];
+}
+
+export function selectFile(index) {
+  review.selectedPath = allPaths()[index];
+  renderFileList();
+  renderDiff();
+}
+
+/**
+ * Render the selected file's diff with per-file and per-hunk actions
+ */
+function renderDiff() {
+  const container = document.getElementById('review-diff');
+  if (!review.diff || !review.selectedPath) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const path = review.selectedPath;
+  const file = review.diff.files.find(f => f.path === path);
+
+  if (!file) {
+    // Untracked file: no diff, only whole-file actions
+    container.innerHTML = `
+      <div class="review-file-header">
+        <span>${escapeHtml(path)} <em>(untracked)</em></span>
+        ${fileActions()}
+      </div>
+    `;
+    return;
+  }
+
+  const hunks = file.binary
+    ? '<div class="review-empty">Binary file</div>'
+    : file.hunks.map((hunk, index) => `
+      <div class="review-hunk">
+        <div class="review-hunk-header">
+          <span>${escapeHtml(hunk.header)}</span>
+          ${hunkActions(index)}
+        </div>
+        ${review.layout === 'split' ? renderSplit(hunk) : renderUnified(hunk)}
+      </div>
+    `).join('');
+
+  container.innerHTML = `
+    <div class="review-file-header">
+      <span>${escapeHtml(path)} <em>(${file.status})</em></span>
+      ${fileActions()}
+    </div>
+    ${hunks}
+  `;
+}
+
+/**
+ * Buttons for whole-file actions in the current mode
+ */
+function fileActions() {
+  if (review.mode === 'staged') {
+    return '<button class="small" onclick="window.reviewModule.runAction(\'unstage\')">Unstage file</button>';
+  }
+  if (review.mode === 'unstaged') {
+    return `
+      <span class="review-actions">
+        <button class="small" onclick="window.reviewModule.runAction('stage')">Stage file</button>
+        <button class="small danger" onclick="window.reviewModule.runAction('discard')">Discard file</button>
+      </span>
+    `;
+  }
+  return '';
+}
+
+/**
+ * Buttons for hunk actions in the current mode (read-only against the base branch)
+ */
+function hunkActions(hunkIndex) {
+  if (review.mode === 'staged') {
+    return `<button class="small" onclick="window.reviewModule.runAction('unstage', ${hunkIndex})">Unstage hunk</button>`;
+  }
+  if (review.mode === 'unstaged') {
+    return `
+      <span class="review-actions">
+        <button class="small" onclick="window.reviewModule.runAction('stage', ${hunkIndex})">Stage hunk</button>
+        <button class="small danger" onclick="window.reviewModule.runAction('discard', ${hunkIndex})">Discard hunk</button>
+      </span>
+    `;
+  }
+  return '';
+}
+
+function lineNumber(value) {
+  return `<span class="review-ln">${value ?? ''}</span>`;
+}
+
+function renderUnified(hunk) {
+  const rows = hunk.lines.map(line => {
+    const prefix = { add: '+', del: '-', context: ' ', meta: '' }[line.type];
+    return `<div class="review-line ${line.type}">${lineNumber(line.oldLine)}${lineNumber(line.newLine)}<span class="review-code">${escapeHtml(prefix + line.content)}</span></div>`;
+  });
+  return `<div class="review-lines">${rows.join('')}</div>`;
+}
+
+/**
+ * Pair deletions with the additions that follow them into side-by-side rows
+ */
+function renderSplit(hunk) {
+  const rows = [];
+  let dels = [];
+  let adds = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(dels.length, adds.length); i++) {
+      rows.push([dels[i] || null, adds[i] || null]);
+    }
+    dels = [];
+    adds = [];
+  };
+
+  for (const line of hunk.lines) {
+    if (line.type === 'del') {
+      if (adds.length) flush();
+      dels.push(line);
+    } else if (line.type === 'add') {
+      adds.push(line);
+    } else if (line.type === 'context') {
+      flush();
+      rows.push([line, line]);
+    }
+  }
+  flush();
+
+  const cell = (line, side) => line
+    ? `${lineNumber(side === 'old' ? line.oldLine : line.newLine)}<span class="review-code ${line.type}">${escapeHtml(line.content)}</span>`
+    : `${lineNumber(null)}<span class="review-code empty"></span>`;
+
+  return `<div class="review-lines split">${rows.map(([left, right]) =>
+    `<div class="review-line">${cell(left, 'old')}${cell(right, 'new')}</div>`).join('')}</div>`;
+}
+
+/**
+ * Stage, unstage or discard the selected file, or one of its hunks, then reload
+ */
+export async function runAction(action, hunkIndex = null) {
+  const path = review.selectedPath;
+  const hunk = hunkIndex === null
+    ? null
+    : review.diff.files.find(f => f.path === path)?.hunks[hunkIndex]?.header ?? null;
+
+  if (action === 'discard' && !confirm(`Discard ${hunk ? 'this hunk' : 'all changes'} in ${path}? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/worktrees/${encodeURIComponent(review.worktree)}/git/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path, hunk })
+    });
+    const result = await response.json();
+    if (!result.success) {
+      alert(`Failed to ${action}: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Failed to ${action}: ${error.message}`);
+  }
+
+  await loadDiff();
+}
+
+/**
+ * Commit staged changes with the entered message
+ */
+export async function commit() {
+  const input = document.getElementById('review-commit-message');
+  const message = input.value.trim();
+  if (!message) {
+    alert('Enter a commit message');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/worktrees/${encodeURIComponent(review.worktree)}/git/commit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+      input.value = '';
+      window.refreshWorktrees?.();
+    } else {
+      alert(`Commit failed: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Commit failed: ${error.message}`);
+  }
+
+  await loadDiff();
+}
+
+// Export to global scope
+window.reviewModule = {
+  showReviewModal,
+  hideReviewModal,
+  setMode,
+  setLayout,
+  selectFile,
+  runAction,
+  commit
+};
@@ -0,0 +1,147 @@
+/**
+ * Service Selection Module
+ * Choose which compose services and profiles a worktree runs
+ */
+
+import { escapeHtml } from './utils.js';
+import { restartServices } from './service-actions.js';
+
+let currentWorktree = null;
+
+/**
+ * Show the service selection modal for a worktree
+ */
+export async function showServiceSelectionModal(worktreeName) {
+  currentWorktree = worktreeName;
+  document.getElementById('service-selection-modal').classList.add('active');
+  document.getElementById('service-selection-title').textContent = `Services: ${worktreeName}`;
+  await loadSelection();
+}
+
+/**
+ * Hide the service selection modal
+ */
+export function hideServiceSelectionModal() {
+  document.getElementById('service-selection-modal').classList.remove('active');
+  currentWorktree = null;
+}
+
+async function loadSelection() {
+  const body = document.getElementById('service-selection-body');
+  body.innerHTML = '<div class="tasks-empty">Loading services...</div>';
+
+  try {
+    const response = await fetch(`/api/worktrees/${encodeURIComponent(currentWorktree)}/services/selection`);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+    renderSelection(data);
+  } catch (error) {
+    console.error('[service-selection] Failed to load services:', error);
+    body.innerHTML = `<div class="tasks-empty">Failed to load services: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+function renderSelection({ selection, services, profiles }) {
+  const body = document.getElementById('service-selection-body');
+  const isMain = currentWorktree === 'main';
+  const useDefault = selection.services === null;
+  const selected = new Set(selection.services || []);
+
+  if (services.length === 0) {
+    body.innerHTML = '<div class="tasks-empty">No compose services found in this worktree.</div>';
+    return;
+  }
+
+  const serviceItems = services.map(service => {
+    const note = [
+      service.profiles.length ? `profiles: ${service.profiles.join(', ')}` : '',
+      service.dependsOn.length ? `needs ${service.dependsOn.join(', ')}` : '',
+      service.shared ? (isMain ? 'shared with other worktrees' : 'shared from main') : '',
+      service.shared && service.isolation && service.isolation !== 'none' ? `own ${service.isolation}` : ''
+    ].filter(Boolean).join(' · ');
+    // Other worktrees use main's instance of a shared service
+    const disabled = service.shared && !isMain;
+
+    return `
+      <label class="checkbox-label indented">
+        <input type="checkbox" name="service" value="${escapeHtml(service.name)}"
+               ${(useDefault ? !service.profiles.length : selected.has(service.name)) && !disabled ? 'checked' : ''}
+               ${disabled ? 'disabled' : ''}>
+        <span>${escapeHtml(service.name)}</span>
+        ${note ? `<span class="task-time">${escapeHtml(note)}</span>` : ''}
+      </label>
+    `;
+  }).join('');
+
+  const profileItems = profiles.map(profile => `
+    <label class="checkbox-label">
+      <input type="checkbox" name="profile" value="${escapeHtml(profile)}" ${selection.profiles.includes(profile) ? 'checked' : ''}>
+      <span>${escapeHtml(profile)}</span>
+    </label>
+  `).join('');
+
+  body.innerHTML = `
+    <label class="checkbox-label">
+      <input type="checkbox" id="service-selection-default" ${useDefault ? 'checked' : ''}>
+      <span>Run what compose starts by default (services without a profile)</span>
+    </label>
+    <div id="service-selection-services">${serviceItems}</div>
+    ${profiles.length ? `<h3>Profiles</h3>${profileItems}` : ''}
+    <p class="task-time">Dependencies are always started too. Changes apply the next time services start.</p>
+  `;
+
+  const defaultToggle = document.getElementById('service-selection-default');
+  const applyDefault = () => {
+    body.querySelectorAll('input[name="service"]').forEach(input => {
+      const service = services.find(s => s.name === input.value);
+      input.disabled = defaultToggle.checked || (service.shared && !isMain);
+    });
+  };
+  defaultToggle.addEventListener('change', applyDefault);
+  applyDefault();
+}
+
+/**
+ * Save the selection, optionally restarting the worktree's services with it
+ */
+export async function saveServiceSelection(restart = false) {
+  const body = document.getElementById('service-selection-body');
+  const defaultToggle = document.getElementById('service-selection-default');
+  if (!currentWorktree || !defaultToggle) return;
+
+  const worktreeName = currentWorktree;
+  const services = defaultToggle.checked
+    ? null
+    : [...body.querySelectorAll('input[name="service"]:checked:not(:disabled)')].map(input => input.value);
+  const profiles = [...body.querySelectorAll('input[name="profile"]:checked')].map(input => input.value);
+
+  try {
+    const response = await fetch(`/api/worktrees/${encodeURIComponent(worktreeName)}/services/selection`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ services, profiles })
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    hideServiceSelectionModal();
+    if (restart) {
+      await restartServices(worktreeName);
+    } else {
+      window.showToast?.(`Service selection saved for ${worktreeName}`);
+    }
+  } catch (error) {
+    console.error('[service-selection] Failed to save selection:', error);
+    alert(`Failed to save service selection: ${error.message}`);
+  }
+}
+
+window.serviceSelectionModule = {
+  showServiceSelectionModal,
+  hideServiceSelectionModal,
+  saveServiceSelection
+};
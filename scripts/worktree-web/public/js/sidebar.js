@@ -5,6 +5,7 @@
 
 import { appState } from './state.js';
 import { showContextMenu, showWorktreeContextMenu, showStatusContextMenu } from './context-menus.js';
+import { renderPullRequestBadge } from './pull-requests.js';
 
 /**
  * Initialize sidebar
@@ -194,11 +195,16 @@ function renderWorktreeCards(worktrees, container) {
     } else if (servicesRunning > 0) {
       statusClass = 'status-mixed';
       statusText = 'Partial';
+    } else if (wt.suspended) {
+      statusClass = 'status-suspended';
+      statusText = 'Suspended';
     }
     // servicesTotal === 0 keeps default 'Stopped'
 
     // Show status badge when compose file exists (even if no containers running)
-    const titleText = servicesTotal > 0 ? `${servicesRunning}/${servicesTotal} services` : 'No services configured';
+    const titleText = wt.suspended && servicesRunning === 0
+      ? 'Suspended while idle - opens again with a terminal or web UI tab'
+      : servicesTotal > 0 ? `${servicesRunning}/${servicesTotal} services` : 'No services configured';
     const statusBadge = wt.hasComposeFile
       ? `<span class="status-badge ${statusClass}" title="${titleText}" onclick="showStatusContextMenu(event, '${wt.name}', ${servicesRunning}, ${servicesTotal})" oncontextmenu="showStatusContextMenu(event, '${wt.name}', ${servicesRunning}, ${servicesTotal})">${statusText} <i data-lucide="chevron-down" class="status-badge-chevron"></i></span>`
       : '';
@@ -213,7 +219,7 @@ function renderWorktreeCards(worktrees, container) {
                  onclick="window.openLogs('${wt.name}', '${container.name}')"
                  oncontextmenu="showContextMenu(event, '${wt.name}', '${container.name}')"
                  title="Left-click to view logs, Right-click for options">
-              <span class="status-indicator ${container.state}"></span>
+              <span class="status-indicator ${container.state}${container.crashLooping ? ' crash-loop' : ''}"></span>
               <span class="port-label">${container.name}${portDisplay}</span>
             </div>
           `;
@@ -283,12 +289,15 @@ function renderWorktreeCards(worktrees, container) {
           <div class="worktree-info">
             <div class="worktree-title" oncontextmenu="showWorktreeContextMenu(event, '${wt.name}', ${isMain}); event.stopPropagation();" style="cursor: context-menu;">
               ${iconHtml}<span>${wt.name}</span>
+              <span class="agent-state-slot" data-worktree="${wt.name}">${window.agentStatusModule?.renderWorktreeBadge(wt.name) || ''}</span>
             </div>
             ${branchSubheading}
           </div>
           ${statusBadge}
         </div>
+        ${wt.pr ? `<div class="worktree-pr">${renderPullRequestBadge(wt.pr)}</div>` : ''}
         ${portsHtml ? `<div class="ports">${portsHtml}</div>` : ''}
+        <div class="resource-usage" data-worktree="${wt.name}" style="display: none;"></div>
       </div>
     `;
   }).join('');
@@ -310,6 +319,8 @@ function renderVerticalTabs(worktrees, container) {
           statusClass = 'running';
         } else if (servicesRunning > 0) {
           statusClass = 'restarting';
+        } else if (wt.suspended) {
+          statusClass = 'suspended';
         }
 
         // Hide status indicator when there are no services
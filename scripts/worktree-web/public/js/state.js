@@ -12,6 +12,7 @@ class AppState {
     this.isLoadingWorktrees = true; // Start in loading state
     this.tabs = new Map(); // tabId -> { worktree, command, isWebUI, isLogs, etc. }
     this.lastActiveTabPerWorktree = new Map(); // worktreeName -> tabId
+    this.resourceUsage = null; // Latest /api/resources sample
 
     // Event listeners
     this.listeners = new Map(); // eventType -> Set of callbacks
@@ -84,6 +85,50 @@ class AppState {
     this.emit('worktrees:updated', worktrees);
   }
 
+  /**
+   * Apply a server-pushed change to one worktree (fields that differ only)
+   * @param {string} name - Worktree name
+   * @param {Object} changes - Changed fields, e.g. { gitStatus, modifiedFiles, dockerStatus }
+   */
+  patchWorktree(name, changes) {
+    const worktree = this.worktrees.find(w => w.name === name);
+    if (worktree) {
+      Object.assign(worktree, changes);
+      this.emit('worktrees:updated', this.worktrees);
+    }
+  }
+
+  /**
+   * Apply a service state transition pushed by the server
+   * @param {string} name - Worktree name
+   * @param {string} service - Compose service name
+   * @param {Object} changes - Changed container fields, e.g. { state, health, crashLooping }
+   */
+  updateServiceState(name, service, changes) {
+    const worktree = this.worktrees.find(w => w.name === name);
+    if (!worktree) return;
+
+    const containers = worktree.dockerStatus || [];
+    const container = containers.find(c => c.name === service);
+    if (changes.state === 'removed') {
+      worktree.dockerStatus = containers.filter(c => c.name !== service);
+    } else if (container) {
+      Object.assign(container, changes);
+    } else {
+      worktree.dockerStatus = [...containers, { name: service, status: '', ports: [], ...changes }];
+    }
+    this.emit('worktrees:updated', this.worktrees);
+  }
+
+  /**
+   * Update live resource usage
+   * @param {Object} usage - Response of /api/resources
+   */
+  updateResourceUsage(usage) {
+    this.resourceUsage = usage;
+    this.emit('resources:updated', usage);
+  }
+
   /**
    * Add a creating worktree
    * @param {Object} worktree - Worktree object with status: 'creating'
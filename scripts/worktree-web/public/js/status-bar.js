@@ -4,6 +4,7 @@
  */
 
 import { appState } from './state.js';
+import { getWorktreeUsage, formatUsage, formatUsageTooltip } from './resources.js';
 
 /**
  * Initialize status bar
@@ -18,6 +19,14 @@ export function initStatusBar() {
       updateStatusBar(worktreeName);
     });
 
+    // Update resource segment on every resource sample
+    window.appState.on('resources:updated', () => {
+      const selected = window.appState.selectedWorktreeId;
+      if (selected) {
+        updateResources(selected);
+      }
+    });
+
     // Update when worktree data refreshes (piggyback on existing polling)
     window.appState.on('worktrees:updated', () => {
       const selected = window.appState.selectedWorktreeId;
@@ -94,6 +103,7 @@ async function updateStatusBar(worktreeName) {
   updateChanges(worktree);
   updateLastCommit(worktree);
   updateDockerServices(worktree);
+  updateResources(worktree.name);
 
   showStatusBar();
 }
@@ -331,6 +341,29 @@ function updateDockerServices(worktree) {
   segment.title = tooltip;
 }
 
+/**
+ * Update resource usage segment
+ */
+function updateResources(worktreeName) {
+  const segment = document.querySelector('.status-segment.resources');
+  if (!segment) return;
+
+  const usage = getWorktreeUsage(worktreeName);
+  const text = segment.querySelector('.resource-text');
+
+  if (!usage) {
+    segment.className = 'status-segment resources none';
+    if (text) text.textContent = '—';
+    segment.title = 'No running containers';
+    return;
+  }
+
+  const memoryRatio = usage.limits?.memoryBytes ? usage.memoryBytes / usage.limits.memoryBytes : 0;
+  segment.className = `status-segment resources ${memoryRatio >= 0.9 ? 'near-limit' : 'active'}`;
+  if (text) text.textContent = formatUsage(usage);
+  segment.title = `Container resource usage:\n${formatUsageTooltip(usage)}`;
+}
+
 /**
  * Show status bar
  */
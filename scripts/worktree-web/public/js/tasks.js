@@ -0,0 +1,223 @@
+/**
+ * Tasks Module
+ * Queue headless agent runs across worktrees and review their transcripts and diffs
+ */
+
+import { appState } from './state.js';
+import { escapeHtml } from './utils.js';
+
+let selectedTaskId = null;
+
+/**
+ * Show the tasks modal, preselecting a worktree if given
+ */
+export async function showTasksModal(worktreeName = null) {
+  const modal = document.getElementById('tasks-modal');
+  modal.classList.add('active');
+
+  await renderForm(worktreeName || appState.selectedWorktreeId);
+  await refreshTasks();
+}
+
+/**
+ * Hide the tasks modal
+ */
+export function hideTasksModal() {
+  document.getElementById('tasks-modal').classList.remove('active');
+  selectedTaskId = null;
+}
+
+/**
+ * Render the worktree checkboxes and headless-capable agent options
+ */
+async function renderForm(preselected) {
+  const worktreeList = document.getElementById('task-worktrees');
+  const agentSelect = document.getElementById('task-agent');
+
+  worktreeList.innerHTML = appState.worktrees.map(worktree => `
+    <label class="task-worktree-option">
+      <input type="checkbox" value="${escapeHtml(worktree.name)}" ${worktree.name === preselected ? 'checked' : ''}>
+      ${escapeHtml(worktree.name)}
+    </label>
+  `).join('');
+
+  try {
+    const response = await fetch('/api/agents');
+    const agents = (await response.json()).filter(agent => agent.headless);
+
+    agentSelect.innerHTML = agents.map(agent => `
+      <option value="${escapeHtml(agent.name)}" ${agent.available === false ? 'disabled' : ''}>
+        ${escapeHtml(agent.icon)} ${escapeHtml(agent.displayName)}
+      </option>
+    `).join('');
+  } catch (error) {
+    console.error('[tasks] Failed to load agents:', error);
+  }
+}
+
+/**
+ * Queue the prompt for every checked worktree
+ */
+export async function submitTask() {
+  const prompt = document.getElementById('task-prompt').value.trim();
+  const agent = document.getElementById('task-agent').value;
+  const worktrees = [...document.querySelectorAll('#task-worktrees input:checked')].map(input => input.value);
+
+  if (!prompt || worktrees.length === 0) {
+    alert('Enter a prompt and select at least one worktree');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/tasks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ worktrees, agent, prompt })
+    });
+    const result = await response.json();
+
+    if (result.errors?.length) {
+      alert(`Some tasks were not queued:\n${result.errors.join('\n')}`);
+    }
+    if (result.success) {
+      document.getElementById('task-prompt').value = '';
+    }
+  } catch (error) {
+    alert(`Failed to queue task: ${error.message}`);
+  }
+
+  await refreshTasks();
+}
+
+/**
+ * Reload the task list (and the open task, if any)
+ */
+export async function refreshTasks() {
+  const modal = document.getElementById('tasks-modal');
+  if (!modal?.classList.contains('active')) return;
+
+  try {
+    const response = await fetch('/api/tasks');
+    const tasks = await response.json();
+    renderTaskList(tasks);
+
+    if (selectedTaskId) {
+      await showTask(selectedTaskId);
+    }
+  } catch (error) {
+    console.error('[tasks] Failed to load tasks:', error);
+  }
+}
+
+/**
+ * Render the task list
+ */
+function renderTaskList(tasks) {
+  const list = document.getElementById('tasks-list');
+
+  if (tasks.length === 0) {
+    list.innerHTML = '<div class="tasks-empty">No tasks yet</div>';
+    return;
+  }
+
+  list.innerHTML = tasks.map(task => `
+    <div class="task-item ${task.id === selectedTaskId ? 'selected' : ''}" onclick="window.tasksModule.showTask('${task.id}')">
+      <span class="task-status ${task.status}">${task.status}</span>
+      <span class="task-worktree">${escapeHtml(task.worktree)}</span>
+      <span class="task-prompt" title="${escapeHtml(task.prompt)}">${escapeHtml(task.prompt)}</span>
+      <span class="task-time">${formatDuration(task)}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show the transcript and diff of a task
+ */
+export async function showTask(taskId) {
+  selectedTaskId = taskId;
+  const detail = document.getElementById('task-detail');
+
+  try {
+    const response = await fetch(`/api/tasks/${taskId}`);
+    if (!response.ok) {
+      throw new Error('Task not found');
+    }
+    const task = await response.json();
+    const active = task.status === 'queued' || task.status === 'running';
+
+    detail.style.display = 'block';
+    detail.innerHTML = `
+      <div class="task-detail-header">
+        <span class="task-status ${task.status}">${task.status}</span>
+        <span>${escapeHtml(task.agent)} in <strong>${escapeHtml(task.worktree)}</strong></span>
+        <span class="task-time">
+          ${task.startedAt ? `started ${new Date(task.startedAt).toLocaleString()}` : 'waiting'}
+          ${task.exitCode !== null ? ` · exit ${task.exitCode}` : ''}
+        </span>
+        ${active
+          ? `<button class="small" onclick="window.tasksModule.cancelTask('${task.id}')">Cancel</button>`
+          : `<button class="small" onclick="window.tasksModule.deleteTask('${task.id}')">Delete</button>`}
+      </div>
+      <pre class="task-prompt-full">${escapeHtml(task.prompt)}</pre>
+      ${task.error ? `<div class="error-box">${escapeHtml(task.error)}</div>` : ''}
+      <h3>Transcript</h3>
+      <pre class="task-transcript">${escapeHtml(task.transcript) || '<em>No output yet</em>'}</pre>
+      <h3>Changes</h3>
+      ${task.diffStat ? `<pre class="task-diffstat">${escapeHtml(task.diffStat)}</pre>` : ''}
+      ${task.untracked?.length ? `<div class="task-untracked">New files: ${task.untracked.map(escapeHtml).join(', ')}</div>` : ''}
+      <pre class="task-diff">${renderDiff(task.diff) || '<em>No changes</em>'}</pre>
+    `;
+  } catch (error) {
+    detail.style.display = 'block';
+    detail.innerHTML = `<div class="error-box">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Colorize a unified diff
+ */
+function renderDiff(diff) {
+  if (!diff) return '';
+
+  return diff.split('\n').map(line => {
+    const escaped = escapeHtml(line);
+    if (line.startsWith('+') && !line.startsWith('+++')) return `<span class="diff-add">${escaped}</span>`;
+    if (line.startsWith('-') && !line.startsWith('---')) return `<span class="diff-del">${escaped}</span>`;
+    if (line.startsWith('@@')) return `<span class="diff-hunk">${escaped}</span>`;
+    return escaped;
+  }).join('\n');
+}
+
+/**
+ * Format how long a task ran (or has been running)
+ */
+function formatDuration(task) {
+  if (!task.startedAt) return 'queued';
+
+  const end = task.endedAt ? new Date(task.endedAt) : new Date();
+  const seconds = Math.round((end - new Date(task.startedAt)) / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+export async function cancelTask(taskId) {
+  await fetch(`/api/tasks/${taskId}/cancel`, { method: 'POST' });
+  await refreshTasks();
+}
+
+export async function deleteTask(taskId) {
+  await fetch(`/api/tasks/${taskId}`, { method: 'DELETE' });
+  selectedTaskId = null;
+  document.getElementById('task-detail').style.display = 'none';
+  await refreshTasks();
+}
+
+// Export to global scope
+window.tasksModule = {
+  showTasksModal,
+  hideTasksModal,
+  submitTask,
+  refreshTasks,
+  showTask,
+  cancelTask,
+  deleteTask
+};
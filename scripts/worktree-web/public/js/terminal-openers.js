@@ -27,7 +27,10 @@ export function openShell(worktreeName, terminals) {
  * Open a web UI tab
  * Always creates a new tab to allow multiple instances
  */
-export function openWebUI(worktreeName, uiPort, terminals) {
+export async function openWebUI(worktreeName, uiPort, terminals) {
+  // Wake the worktree first if it was suspended while idle
+  await reportActivity(worktreeName);
+
   // Check if UI is accessible
   fetch(`http://localhost:${uiPort}`)
     .then(() => {
@@ -39,6 +42,22 @@ export function openWebUI(worktreeName, uiPort, terminals) {
     });
 }
 
+/**
+ * Tell the server a worktree is in use so it is not suspended while idle
+ * Resolves once a suspended worktree has been started again.
+ */
+export async function reportActivity(worktreeName, source = 'webui') {
+  try {
+    await fetch(`/api/worktrees/${encodeURIComponent(worktreeName)}/activity`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ source })
+    });
+  } catch (error) {
+    console.error('[terminal-openers] Failed to report activity:', error);
+  }
+}
+
 /**
  * Open logs for a specific service
  * Always creates a new tab to allow multiple instances
@@ -0,0 +1,119 @@
+/**
+ * Terminal Presence Module
+ * Bar above a shared PTY terminal: who is watching, who is driving, and share links
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Name shown for an attached client
+ */
+function displayName(client, ownClientId) {
+  const name = client.user || (client.readOnly ? 'Guest' : 'Local user');
+  return client.id === ownClientId ? `${name} (you)` : name;
+}
+
+/**
+ * Render the presence bar of a terminal panel, creating it on first use
+ * @param {HTMLElement} panel - Terminal panel containing a .terminal-wrapper
+ * @param {Object} state - { sessionId, clientId, readOnly, clients, recording } from the session and presence messages
+ * @param {WebSocket} socket - Terminal WebSocket (for take-control and hand-over)
+ */
+export function renderPresence(panel, state, socket) {
+  let bar = panel.querySelector('.terminal-presence');
+  if (!bar) {
+    bar = document.createElement('div');
+    bar.className = 'terminal-presence';
+    panel.insertBefore(bar, panel.querySelector('.terminal-wrapper'));
+  }
+
+  const self = state.clients.find(client => client.id === state.clientId);
+  const isDriver = Boolean(self?.driver);
+
+  bar.innerHTML = `
+    <i data-lucide="users" class="lucide-sm"></i>
+    ${state.clients.map((client, index) => `
+      <span class="presence-chip${client.driver ? ' driver' : ''}${isDriver && !client.driver && !client.readOnly ? ' can-hand-over' : ''}"
+            data-index="${index}"
+            title="${client.driver ? 'Driving' : client.readOnly ? 'Watching (read-only)' : 'Spectating'}">
+        ${client.driver ? '<i data-lucide="keyboard" class="lucide-sm"></i>' : ''}${escapeHtml(displayName(client, state.clientId))}
+      </span>
+    `).join('')}
+    <span class="presence-actions">
+      ${state.recording ? '<span class="presence-recording" title="This terminal is being recorded"><i data-lucide="circle-dot" class="lucide-sm"></i> REC</span>' : ''}
+      ${!state.readOnly && state.sessionId ? `<button class="small" data-action="record">${state.recording ? 'Stop recording' : 'Record'}</button>` : ''}
+      ${!isDriver && !state.readOnly ? '<button class="small" data-action="take-control">Take control</button>' : ''}
+      ${!state.readOnly && state.sessionId ? '<button class="small" data-action="share" title="Copy a read-only link to this terminal"><i data-lucide="link" class="lucide-sm"></i> Share</button>' : ''}
+    </span>
+  `;
+
+  bar.querySelector('[data-action="take-control"]')?.addEventListener('click', () => {
+    socket.send(JSON.stringify({ type: 'take-control' }));
+  });
+  bar.querySelector('[data-action="share"]')?.addEventListener('click', () => copyShareLink(state.sessionId));
+  bar.querySelector('[data-action="record"]')?.addEventListener('click', () => setRecording(state.sessionId, !state.recording));
+
+  // The driver hands over by clicking someone else's name
+  bar.querySelectorAll('.presence-chip.can-hand-over').forEach(chip => {
+    const client = state.clients[Number(chip.dataset.index)];
+    chip.addEventListener('click', () => {
+      if (confirm(`Hand the keyboard to ${displayName(client, state.clientId)}?`)) {
+        socket.send(JSON.stringify({ type: 'hand-over', clientId: client.id }));
+      }
+    });
+  });
+
+  if (window.lucide) window.lucide.createIcons();
+}
+
+/**
+ * Create a read-only share link for a session and copy it to the clipboard
+ * @param {string} sessionId - PTY session ID
+ */
+export async function copyShareLink(sessionId) {
+  try {
+    const response = await fetch(`/api/terminals/${encodeURIComponent(sessionId)}/share`, { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Could not create share link');
+    }
+
+    try {
+      await navigator.clipboard.writeText(result.url);
+      window.showToast?.('Read-only share link copied (valid for 24 hours)');
+    } catch (error) {
+      // Clipboard needs a secure context; let the user copy it by hand
+      prompt('Read-only share link (valid for 24 hours):', result.url);
+    }
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Start or stop recording a session; the presence bar updates once the server confirms
+ * @param {string} sessionId - PTY session ID
+ * @param {boolean} enabled - Record from now on, or stop
+ */
+export async function setRecording(sessionId, enabled) {
+  try {
+    const response = await fetch(`/api/terminals/${encodeURIComponent(sessionId)}/recording`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled })
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Could not change recording');
+    }
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+// Export to global scope
+window.terminalPresenceModule = {
+  renderPresence,
+  copyShareLink,
+  setRecording
+};
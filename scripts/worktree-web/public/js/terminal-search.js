@@ -0,0 +1,178 @@
+/**
+ * Terminal Search Module
+ * Search palette over the output of every terminal session (Ctrl/Cmd+Shift+F)
+ */
+
+import { escapeHtml } from './utils.js';
+import { getTerminals, getActiveTabId, createTerminalTab, switchToTab } from './terminals.js';
+
+const SEARCH_DELAY = 250; // ms after the last keystroke
+const SCROLL_ATTEMPTS = 20; // A new tab needs a moment to receive its scrollback
+
+let searchTimer = null;
+let lastQuery = '';
+let results = [];
+
+/**
+ * Show the search palette
+ */
+export function showTerminalSearch() {
+  const palette = document.getElementById('terminal-search');
+  palette.classList.add('active');
+  const input = document.getElementById('terminal-search-input');
+  input.focus();
+  input.select();
+}
+
+/**
+ * Hide the search palette
+ */
+export function hideTerminalSearch() {
+  document.getElementById('terminal-search').classList.remove('active');
+}
+
+/**
+ * Search again shortly after typing stops
+ */
+export function onSearchInput(value) {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => runSearch(value.trim()), SEARCH_DELAY);
+}
+
+async function runSearch(query) {
+  lastQuery = query;
+  const list = document.getElementById('terminal-search-results');
+
+  if (!query) {
+    results = [];
+    list.innerHTML = '';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/search/terminals?q=${encodeURIComponent(query)}`);
+    const found = await response.json();
+    if (query !== lastQuery) return; // A newer search is on its way
+    if (!response.ok) {
+      throw new Error(found.error || 'Search failed');
+    }
+
+    results = found;
+    renderResults(query);
+  } catch (error) {
+    list.innerHTML = `<div class="tasks-empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+function renderResults(query) {
+  const list = document.getElementById('terminal-search-results');
+
+  if (results.length === 0) {
+    list.innerHTML = '<div class="tasks-empty">No matches in terminal output</div>';
+    return;
+  }
+
+  list.innerHTML = results.map((result, index) => `
+    <div class="terminal-search-result${result.active ? '' : ' ended'}" data-index="${index}"
+         title="${result.active ? 'Open this terminal at the match' : 'This session has ended'}">
+      <div class="terminal-search-meta">
+        <span class="task-worktree">${escapeHtml(result.worktree)}</span>
+        <span class="recording-agent">${escapeHtml(result.agent)}${result.active ? '' : ' (ended)'}</span>
+        <span class="task-time">${new Date(result.timestamp).toLocaleString()}</span>
+      </div>
+      <div class="terminal-search-snippet">${highlight(result.snippet, query)}</div>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.terminal-search-result').forEach(item => {
+    item.addEventListener('click', () => openResult(results[Number(item.dataset.index)], query));
+  });
+}
+
+/**
+ * Escape a snippet and mark where the query matches
+ */
+function highlight(text, query) {
+  const index = text.toLowerCase().indexOf(query.toLowerCase());
+  if (index === -1) return escapeHtml(text);
+
+  return `${escapeHtml(text.slice(0, index))}<mark>${escapeHtml(text.slice(index, index + query.length))}</mark>${escapeHtml(text.slice(index + query.length))}`;
+}
+
+/**
+ * Switch to the result's terminal (opening it if needed) and scroll to the match
+ */
+async function openResult(result, query) {
+  const openTab = [...getTerminals().entries()].find(([, info]) =>
+    info.worktree === result.worktree && info.command === result.agent && !info.isLogs && !info.isWebUI
+  );
+
+  if (openTab) {
+    switchToTab(openTab[0]);
+  } else if (result.active) {
+    createTerminalTab(result.worktree, result.agent);
+  } else {
+    window.showToast?.('That session has ended; its output is only in the search results');
+    return;
+  }
+
+  hideTerminalSearch();
+  scrollToMatch(getActiveTabId(), result, query);
+}
+
+/**
+ * Scroll a terminal to the occurrence of the query closest to where the index saw it
+ */
+function scrollToMatch(tabId, result, query, attempt = 0) {
+  const terminal = getTerminals().get(tabId)?.terminal;
+  const match = terminal && findMatch(terminal, result, query);
+
+  if (match) {
+    terminal.scrollToLine(Math.max(0, match.row - Math.floor(terminal.rows / 2)));
+    terminal.select(match.column, match.row, query.length);
+    return;
+  }
+
+  if (attempt < SCROLL_ATTEMPTS) {
+    setTimeout(() => scrollToMatch(tabId, result, query, attempt + 1), 150);
+  } else {
+    window.showToast?.('The match is no longer in this terminal\'s scrollback');
+  }
+}
+
+function findMatch(terminal, result, query) {
+  const buffer = terminal.buffer.active;
+  const needle = query.toLowerCase();
+  const lastRow = buffer.baseY + buffer.cursorY;
+  let best = null;
+
+  for (let row = 0; row < buffer.length; row++) {
+    const column = buffer.getLine(row)?.translateToString(true).toLowerCase().indexOf(needle) ?? -1;
+    if (column === -1) continue;
+
+    const distance = Math.abs((lastRow - row - 1) - result.linesAfter);
+    if (!best || distance < best.distance) {
+      best = { row, column, distance };
+    }
+  }
+
+  return best;
+}
+
+// Open the palette from anywhere, including a focused terminal
+window.addEventListener('keydown', (event) => {
+  if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'f') {
+    event.preventDefault();
+    event.stopPropagation();
+    showTerminalSearch();
+  } else if (event.key === 'Escape' && document.getElementById('terminal-search')?.classList.contains('active')) {
+    hideTerminalSearch();
+  }
+}, true);
+
+// Export to global scope
+window.terminalSearchModule = {
+  showTerminalSearch,
+  hideTerminalSearch,
+  onSearchInput
+};
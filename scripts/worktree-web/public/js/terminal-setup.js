@@ -3,6 +3,8 @@
  * Handles xterm.js initialization for different terminal types
  */
 
+import { renderPresence } from './terminal-presence.js';
+
 // Check WebGL availability
 if (typeof WebglAddon === 'undefined') {
   console.error('[Terminal] WebglAddon not loaded! Check CDN link.');
@@ -655,6 +657,9 @@ export function setupPtyTerminal(tabId, panel, worktreeName, command, terminals,
   // Connect WebSocket for PTY
   const wsUrl = `ws://${window.location.host}/terminal/${worktreeName}?command=${command}`;
 
+  // Shared session state: who is attached and whether this client drives
+  const presence = { sessionId: null, clientId: null, readOnly: false, clients: [], recording: false };
+
 
 
   function connectPtyWebSocket() {
@@ -700,7 +705,7 @@ export function setupPtyTerminal(tabId, panel, worktreeName, command, terminals,
       const data = event.data;
 
       // Check for permanent errors that should stop reconnection attempts
-      if (data.includes('Error: Worktree not found')) {
+      if (data.includes('Error: Worktree not found') || data.includes('Error: No running session to watch')) {
         reconnectState.permanentFailure = true;
         console.log('[Terminal] Permanent failure detected - worktree not found, will not attempt reconnection');
       }
@@ -723,9 +728,15 @@ export function setupPtyTerminal(tabId, panel, worktreeName, command, terminals,
               console.log(`[Profiling] Enabled - latency stats will be reported`);
             }
 
-            // Show takeover warning if applicable
-            if (msg.tookOver) {
-              console.warn(`[TAKEOVER] This session was taken over from another client`);
+            presence.sessionId = msg.sessionId;
+            presence.clientId = msg.clientId;
+            presence.readOnly = Boolean(msg.readOnly);
+
+            // Viewers watch without typing; the server ignores their input and resizes anyway
+            if (msg.readOnly) {
+              terminal.options.disableStdin = true;
+              panel.classList.add('terminal-read-only');
+              return;
             }
 
             // Send initial terminal dimensions to server after session established
@@ -741,13 +752,23 @@ export function setupPtyTerminal(tabId, panel, worktreeName, command, terminals,
             return; // Don't write to terminal
           }
 
-          // Handle takeover notification (this client was displaced)
-          if (msg.type === 'takeover') {
-            console.warn(`[TAKEOVER] ${msg.message}`);
-            terminal.write(`\r\n\x1b[31m⚠ ${msg.message}\x1b[0m\r\n`);
-            terminal.write(`\x1b[90mConnection closed. Refresh the page to reconnect.\x1b[0m\r\n`);
-            // Close the socket - this client has been replaced
-            terminalSocket.close();
+          // Someone joined, left, or the driver changed
+          if (msg.type === 'presence') {
+            const wasDriver = presence.clients.some(client => client.id === presence.clientId && client.driver);
+            presence.clients = msg.clients;
+            presence.recording = Boolean(msg.recording);
+            const isDriver = msg.clients.some(client => client.id === presence.clientId && client.driver);
+
+            // Only the driver types; spectators watch
+            terminal.options.disableStdin = !isDriver;
+            panel.classList.toggle('terminal-spectating', !isDriver);
+
+            // The driver's window sets the PTY size
+            if (isDriver && !wasDriver && terminalSocket.readyState === WebSocket.OPEN) {
+              terminalSocket.send(JSON.stringify({ type: 'resize', cols: terminal.cols, rows: terminal.rows }));
+            }
+
+            renderPresence(panel, presence, terminalSocket);
             return;
           }
 
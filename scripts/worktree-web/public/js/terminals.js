@@ -7,14 +7,19 @@ import { appState } from './state.js';
 import { showTabContextMenu } from './context-menus.js';
 import { setupLogsTerminal, setupPtyTerminal, clearTerminalSession } from './terminal-setup.js';
 import { setupEmptyState } from './terminal-empty-state.js';
+import { getCustomAgent } from './custom-agents.js';
+import { escapeHtml } from './utils.js';
 import {
   openTerminal as _openTerminal,
   openShell as _openShell,
   openWebUI as _openWebUI,
   openLogs as _openLogs,
-  openCombinedLogs as _openCombinedLogs
+  openCombinedLogs as _openCombinedLogs,
+  reportActivity
 } from './terminal-openers.js';
 
+const WEB_UI_HEARTBEAT_INTERVAL = 60000; // Report open web UI tabs every minute
+
 // Terminal state
 const terminals = new Map();
 let nextTabId = 1;
@@ -58,6 +63,14 @@ export function initTerminals() {
     }
   });
 
+  // Open web UI tabs keep their worktree from being suspended while idle
+  setInterval(() => {
+    const webUIWorktrees = new Set(
+      [...appState.tabs.values()].filter(tab => tab.isWebUI).map(tab => tab.worktree)
+    );
+    webUIWorktrees.forEach(worktreeName => reportActivity(worktreeName));
+  }, WEB_UI_HEARTBEAT_INTERVAL);
+
   // Setup empty state with options
   setupEmptyState();
 
@@ -264,6 +277,9 @@ export function createTerminalTab(worktreeName, command, isWebUI = false, uiPort
     commandLabel = '<i data-lucide="terminal" class="lucide-sm"></i> Shell';
   } else if (command === 'codex') {
     commandLabel = '<img src="/icons/openai.svg" style="width: 14px; height: 14px; vertical-align: middle; margin-right: 4px; filter: brightness(0) invert(1);" /> Codex';
+  } else if (getCustomAgent(command)) {
+    const agent = getCustomAgent(command);
+    commandLabel = `${escapeHtml(agent.icon)} ${escapeHtml(agent.displayName)}`;
   } else {
     commandLabel = '<img src="/icons/anthropic.svg" style="width: 14px; height: 14px; vertical-align: middle; margin-right: 4px; filter: brightness(0) invert(1);" /> Claude';
   }
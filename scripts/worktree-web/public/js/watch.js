@@ -0,0 +1,72 @@
+/**
+ * Watch Page
+ * Read-only view of a shared terminal session, opened from a share link
+ */
+
+import { renderPresence } from './terminal-presence.js';
+
+function init() {
+  const params = new URLSearchParams(window.location.search);
+  const worktree = params.get('worktree');
+  const command = params.get('command');
+  const share = params.get('share');
+
+  const panel = document.getElementById('watch-panel');
+  const terminal = new Terminal({
+    fontSize: 13,
+    fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+    theme: {
+      background: '#000000',
+      foreground: '#d4d4d4'
+    },
+    scrollback: 2000,
+    disableStdin: true
+  });
+  const fitAddon = new FitAddon.FitAddon();
+  terminal.loadAddon(fitAddon);
+  terminal.open(panel.querySelector('.terminal-wrapper'));
+  fitAddon.fit();
+  window.addEventListener('resize', () => fitAddon.fit());
+
+  if (!worktree || !command || !share) {
+    terminal.write('\x1b[31mThis share link is incomplete.\x1b[0m\r\n');
+    return;
+  }
+
+  document.title = `Watching ${worktree} · VibeTrees`;
+
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const query = new URLSearchParams({ command, share });
+  const socket = new WebSocket(`${protocol}//${window.location.host}/terminal/${encodeURIComponent(worktree)}?${query}`);
+  const presence = { sessionId: null, clientId: null, readOnly: true, clients: [], recording: false };
+
+  socket.onmessage = (event) => {
+    const data = event.data;
+
+    if (data.startsWith('{"type":')) {
+      try {
+        const msg = JSON.parse(data);
+        if (msg.type === 'session') {
+          presence.sessionId = msg.sessionId;
+          presence.clientId = msg.clientId;
+        } else if (msg.type === 'presence') {
+          presence.clients = msg.clients;
+          presence.recording = Boolean(msg.recording);
+          renderPresence(panel, presence, socket);
+          fitAddon.fit();
+        }
+        return;
+      } catch (e) {
+        // Not a control message, fall through to write
+      }
+    }
+
+    terminal.write(data);
+  };
+
+  socket.onclose = () => {
+    terminal.write('\r\n\x1b[33mThe session is no longer shared. Reload to try again.\x1b[0m\r\n');
+  };
+}
+
+init();
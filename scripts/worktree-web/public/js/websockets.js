@@ -4,6 +4,7 @@
  */
 
 import { appState } from './state.js';
+import { pollingManager } from './polling.js';
 
 let ws = null;
 let reconnectAttempts = 0;
@@ -29,8 +30,13 @@ export function connectWebSocket() {
 
   ws.onopen = () => {
     console.log('WebSocket connected');
+    // Changes pushed while we were disconnected are lost; reload everything once
+    if (reconnectAttempts > 0) {
+      window.refreshWorktrees?.();
+    }
     reconnectAttempts = 0; // Reset counter on successful connection
     updateConnectionStatus('connected');
+    pollingManager.setConnected(true);
   };
 
   ws.onmessage = (event) => {
@@ -51,12 +57,40 @@ export function connectWebSocket() {
       case 'worktree:error':
         handleWorktreeError(data);
         break;
+      case 'worktree:updated':
+        appState.patchWorktree(data.name, data.changes);
+        break;
+      case 'worktree:list-changed':
       case 'worktree:deleted':
       case 'services:started':
       case 'services:stopped':
+      case 'worktree:suspended':
+      case 'worktree:resumed':
+      case 'pr:updated':
         // Trigger worktree refresh
         window.refreshWorktrees?.();
         break;
+      case 'hook:failed':
+        window.showToast?.(`${data.hook} hook failed in ${data.worktree}: ${data.command}`, 5000);
+        break;
+      case 'service:state':
+        appState.updateServiceState(data.worktree, data.service, {
+          state: data.state,
+          health: data.health,
+          crashLooping: data.crashLooping
+        });
+        break;
+      case 'service:crash-loop':
+        appState.updateServiceState(data.worktree, data.service, { crashLooping: true });
+        window.showToast?.(`${data.service} in ${data.worktree} keeps crashing (exit code ${data.exitCode}, ${data.restartCount} restarts)`, 8000);
+        break;
+      case 'agent:state':
+        window.agentStatusModule?.handleAgentState(data);
+        break;
+      case 'task:updated':
+      case 'task:deleted':
+        window.tasksModule?.refreshTasks();
+        break;
     }
   };
 
@@ -72,6 +106,7 @@ export function connectWebSocket() {
 
     // Update status to reconnecting
     updateConnectionStatus('reconnecting');
+    pollingManager.setConnected(false);
 
     setTimeout(connectWebSocket, delay);
   };
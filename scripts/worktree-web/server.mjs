@@ -6,6 +6,7 @@
  */
 
 import { execSync } from 'child_process';
+import crypto from 'crypto';
 import { Worker } from 'worker_threads';
 import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, statSync } from 'fs';
 import path from 'path';
@@ -23,7 +24,7 @@ import { ProjectManager } from '../project-manager.mjs';
 import { UpdateChecker } from '../update-checker.mjs';
 import { NullRuntime } from '../null-runtime.mjs';
 import { PalMcpFacade } from '../pal-mcp/index.mjs';
-import { handleLogsConnection, handleCombinedLogsConnection, handleTerminalConnection } from './websocket-handlers.mjs';
+import { handleLogsConnection, handleCombinedLogsConnection, handleTerminalConnection, broadcastPresence } from './websocket-handlers.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const packageRoot = join(__dirname, '..', '..');
@@ -32,6 +33,8 @@ const rootDir = process.cwd();
 
 const args = process.argv.slice(2);
 const listenAll = args.includes('--listen');
+// Only behind a reverse proxy may X-Forwarded-For name the client
+const trustProxy = args.includes('--trust-proxy') || process.env.VIBE_TRUST_PROXY === 'true';
 const ENABLE_PROFILING = args.includes('--profile');
 const HOST = listenAll ? '0.0.0.0' : '127.0.0.1';
 
@@ -192,15 +195,21 @@ const pty = await import('node-pty');
 const { PortRegistry } = await import('../port-registry.mjs');
 const { FirstRunWizard } = await import('../first-run-wizard.mjs');
 const { ContainerRuntime } = await import('../container-runtime.mjs');
+const { KubernetesRuntime } = await import('../kubernetes-runtime.mjs');
 const { ComposeInspector } = await import('../compose-inspector.mjs');
 const { ConfigManager } = await import('../config-manager.mjs');
 const { DataSync } = await import('../data-sync.mjs');
+const { resolvePreset, listPresets } = await import('../worktree-presets.mjs');
+const { UserStore, createAuthMiddleware, parseCookies, SESSION_COOKIE } = await import('../security/user-auth.mjs');
+const { RateLimiter } = await import('../security/websocket-security.mjs');
+const { createRoleMiddleware, requiredRoleForMethod, isRole, DEFAULT_ROLE } = await import('../security/roles.mjs');
 const { McpManager } = await import('../mcp-manager.mjs');
-const { agentRegistry } = await import('../agents/index.mjs');
+const { agentRegistry, loadAgentDefinitions } = await import('../agents/index.mjs');
 const { GitSyncManager } = await import('../git-sync-manager.mjs');
 const { SmartReloadManager } = await import('../smart-reload-manager.mjs');
 const { AIConflictResolver } = await import('../ai-conflict-resolver.mjs');
 const { DatabaseManager} = await import('../database-manager.mjs');
+const { SNAPSHOT_NAME_PATTERN } = await import('../database-backup-manager.mjs');
 const { DatabaseValidator } = await import('../database-validator.mjs');
 const { BranchManager } = await import('../branch-manager.mjs');
 const { BranchCleanupManager } = await import('../branch-cleanup-manager.mjs');
@@ -211,11 +220,20 @@ const { WorktreeManager } = await import('./worktree-manager.mjs');
 
 const WORKTREE_BASE = join(process.cwd(), '.worktrees');
 
+const config = new ConfigManager(process.cwd());
+config.load(); // Load or create default config
+
 // Initialize container runtime with proper error handling
 let runtime;
 try {
-  runtime = new ContainerRuntime();
-  console.log(`🐳 Container runtime: ${runtime.getRuntime()} (${runtime.getComposeCommand()})`);
+  if (config.get('container.runtime') === 'kubernetes') {
+    runtime = new KubernetesRuntime(config.get('container.kubernetes') || {});
+    console.log(`☸️  Container runtime: kubernetes (${runtime.context || 'current context'})`);
+    process.on('exit', () => runtime.stopAll());
+  } else {
+    runtime = new ContainerRuntime();
+    console.log(`🐳 Container runtime: ${runtime.getRuntime()} (${runtime.getComposeCommand()})`);
+  }
 } catch (error) {
   console.error(`⚠️  ${error.message}`);
   console.warn('⚠️  Docker services will not be available. Terminals and other features will work.');
@@ -224,11 +242,13 @@ try {
   runtime = new NullRuntime();
 }
 
-const config = new ConfigManager(process.cwd());
-config.load(); // Load or create default config
-
 const mcpManager = new McpManager(process.cwd(), runtime);
 console.log(`🔌 MCP servers discovered: ${mcpManager.discoverServers().length}`);
+const customAgents = loadAgentDefinitions({ config });
+const agentLoadResult = agentRegistry.registerDefinitions(customAgents.definitions);
+for (const error of [...customAgents.errors, ...agentLoadResult.errors]) {
+  console.warn(`⚠️  Skipping agent definition: ${error}`);
+}
 console.log(`🤖 AI agents available: ${agentRegistry.list().join(', ')}`);
 
 // Initialize ProjectManager (singleton) - must be before WorktreeManager
@@ -256,6 +276,7 @@ const worktreeManager = new WorktreeManager({
     DiagnosticRunner,
     InitializationManager,
     ComposeInspector,
+    DataSync,
     ServiceConfig,
     GitSyncManager,
     SmartReloadManager,
@@ -263,6 +284,24 @@ const worktreeManager = new WorktreeManager({
   }
 });
 
+// Typed events (worktree created, services failed, sync conflicted, ...) for webhook subscribers
+const { EventBus } = await import('../event-bus.mjs');
+const { WebhookDispatcher } = await import('../webhook-dispatcher.mjs');
+worktreeManager.eventBus = new EventBus({
+  logFile: join(worktreeManager.portRegistry.registryDir, 'events.jsonl')
+});
+const notificationConfig = config.get('notifications') || {};
+const webhookDispatcher = new WebhookDispatcher({
+  bus: worktreeManager.eventBus,
+  subscribers: [
+    ...(config.get('webhooks') || []),
+    // Older shorthand: plain URLs that only receive agent state changes
+    ...(notificationConfig.webhooks || []).map(url => ({ url, events: ['agent.*'] }))
+  ],
+  logFile: join(worktreeManager.portRegistry.registryDir, 'webhook-deliveries.json')
+});
+webhookDispatcher.resume();
+
 // Initialize update checker
 const packageJson = JSON.parse(readFileSync(join(packageRoot, 'package.json'), 'utf-8'));
 worktreeManager.updateChecker = new UpdateChecker(packageJson.version);
@@ -278,6 +317,124 @@ const backupScheduler = new DatabaseBackupScheduler({
 await backupScheduler.start();
 console.log('[DATABASE-BACKUP] Nightly backup scheduler started (2am daily, 7-day retention)');
 
+// Initialize idle worktree auto-suspend
+const idleSuspendConfig = config.get('lifecycle.idleSuspend') || {};
+if (idleSuspendConfig.enabled === true) {
+  const { IdleSuspendScheduler } = await import('../idle-suspend-scheduler.mjs');
+  worktreeManager.idleScheduler = new IdleSuspendScheduler({
+    worktreeManager,
+    idleTimeout: (idleSuspendConfig.idleMinutes ?? 240) * 60 * 1000,
+    exclude: idleSuspendConfig.exclude ?? ['main'],
+    stateFile: join(worktreeManager.portRegistry.registryDir, 'suspended.json')
+  });
+  worktreeManager.idleScheduler.start();
+}
+
+// Initialize headless agent task runner
+const { AgentTaskRunner } = await import('../agent-task-runner.mjs');
+worktreeManager.taskRunner = new AgentTaskRunner({
+  worktreeManager,
+  agentRegistry,
+  agentConfig: config.get('agents.headless') || {},
+  tasksDir: join(worktreeManager.portRegistry.registryDir, 'tasks')
+});
+worktreeManager.taskRunner.resume();
+
+// Initialize pull request tracking (no-op without an authenticated gh CLI)
+const { PullRequestManager } = await import('../pull-request-manager.mjs');
+worktreeManager.prManager = new PullRequestManager({
+  worktreeManager,
+  baseBranch: config.get('sync.baseBranch') || 'main'
+});
+worktreeManager.prManager.start();
+
+// Initialize terminal recording (asciicast files under ~/.vibetrees/recordings)
+const { TerminalRecorder } = await import('../terminal-recorder.mjs');
+const recordingConfig = config.get('recording') || {};
+const recorder = new TerminalRecorder({
+  enabled: recordingConfig.enabled === true,
+  agents: recordingConfig.agents || []
+});
+worktreeManager.ptyManager.recorder = recorder;
+
+// Agent state changes (working, idle, awaiting input, finished) go to browsers and the event bus
+const { AgentNotifier } = await import('../agent-notifier.mjs');
+const agentNotifier = new AgentNotifier({
+  bus: worktreeManager.eventBus,
+  states: notificationConfig.states
+});
+worktreeManager.ptyManager.on('agent-state', (event) => {
+  worktreeManager.broadcast('agent:state', event);
+  agentNotifier.notify(event);
+});
+
+// Index terminal output so it can be searched across sessions
+const { TerminalSearchIndex } = await import('../terminal-search-index.mjs');
+worktreeManager.searchIndex = new TerminalSearchIndex();
+worktreeManager.ptyManager.searchIndex = worktreeManager.searchIndex;
+
+// Aggregate container logs into a bounded store per worktree
+const { LogAggregator, LOG_LEVELS } = await import('../log-aggregator.mjs');
+worktreeManager.logAggregator = new LogAggregator({
+  runtime,
+  logsDir: join(worktreeManager.portRegistry.registryDir, 'logs')
+});
+
+// Push worktree changes (git index/HEAD, files, containers) to browsers instead of polling
+const { WorktreeWatcher } = await import('../worktree-watcher.mjs');
+worktreeManager.watcher = new WorktreeWatcher({
+  runtime,
+  getDockerStatus: (path, name) => worktreeManager.getDockerStatusAsync(path, name)
+});
+worktreeManager.watcher.on('change', ({ name, changes }) => {
+  worktreeManager.broadcast('worktree:updated', { name, changes });
+});
+worktreeManager.watcher.on('list-changed', () => {
+  worktreeManager.broadcast('worktree:list-changed', {});
+  worktreeManager.serviceStates?.clearWorktreeCache();
+  worktreeManager.watchWorktrees().catch(error => {
+    console.warn('[WATCH] Failed to watch worktrees:', error.message);
+  });
+});
+worktreeManager.watcher.start();
+
+// Service state transitions and crash loops straight from the runtime's event stream
+const { ServiceStateTracker } = await import('../service-state-tracker.mjs');
+worktreeManager.serviceStates = new ServiceStateTracker({
+  runtime,
+  resolveWorktree: (workingDir) => {
+    const normalized = workingDir?.replace(/\/+$/, '');
+    return worktreeManager._worktreeLocations().find(w => w.path.replace(/\/+$/, '') === normalized)?.name || null;
+  }
+});
+worktreeManager.serviceStates.on('transition', (transition) => {
+  worktreeManager.broadcast('service:state', transition);
+});
+worktreeManager.serviceStates.on('crash-loop', (crashLoop) => {
+  worktreeManager.broadcast('service:crash-loop', crashLoop);
+  worktreeManager.eventBus.publish('services.crash-loop', crashLoop);
+});
+worktreeManager.serviceStates.start();
+
+// Services and compose profiles each worktree runs, kept across restarts
+const { ServiceSelectionStore } = await import('../service-selection.mjs');
+worktreeManager.serviceSelection = new ServiceSelectionStore({
+  stateFile: join(worktreeManager.portRegistry.registryDir, 'service-selection.json')
+});
+
+// User accounts: enforced on every /api route and WebSocket when listening on the network
+const authEnabled = listenAll;
+const userStore = new UserStore();
+const auth = createAuthMiddleware(userStore, { enabled: authEnabled });
+const loginLimiter = new RateLimiter({ maxRequests: 10, windowMs: 60000 });
+// One-time code printed to the console for creating the first admin account
+let setupCode = authEnabled && !userStore.hasUsers() ? crypto.randomBytes(4).toString('hex') : null;
+// Per-project roles of signed-in users (everyone is an admin in localhost mode)
+const roles = createRoleMiddleware(
+  (user, worktreeName) => projectManager.getUserRole(projectManager.getCurrentProject()?.id, user, worktreeName),
+  { enabled: authEnabled }
+);
+
 // Initialize PAL MCP facade
 const palMcp = new PalMcpFacade();
 
@@ -311,6 +468,15 @@ function createApp() {
     // Only compress large frames to avoid latency on small echoes
     perMessageDeflate: {
       threshold: 256  // Only compress frames > 256 bytes
+    },
+    // Reject upgrades (/terminal, /logs and the UI socket) without a session or API token
+    verifyClient: ({ req }, done) => {
+      if (!authEnabled) return done(true);
+      req.user = userStore.resolveRequest(req);
+      // Terminal share links work without an account
+      const shareToken = new URL(req.url, 'http://localhost').searchParams.get('share');
+      const shared = !req.user && req.url.startsWith('/terminal/') && worktreeManager.ptyManager.resolveShareToken(shareToken);
+      done(Boolean(req.user || shared), 401, 'Authentication required');
     }
   });
 
@@ -326,6 +492,26 @@ function createApp() {
   app.use(express.json());
   app.use(express.static(join(__dirname, 'public')));
 
+  // Everything under /api needs a signed-in user except what the login page uses
+  const PUBLIC_API_PATHS = ['/auth/status', '/auth/login', '/auth/setup', '/version'];
+  // Account and project routes check permissions themselves
+  const ROLE_EXEMPT_PREFIXES = ['/auth/', '/users', '/projects'];
+  app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_PATHS.includes(req.path)) return next();
+    auth.requireUser(req, res, () => {
+      if (ROLE_EXEMPT_PREFIXES.some(prefix => req.path.startsWith(prefix))) return next();
+
+      // Viewers may read; changes need a developer (routes may require admin on top)
+      const role = requiredRoleForMethod(req.method);
+      const worktreeMatch = req.path.match(/^\/worktrees\/([^/]+)/);
+      const worktreeName = worktreeMatch ? decodeURIComponent(worktreeMatch[1]) : null;
+      if (!roles.hasRole(req, role, worktreeName)) {
+        return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+      }
+      next();
+    });
+  });
+
   // Multer configuration for file uploads
   const upload = multer({ dest: join(homedir(), '.vibetrees', 'uploads') });
 
@@ -345,6 +531,18 @@ function createApp() {
     return worktree;
   }
 
+  /**
+   * Helper: Check a :service parameter names one of the worktree's services
+   * Sends 400 and returns false if not
+   */
+  function checkServiceOrError(worktree, service, res) {
+    if (!manager.hasService(worktree.path, service)) {
+      res.status(400).json({ success: false, error: `Unknown service: ${service}` });
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Helper: Standardized error response
    */
@@ -353,6 +551,25 @@ function createApp() {
     res.status(statusCode).json({ error: error.message || String(error) });
   }
 
+  /**
+   * Helper: Review manager diffing a worktree against the configured base branch
+   */
+  async function createReviewManager(worktree) {
+    const { GitReviewManager } = await import('../git-review.mjs');
+    return new GitReviewManager(worktree.path, config.get('sync.baseBranch') || 'main');
+  }
+
+  /**
+   * Helper: Backup manager rooted at the same directory as the nightly scheduler
+   */
+  async function createBackupManager() {
+    const { DatabaseBackupManager } = await import('../database-backup-manager.mjs');
+    return new DatabaseBackupManager({
+      projectRoot: initialRootDir,
+      runtime
+    });
+  }
+
   // WebSocket for UI updates
   wss.on('connection', (ws, req) => {
     // Format: /terminal/{worktreeName}?command={claude|codex}
@@ -362,8 +579,25 @@ function createApp() {
       const queryString = terminalMatch[3] || '';
       const params = new URLSearchParams(queryString);
       const command = params.get('command') || 'claude';
+      const user = req.user?.username || null;
+
+      // Share links watch the one session they were created for
+      const shareToken = params.get('share');
+      if (shareToken) {
+        const shared = manager.ptyManager.resolveShareToken(shareToken);
+        if (!shared || shared.worktreeName !== worktreeName || shared.agent !== command) {
+          ws.send('\r\n\x1b[31mError: This share link is invalid or has expired\x1b[0m\r\n');
+          ws.close();
+          return;
+        }
+        handleTerminalConnection(ws, worktreeName, command, manager, ENABLE_PROFILING, { readOnly: true, user, sessionId: shared.id });
+        return;
+      }
 
-      handleTerminalConnection(ws, worktreeName, command, manager, ENABLE_PROFILING);
+      // Viewers can watch a running session but not type into it
+      const readOnly = !roles.hasRole(req, 'developer', worktreeName);
+
+      handleTerminalConnection(ws, worktreeName, command, manager, ENABLE_PROFILING, { readOnly, user });
       return;
     }
 
@@ -481,7 +715,7 @@ function createApp() {
     }
   });
 
-  app.post('/api/projects', (req, res) => {
+  app.post('/api/projects', auth.requireAdmin, (req, res) => {
     try {
       const { name, path } = req.body;
       if (!name || !path) {
@@ -494,7 +728,7 @@ function createApp() {
     }
   });
 
-  app.put('/api/projects/:id', (req, res) => {
+  app.put('/api/projects/:id', auth.requireAdmin, (req, res) => {
     try {
       const updates = req.body;
       const project = projectManager.updateProject(req.params.id, updates);
@@ -507,7 +741,7 @@ function createApp() {
     }
   });
 
-  app.delete('/api/projects/:id', (req, res) => {
+  app.delete('/api/projects/:id', auth.requireAdmin, (req, res) => {
     try {
       projectManager.deleteProject(req.params.id);
       res.status(204).send();
@@ -519,7 +753,7 @@ function createApp() {
     }
   });
 
-  app.post('/api/projects/:id/set-current', (req, res) => {
+  app.post('/api/projects/:id/set-current', auth.requireAdmin, (req, res) => {
     try {
       projectManager.setCurrentProject(req.params.id);
       const project = projectManager.getProject(req.params.id);
@@ -538,6 +772,49 @@ function createApp() {
     }
   });
 
+  // Project roles (global admins and the project's admins)
+  function requireProjectAdmin(req, res, next) {
+    if (!projectManager.getProject(req.params.id)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (authEnabled && projectManager.getUserRole(req.params.id, req.user) !== 'admin') {
+      return res.status(403).json({ error: 'Project admin access required' });
+    }
+    next();
+  }
+
+  app.get('/api/projects/:id/roles', requireProjectAdmin, (req, res) => {
+    const project = projectManager.getProject(req.params.id);
+    res.json({
+      defaultRole: project.defaultRole || DEFAULT_ROLE,
+      members: project.members || {},
+      worktreeRoles: project.worktreeRoles || {}
+    });
+  });
+
+  app.put('/api/projects/:id/roles/default', requireProjectAdmin, (req, res) => {
+    try {
+      projectManager.setDefaultRole(req.params.id, req.body?.role);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Body: { role, worktree } - role null removes the assignment, worktree limits it to one worktree
+  app.put('/api/projects/:id/roles/members/:username', requireProjectAdmin, (req, res) => {
+    const { role = null, worktree = null } = req.body || {};
+    if (!userStore.getUser(req.params.username)) {
+      return res.status(404).json({ success: false, error: `User "${req.params.username}" not found` });
+    }
+    if (role !== null && !isRole(role)) {
+      return res.status(400).json({ success: false, error: `Invalid role: ${role}` });
+    }
+
+    projectManager.setMemberRole(req.params.id, req.params.username, role, worktree);
+    res.json({ success: true });
+  });
+
   // System API - Get user's home directory
   app.get('/api/system/home', (req, res) => {
     res.json({ home: homedir() });
@@ -694,6 +971,12 @@ function createApp() {
     // Use async worker thread version to avoid blocking event loop
     const worktrees = await manager.listWorktreesAsync();
 
+    // Suspension and PR state live in this process, not in the list worker
+    for (const worktree of worktrees) {
+      worktree.suspended = manager.idleScheduler?.isSuspended(worktree.name) || false;
+      worktree.pr = manager.prManager?.getStatus(worktree.name) || null;
+    }
+
     // Debug: log container detection results
     const containersFound = worktrees.reduce((sum, wt) => sum + (wt.dockerStatus?.length || 0), 0);
     console.log(`[/api/worktrees] ${worktrees.length} worktrees, ${containersFound} containers detected`);
@@ -701,11 +984,170 @@ function createApp() {
     res.json(worktrees);
   });
 
+  /**
+   * Helper: Sign the user in with a session cookie
+   */
+  function startSession(req, res, user) {
+    res.cookie(SESSION_COOKIE, userStore.createSession(user.username), {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: userStore.sessionTtl
+    });
+    res.json({ success: true, user });
+  }
+
+  /**
+   * Helper: Answer 429 when a client tries too many passwords
+   */
+  function checkLoginRate(req, res) {
+    const forwardedFor = trustProxy ? req.headers['x-forwarded-for']?.split(',')[0].trim() : null;
+    const clientIp = forwardedFor || req.socket.remoteAddress;
+    if (!loginLimiter.check(clientIp).allowed) {
+      res.status(429).json({ success: false, error: 'Too many attempts, try again in a minute' });
+      return false;
+    }
+    return true;
+  }
+
+  // Authentication
+  app.get('/api/auth/status', (req, res) => {
+    const user = authEnabled ? userStore.resolveRequest(req) : null;
+    res.json({
+      enabled: authEnabled,
+      setupRequired: Boolean(setupCode),
+      user,
+      // Role in the current project
+      role: user ? projectManager.getUserRole(projectManager.getCurrentProject()?.id, user) : 'admin'
+    });
+  });
+
+  app.post('/api/auth/setup', (req, res) => {
+    if (!setupCode) {
+      return res.status(400).json({ success: false, error: 'Setup is already complete' });
+    }
+    if (!checkLoginRate(req, res)) return;
+
+    const { code, username, password } = req.body || {};
+    if (code !== setupCode) {
+      return res.status(403).json({ success: false, error: 'Wrong setup code (see the server console)' });
+    }
+
+    const result = userStore.createUser({ username, password, admin: true });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    setupCode = null;
+    console.log(`[AUTH] Admin account "${username}" created`);
+    startSession(req, res, result.user);
+  });
+
+  app.post('/api/auth/login', (req, res) => {
+    if (!checkLoginRate(req, res)) return;
+
+    const { username, password } = req.body || {};
+    const user = userStore.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    startSession(req, res, user);
+  });
+
+  app.post('/api/auth/logout', (req, res) => {
+    userStore.deleteSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+  });
+
+  app.get('/api/auth/tokens', (req, res) => {
+    if (!req.user) {
+      return res.status(400).json({ error: 'API tokens are only used with --listen' });
+    }
+    res.json(userStore.listApiTokens(req.user.username));
+  });
+
+  app.post('/api/auth/tokens', (req, res) => {
+    if (!req.user) {
+      return res.status(400).json({ success: false, error: 'API tokens are only used with --listen' });
+    }
+    const result = userStore.createApiToken(req.user.username, req.body?.name);
+    res.status(result.success ? 201 : 400).json(result);
+  });
+
+  app.delete('/api/auth/tokens/:id', (req, res) => {
+    if (!req.user) {
+      return res.status(400).json({ success: false, error: 'API tokens are only used with --listen' });
+    }
+    const result = userStore.revokeApiToken(req.user.username, req.params.id);
+    res.status(result.success ? 200 : 404).json(result);
+  });
+
+  // User management (admins only; anyone in localhost mode)
+  app.get('/api/users', auth.requireAdmin, (req, res) => {
+    res.json(userStore.listUsers());
+  });
+
+  app.post('/api/users', auth.requireAdmin, (req, res) => {
+    const { username, password, admin } = req.body || {};
+    const result = userStore.createUser({ username, password, admin });
+    res.status(result.success ? 201 : 400).json(result);
+  });
+
+  app.patch('/api/users/:username', (req, res, next) => {
+    // Users may change their own password, given the current one; everything else needs an admin
+    const { password, currentPassword, admin } = req.body || {};
+    const isSelf = req.user?.username === req.params.username;
+    if (isSelf && password !== undefined) {
+      if (!checkLoginRate(req, res)) return;
+      if (!userStore.authenticate(req.params.username, currentPassword)) {
+        return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+      }
+    }
+    if (isSelf && admin === undefined) {
+      const result = userStore.updateUser(req.params.username, { password }, {
+        keepSession: parseCookies(req.headers.cookie)[SESSION_COOKIE]
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+    next();
+  }, auth.requireAdmin, (req, res) => {
+    const { password, admin } = req.body || {};
+    // The caller's own session survives changing their own password
+    const result = userStore.updateUser(req.params.username, { password, admin }, {
+      keepSession: parseCookies(req.headers.cookie)[SESSION_COOKIE]
+    });
+    res.status(result.success ? 200 : 400).json(result);
+  });
+
+  app.delete('/api/users/:username', auth.requireAdmin, (req, res) => {
+    if (req.user?.username === req.params.username) {
+      return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
+    const result = userStore.deleteUser(req.params.username);
+    if (result.success) {
+      projectManager.removeUserRoles(req.params.username);
+    }
+    res.status(result.success ? 200 : 400).json(result);
+  });
+
+  app.get('/api/presets', (req, res) => {
+    res.json(listPresets(config.get('presets')));
+  });
+
   app.post('/api/worktrees', async (req, res) => {
-    const { branchName, fromBranch, agent } = req.body;
+    const { branchName, fromBranch, agent, preset: presetName } = req.body;
     const force = req.query.force === 'true';
     const baseBranch = fromBranch || 'main';
 
+    let preset;
+    try {
+      preset = resolvePreset(config.get('presets'), presetName);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
     // Staleness check removed - worktree creation should never be blocked
     // Uncommitted changes and staleness don't affect worktree creation since worktrees are isolated
     // Users can manually sync main when needed via the sync button
@@ -719,6 +1161,12 @@ function createApp() {
       .replace(/\//g, '-');
     const worktreeName = slugifiedBranch;
 
+    // CLI/scripts: ?wait=true blocks until creation finishes and returns the result
+    if (req.query.wait === 'true') {
+      const result = await manager.createWorktree(branchName, baseBranch, { preset: preset.name });
+      return res.status(result.success ? 201 : 500).json(result);
+    }
+
     // Return immediately with 202 Accepted
     res.status(202).json({
       success: true,
@@ -732,11 +1180,12 @@ function createApp() {
     manager.broadcast('worktree:creating', {
       name: worktreeName,
       branch: branchName,
-      agent: agent || 'claude'
+      agent: agent || preset.agent || 'claude',
+      preset: preset.name
     });
 
     // Create worktree in background (don't await)
-    manager.createWorktree(branchName, baseBranch)
+    manager.createWorktree(branchName, baseBranch, { preset: preset.name })
       .then(result => {
         // Broadcast completion
         manager.broadcast('worktree:created', {
@@ -753,7 +1202,7 @@ function createApp() {
       });
   });
 
-  app.delete('/api/worktrees/:name', async (req, res) => {
+  app.delete('/api/worktrees/:name', roles.requireRole('admin'), async (req, res) => {
     try {
       const { name } = req.params;
       const { deleteBranch, deleteLocal, deleteRemote, force } = req.body || {};
@@ -818,6 +1267,99 @@ function createApp() {
     }
   });
 
+  // Structured diff for the review view (?mode=unstaged|staged|base)
+  app.get('/api/worktrees/:name/diff', async (req, res) => {
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const { DIFF_MODES } = await import('../git-review.mjs');
+      const mode = req.query.mode || 'unstaged';
+      if (!DIFF_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${DIFF_MODES.join(', ')}` });
+      }
+
+      const review = await createReviewManager(worktree);
+      res.json(review.getDiff(mode));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Stage, unstage or discard a file or a single hunk ({ path, hunk })
+  for (const action of ['stage', 'unstage', 'discard']) {
+    app.post(`/api/worktrees/:name/git/${action}`, async (req, res) => {
+      const { path, hunk = null } = req.body;
+
+      try {
+        const worktree = getWorktreeOrError(req.params.name, res);
+        if (!worktree) return;
+
+        const review = await createReviewManager(worktree);
+        const result = review[action](path, hunk);
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        sendError(res, error);
+      }
+    });
+  }
+
+  app.post('/api/worktrees/:name/git/commit', async (req, res) => {
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const review = await createReviewManager(worktree);
+      const result = review.commit(req.body.message);
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Pull request for the worktree's branch (?refresh=true to query GitHub now)
+  app.get('/api/worktrees/:name/pr', async (req, res) => {
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const cached = manager.prManager.getStatus(worktree.name);
+      const pr = req.query.refresh === 'true' || cached === undefined
+        ? await manager.prManager.refreshStatus(worktree.name, worktree.path)
+        : cached;
+      res.json({ pr });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Title and body suggested from the branch's commits
+  app.get('/api/worktrees/:name/pr/draft', async (req, res) => {
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      res.json(await manager.prManager.getDraft(worktree.path));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Push the branch and open a pull request
+  app.post('/api/worktrees/:name/pr', async (req, res) => {
+    const { title, body, draft = false } = req.body;
+
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const result = await manager.prManager.pushAndCreate(worktree.name, worktree.path, { title, body, draft });
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
   // List all available branches (Phase 2.7)
   // Query param: ?refresh=true to fetch latest from remote
   app.get('/api/branches', async (req, res) => {
@@ -1210,6 +1752,16 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
+  // Live CPU/memory usage per worktree (and per container)
+  app.get('/api/resources', async (req, res) => {
+    try {
+      const usage = await manager.getResourceUsage();
+      res.json({ success: true, ...usage });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
   // Disk space check endpoint
   app.get('/api/disk-space', async (req, res) => {
     const { path: checkPath, requiredBytes } = req.query;
@@ -1250,21 +1802,12 @@ Please start by showing me the first conflicted file and explaining the conflict
       const worktree = getWorktreeOrError(name, res);
       if (!worktree) return;
 
-      const ports = manager.portRegistry.getWorktreePorts(name);
-      const dbPort = manager._findDatabasePort(ports);
+      const dbConfig = await manager.getDatabaseConfig(name, worktree.path);
 
-      if (!dbPort) {
+      if (!dbConfig) {
         return res.status(400).json({ error: 'No database service found for this worktree' });
       }
 
-      const dbConfig = {
-        host: 'localhost',
-        port: dbPort,
-        database: 'vibe',
-        user: 'postgres',
-        password: process.env.POSTGRES_PASSWORD || 'postgres'
-      };
-
       const dbManager = new DatabaseManager(dbConfig);
       const tempOutputPath = `/tmp/vibe-export-${name}-${Date.now()}.sql`;
 
@@ -1299,21 +1842,12 @@ Please start by showing me the first conflicted file and explaining the conflict
       const worktree = getWorktreeOrError(name, res);
       if (!worktree) return;
 
-      const ports = manager.portRegistry.getWorktreePorts(name);
-      const dbPort = manager._findDatabasePort(ports);
+      const dbConfig = await manager.getDatabaseConfig(name, worktree.path);
 
-      if (!dbPort) {
+      if (!dbConfig) {
         return res.status(400).json({ error: 'No database service found for this worktree' });
       }
 
-      const dbConfig = {
-        host: 'localhost',
-        port: dbPort,
-        database: 'vibe',
-        user: 'postgres',
-        password: process.env.POSTGRES_PASSWORD || 'postgres'
-      };
-
       const dbManager = new DatabaseManager(dbConfig);
       const result = await dbManager.importWithTransaction(req.file.path, { dryRun: true });
 
@@ -1342,21 +1876,12 @@ Please start by showing me the first conflicted file and explaining the conflict
       const worktree = getWorktreeOrError(name, res);
       if (!worktree) return;
 
-      const ports = manager.portRegistry.getWorktreePorts(name);
-      const dbPort = manager._findDatabasePort(ports);
+      const dbConfig = await manager.getDatabaseConfig(name, worktree.path);
 
-      if (!dbPort) {
+      if (!dbConfig) {
         return res.status(400).json({ error: 'No database service found for this worktree' });
       }
 
-      const dbConfig = {
-        host: 'localhost',
-        port: dbPort,
-        database: 'vibe',
-        user: 'postgres',
-        password: process.env.POSTGRES_PASSWORD || 'postgres'
-      };
-
       const dbManager = new DatabaseManager(dbConfig);
       const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
       const filename = `${name}-${type}-${timestamp}.sql`;
@@ -1397,7 +1922,7 @@ Please start by showing me the first conflicted file and explaining the conflict
   });
 
   // Database import endpoint
-  app.post('/api/worktrees/:name/database/import', upload.single('file'), async (req, res) => {
+  app.post('/api/worktrees/:name/database/import', roles.requireRole('admin'), upload.single('file'), async (req, res) => {
     const { name } = req.params;
     const { validate = 'true', mode = 'replace' } = req.body;
 
@@ -1409,23 +1934,14 @@ Please start by showing me the first conflicted file and explaining the conflict
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      const ports = manager.portRegistry.getWorktreePorts(name);
-      const dbPort = manager._findDatabasePort(ports);
+      const dbConfig = await manager.getDatabaseConfig(name, worktree.path);
 
-      if (!dbPort) {
+      if (!dbConfig) {
         return res.status(400).json({ error: 'No database service found for this worktree' });
       }
 
-      const dbConfig = {
-        host: 'localhost',
-        port: dbPort,
-        database: 'vibe',
-        user: 'postgres',
-        password: process.env.POSTGRES_PASSWORD || 'postgres'
-      };
-
       // Validate schema compatibility if requested
-      if (validate === 'true') {
+      if (validate === 'true' && dbConfig.engine === 'postgres') {
         const validator = new DatabaseValidator(dbConfig);
         // TODO: Parse SQL file to extract schema
         // const importSchema = parseSQLSchema(req.file.path);
@@ -1477,20 +1993,15 @@ Please start by showing me the first conflicted file and explaining the conflict
       const worktree = getWorktreeOrError(name, res);
       if (!worktree) return;
 
-      const ports = manager.portRegistry.getWorktreePorts(name);
-      const dbPort = manager._findDatabasePort(ports);
+      const dbConfig = await manager.getDatabaseConfig(name, worktree.path);
 
-      if (!dbPort) {
+      if (!dbConfig) {
         return res.status(400).json({ error: 'No database service found for this worktree' });
       }
 
-      const dbConfig = {
-        host: 'localhost',
-        port: dbPort,
-        database: 'vibe',
-        user: 'postgres',
-        password: process.env.POSTGRES_PASSWORD || 'postgres'
-      };
+      if (dbConfig.engine !== 'postgres') {
+        return res.status(400).json({ error: `Schema inspection is not supported for ${dbConfig.engine}` });
+      }
 
       const validator = new DatabaseValidator(dbConfig);
       const tables = await validator.getTables();
@@ -1528,6 +2039,13 @@ Please start by showing me the first conflicted file and explaining the conflict
         worktree.ports || {}
       );
 
+      manager.eventBus?.publish('backup.finished', {
+        worktree: worktreeName,
+        success: result.success,
+        backupPath: result.backupPath,
+        error: result.error || result.reason
+      });
+
       if (result.success) {
         // Update documentation after manual backup
         backupManager.generateBackupDocs();
@@ -1550,6 +2068,149 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
+  // List named database snapshots
+  app.get('/api/worktrees/:name/database/snapshots', async (req, res) => {
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const backupManager = await createBackupManager();
+      res.json({ success: true, snapshots: backupManager.listSnapshots(worktree.name) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Create a named database snapshot
+  app.post('/api/worktrees/:name/database/snapshots', async (req, res) => {
+    const { name: snapshotName, tags = [], description = '', overwrite = false } = req.body;
+
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const backupManager = await createBackupManager();
+      const result = await backupManager.createSnapshot(worktree.name, worktree.path, worktree.ports || {}, {
+        name: snapshotName,
+        tags,
+        description,
+        overwrite
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      manager.broadcast('database:snapshot-created', result.snapshot);
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Compare a snapshot with another one (optionally from another worktree) by size
+  app.get('/api/worktrees/:name/database/snapshots/:snapshot/compare', async (req, res) => {
+    const { against, worktree: againstWorktree } = req.query;
+
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      if (!against) {
+        return res.status(400).json({ success: false, error: 'Query parameter "against" is required' });
+      }
+      if (![req.params.snapshot, against].every(name => typeof name === 'string' && SNAPSHOT_NAME_PATTERN.test(name))) {
+        return res.status(400).json({ success: false, error: 'Invalid snapshot name' });
+      }
+
+      const other = againstWorktree ? getWorktreeOrError(againstWorktree, res) : worktree;
+      if (!other) return;
+      if (!roles.hasRole(req, 'viewer', other.name)) {
+        return res.status(403).json({ success: false, error: `This action requires the viewer role on ${other.name}` });
+      }
+
+      const backupManager = await createBackupManager();
+      const result = backupManager.compareSnapshots(
+        { worktree: worktree.name, name: req.params.snapshot },
+        { worktree: other.name, name: against }
+      );
+
+      res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Replace snapshot tags
+  app.patch('/api/worktrees/:name/database/snapshots/:snapshot', async (req, res) => {
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const backupManager = await createBackupManager();
+      const result = backupManager.tagSnapshot(worktree.name, req.params.snapshot, req.body.tags || []);
+
+      res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Delete a snapshot
+  app.delete('/api/worktrees/:name/database/snapshots/:snapshot', roles.requireRole('admin'), async (req, res) => {
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const backupManager = await createBackupManager();
+      const result = backupManager.deleteSnapshot(worktree.name, req.params.snapshot);
+
+      res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Restore a snapshot into this worktree or, with "target", into another worktree
+  app.post('/api/worktrees/:name/database/snapshots/:snapshot/restore', roles.requireRole('admin'), async (req, res) => {
+    const { target, backupFirst = true } = req.body;
+
+    try {
+      const source = getWorktreeOrError(req.params.name, res);
+      if (!source) return;
+
+      const targetWorktree = target ? getWorktreeOrError(target, res) : source;
+      if (!targetWorktree) return;
+      if (!roles.hasRole(req, 'admin', targetWorktree.name)) {
+        return res.status(403).json({ success: false, error: `This action requires the admin role on ${targetWorktree.name}` });
+      }
+
+      const backupManager = await createBackupManager();
+      if (!backupManager.getSnapshot(source.name, req.params.snapshot)) {
+        return res.status(404).json({ success: false, error: `Snapshot "${req.params.snapshot}" not found` });
+      }
+
+      const result = await backupManager.restoreSnapshot(
+        { worktree: source.name, name: req.params.snapshot },
+        { name: targetWorktree.name, path: targetWorktree.path, ports: targetWorktree.ports || {} },
+        { backupFirst }
+      );
+
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      manager.broadcast('database:snapshot-restored', {
+        snapshot: result.snapshot.name,
+        source: source.name,
+        target: targetWorktree.name
+      });
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
   app.post('/api/worktrees/:name/services/start', async (req, res) => {
     const result = await manager.startServices(req.params.name);
     res.json(result);
@@ -1579,6 +2240,42 @@ Please start by showing me the first conflicted file and explaining the conflict
     res.json(startResult);
   });
 
+  // Report UI activity (e.g. an open web-UI tab); wakes the worktree if it was suspended
+  app.post('/api/worktrees/:name/activity', async (req, res) => {
+    const { source = 'webui' } = req.body;
+
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const scheduler = manager.idleScheduler;
+      if (!scheduler) {
+        return res.json({ success: true, woke: false });
+      }
+
+      const wake = scheduler.recordActivity(worktree.name, source);
+      const result = wake ? await wake : { success: true, woke: false };
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Re-allocate ports taken by other processes and restart the affected services
+  app.post('/api/worktrees/:name/ports/heal', async (req, res) => {
+    const { restart = true } = req.body;
+
+    try {
+      const worktree = getWorktreeOrError(req.params.name, res);
+      if (!worktree) return;
+
+      const result = await manager.healPorts(worktree.name, { restart });
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
   // Sync .env file with docker-compose.yml services
   app.post('/api/worktrees/:name/services/sync-env', async (req, res) => {
     const { name } = req.params;
@@ -1601,29 +2298,55 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
-  app.post('/api/worktrees/:name/services/:service/restart', async (req, res) => {
+  // Which services and compose profiles a worktree runs
+  app.get('/api/worktrees/:name/services/selection', (req, res) => {
+    try {
+      const result = manager.getServiceSelection(req.params.name);
+      res.status(result.success ? 200 : result.error === 'Worktree not found' ? 404 : 400).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.put('/api/worktrees/:name/services/selection', async (req, res) => {
+    const { services = null, profiles = [] } = req.body;
+
+    try {
+      const result = await manager.setServiceSelection(req.params.name, { services, profiles });
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.post('/api/worktrees/:name/services/:service/start', async (req, res) => {
     const { name, service } = req.params;
     const worktree = getWorktreeOrError(name, res);
+    if (!worktree) return;
+    if (!checkServiceOrError(worktree, service, res)) return;
 
-    if (!worktree) {
-      res.json({ success: false, error: 'Worktree not found' });
-      return;
-    }
+    const result = await manager.startService(name, service);
+    res.json(result);
+  });
 
-    try {
+  app.post('/api/worktrees/:name/services/:service/stop', async (req, res) => {
+    const { name, service } = req.params;
+    const worktree = getWorktreeOrError(name, res);
+    if (!worktree) return;
+    if (!checkServiceOrError(worktree, service, res)) return;
 
-      // All services managed by docker compose
-      runtime.execCompose(`restart ${service}`, {
-        cwd: worktree.path,
-        stdio: 'pipe',
-        encoding: 'utf-8'
-      });
+    const result = await manager.stopService(name, service);
+    res.json(result);
+  });
 
-      res.json({ success: true });
-    } catch (error) {
-      console.error(`Failed to restart service ${service}:`, error.message);
-      res.json({ success: false, error: error.message });
-    }
+  app.post('/api/worktrees/:name/services/:service/restart', async (req, res) => {
+    const { name, service } = req.params;
+    const worktree = getWorktreeOrError(name, res);
+    if (!worktree) return;
+    if (!checkServiceOrError(worktree, service, res)) return;
+
+    const result = await manager.restartService(name, service);
+    res.json(result);
   });
 
   app.post('/api/worktrees/:name/services/:service/rebuild', async (req, res) => {
@@ -1634,6 +2357,7 @@ Please start by showing me the first conflicted file and explaining the conflict
       res.json({ success: false, error: 'Worktree not found' });
       return;
     }
+    if (!checkServiceOrError(worktree, service, res)) return;
 
     try {
 
@@ -1666,6 +2390,9 @@ Please start by showing me the first conflicted file and explaining the conflict
       res.json({ success: false, error: 'worktreeName and command are required' });
       return;
     }
+    if (!roles.hasRole(req, 'developer', worktreeName)) {
+      return res.status(403).json({ success: false, error: 'This action requires the developer role' });
+    }
 
     try {
       let sessionId = null;
@@ -1690,6 +2417,169 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
+  // Running terminal session by ID, for developers of its worktree
+  function getTerminalSessionOrError(req, res) {
+    const session = manager.ptyManager.getSession(req.params.sessionId);
+    if (!session) {
+      res.status(404).json({ success: false, error: 'Terminal session not found' });
+      return null;
+    }
+    if (!roles.hasRole(req, 'developer', session.worktreeName)) {
+      res.status(403).json({ success: false, error: 'This action requires the developer role' });
+      return null;
+    }
+    return session;
+  }
+
+  // Terminal share links: whoever opens one can watch the session read-only
+  app.post('/api/terminals/:sessionId/share', (req, res) => {
+    const session = getTerminalSessionOrError(req, res);
+    if (!session) return;
+
+    const { token, expiresAt } = manager.ptyManager.createShareToken(session.id);
+    const query = new URLSearchParams({ worktree: session.worktreeName, command: session.agent, share: token });
+    res.json({ success: true, url: `${req.protocol}://${req.get('host')}/watch.html?${query}`, expiresAt });
+  });
+
+  app.delete('/api/terminals/:sessionId/share', (req, res) => {
+    const session = getTerminalSessionOrError(req, res);
+    if (!session) return;
+
+    manager.ptyManager.revokeShareTokens(session.id);
+    res.json({ success: true });
+  });
+
+  // Start or stop recording a running terminal ({ enabled: true|false })
+  app.post('/api/terminals/:sessionId/recording', async (req, res) => {
+    const session = getTerminalSessionOrError(req, res);
+    if (!session) return;
+
+    if (req.body.enabled === false) {
+      await manager.ptyManager.stopRecording(session.id);
+      broadcastPresence(session, manager);
+      return res.json({ success: true, recording: null });
+    }
+
+    const recording = manager.ptyManager.startRecording(session.id);
+    if (!recording) {
+      return res.status(400).json({ success: false, error: 'Terminal is not running' });
+    }
+    broadcastPresence(session, manager);
+    res.json({ success: true, recording: { id: recording.id, worktree: recording.worktree } });
+  });
+
+  // What each terminal's agent is doing, for badges after a page load
+  app.get('/api/terminals/states', (req, res) => {
+    res.json(manager.ptyManager.listAgentStates());
+  });
+
+  // Search the output of every terminal session, running or ended
+  app.get('/api/search/terminals', (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const results = manager.searchIndex.search(query, { worktree: req.query.worktree || null, limit });
+    res.json(results.map(result => ({ ...result, active: manager.ptyManager.hasSession(result.sessionId) })));
+  });
+
+  // Aggregated container logs (?service=a,b&level=warn&since=&until=&q=&after=&limit=)
+  app.get('/api/worktrees/:name/logs', async (req, res) => {
+    const { service, level, since, until, q } = req.query;
+    if (level && !LOG_LEVELS.includes(level)) {
+      return res.status(400).json({ success: false, error: `level must be one of: ${LOG_LEVELS.join(', ')}` });
+    }
+    for (const [key, value] of Object.entries({ since, until })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `${key} must be a date` });
+      }
+    }
+
+    const result = await manager.queryLogs(req.params.name, {
+      services: service ? String(service).split(',').filter(Boolean) : null,
+      level: level || null,
+      since: since || null,
+      until: until || null,
+      text: typeof q === 'string' && q.trim() ? q.trim() : null,
+      after: Number(req.query.after) || 0,
+      limit: Math.min(Number(req.query.limit) || 500, 5000)
+    });
+    res.status(result.success ? 200 : 404).json(result);
+  });
+
+  // Recent events from the event bus (?type=sync.*&since=&limit=)
+  app.get('/api/events', (req, res) => {
+    const { type, since } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ success: false, error: 'since must be a date' });
+    }
+
+    res.json(manager.eventBus.list({
+      type: type || null,
+      since: since || null,
+      limit: Math.min(Number(req.query.limit) || 100, 1000)
+    }));
+  });
+
+  // Webhook delivery log (?status=failed&eventId=&limit=)
+  app.get('/api/webhooks/deliveries', roles.requireRole('admin'), (req, res) => {
+    res.json(webhookDispatcher.listDeliveries({
+      status: req.query.status || null,
+      eventId: req.query.eventId || null,
+      limit: Math.min(Number(req.query.limit) || 100, 500)
+    }));
+  });
+
+  // Send a 'ping' event to every webhook subscriber
+  app.post('/api/webhooks/test', roles.requireRole('admin'), (req, res) => {
+    const event = manager.eventBus.publish('ping', { message: 'Webhook test from VibeTrees' });
+    res.json({ success: true, event, deliveries: webhookDispatcher.subscribersFor('ping').length });
+  });
+
+  // Terminal recordings
+  function getRecordingPathOrError(req, res) {
+    const path = recorder.getPath(req.params.name, req.params.id);
+    if (!path) {
+      res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+    return path;
+  }
+
+  app.get('/api/recordings', (req, res) => {
+    res.json(recorder.list(req.query.worktree || null));
+  });
+
+  // Raw asciicast v2 file, as used by the player (?download=1 to save it)
+  app.get('/api/recordings/:name/:id', (req, res) => {
+    const path = getRecordingPathOrError(req, res);
+    if (!path) return;
+
+    if (req.query.download) {
+      res.attachment(`${req.params.name}-${req.params.id}.cast`);
+    }
+    res.type('application/x-asciicast');
+    res.sendFile(path);
+  });
+
+  // Plain-text transcript with escape sequences removed
+  app.get('/api/recordings/:name/:id/export', (req, res) => {
+    const text = recorder.exportText(req.params.name, req.params.id);
+    if (text === null) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+
+    res.type('text/plain');
+    res.attachment(`${req.params.name}-${req.params.id}.txt`);
+    res.send(text);
+  });
+
+  app.delete('/api/recordings/:name/:id', roles.requireRole('admin'), (req, res) => {
+    const result = recorder.delete(req.params.name, req.params.id);
+    res.status(result.success ? 200 : 404).json(result);
+  });
+
   // Agent API Routes
   app.get('/api/agents', async (req, res) => {
     try {
@@ -1776,6 +2666,66 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
+  // Headless agent task routes
+
+  // Changing a task needs the developer role on the task's worktree
+  function requireTaskRole(req, res, next) {
+    const task = manager.taskRunner.getTask(req.params.id);
+    if (task && !roles.hasRole(req, 'developer', task.worktree)) {
+      return res.status(403).json({ success: false, error: 'This action requires the developer role' });
+    }
+    next();
+  }
+
+  app.get('/api/tasks', (req, res) => {
+    res.json(manager.taskRunner.listTasks({ worktree: req.query.worktree }));
+  });
+
+  // Queue a prompt for one worktree or several ({ worktrees: [...] })
+  app.post('/api/tasks', (req, res) => {
+    const { worktree, worktrees, agent, prompt } = req.body;
+    const targets = worktrees || (worktree ? [worktree] : []);
+
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'At least one worktree is required' });
+    }
+
+    const tasks = [];
+    const errors = [];
+    for (const target of targets) {
+      if (!roles.hasRole(req, 'developer', target)) {
+        errors.push(`${target}: This action requires the developer role`);
+        continue;
+      }
+      const result = manager.taskRunner.createTask({ worktree: target, agent, prompt });
+      if (result.success) {
+        tasks.push(result.task);
+      } else {
+        errors.push(`${target}: ${result.error}`);
+      }
+    }
+
+    res.status(tasks.length > 0 ? 200 : 400).json({ success: tasks.length > 0, tasks, errors });
+  });
+
+  app.get('/api/tasks/:id', (req, res) => {
+    const task = manager.taskRunner.getTask(req.params.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(task);
+  });
+
+  app.post('/api/tasks/:id/cancel', requireTaskRole, (req, res) => {
+    const result = manager.taskRunner.cancelTask(req.params.id);
+    res.status(result.success ? 200 : 400).json(result);
+  });
+
+  app.delete('/api/tasks/:id', requireTaskRole, (req, res) => {
+    const result = manager.taskRunner.deleteTask(req.params.id);
+    res.status(result.success ? 200 : 400).json(result);
+  });
+
   // Worktree discovery and import endpoints
   app.get('/api/worktrees/discover', async (req, res) => {
     try {
@@ -1824,7 +2774,7 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
-  app.post('/api/diagnostics/fix/:fixType', async (req, res) => {
+  app.post('/api/diagnostics/fix/:fixType', roles.requireRole('admin'), async (req, res) => {
     try {
       const { fixType } = req.params;
       const context = req.body || {};
@@ -1851,7 +2801,7 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
-  app.post('/api/pal-mcp/config', async (req, res) => {
+  app.post('/api/pal-mcp/config', roles.requireRole('admin'), async (req, res) => {
     try {
       const { provider, apiKey } = req.body;
       if (!provider || !apiKey) {
@@ -1864,7 +2814,7 @@ Please start by showing me the first conflicted file and explaining the conflict
     }
   });
 
-  app.delete('/api/pal-mcp/config/:provider', async (req, res) => {
+  app.delete('/api/pal-mcp/config/:provider', roles.requireRole('admin'), async (req, res) => {
     try {
       const { provider } = req.params;
       const result = palMcp.removeApiKey(provider);
@@ -2059,6 +3009,48 @@ async function initializeInBackground(manager) {
     ),
     */
 
+    // Follow logs of worktrees whose containers are already running
+    initManager.executeTask(
+      'log-collection',
+      'Collecting container logs',
+      async (updateProgress) => {
+        const running = manager.listWorktrees().filter(worktree =>
+          (worktree.dockerStatus || []).some(service => service.state === 'running')
+        );
+        const collecting = running.filter(worktree =>
+          manager.logAggregator.watch(worktree.name, worktree.path, { force: true })
+        );
+
+        updateProgress(100, `Collecting logs for ${collecting.length} worktrees`);
+        return { collecting: collecting.length };
+      },
+      1000
+    ),
+
+    // Port-forwards to services deployed on Kubernetes end with the server that started them
+    initManager.executeTask(
+      'port-forwards',
+      'Restoring Kubernetes port-forwards',
+      async (updateProgress) => {
+        const restored = manager.restorePortForwards();
+        updateProgress(100, `Forwarding ports of ${restored} worktrees`);
+        return { restored };
+      },
+      1000
+    ),
+
+    // Watch worktrees so their state is pushed to browsers as it changes
+    initManager.executeTask(
+      'worktree-watch',
+      'Watching worktrees for changes',
+      async (updateProgress) => {
+        const watched = await manager.watchWorktrees();
+        updateProgress(100, `Watching ${watched} worktrees`);
+        return { watched };
+      },
+      1000
+    ),
+
     // Task 3: Warm up caches
     initManager.executeTask(
       'cache-warmup',
@@ -2327,6 +3319,12 @@ async function startServer() {
         } else {
           console.log(`      🌐 http://<your-ip>:${PORT}`);
         }
+
+        if (setupCode) {
+          console.log(`\n   🔑 No accounts yet. Open the UI and create the admin account with setup code: ${setupCode}`);
+        } else {
+          console.log(`\n   🔑 Sign-in required (${userStore.listUsers().length} account(s))`);
+        }
       } else {
         console.log(`   🔒 Local Mode: Localhost only\n`);
         console.log(`      🏠 http://localhost:${PORT}`);
@@ -14,6 +14,7 @@ import { homedir } from 'os';
 import { randomUUID } from 'crypto';
 import xtermPkg from '@xterm/headless';
 import serializePkg from '@xterm/addon-serialize';
+import { agentRegistry } from '../agents/index.mjs';
 
 const { Terminal } = xtermPkg;
 const { SerializeAddon } = serializePkg;
@@ -226,15 +227,262 @@ export function handleCombinedLogsConnection(ws, worktreeName, manager) {
   ws.send(`\x1b[1;36m╔═══ Combined Logs (${worktreeName}) ═══╗\x1b[0m\r\n\r\n`);
 }
 
+// ==========================================
+// Constants: Backpressure & Flow Control
+// ==========================================
+const BACKPRESSURE_THRESHOLD = 1024 * 1024; // 1MB - pause PTY when WebSocket buffer exceeds this
+const BACKPRESSURE_TIMEOUT = 30000; // 30s - safety timeout for stuck connections
+const BACKPRESSURE_TRIGGER_SIZE = 10000; // 10KB - only check backpressure for large outputs
+
+/**
+ * Send a control message to every client attached to a PTY session
+ * @param {Object} session - PTY session object
+ * @param {Object} message - JSON-serializable message
+ */
+function broadcastToSession(session, message) {
+  const payload = JSON.stringify(message);
+  for (const client of session.clients.values()) {
+    if (client.ws?.readyState === 1) {
+      try {
+        client.ws.send(payload);
+      } catch (e) {
+        console.error(`[TERMINAL] Failed to notify client ${client.id}: ${e.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Tell every client of a session who is attached, who is driving and whether it is recorded
+ * @param {Object} session - PTY session object
+ * @param {Object} manager - WorktreeManager instance
+ */
+export function broadcastPresence(session, manager) {
+  broadcastToSession(session, {
+    type: 'presence',
+    clients: manager.ptyManager.getPresence(session.id),
+    recording: Boolean(session.recording)
+  });
+}
+
+/**
+ * Write batched PTY output into the session's headless xterm
+ * @param {Object} session - PTY session object
+ */
+function flushXtermBuffer(session) {
+  if (session.xtermUpdateTimer) {
+    clearTimeout(session.xtermUpdateTimer);
+    session.xtermUpdateTimer = null;
+  }
+  if (session.pendingXtermData?.length > 0 && session.xterm) {
+    session.xterm.write(session.pendingXtermData.join(''));
+  }
+  session.pendingXtermData = [];
+}
+
+/**
+ * Batch PTY output for the headless xterm (off the critical path)
+ * Instead of updating the buffer on every byte (slow), flush every 100ms
+ * @param {Object} session - PTY session object
+ * @param {string} data - PTY output
+ */
+function queueXtermUpdate(session, data) {
+  session.pendingXtermData.push(data);
+  if (!session.xtermUpdateTimer) {
+    session.xtermUpdateTimer = setTimeout(() => flushXtermBuffer(session), 100);
+  }
+}
+
+/**
+ * Bring a client up to date with the session's current screen. Output that
+ * arrives while the snapshot is taken is held back and sent right after it.
+ * @param {Object} session - PTY session object
+ * @param {Object} client - Attached client
+ * @param {boolean} reset - Clear the client's screen first (resync after lagging)
+ */
+function syncClient(session, client, reset = false) {
+  client.lagging = false;
+  client.syncing = true;
+  client.backlog = [];
+
+  flushXtermBuffer(session);
+  session.xterm.write('', () => {
+    client.syncing = false;
+    if (client.ws.readyState !== 1) return;
+
+    client.ws.send((reset ? '\x1bc' : '') + session.serializeAddon.serialize());
+    for (const data of client.backlog) {
+      client.ws.send(data);
+    }
+    client.backlog = [];
+  });
+}
+
+/**
+ * Pause the PTY until the driver's WebSocket drains
+ * @param {Object} session - PTY session object
+ * @param {WebSocket} ws - Driver's WebSocket
+ * @param {string} worktreeName - Name of the worktree (for logging)
+ */
+function pauseForDriver(session, ws, worktreeName) {
+  const flow = session.flow;
+  if (flow.draining) return;
+
+  const terminal = session.pty;
+  flow.draining = true;
+  flow.isPaused = true;
+  terminal.pause();
+  console.warn(`[BACKPRESSURE] Pausing PTY for ${worktreeName} (buffer: ${ws.bufferedAmount} bytes)`);
+
+  // Notify client of pause
+  try {
+    ws.send(JSON.stringify({
+      type: 'status',
+      message: 'Output paused (slow connection)',
+      paused: true
+    }));
+  } catch (e) {
+    console.error('[BACKPRESSURE] Failed to send pause notification:', e.message);
+  }
+
+  const resume = () => {
+    flow.draining = false;
+    flow.isPaused = false;
+    if (!flow.clientPaused) {
+      terminal.resume();
+      try {
+        ws.send(JSON.stringify({ type: 'status', message: '', paused: false }));
+      } catch (e) {}
+    }
+  };
+
+  // Event-driven drain: Resume when buffer empties
+  const drainHandler = () => {
+    if (ws.bufferedAmount < BACKPRESSURE_THRESHOLD / 2) {
+      clearTimeout(drainTimeout);
+      ws.off('drain', drainHandler);
+      resume();
+    }
+  };
+
+  // Safety timeout: Resume after 30s even if drain doesn't fire
+  const drainTimeout = setTimeout(() => {
+    console.warn(`[BACKPRESSURE] Timeout after ${BACKPRESSURE_TIMEOUT}ms - force resuming`);
+    ws.off('drain', drainHandler);
+    resume();
+  }, BACKPRESSURE_TIMEOUT);
+
+  ws.on('drain', drainHandler);
+}
+
+/**
+ * Send PTY output to one client
+ *
+ * Performance critical path - optimized for sub-millisecond latency:
+ * - Send immediately (no artificial delays)
+ * - The driver's backpressure pauses the PTY, but only for large bursts (>10KB)
+ * - A spectator that falls behind is skipped and resynced from the headless
+ *   xterm once it catches up, so it never slows down the driver
+ * @param {Object} session - PTY session object
+ * @param {Object} client - Attached client
+ * @param {string} data - PTY output
+ * @param {string} worktreeName - Name of the worktree (for logging)
+ */
+function sendToClient(session, client, data, worktreeName) {
+  const { ws } = client;
+
+  // Fast path: Check WebSocket is ready
+  if (ws.readyState !== 1) { // Not WebSocket.OPEN
+    return;
+  }
+
+  if (client.syncing) {
+    client.backlog.push(data);
+    return;
+  }
+
+  const isDriver = client.id === session.driverId;
+  if (ws.bufferedAmount > BACKPRESSURE_THRESHOLD && (!isDriver || data.length > BACKPRESSURE_TRIGGER_SIZE)) {
+    if (isDriver) {
+      pauseForDriver(session, ws, worktreeName);
+    } else {
+      client.lagging = true;
+    }
+    return; // Don't send during backpressure
+  }
+
+  if (client.lagging) {
+    if (ws.bufferedAmount < BACKPRESSURE_THRESHOLD / 2) {
+      syncClient(session, client, true);
+      client.backlog.push(data);
+    }
+    return;
+  }
+
+  // Default: Send immediately
+  // TCP_NODELAY and no compression for small frames keep keystroke echoes fast
+  ws.send(data);
+}
+
+/**
+ * Start fanning PTY output out to a session's clients
+ * @param {Object} session - PTY session object
+ * @param {string} worktreeName - Name of the worktree (for logging)
+ */
+function startSessionStream(session, worktreeName) {
+  // Headless xterm mirrors the screen for serialization and late joiners
+  ensureHeadlessTerminal(session, 120, 30);
+  session.flow = { isPaused: false, clientPaused: false, draining: false };
+  session.pendingXtermData = [];
+  session.xtermUpdateTimer = null;
+
+  const ptyToClients = (data) => {
+    for (const client of session.clients.values()) {
+      sendToClient(session, client, data, worktreeName);
+    }
+    queueXtermUpdate(session, data);
+  };
+
+  session.pty.onData(ptyToClients);
+  session.activeListener = ptyToClients;
+}
+
+/**
+ * Stop streaming once the last client has left; the PTY keeps running for reconnection
+ * @param {Object} session - PTY session object
+ */
+function stopSessionStream(session) {
+  // Flush any pending buffer updates before disposing
+  flushXtermBuffer(session);
+
+  // Ensure PTY is resumed if it was paused
+  session.pty.resume();
+
+  if (session.activeListener) {
+    session.pty.removeListener('data', session.activeListener);
+    session.activeListener = null;
+  }
+
+  disposeHeadlessTerminal(session);
+}
+
 /**
  * Handle terminal WebSocket connection (PTY session)
+ *
+ * Several clients can attach to one session. The driver's input reaches the
+ * PTY; everyone else spectates, and the driver role can be handed over.
  * @param {WebSocket} ws - WebSocket connection
  * @param {string} worktreeName - Name of the worktree
  * @param {string} command - Command/agent to run (shell, claude, codex)
  * @param {Object} manager - WorktreeManager instance
  * @param {boolean} enableProfiling - Whether profiling is enabled
+ * @param {Object} options
+ * @param {boolean} options.readOnly - Watch an existing session without ever driving (viewer role, share links)
+ * @param {string|null} options.user - Name shown to the other clients
+ * @param {string|null} options.sessionId - Attach to this session (share links) instead of looking it up
  */
-export function handleTerminalConnection(ws, worktreeName, command, manager, enableProfiling = false) {
+export function handleTerminalConnection(ws, worktreeName, command, manager, enableProfiling = false, options = {}) {
+  const { readOnly = false, user = null } = options;
   const worktrees = manager.listWorktrees();
   const worktree = worktrees.find(w => w.name === worktreeName);
 
@@ -246,50 +494,51 @@ export function handleTerminalConnection(ws, worktreeName, command, manager, ena
     return;
   }
 
-  let sessionId;
-  let session;
+  // Opening a terminal counts as activity and wakes a suspended worktree (in the background)
+  if (!readOnly) {
+    manager.idleScheduler?.recordActivity(worktreeName, 'terminal');
+  }
+
+  let sessionId = options.sessionId || null;
+  let session = sessionId ? manager.ptyManager.getSession(sessionId) : null;
 
   // Try to find existing session
-  for (const [sid, sess] of manager.ptyManager._sessions) {
-    if (sess.worktreeName === worktreeName && sess.agent === command) {
-      sessionId = sid;
-      session = sess;
-      break;
+  if (!sessionId) {
+    for (const [sid, sess] of manager.ptyManager._sessions) {
+      if (sess.worktreeName === worktreeName && sess.agent === command) {
+        sessionId = sid;
+        session = sess;
+        break;
+      }
     }
   }
 
+  // Viewers may only watch a session that is already running
+  if (readOnly && !session?.pty) {
+    ws.send('\r\n\x1b[31mError: No running session to watch (read-only access)\x1b[0m\r\n');
+    ws.close();
+    return;
+  }
+
   if (!sessionId) {
     sessionId = manager.ptyManager.createSession(worktreeName, command, worktree.path);
     session = manager.ptyManager.getSession(sessionId);
   }
 
-  // Ensure headless xterm is available for this session (used for serialization + WS piping)
-  const headlessTerm = ensureHeadlessTerminal(session, 120, 30);
-
   // Generate unique client ID for this WebSocket connection
-  const clientId = `${sessionId}-${Date.now()}`;
-
-  // Attach client to session (returns previous WebSocket if takeover)
-  const previousWs = manager.ptyManager.attachClient(sessionId, clientId, ws);
-  const isTakeover = !!previousWs;
-
-  // If this is a takeover, notify the previous client
-  if (isTakeover && previousWs.readyState === 1) { // WebSocket.OPEN
-    try {
-      previousWs.send(JSON.stringify({
-        type: 'takeover',
-        message: 'Session taken over by another client'
-      }));
-    } catch (e) {
-      console.error(`[TAKEOVER] Failed to notify previous client: ${e.message}`);
-    }
-  }
+  const clientId = `${sessionId}-${randomUUID().slice(0, 8)}`;
+  const client = manager.ptyManager.attachClient(sessionId, clientId, ws, { user, readOnly });
 
-  let terminal;
   if (!session.pty) {
     // Determine command and args based on agent type
-    let commandStr, args;
-    if (command === 'shell') {
+    let commandStr, args, env;
+    if (agentRegistry.isConfigAgent(command)) {
+      // Agent declared in .vibe/config.json or ~/.vibetrees/agents
+      const agent = agentRegistry.create(command);
+      commandStr = agent.getCommand();
+      args = agent.getDefaultArgs();
+      env = agent.getEnvironmentVariables(worktree.path);
+    } else if (command === 'shell') {
       commandStr = process.env.SHELL || '/bin/bash';
       args = [];
     } else if (command === 'codex') {
@@ -312,179 +561,39 @@ export function handleTerminalConnection(ws, worktreeName, command, manager, ena
       }
     }
 
-    terminal = manager.ptyManager.spawnPTY(sessionId, {
+    manager.ptyManager.spawnPTY(sessionId, {
       command: commandStr,
       args,
+      env,
       cols: 120,
-      rows: 30
+      rows: 30,
+      awaitingInput: agentRegistry.has(command) ? agentRegistry.create(command).getActivityPatterns().awaitingInput : []
     });
+  }
 
-  } else {
-    terminal = session.pty;
-
-    // Clean up any existing listeners for this session to prevent memory leaks
-    if (session.activeListener) {
-      terminal.removeListener('data', session.activeListener);
-      session.activeListener = null;
-    }
+  const terminal = session.pty;
 
-    if (session.xtermDataDisposable) {
-      session.xtermDataDisposable.dispose();
-      session.xtermDataDisposable = null;
-    }
-
-    // Clean up old WebSocket message handler to prevent duplicates
-    if (session.activeMessageHandler && session.activeWs) {
-      session.activeWs.removeListener('message', session.activeMessageHandler);
-      session.activeMessageHandler = null;
-      session.activeWs = null;
-    }
+  if (!session.activeListener) {
+    startSessionStream(session, worktreeName);
+  } else {
+    // Joining a session others are already attached to: start from the current screen
+    syncClient(session, client);
   }
 
-  // ==========================================
-  // Constants: Backpressure & Flow Control
-  // ==========================================
-  const BACKPRESSURE_THRESHOLD = 1024 * 1024; // 1MB - pause PTY when WebSocket buffer exceeds this
-  const BACKPRESSURE_TIMEOUT = 30000; // 30s - safety timeout for stuck connections
-  const BACKPRESSURE_TRIGGER_SIZE = 10000; // 10KB - only check backpressure for large outputs
-
-  // Feature flag: Enable old output batching behavior (for rollback)
-  const ENABLE_OUTPUT_BATCHING = process.env.VIBE_OUTPUT_BATCHING === 'true';
-
-  // Flow control state
-  let draining = false;
-  let isPaused = false; // Server-side backpressure pause state
-  let clientPaused = false; // Client-side flow control pause state
-
-  /**
-   * Handle PTY output data - send to WebSocket with backpressure handling
-   *
-   * Performance critical path - optimized for sub-millisecond latency:
-   * - Send immediately (no artificial delays)
-   * - Backpressure only for large bursts (>10KB)
-   * - Event-driven drain handling (no polling)
-   */
-  const onData = (data) => {
-    // Fast path: Check WebSocket is ready
-    if (ws.readyState !== 1) { // Not WebSocket.OPEN
-      return;
-    }
-
-    // ==========================================
-    // Backpressure Handling (Large Outputs Only)
-    // ==========================================
-    // Only check backpressure for large outputs to avoid overhead
-    // Typical keystroke echoes (1-3 bytes) skip this entirely
-    if (data.length > BACKPRESSURE_TRIGGER_SIZE && ws.bufferedAmount > BACKPRESSURE_THRESHOLD) {
-      if (!draining) {
-        draining = true;
-        isPaused = true;
-        terminal.pause();
-        console.warn(`[BACKPRESSURE] Pausing PTY for ${worktreeName} (buffer: ${ws.bufferedAmount} bytes)`);
-
-        // Notify client of pause
-        try {
-          ws.send(JSON.stringify({
-            type: 'status',
-            message: 'Output paused (slow connection)',
-            paused: true
-          }));
-        } catch (e) {
-          console.error('[BACKPRESSURE] Failed to send pause notification:', e.message);
-        }
+  const headlessTerm = session.xterm;
+  const flow = session.flow;
+  const isDriver = () => session.driverId === clientId;
 
-        // Safety timeout: Resume after 30s even if drain doesn't fire
-        const drainTimeout = setTimeout(() => {
-          console.warn(`[BACKPRESSURE] Timeout after ${BACKPRESSURE_TIMEOUT}ms - force resuming`);
-          draining = false;
-          isPaused = false;
-          if (!clientPaused) {
-            terminal.resume();
-            try {
-              ws.send(JSON.stringify({ type: 'status', message: '', paused: false }));
-            } catch (e) {}
-          }
-        }, BACKPRESSURE_TIMEOUT);
-
-        // Event-driven drain: Resume when buffer empties
-        const drainHandler = () => {
-          if (ws.bufferedAmount < BACKPRESSURE_THRESHOLD / 2) {
-            clearTimeout(drainTimeout);
-            ws.off('drain', drainHandler);
-            draining = false;
-            isPaused = false;
-            if (!clientPaused) {
-              terminal.resume();
-              try {
-                ws.send(JSON.stringify({ type: 'status', message: '', paused: false }));
-              } catch (e) {}
-            }
-          }
-        };
-        ws.on('drain', drainHandler);
+  // A new driver starts unpaused, whatever the previous driver asked for
+  const resetClientPause = () => {
+    if (flow.clientPaused) {
+      flow.clientPaused = false;
+      if (!flow.isPaused) {
+        terminal.resume();
       }
-      return; // Don't send during backpressure
     }
-
-    // ==========================================
-    // Output Transmission: Send Immediately
-    // ==========================================
-    // CRITICAL FIX: Removed 4ms output batching that was causing typing delays
-    // Every echo now sent immediately for native terminal feel (<5ms latency)
-    //
-    // Trade-off: Slightly more WebSocket frames (~1 per keystroke) but:
-    // - Modern WebSockets handle this efficiently
-    // - TCP_NODELAY prevents Nagle delays
-    // - Compression disabled for small frames (<256 bytes)
-    // - Result: 70% reduction in perceived typing lag (10ms → 3ms)
-    if (ENABLE_OUTPUT_BATCHING) {
-      // Legacy path: Batch output (opt-in via VIBE_OUTPUT_BATCHING=true)
-      console.warn('[DEPRECATED] Output batching enabled - typing lag will be noticeable');
-      // Note: Legacy batching code removed for simplicity
-      // If needed, restore from git history: commit 1143eea
-    }
-
-    // Default: Send immediately
-    ws.send(data);
-  };
-
-  // Batched buffer update for xterm-headless (off critical path)
-  // Instead of updating buffer on every byte (slow), batch updates every 100ms
-  let xtermUpdateBuffer = [];
-  let xtermUpdateTimer = null;
-
-  const flushXtermBuffer = () => {
-    if (xtermUpdateBuffer.length > 0) {
-      const combined = xtermUpdateBuffer.join('');
-      headlessTerm.write(combined);
-      xtermUpdateBuffer = [];
-    }
-    xtermUpdateTimer = null;
-  };
-
-  const queueXtermUpdate = (data) => {
-    xtermUpdateBuffer.push(data);
-    if (!xtermUpdateTimer) {
-      xtermUpdateTimer = setTimeout(flushXtermBuffer, 100); // Batch every 100ms
-    }
-  };
-
-  // Bridge PTY -> WebSocket (direct, fast path)
-  // Buffer updates happen async/batched to avoid blocking
-  const ptyToWs = (data) => {
-    // Send immediately to WebSocket (critical path - no delay)
-    onData(data);
-
-    // Queue buffer update for later (non-blocking)
-    queueXtermUpdate(data);
   };
 
-  terminal.onData(ptyToWs);
-
-  // Store listener reference for cleanup
-  session.activeListener = ptyToWs;
-  session.xtermUpdateTimer = xtermUpdateTimer;
-
   // OPTIMIZED: Minimal overhead message handler
   const messageHandler = (data) => {
     // Convert Buffer to string for unified processing
@@ -496,18 +605,19 @@ export function handleTerminalConnection(ws, worktreeName, command, manager, ena
       try {
         const msg = JSON.parse(dataStr);
 
-        // Handle resize control message
-        if (msg.type === 'resize' && msg.cols && msg.rows) {
+        // Handle resize control message (the driver's window sets the size)
+        if (msg.type === 'resize' && msg.cols && msg.rows && isDriver()) {
           terminal.resize(msg.cols, msg.rows);  // Resize PTY
           headlessTerm.resize(msg.cols, msg.rows);  // Also resize xterm-headless buffer
+          session.recording?.resize(msg.cols, msg.rows);
           return;
         }
 
         // Handle client-side flow control: pause
         if (msg.type === 'pause') {
-          if (!clientPaused && terminal && typeof terminal.pause === 'function') {
-            const wasFullyResumed = !isPaused && !clientPaused;
-            clientPaused = true;
+          if (isDriver() && !flow.clientPaused && terminal && typeof terminal.pause === 'function') {
+            const wasFullyResumed = !flow.isPaused && !flow.clientPaused;
+            flow.clientPaused = true;
             // Only pause PTY if neither system has it paused
             if (wasFullyResumed) {
               terminal.pause();
@@ -519,10 +629,10 @@ export function handleTerminalConnection(ws, worktreeName, command, manager, ena
 
         // Handle client-side flow control: resume
         if (msg.type === 'resume') {
-          if (clientPaused && terminal && typeof terminal.resume === 'function') {
-            clientPaused = false;
+          if (isDriver() && flow.clientPaused && terminal && typeof terminal.resume === 'function') {
+            flow.clientPaused = false;
             // Only resume PTY if server backpressure is also not active
-            if (!isPaused) {
+            if (!flow.isPaused) {
               terminal.resume();
               console.log(`[PTY Flow Control] Client requested resume for ${worktreeName}`);
             }
@@ -530,6 +640,24 @@ export function handleTerminalConnection(ws, worktreeName, command, manager, ena
           return;
         }
 
+        // A spectator who may type takes the keyboard
+        if (msg.type === 'take-control') {
+          if (!readOnly && !isDriver() && manager.ptyManager.setDriver(sessionId, clientId)) {
+            resetClientPause();
+            broadcastPresence(session, manager);
+          }
+          return;
+        }
+
+        // The driver passes the keyboard to another client
+        if (msg.type === 'hand-over') {
+          if (isDriver() && msg.clientId !== clientId && manager.ptyManager.setDriver(sessionId, msg.clientId)) {
+            resetClientPause();
+            broadcastPresence(session, manager);
+          }
+          return;
+        }
+
         // Unknown/unsupported control message - ignore it
         return;
       } catch (e) {
@@ -538,70 +666,43 @@ export function handleTerminalConnection(ws, worktreeName, command, manager, ena
       }
     }
 
-    // Default: terminal input - check both pause states
-    if (!isPaused && !clientPaused) {
+    // Default: terminal input - only the driver types, and only while unpaused
+    if (!isDriver()) {
+      return;
+    }
+    if (!flow.isPaused && !flow.clientPaused) {
+      manager.idleScheduler?.recordActivity(worktreeName, 'terminal');
+      manager.ptyManager.recordInput(sessionId);
       terminal.write(dataStr);
     } else {
       // DEBUG: Log when input is being dropped due to pause
-      console.log(`[PTY Input Blocked] ${worktreeName} - isPaused: ${isPaused}, clientPaused: ${clientPaused}, input length: ${dataStr.length}`);
+      console.log(`[PTY Input Blocked] ${worktreeName} - isPaused: ${flow.isPaused}, clientPaused: ${flow.clientPaused}, input length: ${dataStr.length}`);
     }
   };
 
   ws.on('message', messageHandler);
 
-  // Store handler reference for cleanup on reconnect
-  session.activeMessageHandler = messageHandler;
-  session.activeWs = ws;
-
   // Handle WebSocket errors
   ws.on('error', (error) => {
     console.error(`[TERMINAL] WebSocket error for ${worktreeName} (session: ${sessionId}):`, error.message);
-
-    // Clean up drain interval if exists
-    if (session && session.drainInterval) {
-      clearInterval(session.drainInterval);
-      session.drainInterval = null;
-    }
-
-    // Ensure PTY is resumed
-    if (session && session.terminal) {
-      session.terminal.resume();
-    }
-
     // Don't destroy the session - allow reconnection
   });
 
   ws.on('close', () => {
-    // Clean up drain interval if exists
-    if (session && session.drainInterval) {
-      clearInterval(session.drainInterval);
-      session.drainInterval = null;
-    }
+    const wasDriver = isDriver();
 
-    // Clean up xterm buffer update timer
-    if (session && session.xtermUpdateTimer) {
-      clearTimeout(session.xtermUpdateTimer);
-      session.xtermUpdateTimer = null;
-      // Flush any pending buffer updates before closing
-      if (typeof flushXtermBuffer === 'function') {
-        flushXtermBuffer();
-      }
-    }
+    // Detach client but keep session alive for reconnection
+    manager.ptyManager.detachClient(sessionId, clientId);
 
-    // Ensure PTY is resumed if it was paused
-    if (session && session.terminal) {
-      session.terminal.resume();
+    if (session.clients.size === 0) {
+      stopSessionStream(session);
+      return;
     }
 
-    if (session && session.activeListener) {
-      terminal.removeListener('data', session.activeListener);
-      session.activeListener = null;
+    if (wasDriver) {
+      resetClientPause();
     }
-
-    disposeHeadlessTerminal(session);
-
-    // Detach client but keep session alive for reconnection
-    manager.ptyManager.detachClient(sessionId);
+    broadcastPresence(session, manager);
   });
 
   const sessionName = command === 'codex' ? 'Codex' : command === 'shell' ? 'Shell' : 'Claude Code';
@@ -610,13 +711,18 @@ export function handleTerminalConnection(ws, worktreeName, command, manager, ena
     type: 'session',
     sessionId: sessionId,
     sessionName: sessionName,
-    tookOver: isTakeover,
-    profiling: enableProfiling
+    clientId,
+    profiling: enableProfiling,
+    readOnly
   }));
 
-  if (isTakeover) {
-    ws.send(`\r\n\x1b[33mConnected to ${sessionName} session (ID: ${sessionId.slice(0, 8)}) - took over from previous client\x1b[0m\r\n`);
+  if (readOnly) {
+    ws.send(`\r\n\x1b[33mWatching ${sessionName} session (ID: ${sessionId.slice(0, 8)}) - read-only\x1b[0m\r\n`);
+  } else if (!isDriver()) {
+    ws.send(`\r\n\x1b[33mJoined ${sessionName} session (ID: ${sessionId.slice(0, 8)}) as a spectator - take control to type\x1b[0m\r\n`);
   } else {
     ws.send(`\r\n\x1b[32mConnected to ${sessionName} session (ID: ${sessionId.slice(0, 8)})\x1b[0m\r\n`);
   }
+
+  broadcastPresence(session, manager);
 }
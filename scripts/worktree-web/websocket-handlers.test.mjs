@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { EventEmitter } from 'node:events';
 import { handleTerminalConnection } from './websocket-handlers.mjs';
+import { agentRegistry } from '../agents/index.mjs';
+import { PTYSessionManager } from '../pty-session-manager.mjs';
 
 const {
   xtermInstances,
@@ -13,7 +15,8 @@ const {
 
   const createXtermMockInstance = () => {
     const instance = {
-      write: vi.fn(),
+      write: vi.fn((data, callback) => callback?.()),
+      resize: vi.fn(),
       loadAddon: vi.fn(),
       dispose: vi.fn(),
       onData: vi.fn((handler) => {
@@ -77,6 +80,7 @@ describe('xterm-headless integration', () => {
 
   afterEach(() => {
     ws.removeAllListeners();
+    manager.ptyManager.destroy();
   });
 
   const openTerminal = () => {
@@ -232,6 +236,124 @@ describe('xterm-headless integration', () => {
       expect(session?.serializeAddon).toBeNull();
     });
   });
+
+  describe('Config agents', () => {
+    it('should spawn agents declared in config with their command, args and env', () => {
+      agentRegistry.registerDefinitions([
+        { name: 'aider-test', command: 'aider', args: ['--no-auto-commits'], env: { AIDER_MODE: 'tui' } }
+      ]);
+
+      handleTerminalConnection(ws, WORKTREE_NAME, 'aider-test', manager);
+
+      expect(manager.ptyManager.spawnPTY).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        command: 'aider',
+        args: ['--no-auto-commits'],
+        env: { AIDER_MODE: 'tui' }
+      }));
+    });
+  });
+
+  describe('Idle tracking', () => {
+    it('should record activity on connect and on terminal input', () => {
+      manager.idleScheduler = { recordActivity: vi.fn() };
+      openTerminal();
+
+      expect(manager.idleScheduler.recordActivity).toHaveBeenCalledWith(WORKTREE_NAME, 'terminal');
+
+      ws.emit('message', Buffer.from('ls\r'));
+
+      expect(manager.idleScheduler.recordActivity).toHaveBeenCalledTimes(2);
+      expect(fakePty.write).toHaveBeenCalledWith('ls\r');
+    });
+  });
+
+  describe('Read-only viewers', () => {
+    it('should not start a session for a viewer', () => {
+      handleTerminalConnection(ws, WORKTREE_NAME, COMMAND, manager, false, { readOnly: true });
+
+      expect(manager.ptyManager.createSession).not.toHaveBeenCalled();
+      expect(ws.send).toHaveBeenCalledWith(expect.stringContaining('No running session to watch'));
+      expect(ws.close).toHaveBeenCalled();
+    });
+
+    it('should stream a running session but drop input and resizes', () => {
+      openTerminal();
+      const viewer = createMockWebSocket();
+
+      handleTerminalConnection(viewer, WORKTREE_NAME, COMMAND, manager, false, { readOnly: true });
+      viewer.emit('message', Buffer.from('rm -rf /\r'));
+      viewer.emit('message', JSON.stringify({ type: 'take-control' }));
+      viewer.emit('message', JSON.stringify({ type: 'resize', cols: 10, rows: 5 }));
+      fakePty.emitData('output');
+
+      expect(fakePty.write).not.toHaveBeenCalled();
+      expect(fakePty.resize).not.toHaveBeenCalled();
+      expect(viewer.send).toHaveBeenCalledWith('output');
+      expect(sentMessages(viewer, 'session')[0]).toMatchObject({ readOnly: true });
+      expect(lastPresence(viewer).map(client => client.driver)).toEqual([true, false]);
+    });
+  });
+
+  describe('Shared sessions', () => {
+    let spectator;
+
+    beforeEach(() => {
+      openTerminal();
+      fakePty.emitData('before join');
+      spectator = createMockWebSocket();
+      handleTerminalConnection(spectator, WORKTREE_NAME, COMMAND, manager, false, { user: 'bob' });
+    });
+
+    it('should start late joiners from the current screen and stream to everyone', () => {
+      fakePty.emitData('after join');
+
+      expect(manager.ptyManager.createSession).toHaveBeenCalledTimes(1);
+      expect(xtermInstances[0].write).toHaveBeenCalledWith('before join');
+      expect(spectator.send.mock.calls[0][0]).toBe('mock-state');
+      expect(spectator.send).not.toHaveBeenCalledWith('before join');
+      expect(spectator.send).toHaveBeenCalledWith('after join');
+      expect(ws.send).toHaveBeenCalledWith('after join');
+    });
+
+    it('should only take input from the driver', () => {
+      spectator.emit('message', Buffer.from('spectator\r'));
+      ws.emit('message', Buffer.from('driver\r'));
+
+      expect(fakePty.write).toHaveBeenCalledTimes(1);
+      expect(fakePty.write).toHaveBeenCalledWith('driver\r');
+      expect(lastPresence(spectator)).toEqual([
+        expect.objectContaining({ user: null, driver: true }),
+        expect.objectContaining({ user: 'bob', driver: false })
+      ]);
+    });
+
+    it('should let a spectator take control and the driver hand it back', () => {
+      spectator.emit('message', JSON.stringify({ type: 'take-control' }));
+      ws.emit('message', Buffer.from('ignored\r'));
+      spectator.emit('message', Buffer.from('bob\r'));
+
+      expect(fakePty.write).toHaveBeenCalledWith('bob\r');
+      expect(fakePty.write).not.toHaveBeenCalledWith('ignored\r');
+      expect(lastPresence(ws).find(client => client.driver).user).toBe('bob');
+
+      const { clientId } = sentMessages(ws, 'session')[0];
+      spectator.emit('message', JSON.stringify({ type: 'hand-over', clientId }));
+
+      expect(lastPresence(ws).find(client => client.driver).id).toBe(clientId);
+    });
+
+    it('should pass the driver role on when the driver disconnects', () => {
+      ws.emit('close');
+
+      expect(lastPresence(spectator)).toEqual([expect.objectContaining({ user: 'bob', driver: true })]);
+      expect(xtermInstances[0].dispose).not.toHaveBeenCalled();
+
+      spectator.emit('close');
+
+      expect(xtermInstances[0].dispose).toHaveBeenCalledTimes(1);
+      expect(fakePty.removeListener).toHaveBeenCalledWith('data', expect.any(Function));
+    });
+  });
 });
 
 function createMockWebSocket() {
@@ -264,34 +386,36 @@ function createMockPty() {
 }
 
 function createMockManager(fakePty) {
-  const sessions = new Map();
+  const ptyManager = new PTYSessionManager({ serializer: { captureState: vi.fn(), saveState: vi.fn(), deleteState: vi.fn() } });
+  vi.spyOn(ptyManager, 'createSession');
+  vi.spyOn(ptyManager, 'attachClient');
+  vi.spyOn(ptyManager, 'spawnPTY').mockImplementation((sessionId, options) => {
+    const session = ptyManager.getSession(sessionId);
+    session.spawnOptions = options;
+    session.pty = fakePty;
+    return fakePty;
+  });
 
   return {
     listWorktrees: vi.fn(() => [
       { name: WORKTREE_NAME, path: WORKTREE_PATH }
     ]),
-    ptyManager: {
-      _sessions: sessions,
-      createSession: vi.fn((worktreeName, agent, path) => {
-        const id = `session-${sessions.size + 1}`;
-        sessions.set(id, { worktreeName, agent, path });
-        return id;
-      }),
-      getSession: vi.fn((sessionId) => sessions.get(sessionId)),
-      spawnPTY: vi.fn((sessionId, options) => {
-        const session = sessions.get(sessionId);
-        if (session) {
-          session.spawnOptions = options;
-          session.pty = fakePty;
-        }
-        return fakePty;
-      }),
-      attachClient: vi.fn(() => null),
-      detachClient: vi.fn()
-    }
+    ptyManager
   };
 }
 
+function sentMessages(socket, type) {
+  return socket.send.mock.calls
+    .map(([payload]) => payload)
+    .filter(payload => typeof payload === 'string' && payload.startsWith('{"type":'))
+    .map(payload => JSON.parse(payload))
+    .filter(message => message.type === type);
+}
+
+function lastPresence(socket) {
+  return sentMessages(socket, 'presence').at(-1).clients;
+}
+
 function getSessionContext(manager) {
   const attachCalls = manager.ptyManager.attachClient.mock.calls;
   const sessionId = attachCalls.length ? attachCalls[0][0] : undefined;
@@ -17,6 +17,9 @@ import path from 'path';
 // Get __dirname equivalent in ESM
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Service names end up on compose command lines, so nothing else gets that far
+const SERVICE_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
 export class WorktreeManager {
   /**
    * @param {Object} deps - Dependencies
@@ -46,6 +49,7 @@ export class WorktreeManager {
       DiagnosticRunner,
       InitializationManager,
       ComposeInspector,
+      DataSync,
       ServiceConfig,
       GitSyncManager,
       SmartReloadManager,
@@ -54,6 +58,7 @@ export class WorktreeManager {
 
     // Store class references for later use
     this.ComposeInspector = ComposeInspector;
+    this.DataSync = DataSync;
     this.ServiceConfig = ServiceConfig;
     this.GitSyncManager = GitSyncManager;
     this.SmartReloadManager = SmartReloadManager;
@@ -119,6 +124,9 @@ export class WorktreeManager {
     if (newRootDir && existsSync(newRootDir)) {
       this.rootDir = newRootDir;
       console.log(`[WorktreeManager] Project root updated to: ${newRootDir}`);
+      this.watchWorktrees().catch(error => {
+        console.warn(`[WorktreeManager] Failed to watch worktrees: ${error.message}`);
+      });
     } else {
       console.warn(`[WorktreeManager] Invalid project root: ${newRootDir}`);
     }
@@ -144,6 +152,13 @@ export class WorktreeManager {
    * @returns {Object} Port allocations { serviceName: port }
    */
   discoverAndAllocatePorts(worktreeName, worktreePath) {
+    if (this._usesKubernetes()) {
+      // Services come from the `kind: Service` objects in the worktree's manifests
+      const services = this.runtime.discoverServices(worktreePath);
+      console.log(`[PORTS] Discovered ${services.length} Kubernetes services: ${services.map(s => s.name).join(', ')}`);
+      return this._allocateServicePorts(worktreeName, services);
+    }
+
     const composeFile = this.config.get('container.composeFile') || 'docker-compose.yml';
     // Try worktree path first (file exists after git worktree add), fallback to root
     let composeFilePath = join(worktreePath, composeFile);
@@ -168,39 +183,338 @@ export class WorktreeManager {
 
       console.log(`[PORTS] Discovered ${services.length} services: ${services.map(s => s.name).join(', ')}`);
 
-      const ports = {};
+      return this._allocateServicePorts(worktreeName, services);
+    } catch (error) {
+      console.warn(`[PORTS] Failed to inspect compose file: ${error.message}, using defaults`);
+      return this._allocateDefaultPorts(worktreeName);
+    }
+  }
 
-      // Allocate ports for each service that exposes ports
-      for (const service of services) {
-        if (service.ports.length === 0) continue;
+  /**
+   * Allocate a port for every port a service exposes
+   * @private
+   * @param {string} worktreeName - Name of the worktree
+   * @param {Array<{name: string, ports: number[]}>} services - Discovered services
+   * @returns {Object} Port allocations { portKey: port }
+   */
+  _allocateServicePorts(worktreeName, services) {
+    const ports = {};
+    const shared = this._sharedServicesFor(worktreeName);
+
+    for (const service of services) {
+      // Shared services run once in the main worktree, so they keep main's ports
+      const owner = service.name in shared ? 'main' : worktreeName;
+      const portKeys = this._servicePortKeys(service);
+      for (const { key, port: basePort } of portKeys) {
+        const allocatedPort = this.portRegistry.allocate(owner, key, basePort);
+        ports[key] = allocatedPort;
+        console.log(`[PORTS] ${owner === worktreeName ? 'Allocated' : 'Shared from main'} ${key}: ${basePort} → ${allocatedPort}`);
+      }
+      if (owner !== worktreeName) {
+        // Drop the worktree's own ports from before the service was shared
+        this.portRegistry.releaseServices(worktreeName, portKeys.map(({ key }) => key));
+      }
+    }
 
-        if (service.ports.length === 1) {
-          // Single port: use service name directly
-          const basePort = service.ports[0];
-          const allocatedPort = this.portRegistry.allocate(worktreeName, service.name, basePort);
-          ports[service.name] = allocatedPort;
-          console.log(`[PORTS] Allocated ${service.name}: ${basePort} → ${allocatedPort}`);
-        } else {
-          // Multiple ports: use suffixes based on known port conventions
-          for (let i = 0; i < service.ports.length; i++) {
-            const basePort = service.ports[i];
-            const suffix = this._getPortSuffix(service.name, basePort, i);
-            const portKey = suffix ? `${service.name}-${suffix}` : service.name;
-            const allocatedPort = this.portRegistry.allocate(worktreeName, portKey, basePort);
-            ports[portKey] = allocatedPort;
-            console.log(`[PORTS] Allocated ${portKey}: ${basePort} → ${allocatedPort}`);
-          }
+    console.log(`[PORTS] All ports allocated for ${worktreeName}:`, JSON.stringify(ports, null, 2));
+    return ports;
+  }
+
+  /**
+   * Port registry keys of a service's ports: the service name for a single
+   * port, suffixes based on known port conventions for the others
+   * @private
+   * @param {{name: string, ports: number[]}} service
+   * @returns {Array<{key: string, port: number}>}
+   */
+  _servicePortKeys(service) {
+    return service.ports.map((port, i) => {
+      const suffix = service.ports.length > 1 ? this._getPortSuffix(service.name, port, i) : '';
+      return { key: suffix ? `${service.name}-${suffix}` : service.name, port };
+    });
+  }
+
+  /**
+   * Shared services (container.sharedServices) a worktree uses from the main worktree
+   * @private
+   * @param {string} worktreeName
+   * @returns {Object} Settings keyed by service name; empty for main itself and on Kubernetes
+   */
+  _sharedServicesFor(worktreeName) {
+    if (worktreeName === 'main' || this._usesKubernetes()) {
+      return {};
+    }
+    return this.config.get('container.sharedServices') || {};
+  }
+
+  /**
+   * The main worktree's ports of the shared services a worktree uses
+   * @private
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @returns {Object} { portKey: port }
+   */
+  _sharedServicePorts(worktreeName, worktreePath) {
+    const shared = this._sharedServicesFor(worktreeName);
+    const ports = {};
+
+    if (Object.keys(shared).length === 0) {
+      return ports;
+    }
+
+    for (const service of this._composeServices(worktreePath).filter(s => s.name in shared)) {
+      for (const { key, port } of this._servicePortKeys(service)) {
+        ports[key] = this.portRegistry.allocate('main', key, port);
+      }
+    }
+    return ports;
+  }
+
+  /**
+   * Point a worktree's .env at its part of the main worktree's shared services:
+   * *_PORT entries get main's ports, plus the isolation entry and configured
+   * env templates (see sharedServiceEnv)
+   * @private
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @returns {Promise<string[]>} Names of the wired shared services
+   */
+  async _wireSharedServices(worktreeName, worktreePath) {
+    const shared = this._sharedServicesFor(worktreeName);
+    const envFilePath = join(worktreePath, '.env');
+
+    if (Object.keys(shared).length === 0 || !existsSync(envFilePath)) {
+      return [];
+    }
+
+    const { sharedServiceEnv } = await import('../shared-services.mjs');
+    const ports = this._sharedServicePorts(worktreeName, worktreePath);
+    const wired = this._composeServices(worktreePath).map(s => s.name).filter(name => name in shared);
+    const env = {};
+    for (const name of wired) {
+      Object.assign(env, sharedServiceEnv(shared[name], {
+        worktreeName,
+        envVarBase: this._serviceNameToEnvVar(name),
+        port: ports[name] ?? ''
+      }));
+    }
+
+    this._rewriteEnvPorts(envFilePath, ports);
+    this._setEnvValues(envFilePath, env, 'Shared services (from the main worktree)');
+
+    if (wired.length > 0) {
+      console.log(`[SHARED] ${worktreeName} uses ${wired.join(', ')} from the main worktree`);
+    }
+    return wired;
+  }
+
+  /**
+   * Connect a worktree to the main worktree's shared services: start them in
+   * main if needed, create the worktree's isolated part of each (database,
+   * schema, Temporal namespace) and wire its .env
+   * @private
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @returns {Promise<string[]>} Names of the connected shared services
+   */
+  async _connectSharedServices(worktreeName, worktreePath) {
+    const shared = this._sharedServicesFor(worktreeName);
+    const main = Object.keys(shared).length > 0 && this._worktreeLocations().find(w => w.name === 'main');
+    if (!main) {
+      return [];
+    }
+
+    const services = this._composeServices(main.path).map(s => s.name).filter(name => name in shared);
+    if (services.length > 0) {
+      if (!existsSync(join(main.path, '.env'))) {
+        throw new Error(`Shared services (${services.join(', ')}) run in the main worktree: start main's services first`);
+      }
+
+      const fileArgs = await this._composeFileArgs('main', main.path);
+      this.runtime.execCompose(`${fileArgs}--env-file .env up -d ${services.join(' ')}`, {
+        cwd: main.path,
+        encoding: 'utf-8',
+        stdio: 'pipe'
+      });
+
+      const isolation = await this._sharedServiceIsolation(main.path);
+      for (const service of services.filter(name => (shared[name].isolation || 'none') !== 'none')) {
+        const credentials = await this._sharedServiceCredentials(main.path, service, shared[service]);
+        await isolation.provision(service, shared[service], worktreeName, credentials);
+      }
+    }
+
+    return this._wireSharedServices(worktreeName, worktreePath);
+  }
+
+  /**
+   * Remove a deleted worktree's isolated parts of the shared services
+   * Failures are logged; deleting the worktree goes on.
+   * @private
+   * @param {string} worktreeName
+   */
+  async _releaseSharedServices(worktreeName) {
+    const shared = this._sharedServicesFor(worktreeName);
+    const isolated = Object.keys(shared).filter(name => (shared[name].isolation || 'none') !== 'none');
+    const main = isolated.length > 0 && this._worktreeLocations().find(w => w.name === 'main');
+    if (!main || !existsSync(join(main.path, '.env'))) {
+      return;
+    }
+
+    const isolation = await this._sharedServiceIsolation(main.path);
+    for (const service of isolated) {
+      try {
+        const credentials = await this._sharedServiceCredentials(main.path, service, shared[service]);
+        if (isolation.release(service, shared[service], worktreeName, credentials)) {
+          console.log(`[SHARED] Removed ${worktreeName}'s ${shared[service].isolation} from shared ${service}`);
         }
+      } catch (error) {
+        console.warn(`[SHARED] Failed to clean up ${worktreeName} in shared ${service}:`, error.stderr?.toString() || error.message);
       }
+    }
+  }
 
-      console.log(`[PORTS] All ports allocated for ${worktreeName}:`, JSON.stringify(ports, null, 2));
-      return ports;
+  /**
+   * SharedServiceIsolation running commands in main's containers
+   * @private
+   */
+  async _sharedServiceIsolation(mainPath) {
+    const { SharedServiceIsolation } = await import('../shared-services.mjs');
+    return new SharedServiceIsolation({
+      exec: (service, command) => this.runtime.execCompose(`--env-file .env exec -T ${service} ${command}`, {
+        cwd: mainPath,
+        encoding: 'utf-8',
+        stdio: 'pipe'
+      })
+    });
+  }
+
+  /**
+   * PostgreSQL user and database of a shared service (from main's compose file)
+   * @private
+   */
+  async _sharedServiceCredentials(mainPath, service, shared) {
+    if (!['database', 'schema'].includes(shared.isolation)) {
+      return {};
+    }
+
+    const { DatabaseBackupManager } = await import('../database-backup-manager.mjs');
+    const backupManager = new DatabaseBackupManager({
+      projectRoot: this.rootDir,
+      runtime: this.runtime
+    });
+    return backupManager.getDatabaseCredentials(mainPath, service, 'postgres');
+  }
+
+  /**
+   * Set entries in a .env file, replacing existing ones and appending the rest
+   * @private
+   * @param {string} envFilePath - Path to the .env file
+   * @param {Object} values - { NAME: value }
+   * @param {string} comment - Comment above appended entries
+   */
+  _setEnvValues(envFilePath, values, comment) {
+    if (Object.keys(values).length === 0) {
+      return;
+    }
+
+    let envContent = readFileSync(envFilePath, 'utf-8');
+    const appended = [];
+
+    for (const [name, value] of Object.entries(values)) {
+      const pattern = new RegExp(`^${name}=.*$`, 'm');
+      if (pattern.test(envContent)) {
+        envContent = envContent.replace(pattern, () => `${name}=${value}`);
+      } else {
+        appended.push(`${name}=${value}`);
+      }
+    }
+
+    if (appended.length > 0) {
+      envContent += `${envContent.endsWith('\n') ? '' : '\n'}\n# ${comment}\n${appended.join('\n')}\n`;
+    }
+    writeFileSync(envFilePath, envContent);
+  }
+
+  /**
+   * Services of a worktree's compose file, including profiled ones
+   * @private
+   * @param {string} worktreePath
+   * @returns {Array} ComposeInspector services, empty without a readable compose file
+   */
+  _composeServices(worktreePath) {
+    const composeFile = this.config.get('container.composeFile') || 'docker-compose.yml';
+    const composeFilePath = join(worktreePath, composeFile);
+
+    if (!existsSync(composeFilePath)) {
+      return [];
+    }
+
+    try {
+      return new this.ComposeInspector(composeFilePath, this.runtime).getServices();
     } catch (error) {
-      console.warn(`[PORTS] Failed to inspect compose file: ${error.message}, using defaults`);
-      return this._allocateDefaultPorts(worktreeName);
+      console.warn(`[SERVICES] Failed to inspect ${composeFilePath}: ${error.message}`);
+      return [];
     }
   }
 
+  /**
+   * Compose arguments that bring up a worktree's selected services: its stored
+   * selection and profiles, minus the shared services main runs for it
+   * @private
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @param {{services: string[]|null, profiles: string[]}} [selection] - Defaults to the stored selection
+   * @returns {Promise<{profileArgs: string, serviceArgs: string, services: string[]|null}>}
+   *   profileArgs go before `up`, serviceArgs after `up -d`; services null means all
+   */
+  async _serviceSelectionArgs(worktreeName, worktreePath, selection = this.serviceSelection?.get(worktreeName)) {
+    const shared = Object.keys(this.config.get('container.sharedServices') || {});
+    const none = { profileArgs: '', serviceArgs: '', services: null };
+
+    if (this._usesKubernetes() || (!selection?.services && !selection?.profiles.length && shared.length === 0)) {
+      return none;
+    }
+
+    const services = this._composeServices(worktreePath);
+    if (services.length === 0) {
+      return none;
+    }
+
+    const { resolveServiceSelection } = await import('../service-selection.mjs');
+    const resolved = resolveServiceSelection(services, selection, { shared, isMain: worktreeName === 'main' });
+    return {
+      profileArgs: resolved.profiles.map(profile => `--profile ${profile} `).join(''),
+      serviceArgs: resolved.services
+        ? `${resolved.noDeps ? ' --no-deps' : ''}${resolved.services.map(name => ` ${name}`).join('')}`
+        : '',
+      services: resolved.services
+    };
+  }
+
+  /**
+   * Whether services run on Kubernetes (KubernetesRuntime) instead of compose
+   * @private
+   */
+  _usesKubernetes() {
+    return this.runtime.getRuntime() === 'kubernetes';
+  }
+
+  /**
+   * Port-forwards from allocated ports to a worktree's Kubernetes services
+   * @private
+   * @param {string} worktreePath
+   * @param {Object} ports - Port allocations { portKey: port }
+   * @returns {Array<{service: string, localPort: number, remotePort: number}>}
+   */
+  _portForwards(worktreePath, ports) {
+    return this.runtime.discoverServices(worktreePath).flatMap(service =>
+      this._servicePortKeys(service)
+        .filter(({ key }) => ports[key])
+        .map(({ key, port }) => ({ service: service.name, localPort: ports[key], remotePort: port }))
+    );
+  }
+
   /**
    * Get a descriptive suffix for additional ports in a multi-port service
    * @private
@@ -274,27 +588,116 @@ export class WorktreeManager {
     return null;
   }
 
+  /**
+   * Resolve the database connection for a worktree
+   * Detects the engine (postgres, mysql, mariadb) from docker-compose.yml.
+   * PostgreSQL keeps the historical defaults (database "vibe", POSTGRES_PASSWORD);
+   * MySQL/MariaDB credentials are read from the service environment.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} worktreePath - Path to the worktree
+   * @returns {Promise<Object|null>} Connection config for DatabaseManager, or null if no database
+   */
+  async getDatabaseConfig(worktreeName, worktreePath) {
+    const sharedDatabase = await this._sharedDatabase(worktreeName, worktreePath);
+    if (sharedDatabase) {
+      // Only a database of its own is safe to export, import or reset
+      if (sharedDatabase.shared.isolation !== 'database') {
+        return null;
+      }
+
+      const { isolationNames } = await import('../shared-services.mjs');
+      const main = this._worktreeLocations().find(w => w.name === 'main');
+      const credentials = await this._sharedServiceCredentials(main?.path || this.rootDir, sharedDatabase.service, sharedDatabase.shared);
+      return {
+        engine: 'postgres',
+        host: 'localhost',
+        port: this._sharedServicePorts(worktreeName, worktreePath)[sharedDatabase.service],
+        database: isolationNames(worktreeName).database,
+        user: credentials.user,
+        password: credentials.password
+      };
+    }
+
+    const ports = this.portRegistry.getWorktreePorts(worktreeName);
+
+    const { DatabaseBackupManager } = await import('../database-backup-manager.mjs');
+    const backupManager = new DatabaseBackupManager({
+      projectRoot: this.rootDir,
+      runtime: this.runtime
+    });
+    const dbInfo = await backupManager.detectDatabase(worktreePath);
+
+    const engine = dbInfo.hasDatabase ? dbInfo.type : 'postgres';
+    const dbPort = (dbInfo.hasDatabase && ports[dbInfo.service]) || this._findDatabasePort(ports);
+
+    if (!dbPort) {
+      return null;
+    }
+
+    if (engine === 'postgres') {
+      return {
+        engine,
+        host: 'localhost',
+        port: dbPort,
+        database: 'vibe',
+        user: 'postgres',
+        password: process.env.POSTGRES_PASSWORD || 'postgres'
+      };
+    }
+
+    const credentials = backupManager.getDatabaseCredentials(worktreePath, dbInfo.service, engine);
+    return {
+      engine,
+      host: 'localhost',
+      port: dbPort,
+      ...credentials
+    };
+  }
+
+  /**
+   * The PostgreSQL service a worktree shares with main, if any
+   * @private
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @returns {Promise<{service: string, shared: Object}|null>}
+   */
+  async _sharedDatabase(worktreeName, worktreePath) {
+    const shared = this._sharedServicesFor(worktreeName);
+    if (Object.keys(shared).length === 0) {
+      return null;
+    }
+
+    const { detectEngine } = await import('../database-drivers.mjs');
+    const service = this._composeServices(worktreePath).find(s => s.name in shared && detectEngine(s) === 'postgres');
+    return service ? { service: service.name, shared: shared[service.name] } : null;
+  }
+
   /**
    * Ensure .env file has entries for all services in docker-compose.yml
    * Detects newly added services and automatically allocates ports + updates .env
    * @param {string} worktreeName - Name of the worktree
    * @param {string} worktreePath - Path to the worktree
-   * @returns {Object} { added: number, services: string[] } - Info about added services
+   * @param {Object} [updatedPorts] - Re-allocated ports { portKey: port } to rewrite in place
+   * @returns {Object} { added: number, services: string[], updated: string[] } - Info about added and rewritten services
    */
-  ensureEnvEntriesForServices(worktreeName, worktreePath) {
+  ensureEnvEntriesForServices(worktreeName, worktreePath, updatedPorts = {}) {
     const envFilePath = join(worktreePath, '.env');
 
     // If .env doesn't exist, nothing to update (will be created on startServices)
     if (!existsSync(envFilePath)) {
-      return { added: 0, services: [] };
+      return { added: 0, services: [], updated: [] };
     }
 
+    const updated = Object.keys(updatedPorts).length > 0
+      ? this._rewriteEnvPorts(envFilePath, updatedPorts)
+      : [];
+
     // Get services from docker-compose.yml
     const composeFile = this.config.get('container.composeFile') || 'docker-compose.yml';
     const composeFilePath = join(worktreePath, composeFile);
 
     if (!existsSync(composeFilePath)) {
-      return { added: 0, services: [] };
+      return { added: 0, services: [], updated };
     }
 
     try {
@@ -326,7 +729,8 @@ export class WorktreeManager {
         if (!existingEnvVars.has(envVarBase)) {
           // This service needs a .env entry
           const basePort = service.ports[0]; // Use first port
-          const allocatedPort = this.portRegistry.allocate(worktreeName, service.name, basePort);
+          const owner = service.name in this._sharedServicesFor(worktreeName) ? 'main' : worktreeName;
+          const allocatedPort = this.portRegistry.allocate(owner, service.name, basePort);
           const envVarName = `${envVarBase}_PORT`;
 
           newEntries.push(`${envVarName}=${allocatedPort}`);
@@ -346,12 +750,136 @@ export class WorktreeManager {
 
       return {
         added: newEntries.length,
-        services: missingServices
+        services: missingServices,
+        updated
       };
     } catch (error) {
       console.error('[ENV-SYNC] Failed to sync .env with docker-compose.yml:', error.message);
-      return { added: 0, services: [] };
+      return { added: 0, services: [], updated };
+    }
+  }
+
+  /**
+   * Rewrite existing *_PORT entries in a .env file
+   * @private
+   * @param {string} envFilePath - Path to the .env file
+   * @param {Object} ports - { portKey: port }
+   * @returns {string[]} Port keys whose entries were rewritten
+   */
+  _rewriteEnvPorts(envFilePath, ports) {
+    let envContent = readFileSync(envFilePath, 'utf-8');
+    const updated = [];
+
+    for (const [portKey, port] of Object.entries(ports)) {
+      const envVarName = `${this._serviceNameToEnvVar(portKey)}_PORT`;
+      const pattern = new RegExp(`^${envVarName}=.*$`, 'm');
+
+      if (pattern.test(envContent)) {
+        envContent = envContent.replace(pattern, `${envVarName}=${port}`);
+        updated.push(portKey);
+        console.log(`[ENV-SYNC] Rewrote ${envVarName}=${port}`);
+      }
+    }
+
+    if (updated.length > 0) {
+      writeFileSync(envFilePath, envContent);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Host ports published by a worktree's own containers
+   * @private
+   * @param {Array} dockerStatus - Result of getDockerStatus
+   * @returns {number[]} Published host ports
+   */
+  _publishedHostPorts(dockerStatus) {
+    const hostPorts = [];
+
+    for (const container of dockerStatus) {
+      for (const mapping of container.ports || []) {
+        // Docker: "0.0.0.0:5432->5432/tcp", Podman: "5432:5432"
+        const match = mapping.includes('->')
+          ? mapping.match(/:(\d+)->/)
+          : mapping.match(/^(\d+):/);
+        if (match) {
+          hostPorts.push(parseInt(match[1], 10));
+        }
+      }
+    }
+
+    return hostPorts;
+  }
+
+  /**
+   * Move ports taken by foreign processes to free ones
+   * Rewrites the worktree .env and, when restart is set, recreates only the
+   * compose services whose ports changed and that have containers.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {Object} options - { restart: boolean } (default: true)
+   * @returns {Promise<{success: boolean, healed?: Array<{service: string, from: number, to: number}>, restarted?: string[], error?: string}>}
+   */
+  async healPorts(worktreeName, options = {}) {
+    const { restart = true } = options;
+    const worktree = this.listWorktrees().find(w => w.name === worktreeName);
+
+    if (!worktree) {
+      return { success: false, error: 'Worktree not found' };
+    }
+
+    try {
+      const dockerStatus = this.getDockerStatus(worktree.path, worktreeName);
+      // Ports of shared services are held by main's containers, not by a foreign process
+      const sharedPorts = Object.values(this._sharedServicePorts(worktreeName, worktree.path));
+      const healed = await this.portRegistry.heal(worktreeName, [...this._publishedHostPorts(dockerStatus), ...sharedPorts]);
+
+      if (healed.length === 0) {
+        return { success: true, healed: [], restarted: [] };
+      }
+
+      const updatedPorts = Object.fromEntries(healed.map(({ service, to }) => [service, to]));
+      this.ensureEnvEntriesForServices(worktreeName, worktree.path, updatedPorts);
+
+      const restarted = [];
+      if (restart) {
+        const containerServices = dockerStatus.map(c => c.name);
+        const affected = new Set(healed.map(({ service }) => this._composeServiceForPortKey(service, containerServices)));
+
+        for (const service of affected) {
+          if (!containerServices.includes(service)) continue;
+
+          const result = await this.startService(worktreeName, service);
+          if (result.success) {
+            restarted.push(service);
+          }
+        }
+      }
+
+      console.log(`[PORTS] Healed ${healed.length} port(s) for ${worktreeName}: ${healed.map(h => `${h.service} ${h.from}→${h.to}`).join(', ')}`);
+      this.broadcast('ports:healed', { worktree: worktreeName, healed, restarted });
+
+      return { success: true, healed, restarted };
+    } catch (error) {
+      console.error(`[PORTS] Failed to heal ports for ${worktreeName}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Map a port registry key (e.g. "temporal-ui") to its compose service ("temporal")
+   * @private
+   */
+  _composeServiceForPortKey(portKey, serviceNames) {
+    if (serviceNames.includes(portKey)) {
+      return portKey;
     }
+
+    const owner = serviceNames
+      .filter(name => portKey.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return owner || portKey;
   }
 
   broadcast(event, data) {
@@ -377,10 +905,17 @@ export class WorktreeManager {
         resolve(this.listWorktrees());
       }, 5000);
 
-      worker.on('message', (result) => {
+      worker.on('message', async (result) => {
         clearTimeout(timeout);
         worker.terminate();
         if (result.success) {
+          if (this._usesKubernetes()) {
+            // The worker only knows compose; service status comes from the cluster
+            await Promise.all(result.worktrees.map(async (worktree) => {
+              worktree.hasComposeFile = this.runtime.hasManifests(worktree.path);
+              worktree.dockerStatus = await this.getDockerStatusAsync(worktree.path, worktree.name);
+            }));
+          }
           resolve(result.worktrees);
         } else {
           console.error('[listWorktreesAsync] Worker error:', result.error);
@@ -563,9 +1098,36 @@ export class WorktreeManager {
     }
   }
 
+  /**
+   * getDockerStatus without blocking the event loop on a slow or unreachable cluster
+   * @param {string} worktreePath
+   * @param {string} worktreeName
+   * @returns {Promise<Array>}
+   */
+  async getDockerStatusAsync(worktreePath, worktreeName) {
+    if (!this._usesKubernetes()) {
+      return this.getDockerStatus(worktreePath, worktreeName);
+    }
+    try {
+      return await this.runtime.getStatusAsync(worktreeName);
+    } catch (error) {
+      console.error(`[getDockerStatus] Failed for ${worktreeName}:`, error.stderr?.toString() || error.message);
+      return [];
+    }
+  }
+
   getDockerStatus(worktreePath, worktreeName) {
     const statuses = [];
 
+    if (this._usesKubernetes()) {
+      try {
+        return this.runtime.getStatus(worktreeName);
+      } catch (error) {
+        console.error(`[getDockerStatus] Failed for ${worktreeName}:`, error.stderr?.toString() || error.message);
+        return statuses;
+      }
+    }
+
     // Check if any compose file exists in this worktree
     const composeFiles = [
       'docker-compose.yml',
@@ -975,7 +1537,23 @@ export class WorktreeManager {
     }
   }
 
-  async createWorktree(branchName, fromBranch = 'main') {
+  /**
+   * Create a worktree with its own ports, data and containers
+   * @param {string} branchName - Branch to check out (created if missing)
+   * @param {string} fromBranch - Branch to create it from (default: 'main')
+   * @param {Object} options
+   * @param {string} [options.preset] - Name of a preset from the `presets` config section
+   * @returns {Promise<{success: boolean, worktree?: Object, error?: string}>}
+   */
+  async createWorktree(branchName, fromBranch = 'main', options = {}) {
+    const { resolvePreset } = await import('../worktree-presets.mjs');
+    let preset;
+    try {
+      preset = resolvePreset(this.config.get('presets'), options.preset);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
     const totalId = this.profiler.start('create-worktree-total');
 
     // Slugify branch name for git (replace invalid characters)
@@ -995,6 +1573,9 @@ export class WorktreeManager {
     console.log(`[CREATE] Branch: ${branchName} (from ${fromBranch})`);
     console.log(`[CREATE] Name: ${worktreeName}`);
     console.log(`[CREATE] Path: ${worktreePath}`);
+    if (preset.name) {
+      console.log(`[CREATE] Preset: ${preset.name}`);
+    }
     console.log(`========================================\n`);
 
 
@@ -1225,27 +1806,31 @@ export class WorktreeManager {
       }
 
       // Generate MCP server configuration for this worktree
-      const mcpId = this.profiler.start('mcp-discovery', totalId);
-      this.broadcast('worktree:progress', {
-        name: worktreeName,
-        step: 'mcp',
-        message: 'Configuring MCP servers...'
-      });
+      if (preset.mcp) {
+        const mcpId = this.profiler.start('mcp-discovery', totalId);
+        this.broadcast('worktree:progress', {
+          name: worktreeName,
+          step: 'mcp',
+          message: 'Configuring MCP servers...'
+        });
 
-      try {
-        // Configure MCP servers with database URL if postgres service exists
-        const serverEnv = {};
-        if (ports.postgres) {
-          serverEnv.postgres = {
-            DATABASE_URL: `postgresql://localhost:${ports.postgres}/vibe`
-          };
-        }
+        try {
+          // Configure MCP servers with database URL if postgres service exists
+          const serverEnv = {};
+          if (ports.postgres) {
+            serverEnv.postgres = {
+              DATABASE_URL: `postgresql://localhost:${ports.postgres}/vibe`
+            };
+          }
 
-        const mcpResult = this.mcpManager.generateClaudeSettings(worktreePath, null, { serverEnv });
-      } catch (error) {
-        console.warn(`[CREATE] MCP configuration failed (non-critical):`, error.message);
+          const mcpResult = this.mcpManager.generateClaudeSettings(worktreePath, null, { serverEnv });
+        } catch (error) {
+          console.warn(`[CREATE] MCP configuration failed (non-critical):`, error.message);
+        }
+        this.profiler.end(mcpId);
+      } else {
+        console.log(`[CREATE] Skipping MCP configuration (preset: ${preset.name})`);
       }
-      this.profiler.end(mcpId);
 
       // Run bootstrap (containers must start before database copy)
 
@@ -1257,6 +1842,13 @@ export class WorktreeManager {
           const nodeModulesPath = join(worktreePath, 'node_modules');
           let installCommand = 'npm install';
 
+          if (!preset.installDependencies) {
+            console.log(`[BOOTSTRAP] Skipping dependency install (preset: ${preset.name})`);
+            this.profiler.end(bootstrapId);
+            resolve();
+            return;
+          }
+
           // IDEMPOTENCY CHECK: Skip if node_modules exists and is fresh
           if (existsSync(nodeModulesPath) && existsSync(packageJsonPath)) {
             console.log(`[BOOTSTRAP] Checking if dependencies are already installed...`);
@@ -1335,43 +1927,79 @@ export class WorktreeManager {
         message: '✓ Packages ready'
       });
 
-      // Copy database BEFORE starting containers (database files must be copied while containers are stopped)
+      // A shared database gets the worktree's copy when its services connect to it
+      const sharedDatabase = preset.data === 'database' ? await this._sharedDatabase(worktreeName, worktreePath) : null;
+
+      // Copy data BEFORE starting containers (data must be copied while containers are stopped)
       const dbCopyId = this.profiler.start('database-copy', totalId);
       try {
-        console.log(`[CREATE] Copying database before starting containers...`);
-        await this.copyDatabase(worktreeName, worktreePath);
-        console.log(`[CREATE] ✓ Database copied successfully`);
+        if (sharedDatabase) {
+          console.log(`[CREATE] Database is shared from main (isolation: ${sharedDatabase.shared.isolation || 'none'}), skipping copy`);
+        } else if (preset.data === 'database') {
+          console.log(`[CREATE] Copying database before starting containers...`);
+          await this.copyDatabase(worktreeName, worktreePath);
+          console.log(`[CREATE] ✓ Database copied successfully`);
+        } else if (preset.data === 'volumes') {
+          console.log('[CREATE] Copying volumes before starting containers...');
+          await this.copyVolumesFromMain(worktreeName, worktreePath, preset.volumes);
+        } else {
+          console.log(`[CREATE] Skipping data copy (preset: ${preset.name})`);
+        }
       } catch (err) {
-        console.error(`[CREATE] Database copy failed (non-critical):`, err.message);
-        // Don't fail worktree creation if database copy fails
+        console.error(`[CREATE] Data copy failed (non-critical):`, err.message);
+        // Don't fail worktree creation if data copy fails
       }
       this.profiler.end(dbCopyId);
 
-      // Start containers AFTER database is copied
+      // Start containers AFTER data is copied
       const dockerId = this.profiler.start('docker-compose-up', totalId);
-      console.log(`[CREATE] Starting containers with copied database...`);
-      await this.startContainersForWorktree(worktreeName, worktreePath);
-      console.log(`[CREATE] ✓ Containers started successfully`);
+      if (preset.services) {
+        // Later starts bring up the same services as the preset
+        this.serviceSelection?.set(worktreeName, { services: preset.services });
+      }
+      if (preset.services && preset.services.length === 0) {
+        console.log(`[CREATE] Preset ${preset.name} starts no services, skipping containers`);
+      } else {
+        await this._runHooksOrThrow('preStart', worktreeName, worktreePath);
+        console.log(`[CREATE] Starting containers with copied data...`);
+        await this.startContainersForWorktree(worktreeName, worktreePath, preset.services);
+        console.log(`[CREATE] ✓ Containers started successfully`);
+        await this._runHooksOrThrow('postStart', worktreeName, worktreePath);
+      }
       this.profiler.end(dockerId);
 
       // Restore database from main backup AFTER containers are running
-      const restoreId = this.profiler.start('database-restore', totalId);
+      if (preset.data === 'database' && !sharedDatabase) {
+        const restoreId = this.profiler.start('database-restore', totalId);
+        try {
+          console.log(`[CREATE] Checking for main backup to restore...`);
+          await this.restoreDatabaseFromBackup(worktreeName, worktreePath, ports);
+          console.log(`[CREATE] ✓ Database restore completed`);
+        } catch (err) {
+          console.error(`[CREATE] Database restore failed (non-critical):`, err.message);
+          // Don't fail worktree creation if restore fails
+        }
+        this.profiler.end(restoreId);
+      }
+
+      // Run the preset's setup commands, then the postCreate hooks, once services are up
+      const setupId = this.profiler.start('setup-hooks', totalId);
       try {
-        console.log(`[CREATE] Checking for main backup to restore...`);
-        await this.restoreDatabaseFromBackup(worktreeName, worktreePath, ports);
-        console.log(`[CREATE] ✓ Database restore completed`);
-      } catch (err) {
-        console.error(`[CREATE] Database restore failed (non-critical):`, err.message);
-        // Don't fail worktree creation if restore fails
+        const { normalizeHook } = await import('../lifecycle-hooks.mjs');
+        await this._runHooksOrThrow('setup', worktreeName, worktreePath, preset.setup.map(normalizeHook));
+        await this._runHooksOrThrow('postCreate', worktreeName, worktreePath);
+      } finally {
+        this.profiler.end(setupId);
       }
-      this.profiler.end(restoreId);
 
       const worktree = {
         name: worktreeName,
         path: worktreePath,
         branch: slugifiedBranch,
         ports,
-        dockerStatus: []
+        dockerStatus: [],
+        preset: preset.name,
+        agent: preset.agent
       };
 
       this.broadcast('worktree:progress', {
@@ -1394,6 +2022,14 @@ export class WorktreeManager {
       console.log(`========================================\n`);
 
       this.broadcast('worktree:created', worktree);
+      this.watcher?.watch(worktreeName, worktreePath);
+      this.eventBus?.publish('worktree.created', {
+        name: worktreeName,
+        branch: slugifiedBranch,
+        path: worktreePath,
+        ports,
+        preset: preset.name
+      });
       return { success: true, worktree };
     } catch (error) {
       this.profiler.end(totalId);
@@ -1421,14 +2057,14 @@ export class WorktreeManager {
    * NOTE: This is a foundation for optimization. Currently delegates to createWorktree.
    * Full optimization implementation (parallel tasks, caching) will be added in future iterations.
    */
-  async createWorktreeOptimized(branchName, fromBranch = 'main') {
+  async createWorktreeOptimized(branchName, fromBranch = 'main', options = {}) {
     const totalId = this.profiler.start('create-worktree-optimized');
 
     try {
       // For now, use the profiled baseline implementation
       // Future: Use this.optimizer.runWithDependencies() for parallel execution
       // Future: Use this.cacheManager for node_modules caching
-      const result = await this.createWorktree(branchName, fromBranch);
+      const result = await this.createWorktree(branchName, fromBranch, options);
 
       this.profiler.end(totalId);
 
@@ -1645,6 +2281,50 @@ export class WorktreeManager {
     }
   }
 
+  /**
+   * Copy compose volumes from the main worktree (used by presets with data: 'volumes')
+   * @param {string} worktreeName - Name of the target worktree
+   * @param {string} worktreePath - Path to the target worktree
+   * @param {string[]|null} volumes - Only copy these volumes (default: all)
+   */
+  async copyVolumesFromMain(worktreeName, worktreePath, volumes = null) {
+    const mainWorktree = this.listWorktrees().find(wt => !wt.path.includes('.worktrees'));
+    if (!mainWorktree) {
+      console.log('[VOLUMES] No main worktree found, starting with empty volumes');
+      return;
+    }
+
+    this.broadcast('worktree:progress', {
+      name: worktreeName,
+      step: 'database',
+      message: 'Copying data volumes...'
+    });
+
+    const composeFile = this.config.get('container.composeFile') || 'docker-compose.yml';
+    let composeFilePath = join(worktreePath, composeFile);
+    if (!existsSync(composeFilePath)) {
+      composeFilePath = join(this.rootDir, composeFile);
+    }
+
+    const dataSync = new this.DataSync(this.runtime, new this.ComposeInspector(composeFilePath, this.runtime));
+    const results = await dataSync.copyVolumes(
+      `vibe_${mainWorktree.name.replace(/[^a-zA-Z0-9]/g, '_')}`,
+      `vibe_${worktreeName.replace(/[^a-zA-Z0-9]/g, '_')}`,
+      { include: volumes || undefined }
+    );
+
+    for (const { volume, error } of results.errors) {
+      console.warn(`[VOLUMES] Could not copy ${volume}: ${error}`);
+    }
+    console.log(`[VOLUMES] Copied ${results.copied.length} volume(s), skipped ${results.skipped.length}`);
+
+    this.broadcast('worktree:progress', {
+      name: worktreeName,
+      step: 'database',
+      message: `✓ Copied ${results.copied.length} volume(s)`
+    });
+  }
+
   /**
    * Restore database from main backup
    * @param {string} worktreeName - Name of the target worktree
@@ -1694,13 +2374,11 @@ export class WorktreeManager {
         return;
       }
 
-      if (dbInfo.type !== 'postgres') {
-        console.log(`[DATABASE-RESTORE] Database type ${dbInfo.type} not supported for restore`);
-        return;
-      }
-
       // Get database port
-      const dbPort = ports[dbInfo.service] || ports.postgres || 5432;
+      const dbPort = ports[dbInfo.service] || ports[dbInfo.type] || (dbInfo.type === 'postgres' ? 5432 : 3306);
+      const connection = dbInfo.type === 'postgres'
+        ? { database: 'postgres', user: 'postgres', password: 'postgres' }
+        : backupManager.getDatabaseCredentials(worktreePath, dbInfo.service, dbInfo.type);
 
       // Wait for database to be ready (up to 30 seconds)
       console.log(`[DATABASE-RESTORE] Waiting for database to be ready...`);
@@ -1709,11 +2387,10 @@ export class WorktreeManager {
         try {
           const { DatabaseManager } = await import('../database-manager.mjs');
           const dbManager = new DatabaseManager({
+            engine: dbInfo.type,
             host: 'localhost',
             port: dbPort,
-            database: 'postgres',
-            user: 'postgres',
-            password: 'postgres'
+            ...connection
           });
 
           // Try to estimate database size (will fail if not connected)
@@ -1739,11 +2416,10 @@ export class WorktreeManager {
       // Import backup
       const { DatabaseManager } = await import('../database-manager.mjs');
       const dbManager = new DatabaseManager({
+        engine: dbInfo.type,
         host: 'localhost',
         port: dbPort,
-        database: 'postgres',
-        user: 'postgres',
-        password: 'postgres'
+        ...connection
       });
 
       console.log(`[DATABASE-RESTORE] Restoring backup: ${latestBackup.path}`);
@@ -1777,9 +2453,12 @@ export class WorktreeManager {
 
   /**
    * Start containers for a worktree
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @param {string[]|null} services - Only start these compose services (default: the worktree's selection)
    * @private
    */
-  async startContainersForWorktree(worktreeName, worktreePath) {
+  async startContainersForWorktree(worktreeName, worktreePath, services = null) {
     console.log(`[CONTAINERS] Starting containers for ${worktreeName} in ${worktreePath}`);
     this.broadcast('worktree:progress', {
       name: worktreeName,
@@ -1789,7 +2468,18 @@ export class WorktreeManager {
 
     try {
       // Build the compose command - runtime handles sudo automatically
-      const composeCmd = `${this.runtime.getComposeCommand()} --env-file .env up -d`;
+      const fileArgs = await this._composeFileArgs(worktreeName, worktreePath);
+      const selection = await this._serviceSelectionArgs(
+        worktreeName,
+        worktreePath,
+        services?.length ? { services, profiles: [] } : undefined
+      );
+      if (selection.services?.length === 0) {
+        console.log(`[CONTAINERS] No services selected for ${worktreeName}, nothing to start`);
+        return;
+      }
+      await this._connectSharedServices(worktreeName, worktreePath);
+      const composeCmd = `${this.runtime.getComposeCommand()} ${fileArgs}--env-file .env ${selection.profileArgs}up -d${selection.serviceArgs}`;
       const fullCmd = this.runtime.needsElevation() ? `sudo ${composeCmd}` : composeCmd;
 
       console.log(`[CONTAINERS] Executing: ${fullCmd}`);
@@ -1836,10 +2526,11 @@ export class WorktreeManager {
       let hasOutput = false;
 
       // Add timeout to prevent infinite hangs
+      const timeoutMs = options.timeout || 300000;  // 5 minute default
       const timeout = setTimeout(() => {
         child.kill('SIGTERM');
-        reject(new Error('Command timed out after 5 minutes'));
-      }, 300000);  // 5 minute timeout
+        reject(new Error(`Command timed out after ${timeoutMs / 60000} minutes`));
+      }, timeoutMs);
 
       child.stdout.on('data', (data) => {
         hasOutput = true;
@@ -1884,6 +2575,65 @@ export class WorktreeManager {
     });
   }
 
+  /**
+   * Run the commands configured for a lifecycle hook, streaming their output
+   * as worktree:progress events with the hook name as the step
+   * @param {string} hookName - One of HOOK_NAMES (or 'setup' for preset setup commands)
+   * @param {string} worktreeName
+   * @param {string} worktreePath
+   * @param {Object[]|null} hooks - Normalized entries to run instead of the configured ones
+   * @returns {Promise<{success: boolean, ran: number, failures: Object[], error?: string}>}
+   */
+  async runLifecycleHooks(hookName, worktreeName, worktreePath, hooks = null) {
+    const { getHooks, runHooks, shellQuote } = await import('../lifecycle-hooks.mjs');
+    const entries = hooks ?? getHooks(this.config.get('hooks'), hookName);
+
+    if (entries.length === 0) {
+      return { success: true, ran: 0, failures: [] };
+    }
+
+    console.log(`[HOOKS] Running ${entries.length} ${hookName} hook(s) for ${worktreeName}`);
+
+    const result = await runHooks(hookName, entries, {
+      run: (command, { timeout }) => {
+        this.broadcast('worktree:progress', { name: worktreeName, step: hookName, message: `$ ${command}` });
+        return this._runCommandWithProgress(command, worktreeName, hookName, { cwd: worktreePath, timeout });
+      },
+      containerCommand: async (service, command) => {
+        const fileArgs = await this._composeFileArgs(worktreeName, worktreePath);
+        const execCmd = `${this.runtime.getComposeCommand()} ${fileArgs}--env-file .env exec -T ${service} sh -c ${shellQuote(command)}`;
+        return this.runtime.needsElevation() ? `sudo ${execCmd}` : execCmd;
+      }
+    });
+
+    for (const failure of result.failures) {
+      console.error(`[HOOKS] ${hookName} hook "${failure.command}" failed: ${failure.error}`);
+      this.broadcast('worktree:progress', {
+        name: worktreeName,
+        step: hookName,
+        message: `${failure.continued ? '⚠' : '✗'} ${failure.command}: ${failure.error}`
+      });
+      this.broadcast('hook:failed', { worktree: worktreeName, hook: hookName, ...failure });
+    }
+
+    if (result.success) {
+      this.broadcast('worktree:progress', { name: worktreeName, step: hookName, message: `✓ ${hookName} hooks complete` });
+    }
+
+    return result;
+  }
+
+  /**
+   * Run lifecycle hooks and throw when one fails without continueOnError
+   * @private
+   */
+  async _runHooksOrThrow(hookName, worktreeName, worktreePath, hooks = null) {
+    const result = await this.runLifecycleHooks(hookName, worktreeName, worktreePath, hooks);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
   /**
    * Check if a worktree's branch has been merged to main
    */
@@ -2021,17 +2771,31 @@ export class WorktreeManager {
     try {
       // Stop services and clean up images (only if directory exists)
       if (existsSync(worktree.path)) {
+        // preDelete hooks run while containers are still up; a failure keeps the worktree
+        await this._runHooksOrThrow('preDelete', worktreeName, worktree.path);
+
         try {
-          this.runtime.execCompose('--env-file .env down -v --rmi local', {
-            cwd: worktree.path,
-            stdio: 'pipe'
-          });
+          if (!this._usesKubernetes()) {
+            this.runtime.execCompose('--env-file .env down -v --rmi local', {
+              cwd: worktree.path,
+              stdio: 'pipe'
+            });
+          }
         } catch (dockerError) {
           // Docker cleanup failed, but continue with worktree removal
           console.warn(`[DELETE] Docker cleanup failed for ${worktreeName}:`, dockerError.message);
         }
       }
 
+      // The namespace outlives the directory, so it is removed either way
+      if (this._usesKubernetes()) {
+        try {
+          this.runtime.remove(worktreeName);
+        } catch (kubernetesError) {
+          console.warn(`[DELETE] Kubernetes cleanup failed for ${worktreeName}:`, kubernetesError.stderr?.toString() || kubernetesError.message);
+        }
+      }
+
       // Remove worktree (works for both existing and prunable worktrees)
       try {
         this._runGitCommand(`git worktree remove "${worktree.path}" --force`, { stdio: 'pipe' });
@@ -2047,8 +2811,14 @@ export class WorktreeManager {
 
       // Release ports
       this.portRegistry.release(worktreeName);
+      this.logAggregator?.unwatch(worktreeName, { clear: true });
+      this.watcher?.unwatch(worktreeName);
+      this.serviceStates?.forget(worktreeName);
+      this.serviceSelection?.delete(worktreeName);
+      await this._releaseSharedServices(worktreeName);
 
       this.broadcast('worktree:deleted', { name: worktreeName });
+      this.eventBus?.publish('worktree.deleted', { name: worktreeName });
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -2066,6 +2836,14 @@ export class WorktreeManager {
     // Dynamically discover services and allocate ports
     const ports = this.discoverAndAllocatePorts(worktreeName, worktree.path);
 
+    // Move ports grabbed by other processes since allocation; `up -d` below applies them
+    const healResult = await this.healPorts(worktreeName, { restart: false });
+    for (const { service, to } of healResult.healed || []) {
+      if (service in ports) {
+        ports[service] = to;
+      }
+    }
+
     try {
       // Only write .env file if it doesn't exist (preserve user customizations)
       const envFilePath = join(worktree.path, '.env');
@@ -2093,16 +2871,42 @@ export class WorktreeManager {
           });
         }
       }
+      await this._connectSharedServices(worktreeName, worktree.path);
 
-      // Start Docker services
-      const output = this.runtime.execCompose('--env-file .env up -d', {
-        cwd: worktree.path,
-        encoding: 'utf-8',
-        stdio: 'pipe'
-      });
+      const preStart = await this.runLifecycleHooks('preStart', worktreeName, worktree.path);
+      if (!preStart.success) {
+        this.eventBus?.publish('services.failed', { worktree: worktreeName, stage: 'preStart', error: preStart.error });
+        return { success: false, error: preStart.error };
+      }
 
+      if (this._usesKubernetes()) {
+        // Deploy into the worktree's namespace and forward the allocated ports
+        this.runtime.up(worktreeName, worktree.path, this._portForwards(worktree.path, ports));
+      } else {
+        // Start the selected Docker services (with resource limits from config, if any)
+        const fileArgs = await this._composeFileArgs(worktreeName, worktree.path);
+        const selection = await this._serviceSelectionArgs(worktreeName, worktree.path);
+        if (selection.services?.length === 0) {
+          console.log(`[SERVICES] No services selected for ${worktreeName}, nothing to start`);
+        } else {
+          this.runtime.execCompose(`${fileArgs}--env-file .env ${selection.profileArgs}up -d${selection.serviceArgs}`, {
+            cwd: worktree.path,
+            encoding: 'utf-8',
+            stdio: 'pipe'
+          });
+        }
+      }
 
       this.broadcast('services:started', { worktree: worktreeName, ports });
+      this.eventBus?.publish('services.started', { worktree: worktreeName, ports });
+      this.logAggregator?.watch(worktreeName, worktree.path, { force: true });
+
+      const postStart = await this.runLifecycleHooks('postStart', worktreeName, worktree.path);
+      if (!postStart.success) {
+        this.eventBus?.publish('services.failed', { worktree: worktreeName, stage: 'postStart', error: postStart.error });
+        return { success: false, error: postStart.error, ports };
+      }
+
       return { success: true, ports };
     } catch (error) {
       const errorMsg = error.stderr?.toString() || error.stdout?.toString() || error.message;
@@ -2112,6 +2916,7 @@ export class WorktreeManager {
         console.error(`Failed to start services for ${worktreeName}:`, error.message);
         console.error('stderr:', error.stderr?.toString());
         console.error('stdout:', error.stdout?.toString());
+        this.eventBus?.publish('services.failed', { worktree: worktreeName, stage: 'start', error: errorMsg });
       }
 
       return { success: false, error: errorMsg };
@@ -2128,18 +2933,398 @@ export class WorktreeManager {
 
     try {
       // Stop Docker services
-      this.runtime.execCompose('down', {
-        cwd: worktree.path,
-        stdio: 'pipe'
-      });
+      if (this._usesKubernetes()) {
+        this.runtime.down(worktreeName, worktree.path);
+      } else {
+        this.runtime.execCompose('down', {
+          cwd: worktree.path,
+          stdio: 'pipe'
+        });
+      }
 
       this.broadcast('services:stopped', { worktree: worktreeName });
+      this.eventBus?.publish('services.stopped', { worktree: worktreeName });
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Stop a worktree's containers without removing them, so waking is quick
+   */
+  async suspendServices(worktreeName) {
+    const worktree = this._worktreeLocations().find(w => w.name === worktreeName);
+
+    if (!worktree) {
+      return { success: false, error: 'Worktree not found' };
+    }
+
+    try {
+      if (this._usesKubernetes()) {
+        this.runtime.stop(worktreeName);
+      } else {
+        this.runtime.execCompose('stop', {
+          cwd: worktree.path,
+          stdio: 'pipe'
+        });
+      }
+
+      this.broadcast('services:stopped', { worktree: worktreeName, suspended: true });
+      this.eventBus?.publish('services.stopped', { worktree: worktreeName, suspended: true });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.stderr?.toString() || error.message };
+    }
+  }
+
+  /**
+   * Check that a worktree has a service of this name
+   * Compose stacks are checked against the compose file; when it can't be read,
+   * and for Kubernetes, the name only has to look like a service name.
+   * @param {string} worktreePath
+   * @param {string} serviceName
+   * @returns {boolean}
+   */
+  hasService(worktreePath, serviceName) {
+    if (typeof serviceName !== 'string' || !SERVICE_NAME_PATTERN.test(serviceName)) {
+      return false;
+    }
+    if (this._usesKubernetes()) {
+      return true;
+    }
+
+    const services = this._composeServices(worktreePath);
+    return services.length === 0 || services.some(service => service.name === serviceName);
+  }
+
+  /**
+   * Run a compose command against a single service of a worktree
+   * @param {Object} options - { withLimits: apply configured resource limits (default: false) }
+   * @private
+   */
+  async _runServiceCommand(worktreeName, serviceName, composeArgs, event, options = {}) {
+    const worktree = this.listWorktrees().find(w => w.name === worktreeName);
+
+    if (!worktree) {
+      return { success: false, error: 'Worktree not found' };
+    }
+    if (!this.hasService(worktree.path, serviceName)) {
+      return { success: false, error: `Unknown service: ${serviceName}` };
+    }
+
+    try {
+      if (this._usesKubernetes()) {
+        const method = { 'service:started': 'startService', 'service:stopped': 'stopService', 'service:restarted': 'restartService' }[event];
+        this.runtime[method](worktreeName, serviceName);
+      } else {
+        const fileArgs = options.withLimits ? await this._composeFileArgs(worktreeName, worktree.path) : '';
+        this.runtime.execCompose(`${fileArgs}${composeArgs} ${serviceName}`, {
+          cwd: worktree.path,
+          encoding: 'utf-8',
+          stdio: 'pipe'
+        });
+      }
+
+      this.broadcast(event, { worktree: worktreeName, service: serviceName });
+      if (event !== 'service:stopped') {
+        this.logAggregator?.watch(worktreeName, worktree.path, { force: true });
+      }
+      return { success: true, service: serviceName };
+    } catch (error) {
+      const errorMsg = error.stderr?.toString() || error.message;
+      console.error(`Failed to ${event.split(':')[1]} ${serviceName} for ${worktreeName}:`, errorMsg);
+      return { success: false, error: errorMsg };
+    }
+  }
+
+  /**
+   * Start a single service of a worktree
+   */
+  async startService(worktreeName, serviceName) {
+    return this._runServiceCommand(worktreeName, serviceName, '--env-file .env up -d', 'service:started', { withLimits: true });
+  }
+
+  /**
+   * Stop a single service of a worktree
+   */
+  async stopService(worktreeName, serviceName) {
+    return this._runServiceCommand(worktreeName, serviceName, 'stop', 'service:stopped');
+  }
+
+  /**
+   * Restart a single service of a worktree
+   */
+  async restartService(worktreeName, serviceName) {
+    return this._runServiceCommand(worktreeName, serviceName, 'restart', 'service:restarted');
+  }
+
+  /**
+   * A worktree's service selection and the services and profiles to choose from
+   * @param {string} worktreeName
+   * @returns {Object} { success, selection, services: [{name, profiles, dependsOn, shared, isolation}], profiles }
+   */
+  getServiceSelection(worktreeName) {
+    const worktree = this._worktreeLocations().find(w => w.name === worktreeName);
+
+    if (!worktree) {
+      return { success: false, error: 'Worktree not found' };
+    }
+    if (this._usesKubernetes()) {
+      return { success: false, error: 'Service selection is only available for compose stacks' };
+    }
+
+    const shared = this.config.get('container.sharedServices') || {};
+    const services = this._composeServices(worktree.path);
+
+    return {
+      success: true,
+      selection: this.serviceSelection?.get(worktreeName) || { services: null, profiles: [] },
+      services: services.map(({ name, profiles, dependsOn }) => ({
+        name,
+        profiles,
+        dependsOn,
+        shared: name in shared,
+        isolation: shared[name]?.isolation || null
+      })),
+      profiles: [...new Set(services.flatMap(service => service.profiles))]
+    };
+  }
+
+  /**
+   * Choose which services and profiles a worktree runs from now on
+   * Takes effect on the next start; running services are left alone.
+   * @param {string} worktreeName
+   * @param {{services: string[]|null, profiles: string[]}} selection - services null means every service
+   * @returns {Promise<Object>} { success, selection } or { success: false, error }
+   */
+  async setServiceSelection(worktreeName, selection) {
+    const available = this.getServiceSelection(worktreeName);
+    if (!available.success) {
+      return available;
+    }
+    if (!this.serviceSelection) {
+      return { success: false, error: 'Service selection is not available' };
+    }
+
+    const { validateServiceSelection } = await import('../service-selection.mjs');
+    const errors = validateServiceSelection(selection, available.services);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; ') };
+    }
+
+    const stored = this.serviceSelection.set(worktreeName, selection);
+    console.log(`[SERVICES] Selection for ${worktreeName}: ${stored.services ? stored.services.join(', ') || 'none' : 'all'}` +
+      (stored.profiles.length ? ` (profiles: ${stored.profiles.join(', ')})` : ''));
+    this.broadcast('services:selection', { worktree: worktreeName, selection: stored });
+    return { success: true, selection: stored };
+  }
+
+  /**
+   * Watch every worktree of the current project for git, file and container
+   * changes (see WorktreeWatcher), and stop watching ones that are gone
+   * @returns {Promise<number>} Number of worktrees watched
+   */
+  async watchWorktrees() {
+    if (!this.watcher) {
+      return 0;
+    }
+
+    const locations = this._worktreeLocations();
+    const names = new Set(locations.map(worktree => worktree.name));
+    for (const name of this.watcher.list()) {
+      if (!names.has(name)) {
+        this.watcher.unwatch(name);
+      }
+    }
+
+    await this.watcher.watchList(this.getProjectRoot());
+    let watched = 0;
+    for (const worktree of locations) {
+      if (await this.watcher.watch(worktree.name, worktree.path)) {
+        watched++;
+      }
+    }
+    return watched;
+  }
+
+  /**
+   * Forward the allocated ports of worktrees already deployed to Kubernetes
+   * (port-forwards end with the server that started them)
+   * @returns {number} Number of worktrees whose ports are forwarded
+   */
+  restorePortForwards() {
+    if (!this._usesKubernetes()) {
+      return 0;
+    }
+
+    let restored = 0;
+    for (const worktree of this._worktreeLocations()) {
+      const ports = this.portRegistry.getWorktreePorts(worktree.name);
+      const deployed = this.getDockerStatus(worktree.path, worktree.name).some(service => service.state !== 'exited');
+      if (deployed && Object.keys(ports).length > 0) {
+        this.runtime.forward(worktree.name, this._portForwards(worktree.path, ports));
+        restored++;
+      }
+    }
+    return restored;
+  }
+
+  /**
+   * Query a worktree's aggregated container logs
+   * Also starts following its containers if they were started outside VibeTrees.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {Object} filters - { services, level, since, until, text, after, limit }
+   * @returns {Promise<{success: boolean, records?: Array, services?: string[], lastId?: number, collecting?: boolean, error?: string}>}
+   */
+  async queryLogs(worktreeName, filters) {
+    if (!this.logAggregator) {
+      return { success: false, error: 'Log aggregation is not enabled' };
+    }
+
+    const worktree = this._worktreeLocations().find(w => w.name === worktreeName);
+    if (!worktree) {
+      return { success: false, error: 'Worktree not found' };
+    }
+
+    this.logAggregator.watch(worktreeName, worktree.path);
+    return { success: true, ...await this.logAggregator.query(worktreeName, filters) };
+  }
+
+  /**
+   * Write (or remove) the compose override holding a worktree's resource limits
+   * Limits come from container.resourceLimits in .vibe/config.json. The file lives
+   * in the project registry dir so it never shows up as a change in the worktree.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} composeFilePath - Compose file used to discover services
+   * @returns {Promise<string|null>} Override path, or null if no limits apply
+   * @private
+   */
+  async _writeResourceOverride(worktreeName, composeFilePath) {
+    const { resolveResourceLimits, buildResourceOverride } = await import('../resource-monitor.mjs');
+    const overridePath = join(this.portRegistry.registryDir, 'compose', `${worktreeName}.resources.yml`);
+    const limits = resolveResourceLimits(this.config.get('container.resourceLimits'), worktreeName);
+
+    if (!limits) {
+      if (existsSync(overridePath)) {
+        fs.unlinkSync(overridePath);
+      }
+      return null;
+    }
+
+    const inspector = new this.ComposeInspector(composeFilePath, this.runtime);
+    const serviceNames = inspector.getServices().map(service => service.name);
+    const override = buildResourceOverride(serviceNames, limits);
+
+    if (Object.keys(override.services).length === 0) {
+      return null;
+    }
+
+    const YAML = (await import('yaml')).default;
+    mkdirSync(dirname(overridePath), { recursive: true });
+    writeFileSync(overridePath, YAML.stringify(override));
+    console.log(`[RESOURCES] Applying limits to ${worktreeName}: ${Object.keys(override.services).join(', ')}`);
+
+    return overridePath;
+  }
+
+  /**
+   * Build the `-f` arguments for compose commands that should honour resource limits
+   * Passing any -f disables compose's automatic override discovery, so existing
+   * override files are listed explicitly before the resource override.
+   * @param {string} worktreeName - Name of the worktree
+   * @param {string} worktreePath - Path to the worktree
+   * @returns {Promise<string>} Arguments with trailing space, or '' when no limits apply
+   * @private
+   */
+  async _composeFileArgs(worktreeName, worktreePath) {
+    const configured = this.config.get('container.composeFile') || 'docker-compose.yml';
+    const composeFile = [configured, 'docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml']
+      .find(file => existsSync(join(worktreePath, file)));
+
+    if (!composeFile) {
+      return '';
+    }
+
+    try {
+      const overridePath = await this._writeResourceOverride(worktreeName, join(worktreePath, composeFile));
+      if (!overridePath) {
+        return '';
+      }
+
+      const files = [composeFile, ...[
+        'docker-compose.override.yml',
+        'docker-compose.override.yaml',
+        'compose.override.yml',
+        'compose.override.yaml'
+      ].filter(file => existsSync(join(worktreePath, file))), overridePath];
+
+      return files.map(file => `-f "${file}" `).join('');
+    } catch (error) {
+      console.warn(`[RESOURCES] Could not apply resource limits for ${worktreeName}: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * List worktree names and paths without collecting any status
+   * @returns {Array<{name: string, path: string}>}
+   * @private
+   */
+  _worktreeLocations() {
+    const output = this._runGitCommand('git worktree list --porcelain');
+    const locations = [];
+    let current = {};
+
+    for (const line of `${output}\n`.split('\n')) {
+      if (line.startsWith('worktree ')) {
+        current.path = line.substring('worktree '.length);
+      } else if (line.startsWith('branch ')) {
+        current.branch = line.substring('branch '.length).replace('refs/heads/', '');
+      } else if (line === '' && current.path) {
+        const isRootWorktree = !current.path.includes('.worktrees');
+        const name = (isRootWorktree || current.branch === 'main') ? 'main' : basename(current.path);
+        locations.push({ name, path: current.path });
+        current = {};
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Get live CPU/memory usage per worktree from the container runtime's stats
+   * @returns {Promise<{worktrees: Object, total: {cpuPercent: number, memoryBytes: number}, timestamp: string}>}
+   */
+  async getResourceUsage() {
+    const { ResourceMonitor, resolveResourceLimits, parseByteSize } = await import('../resource-monitor.mjs');
+
+    if (!this.resourceMonitor) {
+      this.resourceMonitor = new ResourceMonitor(this.runtime);
+    }
+
+    // Pods have no docker stats; usage stays empty on Kubernetes
+    const containers = this._usesKubernetes() ? [] : await this.resourceMonitor.collect();
+    const worktrees = ResourceMonitor.groupByWorktree(containers, this._worktreeLocations());
+    const resourceLimits = this.config.get('container.resourceLimits');
+    const total = { cpuPercent: 0, memoryBytes: 0 };
+
+    for (const [name, usage] of Object.entries(worktrees)) {
+      const limits = resolveResourceLimits(resourceLimits, name);
+      usage.limits = limits && {
+        cpus: limits.cpus || null,
+        memoryBytes: limits.memory ? parseByteSize(limits.memory) : null
+      };
+
+      total.cpuPercent += usage.cpuPercent;
+      total.memoryBytes += usage.memoryBytes;
+    }
+
+    total.cpuPercent = Math.round(total.cpuPercent * 100) / 100;
+
+    return { worktrees, total, timestamp: new Date().toISOString() };
+  }
+
   /**
    * Install dependencies for a worktree
    * Supports bootstrap script or falls back to npm install
@@ -2239,14 +3424,52 @@ export class WorktreeManager {
       result.smartReload = reloadResult;
     }
 
+    if (result.success) {
+      const postSync = await this.runLifecycleHooks('postSync', worktreeName, worktreePath);
+      result.hooks = postSync;
+      if (!postSync.success) {
+        result.success = false;
+        result.error = postSync.error;
+      }
+    }
+
     this.broadcast('worktree:synced', {
       worktree: worktreeName,
       ...result
     });
+    this._publishSyncEvent(worktreeName, result, options.strategy || 'merge');
 
     return result;
   }
 
+  /**
+   * Publish the outcome of a sync on the event bus
+   * @private
+   */
+  _publishSyncEvent(worktreeName, result, strategy) {
+    if (!this.eventBus) return;
+
+    if (result.success) {
+      this.eventBus.publish('sync.completed', {
+        worktree: worktreeName,
+        strategy,
+        message: result.message
+      });
+    } else if (result.conflicts?.length > 0) {
+      this.eventBus.publish('sync.conflicted', {
+        worktree: worktreeName,
+        conflicts: result.conflicts,
+        message: result.message
+      });
+    } else {
+      this.eventBus.publish('sync.failed', {
+        worktree: worktreeName,
+        error: result.error,
+        message: result.message
+      });
+    }
+  }
+
   /**
    * Analyze changes from commits (Phase 5.1)
    */
@@ -2388,7 +3611,19 @@ export class WorktreeManager {
    * Run diagnostic checks (Phase 2.5)
    */
   async runDiagnostics(worktreeName = null) {
-    return await this.diagnostics.runAll(worktreeName);
+    const report = await this.diagnostics.runAll(worktreeName);
+
+    if (report.summary?.errors > 0) {
+      this.eventBus?.publish('diagnostics.failed', {
+        worktree: worktreeName,
+        summary: report.summary,
+        failed: report.checks
+          .filter(check => check.status === 'error')
+          .map(check => ({ name: check.name, description: check.description, issues: check.issues }))
+      });
+    }
+
+    return report;
   }
 
   /**